@@ -39,7 +39,7 @@ async function start() {
 
         clog("🎵 Spotify-Apple Music Links Bot is now running!")
         clog(`📁 Storage folder: ${config.storage.folder}`)
-        clog(`🔐 Bot password: ${config.telegram.botPassword}`)
+        clog(`🔐 Bot owners: ${config.telegram.ownerIds.join(", ") || "none configured"}`)
         clog("Ready to convert music links between Spotify and Apple Music!")
 
     } catch (error) {
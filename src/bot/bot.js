@@ -7,33 +7,80 @@ const { Telegraf } = require("telegraf")
 const { clog } = require("../utils/logs")
 const { db } = require("../db/db")
 const { ConverterService } = require("../services/converter")
+const { AuthService } = require("../services/auth")
+const settingsMenu = require("./settings_menu")
+const conversionKeyboard = require("./conversion_keyboard")
+const searchKeyboard = require("./search_keyboard")
+const { EXPORT_FORMATS, exportHistory, toFilename } = require("../utils/export")
+const { formatTitle } = require("../utils/platforms")
+const { findMusicLinks } = require("../utils/link_parser")
 
 /**
  * Telegram bot class for handling music link conversions
  */
 class SMBot {
-    static SETUP_CHATS_KEY = "telegram_chat_ids"
+    static INLINE_SEARCH_LIMIT = 5
+    static INLINE_CACHE_TIME = 300
+    static HISTORY_DEFAULT_LIMIT = 10
+    static HISTORY_MAX_LIMIT = 50
+    static EXPORT_LIMIT = 5000
+    // Telegram limits how often a message can be edited, so playlist progress is shown at most this often (ms)
+    static PLAYLIST_PROGRESS_INTERVAL = 3000
 
     constructor(config) {
         this.config = config
         this.bot = new Telegraf(config.telegram.token)
-        this.chats = new Set()
         this.converter = new ConverterService(config)
+        this.auth = new AuthService(config)
     }
 
     /**
      * Start the Telegram bot and set up message handlers
      */
     async start() {
-        await this.loadChatIds()
+        const chats = await db.countChats()
+        clog(`SMBOT: Chats by status: ${JSON.stringify(chats)}`)
 
         // Command handlers
         this.bot.command("start", this.handleStartCommand.bind(this))
         this.bot.command("stop", this.handleStopCommand.bind(this))
+        this.bot.command("pause", this.handlePauseCommand.bind(this))
+        this.bot.command("resume", this.handleResumeCommand.bind(this))
         this.bot.command("help", this.handleHelpCommand.bind(this))
+        this.bot.command("storefront", this.handleStorefrontCommand.bind(this))
+        this.bot.command("settings", this.handleSettingsCommand.bind(this))
+        this.bot.command("uncache", this.handleUncacheCommand.bind(this))
+        this.bot.command("invite", this.handleInviteCommand.bind(this))
+        this.bot.command("promote", this.handlePromoteCommand.bind(this))
+        this.bot.command("demote", this.handleDemoteCommand.bind(this))
+        this.bot.command("fix", this.handleFixCommand.bind(this))
+        this.bot.command("overrides", this.handleOverridesCommand.bind(this))
+        this.bot.command("history", this.handleHistoryCommand.bind(this))
+        this.bot.command("export", this.handleExportCommand.bind(this))
+        this.bot.command("search", this.handleSearchCommand.bind(this))
 
-        // Message handler for link detection
-        this.bot.on("text", this.handleTextMessage.bind(this))
+        // Chat lifecycle: bot removed from a chat, group upgraded to a supergroup.
+        // Registered before the message handler, which would swallow migration messages
+        this.bot.on("my_chat_member", this.handleMyChatMember.bind(this))
+        this.bot.on(["migrate_to_chat_id", "migrate_from_chat_id"], this.handleChatMigration.bind(this))
+
+        // Message handler for link detection: text, media captions and channel posts
+        this.bot.on(["message", "channel_post"], this.handleMessage.bind(this))
+
+        // Keep replies in sync with edited messages
+        this.bot.on(["edited_message", "edited_channel_post"], this.handleEditedMessage.bind(this))
+
+        // Settings menu buttons
+        this.bot.action(/^settings:/, this.handleSettingsCallback.bind(this))
+
+        // "Not right?" alternatives under conversion replies
+        this.bot.action(/^conv:/, this.handleConversionCallback.bind(this))
+
+        // Switching between songs found by /search
+        this.bot.action(/^search:/, this.handleSearchCallback.bind(this))
+
+        // Inline mode: @bot <link or search text> from any chat
+        this.bot.on("inline_query", this.handleInlineQuery.bind(this))
 
         clog("SMBOT: Starting bot...")
         await this.bot.launch()
@@ -44,12 +91,14 @@ class SMBot {
     }
 
     /**
-     * Handle /start command with password verification
+     * Handle /start command: chat admins subscribe the chat if they are known
+     * to the bot or bring a valid invite code
      * @param {Object} ctx - Telegram context
      */
     async handleStartCommand(ctx) {
         const chatId = ctx.chat?.id
-        const password = ctx.payload
+        const userId = ctx.from?.id
+        const code = ctx.payload?.trim()
 
         if (!chatId) {
             clog("SMBOT: Got start command without chat id")
@@ -57,22 +106,37 @@ class SMBot {
             return
         }
 
-        if (password !== this.config.telegram.botPassword) {
-            clog(`SMBOT: Got start command with incorrect password from chat ${chatId}`)
-            await ctx.reply("🚫 Incorrect password. I don't know you.")
+        const isBotAdmin = await this.auth.isBotAdmin(userId)
+        if (!isBotAdmin && !(await this.isChatAdmin(ctx))) {
+            clog(`SMBOT: Start command from user ${userId} who is not an admin of chat ${chatId}`)
+            await this.auth.record({ userId, chatId, action: 'start', allowed: false, reason: 'not a chat admin' })
+            await ctx.reply("🚫 Only chat admins can subscribe this chat.")
             return
         }
 
-        await this.addChatId(chatId)
+        let reason = isBotAdmin ? 'bot admin' : 'known user'
+        if (!isBotAdmin && !(await this.auth.isKnownUser(userId))) {
+            if (!(await this.auth.redeemInvite(code, ctx.from, chatId))) {
+                clog(`SMBOT: Start command with missing or invalid invite code from user ${userId} in chat ${chatId}`)
+                await this.auth.record({ userId, chatId, action: 'start', allowed: false, reason: 'invalid invite code' })
+                await ctx.reply("🚫 I don't know you. Ask a bot admin for an invite code and send /start <code>.")
+                return
+            }
+            reason = 'invite code'
+        }
+
+        await this.auth.record({ userId, chatId, action: 'start', allowed: true, reason })
+        await this.subscribeChat(ctx.chat, userId)
         await ctx.reply(`🎵 Welcome to Spotify-Apple Music Links Bot!
 
 Your chat ID is ${chatId}
 
-I will now monitor this chat for music links and automatically convert them between Spotify and Apple Music.
+I will now monitor this chat for music links and automatically convert them between Spotify and Apple Music, and podcast links between Spotify and Apple Podcasts.
 
 Supported links:
-• Spotify tracks and albums
-• Apple Music tracks and albums
+• Spotify tracks, albums, artists and playlists
+• Apple Music tracks, albums, artists, playlists and music videos
+• Spotify and Apple Podcasts shows and episodes
 
 Simply post any music link and I'll respond with the converted version!`)
     }
@@ -89,16 +153,99 @@ Simply post any music link and I'll respond with the converted version!`)
             return
         }
 
+        if (!(await this.authorizeChatAdmin(ctx, 'stop', "🚫 Only chat admins can unsubscribe this chat."))) {
+            return
+        }
+
         clog(`SMBOT: Got stop command from chat ${chatId}`)
-        await this.removeChatId(chatId)
+        await this.unsubscribeChat(chatId)
         await ctx.reply(`🛑 I will stop converting music links in this chat.
 
-You can start me again with:
-/start <password>
+A chat admin can start me again with:
+/start
 
 Goodbye! 👋`)
     }
 
+    /**
+     * Handle /pause command: stop converting links for a while, keeping subscription and settings
+     * @param {Object} ctx - Telegram context
+     */
+    async handlePauseCommand(ctx) {
+        await this.changeChatStatus(ctx, 'pause', 'active', 'paused',
+            "⏸ Paused. I will ignore music links here until a chat admin sends /resume.")
+    }
+
+    /**
+     * Handle /resume command: continue converting links in a paused chat
+     * @param {Object} ctx - Telegram context
+     */
+    async handleResumeCommand(ctx) {
+        await this.changeChatStatus(ctx, 'resume', 'paused', 'active',
+            "▶️ Resumed. I will convert music links in this chat again.")
+    }
+
+    /**
+     * Switch a subscribed chat between active and paused
+     * @param {Object} ctx - Telegram context
+     * @param {string} action - 'pause' or 'resume', for the auth log
+     * @param {string} fromStatus - Status the chat must have
+     * @param {string} toStatus - New status
+     * @param {string} doneMessage - Reply after the change
+     * @private
+     */
+    async changeChatStatus(ctx, action, fromStatus, toStatus, doneMessage) {
+        const chatId = ctx.chat?.id
+        const chat = chatId ? await db.getChat(chatId) : null
+
+        if (!chat || chat.status === 'kicked') {
+            clog(`SMBOT: ${action} command from unsubscribed chat ${chatId}`)
+            return
+        }
+
+        if (!(await this.authorizeChatAdmin(ctx, action, `🚫 Only chat admins can ${action} me in this chat.`))) {
+            return
+        }
+
+        if (chat.status !== fromStatus) {
+            await ctx.reply(toStatus === 'paused' ? "I am already paused here." : "I am not paused here.")
+            return
+        }
+
+        await db.setChatStatus(chatId, toStatus)
+        clog(`SMBOT: Chat ${chatId} is now ${toStatus}`)
+        await ctx.reply(doneMessage)
+    }
+
+    /**
+     * Check that the sender may manage the chat subscription or settings and record the decision
+     * @param {Object} ctx - Telegram context
+     * @param {string} action - Command name for the auth log
+     * @param {string} deniedMessage - Reply for users who are not allowed, shown as a
+     *   callback answer when the check comes from a button press
+     * @returns {boolean} True for chat admins and bot admins
+     * @private
+     */
+    async authorizeChatAdmin(ctx, action, deniedMessage) {
+        const chatId = ctx.chat.id
+        const userId = ctx.from?.id
+        const isBotAdmin = await this.auth.isBotAdmin(userId)
+
+        if (!isBotAdmin && !(await this.isChatAdmin(ctx))) {
+            clog(`SMBOT: ${action} command from user ${userId} who is not an admin of chat ${chatId}`)
+            await this.auth.record({ userId, chatId, action, allowed: false, reason: 'not a chat admin' })
+            if (ctx.callbackQuery) {
+                await ctx.answerCbQuery(deniedMessage)
+            } else {
+                await ctx.reply(deniedMessage)
+            }
+            return false
+        }
+
+        await this.auth.record({ userId, chatId, action, allowed: true, reason: isBotAdmin ? 'bot admin' : 'chat admin' })
+        return true
+    }
+
     /**
      * Handle /help command
      * @param {Object} ctx - Telegram context
@@ -107,45 +254,592 @@ Goodbye! 👋`)
         await ctx.reply(`🎵 Spotify-Apple Music Links Bot Help
 
 🔧 Commands:
-• /start <password> - Subscribe to music link conversion
-• /stop - Unsubscribe from link conversion
+• /start [invite code] - Subscribe this chat to music link conversion (chat admins)
+• /stop - Unsubscribe this chat from link conversion (chat admins)
+• /pause, /resume - Ignore music links for a while and continue later (chat admins)
+• /storefront <code> - Set the Apple Music country for this chat (chat admins)
+• /settings - Change confidence, preview, music video and reply style options (chat admins)
+• /fix <correct link> - Reply to my conversion to correct it for next time (chat admins)
+• /search <artist - title> - Find a song on every platform
+• /history [n] - List the last n songs shared in this chat
+• /export [csv|json|m3u|xspf] - Download the songs shared in this chat
 • /help - Show this help message
 
+🔑 Bot admin commands:
+• /invite [hours] - Create a single-use invite code
+• /uncache <link> - Drop the cached conversion of a link
+• /overrides [remove <id>] - List or remove manual matches
+• /promote <user id>, /demote <user id> - Grant or revoke bot admin (owners only)
+
 🎶 How it works:
-1. Subscribe to the bot with the correct password
+1. A chat admin subscribes the chat with /start and an invite code from a bot admin
 2. Post any Spotify or Apple Music link in this chat
 3. I'll automatically respond with the converted link
 
 🔗 Supported links:
 • Spotify: https://open.spotify.com/track/...
 • Spotify: https://open.spotify.com/album/...
+• Spotify: https://open.spotify.com/artist/...
 • Apple Music: https://music.apple.com/.../song/...
 • Apple Music: https://music.apple.com/.../album/...
+• Apple Music: https://music.apple.com/.../artist/...
+• Apple Music: https://music.apple.com/.../music-video/..., converted to the Spotify track
+• Playlists on both platforms, answered with a summary and the full track list as a file
+• Spotify: https://open.spotify.com/show/... and /episode/...
+• Spotify short links (spotify.link/...) and spotify: URIs
+• Apple Podcasts: https://podcasts.apple.com/.../podcast/.../id...
 
 ✨ Features:
 • Smart matching with confidence scores
-• Bidirectional conversion (Spotify ↔ Apple Music)
+• Converts every link in a message at once
+• Bidirectional conversion (Spotify ↔ Apple Music, Spotify ↔ Apple Podcasts)
 • Works in groups and channels
-• Password protection
+• Inline mode: type @botname <link or artist - title> in any chat
+• Invite-only access
+
+Need an invite code? Contact a bot admin.`)
+    }
+
+    /**
+     * Handle /storefront command: show or set the chat's default Apple Music storefront
+     * @param {Object} ctx - Telegram context
+     */
+    async handleStorefrontCommand(ctx) {
+        const chatId = ctx.chat?.id
+        const storefront = ctx.payload?.trim().toLowerCase()
+
+        if (!(await this.isSubscribed(chatId, { includePaused: true }))) {
+            clog(`SMBOT: Storefront command from unsubscribed chat ${chatId}`)
+            return
+        }
+
+        if (!storefront) {
+            const settings = await db.getChatSettings(chatId)
+            const current = settings.storefront || 'us (default)'
+            await ctx.reply(`🌍 Apple Music storefront for this chat: ${current}
+
+Change it with /storefront <country code>, e.g. /storefront de`)
+            return
+        }
+
+        if (!/^[a-z]{2}$/.test(storefront)) {
+            await ctx.reply("🚫 Storefront must be a two-letter country code, e.g. us, de, jp.")
+            return
+        }
+
+        if (!(await this.authorizeChatAdmin(ctx, 'storefront', "🚫 Only chat admins can change the storefront of this chat."))) {
+            return
+        }
+
+        await db.updateChatSettings(chatId, { storefront })
+        clog(`SMBOT: Set storefront ${storefront} for chat id ${chatId}`)
+        await ctx.reply(`🌍 Apple Music storefront for this chat is now: ${storefront}`)
+    }
+
+    /**
+     * Handle /settings command: show the settings menu
+     * @param {Object} ctx - Telegram context
+     */
+    async handleSettingsCommand(ctx) {
+        const chatId = ctx.chat?.id
+
+        if (!(await this.isSubscribed(chatId, { includePaused: true }))) {
+            clog(`SMBOT: Settings command from unsubscribed chat ${chatId}`)
+            return
+        }
+
+        if (!(await this.authorizeChatAdmin(ctx, 'settings', "🚫 Only chat admins can change the settings of this chat."))) {
+            return
+        }
+
+        const settings = await db.getChatSettings(chatId)
+        await ctx.reply(settingsMenu.formatSettingsText(settings), {
+            reply_markup: { inline_keyboard: settingsMenu.buildSettingsKeyboard(settings) }
+        })
+    }
+
+    /**
+     * Handle settings menu button presses
+     * @param {Object} ctx - Telegram context
+     */
+    async handleSettingsCallback(ctx) {
+        const chatId = ctx.chat?.id
+
+        if (!(await this.isSubscribed(chatId, { includePaused: true }))) {
+            await ctx.answerCbQuery("This chat is not subscribed.")
+            return
+        }
+
+        if (!(await this.authorizeChatAdmin(ctx, 'settings', "🚫 Only chat admins can change the settings of this chat."))) {
+            return
+        }
+
+        let settings = await db.getChatSettings(chatId)
+        const action = settingsMenu.applySettingsAction(settings, ctx.callbackQuery?.data)
+        if (!action) {
+            await ctx.answerCbQuery()
+            return
+        }
+
+        if (action.changes) {
+            settings = await db.updateChatSettings(chatId, action.changes)
+            clog(`SMBOT: Chat ${chatId} settings changed: ${JSON.stringify(action.changes)}`)
+        }
+
+        if (action.view === 'close') {
+            await ctx.editMessageText(settingsMenu.formatSettingsText(settings, false))
+        } else {
+            const keyboard = action.view === 'storefronts'
+                ? settingsMenu.buildStorefrontKeyboard(settings)
+                : settingsMenu.buildSettingsKeyboard(settings)
+            await ctx.editMessageText(settingsMenu.formatSettingsText(settings), {
+                reply_markup: { inline_keyboard: keyboard }
+            })
+        }
+
+        await ctx.answerCbQuery()
+    }
+
+    /**
+     * Handle conversion reply buttons: show alternatives, pick one or go back.
+     * Only chat admins may open the alternatives and pick one
+     * @param {Object} ctx - Telegram context
+     */
+    async handleConversionCallback(ctx) {
+        const chatId = ctx.chat?.id
+        const callback = conversionKeyboard.parseConversionCallback(ctx.callbackQuery?.data)
+
+        if (!callback) {
+            await ctx.answerCbQuery()
+            return
+        }
+
+        if (!(await this.isSubscribed(chatId, { includePaused: true }))) {
+            await ctx.answerCbQuery("This chat is not subscribed.")
+            return
+        }
+
+        // A picked match is stored as a manual match for every chat
+        if (callback.action !== 'back' &&
+            !(await this.authorizeChatAdmin(ctx, 'correct', "🚫 Only chat admins can correct my matches."))) {
+            return
+        }
+
+        // The conversion normally comes straight from the cache, minimum confidence
+        // does not apply since the reply has already been posted
+        const settings = await db.getChatSettings(chatId)
+        const conversionResult = await this.converter.convertLinkInfo(callback.source, {
+            storefront: settings.storefront,
+            minScore: 0
+        }).catch((error) => {
+            clog('SMBOT: Error converting link for conversion buttons:', error.message)
+            return null
+        })
+        const shown = conversionResult &&
+            this.converter.selectAlternative(conversionResult, callback.targetPlatform, callback.targetId)
+
+        if (!shown) {
+            await ctx.answerCbQuery("That match is no longer available.")
+            return
+        }
+
+        // The button may belong to any of the converted platforms, not only the first one
+        const target = conversionKeyboard.getTargetResult(shown, callback.targetPlatform)
+
+        if (callback.action === 'alts') {
+            await ctx.editMessageReplyMarkup({ inline_keyboard: conversionKeyboard.buildAlternativesKeyboard(target) })
+        } else if (callback.action === 'back') {
+            await ctx.editMessageReplyMarkup({ inline_keyboard: conversionKeyboard.buildConversionKeyboard(shown) })
+        } else {
+            clog(`SMBOT: Chat ${chatId} picked ${target.targetPlatform}:${target.converted.id} for ${callback.source.platform}:${callback.source.id}`)
+            await ctx.editMessageText(this.converter.formatConversionMessage(shown, settings.replyStyle), {
+                disable_web_page_preview: !settings.linkPreview,
+                reply_markup: { inline_keyboard: conversionKeyboard.buildConversionKeyboard(shown) }
+            })
+
+            // Remember the choice, so the link converts right next time
+            try {
+                await this.converter.saveOverride(target, ctx.from?.id, chatId)
+            } catch (error) {
+                clog('SMBOT: Error saving override:', error.message)
+            }
+        }
+
+        await ctx.answerCbQuery()
+    }
+
+    /**
+     * Handle /fix command: correct a conversion reply with the right link and remember it
+     * @param {Object} ctx - Telegram context
+     */
+    async handleFixCommand(ctx) {
+        const chatId = ctx.chat?.id
+        const replied = ctx.message?.reply_to_message
+
+        if (!(await this.isSubscribed(chatId, { includePaused: true }))) {
+            clog(`SMBOT: Fix command from unsubscribed chat ${chatId}`)
+            return
+        }
+
+        if (!(await this.authorizeChatAdmin(ctx, 'fix', "🚫 Only chat admins can correct my matches."))) {
+            return
+        }
+
+        const [correctLink] = await this.resolveMusicLinks(this.extractMusicLinks(ctx.payload || ''))
+        const sourceUrl = replied?.from?.id === ctx.botInfo?.id
+            ? conversionKeyboard.getSourceUrl(replied.reply_markup)
+            : null
+
+        if (!sourceUrl || !correctLink) {
+            await ctx.reply("Usage: reply to my conversion of a single link with /fix <correct Spotify or Apple Music link>")
+            return
+        }
+
+        const settings = await db.getChatSettings(chatId)
+        const conversionResult = await this.converter.fixConversion(sourceUrl, correctLink, ctx.from?.id, chatId, {
+            storefront: settings.storefront
+        })
+        if (!conversionResult) {
+            await ctx.reply("🚫 The correct link must point to the same kind of item (track, album or artist) on another platform.")
+            return
+        }
+
+        try {
+            await ctx.telegram.editMessageText(
+                chatId,
+                replied.message_id,
+                undefined,
+                this.converter.formatConversionMessage(conversionResult, settings.replyStyle),
+                {
+                    disable_web_page_preview: !settings.linkPreview,
+                    reply_markup: { inline_keyboard: conversionKeyboard.buildConversionKeyboard(conversionResult) }
+                }
+            )
+        } catch (error) {
+            clog('SMBOT: Error editing fixed conversion reply:', error.message)
+        }
+
+        await ctx.reply("✅ Thanks! I will use this match from now on.", {
+            reply_to_message_id: ctx.message.message_id
+        })
+    }
+
+    /**
+     * Handle /overrides command: list or remove manual matches (bot admins only)
+     * @param {Object} ctx - Telegram context
+     */
+    async handleOverridesCommand(ctx) {
+        const userId = ctx.from?.id
+        const [subcommand, idArg] = (ctx.payload || '').trim().split(/\s+/)
+
+        if (!(await this.auth.isBotAdmin(userId))) {
+            clog(`SMBOT: Overrides command from non-admin user ${userId}`)
+            await this.auth.record({ userId, chatId: ctx.chat?.id, action: 'overrides', allowed: false, reason: 'not a bot admin' })
+            await ctx.reply("🚫 Only bot admins can do that.")
+            return
+        }
+
+        if (subcommand === 'remove') {
+            const id = Number(idArg)
+            if (!Number.isInteger(id) || id <= 0) {
+                await ctx.reply("Usage: /overrides remove <id>")
+                return
+            }
+
+            const removed = await this.converter.removeOverride(id)
+            await ctx.reply(removed ? `🗑 Removed manual match #${id}.` : `🚫 There is no manual match #${id}.`)
+            return
+        }
+
+        const { overrides, total } = await this.converter.listOverrides()
+        if (total === 0) {
+            await ctx.reply("📌 No manual matches yet. Use /fix or the \"Not right?\" button to add one.")
+            return
+        }
+
+        const lines = overrides.map((override) =>
+            `#${override.id} ${this.converter.formatSongTitle(override.source)} ↔ ${this.converter.formatSongTitle(override.target)}`
+        )
+        await ctx.reply(`📌 Manual matches (${overrides.length} of ${total}):
+
+${lines.join('\n')}
+
+Remove one with /overrides remove <id>`, { disable_web_page_preview: true })
+    }
+
+    /**
+     * Handle /search command: find a song on the enabled platforms and reply with its links
+     * @param {Object} ctx - Telegram context
+     */
+    async handleSearchCommand(ctx) {
+        const chatId = ctx.chat?.id
+        const query = ctx.payload?.trim()
+
+        if (!(await this.isSubscribed(chatId, { includePaused: true }))) {
+            clog(`SMBOT: Search command from unsubscribed chat ${chatId}`)
+            return
+        }
+
+        if (!query) {
+            await ctx.reply("Usage: /search <artist - title>, e.g. /search Queen - Bohemian Rhapsody")
+            return
+        }
+
+        await ctx.sendChatAction('typing')
+        const settings = await db.getChatSettings(chatId)
+
+        let pairs
+        try {
+            pairs = await this.converter.searchSongPairs(query, settings.storefront)
+        } catch (error) {
+            clog('SMBOT: Error searching songs:', error.message)
+            await ctx.reply("🚫 Sorry, the search failed. Please try again later.")
+            return
+        }
+
+        if (pairs.length === 0) {
+            await ctx.reply(`🔎 No songs found for "${query}".`)
+            return
+        }
+
+        await ctx.reply(this.converter.formatSongPairMessage(pairs[0]), {
+            disable_web_page_preview: !settings.linkPreview,
+            reply_to_message_id: ctx.message?.message_id,
+            reply_markup: { inline_keyboard: searchKeyboard.buildSearchKeyboard(pairs[0], pairs) }
+        })
+    }
+
+    /**
+     * Handle /search reply buttons: show another of the found songs
+     * @param {Object} ctx - Telegram context
+     */
+    async handleSearchCallback(ctx) {
+        const chatId = ctx.chat?.id
+        const callback = searchKeyboard.parseSearchCallback(ctx.callbackQuery?.data)
+
+        if (!callback) {
+            await ctx.answerCbQuery()
+            return
+        }
+
+        if (!(await this.isSubscribed(chatId, { includePaused: true }))) {
+            await ctx.answerCbQuery("This chat is not subscribed.")
+            return
+        }
+
+        const settings = await db.getChatSettings(chatId)
+        const pair = await this.converter.getSongPair(callback.songIds, settings.storefront)
+        if (!pair) {
+            await ctx.answerCbQuery("That song is no longer available.")
+            return
+        }
+
+        const keyboard = ctx.callbackQuery.message?.reply_markup?.inline_keyboard || []
+        await ctx.editMessageText(this.converter.formatSongPairMessage(pair), {
+            disable_web_page_preview: !settings.linkPreview,
+            reply_markup: { inline_keyboard: searchKeyboard.selectSearchPair(keyboard, pair) }
+        })
+        await ctx.answerCbQuery()
+    }
+
+    /**
+     * Handle /history command: list the most recent conversions in the chat
+     * @param {Object} ctx - Telegram context
+     */
+    async handleHistoryCommand(ctx) {
+        const chatId = ctx.chat?.id
+        const limitArg = ctx.payload?.trim()
+
+        if (!(await this.isSubscribed(chatId, { includePaused: true }))) {
+            clog(`SMBOT: History command from unsubscribed chat ${chatId}`)
+            return
+        }
+
+        const limit = limitArg ? Number(limitArg) : SMBot.HISTORY_DEFAULT_LIMIT
+        if (!Number.isInteger(limit) || limit < 1 || limit > SMBot.HISTORY_MAX_LIMIT) {
+            await ctx.reply(`Usage: /history [number of songs, 1-${SMBot.HISTORY_MAX_LIMIT}]`)
+            return
+        }
+
+        const { entries, total } = await this.converter.listHistory(chatId, limit)
+        if (total === 0) {
+            await ctx.reply("🕘 No songs have been shared in this chat yet.")
+            return
+        }
+
+        const lines = entries.map((entry, index) => {
+            const date = new Date(entry.createdAt).toISOString().substring(0, 10)
+            return `${index + 1}. ${this.converter.formatSongTitle(entry.source)} (${date})
+${this.converter.getPlatformLabel(entry.target.platform)}: ${entry.target.externalUrl}`
+        })
+        await ctx.reply(`🕘 Last ${entries.length} of ${total} shared songs:
+
+${lines.join('\n')}
+
+Download all of them with /export`, { disable_web_page_preview: true })
+    }
+
+    /**
+     * Handle /export command: send the chat's conversion history as a file
+     * @param {Object} ctx - Telegram context
+     */
+    async handleExportCommand(ctx) {
+        const chatId = ctx.chat?.id
+        const format = ctx.payload?.trim().toLowerCase() || 'csv'
+
+        if (!(await this.isSubscribed(chatId, { includePaused: true }))) {
+            clog(`SMBOT: Export command from unsubscribed chat ${chatId}`)
+            return
+        }
+
+        if (!EXPORT_FORMATS[format]) {
+            await ctx.reply(`Usage: /export [${Object.keys(EXPORT_FORMATS).join('|')}]`)
+            return
+        }
+
+        const { entries, total } = await this.converter.listHistory(chatId, SMBot.EXPORT_LIMIT)
+        if (total === 0) {
+            await ctx.reply("🕘 No songs have been shared in this chat yet.")
+            return
+        }
+
+        const title = `${ctx.chat.title || ctx.chat.username || 'chat'} music`
+        const file = exportHistory(entries.reverse(), format, title)
+        clog(`SMBOT: Exporting ${entries.length} history entries of chat ${chatId} as ${format}`)
+
+        const caption = entries.length < total
+            ? `🎶 The last ${entries.length} of ${total} shared songs`
+            : `🎶 ${total} shared songs`
+        await ctx.replyWithDocument({ source: Buffer.from(file.content, 'utf8'), filename: file.filename }, { caption })
+    }
+
+    /**
+     * Handle /uncache command: drop the cached conversion of a link (bot admins only)
+     * @param {Object} ctx - Telegram context
+     */
+    async handleUncacheCommand(ctx) {
+        const userId = ctx.from?.id
+        const link = ctx.payload?.trim()
+
+        if (!(await this.auth.isBotAdmin(userId))) {
+            clog(`SMBOT: Uncache command from non-admin user ${userId}`)
+            await this.auth.record({ userId, chatId: ctx.chat?.id, action: 'uncache', allowed: false, reason: 'not a bot admin' })
+            await ctx.reply("🚫 Only bot admins can do that.")
+            return
+        }
+
+        if (!link) {
+            await ctx.reply("Usage: /uncache <Spotify or Apple Music link>")
+            return
+        }
+
+        const removed = await this.converter.invalidateCachedConversion(link)
+        if (removed === null) {
+            await ctx.reply("🚫 That doesn't look like a Spotify or Apple Music link.")
+            return
+        }
 
-Need the password? Contact your administrator.`)
+        await ctx.reply(`🧹 Removed ${removed} cached conversion(s) for this link.`)
     }
 
     /**
-     * Handle text messages and detect music links
+     * Handle /invite command: create a single-use invite code (bot admins only)
      * @param {Object} ctx - Telegram context
      */
-    async handleTextMessage(ctx) {
+    async handleInviteCommand(ctx) {
+        const userId = ctx.from?.id
         const chatId = ctx.chat?.id
-        const messageText = ctx.message?.text
+        const hoursArg = ctx.payload?.trim()
+
+        if (!(await this.auth.isBotAdmin(userId))) {
+            clog(`SMBOT: Invite command from non-admin user ${userId}`)
+            await this.auth.record({ userId, chatId, action: 'invite', allowed: false, reason: 'not a bot admin' })
+            await ctx.reply("🚫 Only bot admins can do that.")
+            return
+        }
+
+        const hours = hoursArg ? Number(hoursArg) : AuthService.DEFAULT_INVITE_TTL_HOURS
+        if (!Number.isInteger(hours) || hours < 1 || hours > AuthService.MAX_INVITE_TTL_HOURS) {
+            await ctx.reply(`Usage: /invite [hours], from 1 to ${AuthService.MAX_INVITE_TTL_HOURS}`)
+            return
+        }
+
+        await this.auth.record({ userId, chatId, action: 'invite', allowed: true, reason: 'bot admin' })
+        const { code, expiresAt } = await this.auth.createInvite(userId, hours)
+        const botName = ctx.botInfo?.username
+
+        await ctx.reply(`🎟 Invite code: ${code}
+
+It can be used once and expires ${expiresAt.toUTCString()}.
+A chat admin subscribes a chat by sending /start ${code} there.${botName ? `
+
+Or add the bot to a group with: https://t.me/${botName}?startgroup=${code}` : ''}`)
+    }
+
+    /**
+     * Handle /promote command: make a user a bot admin (owners only)
+     * @param {Object} ctx - Telegram context
+     */
+    async handlePromoteCommand(ctx) {
+        await this.changeUserRole(ctx, 'promote', 'admin')
+    }
+
+    /**
+     * Handle /demote command: turn a bot admin back into a member (owners only)
+     * @param {Object} ctx - Telegram context
+     */
+    async handleDemoteCommand(ctx) {
+        await this.changeUserRole(ctx, 'demote', 'member')
+    }
+
+    /**
+     * Change the role of the user given as argument or replied to
+     * @param {Object} ctx - Telegram context
+     * @param {string} action - Command name for the auth log
+     * @param {string} role - New role
+     * @private
+     */
+    async changeUserRole(ctx, action, role) {
+        const userId = ctx.from?.id
+        const chatId = ctx.chat?.id
+
+        if (!this.auth.isOwner(userId)) {
+            clog(`SMBOT: ${action} command from non-owner user ${userId}`)
+            await this.auth.record({ userId, chatId, action, allowed: false, reason: 'not an owner' })
+            await ctx.reply("🚫 Only bot owners can do that.")
+            return
+        }
+
+        const targetId = Number(ctx.payload?.trim()) || ctx.message?.reply_to_message?.from?.id
+        if (!Number.isInteger(targetId) || targetId <= 0) {
+            await ctx.reply(`Usage: /${action} <user id>, or reply to a message of that user`)
+            return
+        }
+
+        if (this.auth.isOwner(targetId)) {
+            await ctx.reply("🚫 Owners are configured with SMBOT_OWNER_IDS.")
+            return
+        }
+
+        await this.auth.record({ userId, chatId, action, allowed: true, reason: `owner set ${targetId} to ${role}` })
+        await this.auth.setRole(targetId, role, userId)
+        await ctx.reply(`✅ User ${targetId} is now a bot ${role}.`)
+    }
+
+    /**
+     * Handle messages and channel posts and detect music links in their text or caption
+     * @param {Object} ctx - Telegram context
+     */
+    async handleMessage(ctx) {
+        const chatId = ctx.chat?.id
+        const message = ctx.msg
+        const messageText = message?.text ?? message?.caption
         const chatType = ctx.chat?.type
-        const messageFrom = ctx.message?.from?.username || ctx.message?.from?.first_name
+        const messageFrom = message?.from?.username || message?.from?.first_name || message?.sender_chat?.title
 
         clog(`SMBOT: Received message from chat ${chatId} (type: ${chatType}), user: ${messageFrom}`)
-        clog(`SMBOT: Subscribed chats: [${Array.from(this.chats).join(', ')}]`)
-
-        // Only process messages from subscribed chats
-        if (!this.chats.has(chatId)) {
+        // Only process messages from active chats
+        if (!(await this.isSubscribed(chatId))) {
             clog(`SMBOT: Chat ${chatId} not subscribed, ignoring message`)
             return
         }
@@ -158,7 +852,7 @@ Need the password? Contact your administrator.`)
         clog(`SMBOT: Processing message: "${messageText.substring(0, 100)}..."`)
 
         // Look for music links in the message
-        const musicLinks = this.extractMusicLinks(messageText)
+        const musicLinks = await this.resolveMusicLinks(this.extractMessageLinks(message))
 
         if (musicLinks.length === 0) {
             clog(`SMBOT: No music links found in message from chat ${chatId}`)
@@ -167,112 +861,519 @@ Need the password? Contact your administrator.`)
 
         clog(`SMBOT: Found ${musicLinks.length} music link(s): ${musicLinks.join(', ')}`)
 
-        // Process the first music link found
-        await this.processAndReplyWithConversion(ctx, musicLinks[0])
+        const playlistLinks = musicLinks.filter((link) => this.isPlaylistLink(link))
+        const otherLinks = musicLinks.filter((link) => !playlistLinks.includes(link))
+
+        if (otherLinks.length > 0) {
+            await this.processAndReplyWithConversion(ctx, otherLinks)
+        }
+
+        // Large playlists take longer than Telegraf waits for a handler, so they are
+        // converted in the background; processPlaylist reports its own errors
+        for (const link of playlistLinks) {
+            this.processPlaylist(ctx, link)
+        }
+    }
+
+    /**
+     * Handle changes of the bot's own membership: unsubscribe chats it was removed from
+     * @param {Object} ctx - Telegram context
+     */
+    async handleMyChatMember(ctx) {
+        const update = ctx.myChatMember
+        const chatId = update.chat.id
+        const oldStatus = update.old_chat_member.status
+        const newStatus = update.new_chat_member.status
+
+        clog(`SMBOT: Bot status in chat ${chatId} changed from ${oldStatus} to ${newStatus} by user ${update.from?.id}`)
+
+        if (newStatus !== "kicked" && newStatus !== "left") {
+            return
+        }
+
+        if (await db.setChatStatus(chatId, "kicked")) {
+            clog(`SMBOT: Bot was removed from subscribed chat ${chatId}, marked as kicked`)
+        }
+
+        try {
+            await db.forgetChat(chatId)
+        } catch (error) {
+            clog(`SMBOT: Error forgetting chat ${chatId}:`, error.message)
+        }
+    }
+
+    /**
+     * Handle a group upgraded to a supergroup: move the subscription, settings and history
+     * to the new chat ID. Telegram sends a service message to both chats, the first one wins
+     * @param {Object} ctx - Telegram context
+     */
+    async handleChatMigration(ctx) {
+        const message = ctx.msg
+        const oldChatId = message.migrate_from_chat_id ?? ctx.chat.id
+        const newChatId = message.migrate_to_chat_id ?? ctx.chat.id
+
+        if (!(await db.getChat(oldChatId))) {
+            clog(`SMBOT: Chat ${oldChatId} migrated to ${newChatId}, nothing to move`)
+            return
+        }
+
+        try {
+            await db.migrateChat(oldChatId, newChatId)
+            clog(`SMBOT: Chat ${oldChatId} migrated to supergroup ${newChatId}, subscription moved`)
+        } catch (error) {
+            clog(`SMBOT: Error moving chat ${oldChatId} to ${newChatId}:`, error.message)
+        }
+    }
+
+    /**
+     * Handle edited messages and channel posts: update, post or delete the bot's reply
+     * @param {Object} ctx - Telegram context
+     */
+    async handleEditedMessage(ctx) {
+        const chatId = ctx.chat?.id
+        const message = ctx.msg
+
+        if (!message || !(await this.isSubscribed(chatId))) {
+            return
+        }
+
+        // Playlists are converted once, editing the message does not start another conversion
+        const musicLinks = (await this.resolveMusicLinks(this.extractMessageLinks(message)))
+            .filter((link) => !this.isPlaylistLink(link))
+        const existingReply = await db.getMessageReply(chatId, message.message_id)
+
+        if (musicLinks.length === 0) {
+            if (existingReply) {
+                clog(`SMBOT: Links removed from message ${message.message_id} in chat ${chatId}, deleting reply`)
+                await this.deleteReply(ctx, existingReply)
+            }
+            return
+        }
+
+        // Typo fixes elsewhere in the text should not trigger another conversion
+        if (existingReply && JSON.stringify(existingReply.links) === JSON.stringify(musicLinks)) {
+            clog(`SMBOT: Links of edited message ${message.message_id} in chat ${chatId} did not change`)
+            return
+        }
+
+        clog(`SMBOT: Message ${message.message_id} in chat ${chatId} edited, links: ${musicLinks.join(', ')}`)
+        await this.processAndReplyWithConversion(ctx, musicLinks, existingReply)
+    }
+
+    /**
+     * Handle inline queries: convert a link or search both platforms
+     * @param {Object} ctx - Telegram context
+     */
+    async handleInlineQuery(ctx) {
+        const query = ctx.inlineQuery?.query?.trim() || ''
+        const userId = ctx.inlineQuery?.from?.id
+
+        if (!(await this.auth.isKnownUser(userId))) {
+            clog(`SMBOT: Inline query from unauthorized user ${userId}`)
+            await this.auth.record({ userId, chatId: null, action: 'inline', allowed: false, reason: 'unknown user' })
+            await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true })
+            return
+        }
+
+        if (!query) {
+            await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true })
+            return
+        }
+
+        clog(`SMBOT: Inline query from user ${userId}: "${query.substring(0, 100)}"`)
+
+        try {
+            const musicLinks = await this.resolveMusicLinks(this.extractMusicLinks(query))
+            const results = musicLinks.length > 0
+                ? await this.buildInlineConversionResults(musicLinks[0])
+                : await this.buildInlineSearchResults(query)
+
+            await ctx.answerInlineQuery(results, {
+                cache_time: SMBot.INLINE_CACHE_TIME,
+                is_personal: true
+            })
+        } catch (error) {
+            clog('SMBOT: Error answering inline query:', error.message)
+            await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true })
+        }
+    }
+
+    /**
+     * Build inline query results for a music link conversion
+     * @param {string} musicLink - Music link URL
+     * @returns {Array} Inline query results (empty if conversion failed)
+     * @private
+     */
+    async buildInlineConversionResults(musicLink) {
+        const conversionResult = await this.converter.convertMusicLink(musicLink)
+        if (!conversionResult) {
+            return []
+        }
+
+        const { original, converted, confidence, targetPlatform } = conversionResult
+
+        return [{
+            type: 'article',
+            id: `${converted.platform}:${converted.id}`.substring(0, 64),
+            title: formatTitle(original),
+            description: `${this.converter.getPlatformLabel(targetPlatform)} (${confidence})`,
+            thumbnail_url: converted.imageUrl || original.imageUrl || undefined,
+            input_message_content: {
+                message_text: this.converter.formatConversionMessage(conversionResult),
+                disable_web_page_preview: false
+            }
+        }]
+    }
+
+    /**
+     * Build inline query results for a free text search on both platforms
+     * @param {string} query - Search text, e.g. "artist - title"
+     * @returns {Array} Inline query results
+     * @private
+     */
+    async buildInlineSearchResults(query) {
+        const songs = await this.converter.searchAllPlatforms(query, SMBot.INLINE_SEARCH_LIMIT)
+
+        return songs.map((song) => ({
+            type: 'article',
+            id: `${song.platform}:${song.id}`.substring(0, 64),
+            title: `${song.artist} – ${song.name}`,
+            description: `${this.converter.getPlatformLabel(song.platform)} • ${song.album}`,
+            thumbnail_url: song.imageUrl || undefined,
+            input_message_content: {
+                message_text: this.converter.formatSongMessage(song),
+                disable_web_page_preview: false
+            }
+        }))
+    }
+
+    /**
+     * Check whether the sender of a command administers the chat it was sent in
+     * @param {Object} ctx - Telegram context
+     * @returns {boolean} True for chat creators and administrators, and in private chats
+     */
+    async isChatAdmin(ctx) {
+        if (ctx.chat?.type === 'private') return true
+        if (!ctx.from?.id) return false
+
+        try {
+            const member = await ctx.getChatMember(ctx.from.id)
+            return member.status === 'creator' || member.status === 'administrator'
+        } catch (error) {
+            clog(`SMBOT: Failed to get chat member ${ctx.from.id} of chat ${ctx.chat?.id}:`, error.message)
+            return false
+        }
+    }
+
+    /**
+     * Extract music links from a message using its entities, so links hidden behind
+     * anchor text are found too. Falls back to scanning the text without URL entities
+     * @param {Object} message - Telegram message or channel post
+     * @returns {Array} Array of music link URLs in order of appearance
+     */
+    extractMessageLinks(message) {
+        const text = message?.text ?? message?.caption ?? ''
+        const entities = (message?.entities ?? message?.caption_entities ?? [])
+            .filter((entity) => entity.type === 'url' || entity.type === 'text_link')
+
+        if (entities.length === 0) {
+            return this.extractMusicLinks(text)
+        }
+
+        const urls = entities
+            .map((entity) => entity.type === 'text_link'
+                ? entity.url
+                : text.substring(entity.offset, entity.offset + entity.length))
+            // Telegram also marks bare "open.spotify.com/..." as URLs
+            .map((url) => /^https?:\/\//i.test(url) ? url : `https://${url}`)
+
+        return [...new Set(urls.flatMap((url) => this.extractMusicLinks(url)))]
     }
 
     /**
      * Extract music links from text message
      * @param {string} text - Message text
-     * @returns {Array} Array of music link URLs
+     * @returns {Array} Array of music link URLs and short links, in the order they appear
      * @private
      */
     extractMusicLinks(text) {
-        const links = []
-
-        // Spotify link patterns
-        const spotifyPatterns = [
-            /https?:\/\/open\.spotify\.com\/track\/[a-zA-Z0-9]+/g,
-            /https?:\/\/open\.spotify\.com\/album\/[a-zA-Z0-9]+/g,
-            /https?:\/\/spotify\.com\/track\/[a-zA-Z0-9]+/g,
-            /https?:\/\/spotify\.com\/album\/[a-zA-Z0-9]+/g
-        ]
-
-        // Apple Music link patterns
-        const appleMusicPatterns = [
-            /https?:\/\/music\.apple\.com\/[^\/]+\/song\/[^\/]+\/\d+/g,
-            /https?:\/\/music\.apple\.com\/[^\/]+\/album\/[^\/]+\/\d+(\?i=\d+)?/g
-        ]
-
-        const allPatterns = [...spotifyPatterns, ...appleMusicPatterns]
-
-        for (const pattern of allPatterns) {
-            const matches = text.match(pattern)
-            if (matches) {
-                links.push(...matches)
-            }
-        }
+        return findMusicLinks(text)
+    }
 
-        return [...new Set(links)] // Remove duplicates
+    /**
+     * Resolve extracted links to their canonical URLs, following short links
+     * @param {Array} links - Links from extractMusicLinks
+     * @returns {Array} Canonical music link URLs without duplicates; links that cannot be resolved are dropped
+     * @private
+     */
+    async resolveMusicLinks(links) {
+        const resolved = await Promise.all(links.map((link) => this.converter.resolveMusicLink(link)))
+        return [...new Set(resolved.filter(Boolean).map((linkInfo) => linkInfo.originalUrl))]
     }
 
     /**
-     * Process music link conversion and reply
+     * Convert all music links in parallel and reply with a single message
      * @param {Object} ctx - Telegram context
-     * @param {string} musicLink - Music link URL
+     * @param {Array} musicLinks - Music link URLs found in the message
+     * @param {Object} [existingReply] - Earlier reply to the same message, edited instead of posting a new one
      * @private
      */
-    async processAndReplyWithConversion(ctx, musicLink) {
+    async processAndReplyWithConversion(ctx, musicLinks, existingReply = null) {
         try {
-            clog(`SMBOT: Converting music link: ${musicLink}`)
+            clog(`SMBOT: Converting ${musicLinks.length} music link(s)`)
 
             // Show typing indicator
             await ctx.sendChatAction('typing')
 
-            const conversionResult = await this.converter.convertMusicLink(musicLink)
-            const responseMessage = this.converter.formatConversionMessage(conversionResult)
+            const settings = await db.getChatSettings(ctx.chat.id)
+            const options = {
+                storefront: settings.storefront,
+                minScore: settings.minScore,
+                musicVideo: settings.musicVideos
+            }
+            const outcomes = await Promise.allSettled(
+                musicLinks.map((link) => this.converter.convertMusicLink(link, options))
+            )
+
+            let entries = outcomes.map((outcome, index) => ({
+                url: musicLinks[index],
+                result: outcome.status === 'fulfilled' ? outcome.value : null,
+                error: outcome.status === 'rejected' ? outcome.reason : null
+            }))
 
-            await ctx.reply(responseMessage, {
-                disable_web_page_preview: false,
-                reply_to_message_id: ctx.message.message_id
-            })
+            entries
+                .filter((entry) => entry.error)
+                .forEach((entry) => clog(`SMBOT: Error converting ${entry.url}:`, entry.error.message))
+
+            await this.recordHistory(ctx, entries, existingReply)
+
+            if (settings.silentOnLowConfidence) {
+                entries = entries.filter((entry) => entry.result)
+                if (entries.length === 0) {
+                    clog(`SMBOT: No confident match in chat ${ctx.chat.id}, staying silent`)
+                    await this.deleteReply(ctx, existingReply)
+                    return
+                }
+            }
+
+            // Nothing succeeded and every link blew up - treat it as a general failure
+            if (entries.every((entry) => entry.error)) {
+                throw entries[0].error
+            }
+
+            const single = entries.length === 1 ? entries[0].result : null
+            const responseMessage = entries.length === 1
+                ? this.converter.formatConversionMessage(single, settings.replyStyle)
+                : this.converter.formatMultipleConversionsMessage(entries, settings.replyStyle)
+
+            const extra = { disable_web_page_preview: !settings.linkPreview }
+            if (single) {
+                extra.reply_markup = { inline_keyboard: conversionKeyboard.buildConversionKeyboard(single) }
+            }
+
+            await this.sendReply(ctx, existingReply, responseMessage, extra, musicLinks)
 
         } catch (error) {
             clog('SMBOT: Error processing music link:', error.message)
-            await ctx.reply("🚫 Sorry, I encountered an error while converting this music link. Please try again later.", {
-                reply_to_message_id: ctx.message.message_id
-            })
+            await this.sendReply(
+                ctx,
+                existingReply,
+                "🚫 Sorry, I encountered an error while converting this music link. Please try again later.",
+                {},
+                musicLinks
+            )
         }
     }
 
     /**
-     * Add chat ID to subscribed chats
-     * @param {number} chatId - Telegram chat ID
+     * Check whether a music link points to a playlist
+     * @param {string} url - Music link URL
+     * @returns {boolean} True for playlist links
+     * @private
+     */
+    isPlaylistLink(url) {
+        return this.converter.detectMusicLink(url)?.type === 'playlist'
+    }
+
+    /**
+     * Convert a playlist track by track, showing progress in a status message that is
+     * replaced by the summary, and send the full track list as a file
+     * @param {Object} ctx - Telegram context
+     * @param {string} url - Playlist URL
+     * @private
+     */
+    async processPlaylist(ctx, url) {
+        const chatId = ctx.chat.id
+        let statusMessage = null
+
+        const updateStatus = async (text) => {
+            try {
+                await ctx.telegram.editMessageText(chatId, statusMessage.message_id, undefined, text, { disable_web_page_preview: true })
+            } catch (error) {
+                clog(`SMBOT: Could not update playlist status in chat ${chatId}:`, error.message)
+            }
+        }
+
+        try {
+            statusMessage = await ctx.reply("📋 Reading the playlist...", { reply_to_message_id: ctx.msg.message_id })
+
+            const settings = await db.getChatSettings(chatId)
+            let lastUpdate = Date.now()
+            const onProgress = async (converted, total) => {
+                if (converted === total || Date.now() - lastUpdate < SMBot.PLAYLIST_PROGRESS_INTERVAL) {
+                    return
+                }
+                lastUpdate = Date.now()
+                await updateStatus(`📋 Converting the playlist: ${converted} of ${total} tracks...`)
+            }
+
+            const conversion = await this.converter.convertPlaylist(
+                url,
+                { storefront: settings.storefront, minScore: settings.minScore },
+                onProgress
+            )
+            if (!conversion) {
+                await updateStatus("🚫 Sorry, I could not read this playlist. It may be private or no longer available.")
+                return
+            }
+
+            await updateStatus(this.converter.formatPlaylistSummary(conversion))
+            if (conversion.entries.length > 0) {
+                const content = this.converter.formatPlaylistTrackList(conversion)
+                await ctx.replyWithDocument(
+                    { source: Buffer.from(content, 'utf8'), filename: toFilename(conversion.playlist.name, 'txt') },
+                    { reply_to_message_id: statusMessage.message_id }
+                )
+            }
+        } catch (error) {
+            clog(`SMBOT: Error converting playlist ${url}:`, error.message)
+            if (statusMessage) {
+                await updateStatus("🚫 Sorry, I encountered an error while converting this playlist. Please try again later.")
+            }
+        }
+    }
+
+    /**
+     * Log successful conversions of a message; failures are logged and ignored
+     * @param {Object} ctx - Telegram context
+     * @param {Array} entries - { url, result, error } objects, one per link
+     * @param {Object|null} existingReply - Earlier reply to the same message
+     * @private
      */
-    async addChatId(chatId) {
-        if (this.chats.has(chatId)) {
-            clog(`SMBOT: Chat id ${chatId} already added`)
+    async recordHistory(ctx, entries, existingReply) {
+        // Links kept in an edited message were logged with the first reply
+        const results = entries
+            .filter((entry) => entry.result && !existingReply?.links.includes(entry.url))
+            .map((entry) => entry.result)
+
+        if (results.length === 0) {
             return
         }
 
-        this.chats.add(chatId)
-        await db.setSetupValue(SMBot.SETUP_CHATS_KEY, Array.from(this.chats))
-        clog(`SMBOT: Added chat id ${chatId}`)
+        try {
+            await this.converter.recordHistory(results, ctx.chat.id, ctx.from?.id ?? null)
+        } catch (error) {
+            clog('SMBOT: Error recording history:', error.message)
+        }
     }
 
     /**
-     * Remove chat ID from subscribed chats
-     * @param {number} chatId - Telegram chat ID
+     * Edit the earlier reply to the message, or reply to it if there is none, and remember the reply
+     * @param {Object} ctx - Telegram context
+     * @param {Object|null} existingReply - Earlier reply to the same message
+     * @param {string} text - Reply text
+     * @param {Object} extra - Telegram message options
+     * @param {Array} musicLinks - Links the reply was made for
+     * @private
      */
-    async removeChatId(chatId) {
-        if (!this.chats.has(chatId)) {
-            clog(`SMBOT: Chat id ${chatId} not found`)
+    async sendReply(ctx, existingReply, text, extra, musicLinks) {
+        const chatId = ctx.chat.id
+        const messageId = ctx.msg.message_id
+        let replyMessageId = null
+
+        if (existingReply) {
+            try {
+                await ctx.telegram.editMessageText(chatId, existingReply.replyMessageId, undefined, text, extra)
+                replyMessageId = existingReply.replyMessageId
+            } catch (error) {
+                // The reply may have been deleted in the meantime, post a new one then
+                clog(`SMBOT: Could not edit reply ${existingReply.replyMessageId} in chat ${chatId}:`, error.message)
+            }
+        }
+
+        if (!replyMessageId) {
+            const sent = await ctx.reply(text, { ...extra, reply_to_message_id: messageId })
+            replyMessageId = sent?.message_id
+        }
+
+        if (!replyMessageId) {
             return
         }
 
-        this.chats.delete(chatId)
-        await db.setSetupValue(SMBot.SETUP_CHATS_KEY, Array.from(this.chats))
-        clog(`SMBOT: Removed chat id ${chatId}`)
+        try {
+            await db.saveMessageReply({ chatId, messageId, replyMessageId, links: musicLinks })
+        } catch (error) {
+            clog('SMBOT: Error saving message reply:', error.message)
+        }
     }
 
     /**
-     * Load subscribed chat IDs from database
+     * Delete an earlier reply of the bot and forget it
+     * @param {Object} ctx - Telegram context
+     * @param {Object|null} existingReply - Earlier reply, nothing happens if null
      * @private
      */
-    async loadChatIds() {
-        const chatIds = await db.getSetupValue(SMBot.SETUP_CHATS_KEY, [], true)
-        this.chats = new Set(chatIds)
-        clog(`SMBOT: Loaded ${chatIds.length} chat ids`)
+    async deleteReply(ctx, existingReply) {
+        if (!existingReply) {
+            return
+        }
+
+        try {
+            await ctx.telegram.deleteMessage(existingReply.chatId, existingReply.replyMessageId)
+        } catch (error) {
+            clog(`SMBOT: Could not delete reply ${existingReply.replyMessageId} in chat ${existingReply.chatId}:`, error.message)
+        }
+
+        await db.deleteMessageReply(existingReply.chatId, existingReply.messageId)
+    }
+
+    /**
+     * Check whether links should be handled in a chat
+     * @param {number} chatId - Telegram chat ID
+     * @param {Object} [options] - { includePaused } to also accept paused chats
+     * @returns {boolean} True for active chats, and paused ones if asked
+     */
+    async isSubscribed(chatId, { includePaused = false } = {}) {
+        const chat = chatId ? await db.getChat(chatId) : null
+        return chat?.status === 'active' || (includePaused && chat?.status === 'paused')
+    }
+
+    /**
+     * Subscribe a chat to link conversion
+     * @param {Object} chat - Telegram chat object
+     * @param {number} userId - Telegram user ID of who subscribed it
+     */
+    async subscribeChat(chat, userId) {
+        await db.subscribeChat({
+            chatId: chat.id,
+            title: chat.title || chat.username || chat.first_name || null,
+            type: chat.type || null,
+            subscribedBy: userId || null
+        })
+        clog(`SMBOT: Subscribed chat ${chat.id} by user ${userId}`)
+    }
+
+    /**
+     * Unsubscribe a chat from link conversion
+     * @param {number} chatId - Telegram chat ID
+     */
+    async unsubscribeChat(chatId) {
+        if (!(await db.unsubscribeChat(chatId))) {
+            clog(`SMBOT: Chat id ${chatId} not found`)
+            return
+        }
+
+        clog(`SMBOT: Unsubscribed chat ${chatId}`)
     }
 }
 
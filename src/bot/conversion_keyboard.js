@@ -0,0 +1,178 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { getPlatformName, getPlatformEmoji, formatTitle } = require("../utils/platforms")
+const { getProviders } = require("../providers/registry")
+
+/**
+ * Inline keyboard under conversion replies: "Open in ..." buttons and
+ * a "Not right? ▾" alternatives picker for every converted platform.
+ * Callback data has the form "conv:<action>:<platform>:<type>:<sourceId>:<target>:<targetId>",
+ * where source is the posted link and target the currently shown match. To stay within
+ * 64 bytes, platforms are sent as their position in the provider registry and the link
+ * type as its position in LINK_TYPES.
+ */
+
+const CALLBACK_PREFIX = "conv:"
+
+const ACTIONS = ["alts", "pick", "back"]
+
+// Only append, posted buttons refer to the link type by its position
+const LINK_TYPES = ["track", "album", "artist", "playlist", "music_video", "show", "episode"]
+
+const MAX_BUTTON_TITLE = 48
+
+// Telegram rejects keyboards with longer callback data
+const MAX_CALLBACK_DATA = 64
+
+/**
+ * Build callback data for a conversion button
+ * @param {string} action - 'alts', 'pick' or 'back'
+ * @param {Object} result - Conversion result
+ * @param {string} targetId - ID of the target song the button refers to
+ * @returns {string} Callback data
+ * @private
+ */
+function callbackData(action, result, targetId) {
+    const source = platformCode(result.sourcePlatform)
+    const type = LINK_TYPES.indexOf(result.sourceType)
+    const target = platformCode(result.targetPlatform)
+    return `${CALLBACK_PREFIX}${action}:${source}:${type}:${result.original.id}:${target}:${targetId}`
+}
+
+/**
+ * Get the short code of a platform used in callback data
+ * @param {string} platform - Platform ID
+ * @returns {number} Position of the platform in the provider registry
+ * @private
+ */
+function platformCode(platform) {
+    return getProviders().findIndex((provider) => provider.platform === platform)
+}
+
+/**
+ * Get an entry of a list back from its position in callback data
+ * @param {Array} list - List the position refers to
+ * @param {string} code - Position as sent in callback data
+ * @returns {*} Entry at that position, undefined for invalid codes
+ * @private
+ */
+function decodePosition(list, code) {
+    return /^\d+$/.test(code) ? list[Number(code)] : undefined
+}
+
+/**
+ * Get the result for one target platform out of a multi-platform conversion result
+ * @param {Object} result - Conversion result
+ * @param {string} targetPlatform - Platform of the wanted match
+ * @returns {Object|null} Result with the match on that platform, null if it was not converted
+ */
+function getTargetResult(result, targetPlatform) {
+    return [result, ...(result.others || [])].find((target) => target.targetPlatform === targetPlatform) || null
+}
+
+/**
+ * Shorten a button title to fit on a phone screen
+ * @param {string} text - Button title
+ * @returns {string} Title, cut with an ellipsis if too long
+ */
+function truncateButtonTitle(text) {
+    return text.length > MAX_BUTTON_TITLE ? `${text.substring(0, MAX_BUTTON_TITLE - 1)}…` : text
+}
+
+/**
+ * Build an "Open in ..." button
+ * @param {string} platform - Platform of the link
+ * @param {string} url - Link to open
+ * @returns {Object} URL button
+ */
+function openButton(platform, url) {
+    return { text: `${getPlatformEmoji(platform)} Open in ${getPlatformName(platform)}`, url }
+}
+
+/**
+ * Build the keyboard shown under a conversion reply
+ * @param {Object} result - Conversion result
+ * @returns {Array} Inline keyboard rows
+ */
+function buildConversionKeyboard(result) {
+    // The posted link always comes first, getSourceUrl relies on it
+    const rows = [[
+        openButton(result.sourcePlatform, result.original.externalUrl),
+        openButton(result.targetPlatform, result.converted.externalUrl),
+        ...(result.others || []).map((other) => openButton(other.targetPlatform, other.converted.externalUrl)),
+    ]]
+
+    // Long IDs, like Apple Podcasts episodes, may not fit into callback data
+    const targets = [result, ...(result.others || [])]
+    const altsButtons = targets
+        .filter((target) => target.alternatives?.length > 0)
+        .map((target) => ({
+            text: targets.length > 1 ? `${getPlatformEmoji(target.targetPlatform)} Not right? ▾` : "Not right? ▾",
+            callback_data: callbackData("alts", target, target.converted.id),
+        }))
+        .filter((button) => Buffer.byteLength(button.callback_data) <= MAX_CALLBACK_DATA)
+    if (altsButtons.length > 0) {
+        rows.push(altsButtons)
+    }
+
+    return rows
+}
+
+/**
+ * Build the keyboard listing other candidates for a conversion
+ * @param {Object} result - Conversion result for one target platform, converted being the currently shown match
+ * @returns {Array} Inline keyboard rows
+ */
+function buildAlternativesKeyboard(result) {
+    const rows = result.alternatives
+        .map((song) => [{
+            text: truncateButtonTitle(`${formatTitle(song)} (${song.matchScore}%)`),
+            callback_data: callbackData("pick", result, song.id),
+        }])
+        .filter(([button]) => Buffer.byteLength(button.callback_data) <= MAX_CALLBACK_DATA)
+
+    rows.push([{ text: "⬅️ Back", callback_data: callbackData("back", result, result.converted.id) }])
+    return rows
+}
+
+/**
+ * Parse callback data of a conversion button
+ * @param {string} data - Callback data of the pressed button
+ * @returns {Object|null} { action, source: { platform, type, id }, targetPlatform, targetId }, null for unknown data
+ */
+function parseConversionCallback(data) {
+    if (!data || !data.startsWith(CALLBACK_PREFIX)) return null
+
+    const [action, source, typeCode, sourceId, target, targetId] = data.substring(CALLBACK_PREFIX.length).split(":")
+    const platform = decodePosition(getProviders(), source)?.platform
+    const type = decodePosition(LINK_TYPES, typeCode)
+    const targetPlatform = decodePosition(getProviders(), target)?.platform
+    if (!ACTIONS.includes(action) || !platform || !type || !sourceId || !targetPlatform || !targetId) {
+        return null
+    }
+
+    return { action, source: { platform, type, id: sourceId }, targetPlatform, targetId }
+}
+
+/**
+ * Get the posted link back from the keyboard of a conversion reply
+ * @param {Object} replyMarkup - reply_markup of a bot message
+ * @returns {string|null} URL of the "Open in" button of the source platform, null if there is none
+ */
+function getSourceUrl(replyMarkup) {
+    return replyMarkup?.inline_keyboard?.[0]?.[0]?.url || null
+}
+
+module.exports = {
+    CALLBACK_PREFIX,
+    openButton,
+    buildConversionKeyboard,
+    buildAlternativesKeyboard,
+    getTargetResult,
+    parseConversionCallback,
+    getSourceUrl,
+    truncateButtonTitle,
+}
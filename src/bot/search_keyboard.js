@@ -0,0 +1,104 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { openButton, truncateButtonTitle } = require("./conversion_keyboard")
+
+/**
+ * Inline keyboard under /search replies: "Open in ..." buttons for the shown
+ * song and one button per found song to switch to it.
+ * Callback data has the form "search:<platform>:<id>,<platform>:<id>,...", the
+ * first song being the one the others were matched to. Songs that do not fit
+ * into Telegram's 64 bytes are left out.
+ */
+
+const CALLBACK_PREFIX = "search:"
+const CALLBACK_DATA_LIMIT = 64
+
+const SELECTED_MARK = "▶ "
+
+/**
+ * Build the "Open in ..." row of a song set
+ * @param {Object} pair - { songs } with platform IDs mapped to songs
+ * @returns {Array} Keyboard row
+ * @private
+ */
+function openRow(pair) {
+    return Object.entries(pair.songs).map(([platform, song]) => openButton(platform, song.externalUrl))
+}
+
+/**
+ * Build callback data of a song set
+ * @param {Object} pair - { songs } with platform IDs mapped to songs
+ * @returns {string} Callback data
+ * @private
+ */
+function callbackData(pair) {
+    let data = CALLBACK_PREFIX
+    for (const [platform, song] of Object.entries(pair.songs)) {
+        const item = `${data === CALLBACK_PREFIX ? "" : ","}${platform}:${song.id}`
+        if (Buffer.byteLength(data + item) > CALLBACK_DATA_LIMIT) break
+        data += item
+    }
+    return data
+}
+
+/**
+ * Build the keyboard shown under a /search reply
+ * @param {Object} shown - Song set shown in the message
+ * @param {Array} pairs - All found song sets, the shown one included
+ * @returns {Array} Inline keyboard rows
+ */
+function buildSearchKeyboard(shown, pairs) {
+    const rows = [openRow(shown)]
+    if (pairs.length < 2) return rows
+
+    for (const pair of pairs) {
+        const mark = pair === shown ? SELECTED_MARK : ""
+        const [song] = Object.values(pair.songs)
+        rows.push([{
+            text: truncateButtonTitle(`${mark}${song.artist} – ${song.name} (${pair.score}%)`),
+            callback_data: callbackData(pair),
+        }])
+    }
+    return rows
+}
+
+/**
+ * Rebuild the keyboard of a /search reply after another song set was picked
+ * @param {Array} keyboard - Current inline keyboard rows
+ * @param {Object} shown - Newly shown song set
+ * @returns {Array} Inline keyboard rows
+ */
+function selectSearchPair(keyboard, shown) {
+    const selected = callbackData(shown)
+    const pairRows = keyboard.slice(1).map(([button]) => {
+        const text = button.text.startsWith(SELECTED_MARK) ? button.text.substring(SELECTED_MARK.length) : button.text
+        return [{ ...button, text: button.callback_data === selected ? `${SELECTED_MARK}${text}` : text }]
+    })
+
+    return [openRow(shown), ...pairRows]
+}
+
+/**
+ * Parse callback data of a /search button
+ * @param {string} data - Callback data of the pressed button
+ * @returns {Object|null} { songIds } with platform IDs mapped to track IDs in button order,
+ *   null for unknown data
+ */
+function parseSearchCallback(data) {
+    if (!data || !data.startsWith(CALLBACK_PREFIX)) return null
+
+    const items = data.substring(CALLBACK_PREFIX.length).split(",").map((item) => item.split(":"))
+    if (items.some((item) => item.length !== 2 || !item[0] || !item[1])) return null
+
+    return { songIds: Object.fromEntries(items) }
+}
+
+module.exports = {
+    CALLBACK_PREFIX,
+    buildSearchKeyboard,
+    selectSearchPair,
+    parseSearchCallback,
+}
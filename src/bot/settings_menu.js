@@ -0,0 +1,143 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Inline keyboard menu for the /settings command.
+ * Callback data has the form "settings:<action>[:<value>]".
+ */
+
+const CALLBACK_PREFIX = "settings:"
+
+const MIN_SCORE_OPTIONS = [50, 60, 70, 80, 90]
+
+const STOREFRONT_OPTIONS = ["us", "gb", "de", "fr", "it", "es", "nl", "se", "jp", "ca", "au", "br"]
+
+const REPLY_STYLE_LABELS = {
+    full: "Full",
+    compact: "Compact",
+}
+
+/**
+ * Return the next value in a list, wrapping around at the end
+ * @param {Array} values - List of possible values
+ * @param {any} current - Current value
+ * @returns {any} Next value
+ * @private
+ */
+function nextValue(values, current) {
+    const index = values.indexOf(current)
+    return values[(index + 1) % values.length]
+}
+
+/**
+ * Format an on/off flag for display
+ * @param {boolean} value - Flag value
+ * @returns {string} "On" or "Off"
+ * @private
+ */
+function onOff(value) {
+    return value ? "On" : "Off"
+}
+
+/**
+ * Format current settings as message text
+ * @param {Object} settings - Plain chat settings object
+ * @param {boolean} interactive - Whether the menu keyboard is shown below the text
+ * @returns {string} Settings summary for Telegram
+ */
+function formatSettingsText(settings, interactive = true) {
+    const text = `⚙️ Chat settings
+
+🎯 Minimum confidence: ${settings.minScore}%
+🤫 Silent on low confidence: ${onOff(settings.silentOnLowConfidence)}
+🖼 Link preview: ${onOff(settings.linkPreview)}
+🎬 Music videos: ${onOff(settings.musicVideos)}
+🌍 Apple Music storefront: ${settings.storefront || "us (default)"}
+💬 Reply style: ${REPLY_STYLE_LABELS[settings.replyStyle]}`
+
+    return interactive ? `${text}\n\nTap a button to change an option.` : text
+}
+
+/**
+ * Build the main settings keyboard
+ * @param {Object} settings - Plain chat settings object
+ * @returns {Array} Inline keyboard rows
+ */
+function buildSettingsKeyboard(settings) {
+    return [
+        [{ text: `🎯 Min confidence: ${settings.minScore}%`, callback_data: `${CALLBACK_PREFIX}minScore` }],
+        [{ text: `🤫 Silent on low confidence: ${onOff(settings.silentOnLowConfidence)}`, callback_data: `${CALLBACK_PREFIX}silent` }],
+        [{ text: `🖼 Preview: ${onOff(settings.linkPreview)}`, callback_data: `${CALLBACK_PREFIX}preview` }],
+        [{ text: `🎬 Music videos: ${onOff(settings.musicVideos)}`, callback_data: `${CALLBACK_PREFIX}videos` }],
+        [{ text: `🌍 Storefront: ${settings.storefront || "default"}`, callback_data: `${CALLBACK_PREFIX}storefronts` }],
+        [{ text: `💬 Reply style: ${REPLY_STYLE_LABELS[settings.replyStyle]}`, callback_data: `${CALLBACK_PREFIX}style` }],
+        [{ text: "✅ Done", callback_data: `${CALLBACK_PREFIX}close` }],
+    ]
+}
+
+/**
+ * Build the storefront picker keyboard
+ * @param {Object} settings - Plain chat settings object
+ * @returns {Array} Inline keyboard rows
+ */
+function buildStorefrontKeyboard(settings) {
+    const rows = []
+    for (let i = 0; i < STOREFRONT_OPTIONS.length; i += 4) {
+        rows.push(
+            STOREFRONT_OPTIONS.slice(i, i + 4).map((storefront) => ({
+                text: storefront === settings.storefront ? `• ${storefront} •` : storefront,
+                callback_data: `${CALLBACK_PREFIX}storefront:${storefront}`,
+            }))
+        )
+    }
+
+    rows.push([{ text: "Default (us)", callback_data: `${CALLBACK_PREFIX}storefront:default` }])
+    rows.push([{ text: "⬅️ Back", callback_data: `${CALLBACK_PREFIX}back` }])
+    return rows
+}
+
+/**
+ * Work out what a settings button press should do
+ * @param {Object} settings - Current plain chat settings object
+ * @param {string} data - Callback data of the pressed button
+ * @returns {Object|null} { changes, view } where view is 'main', 'storefronts' or 'close', null for unknown data
+ */
+function applySettingsAction(settings, data) {
+    if (!data || !data.startsWith(CALLBACK_PREFIX)) return null
+
+    const [action, value] = data.substring(CALLBACK_PREFIX.length).split(":")
+
+    switch (action) {
+        case "minScore":
+            return { changes: { minScore: nextValue(MIN_SCORE_OPTIONS, settings.minScore) }, view: "main" }
+        case "silent":
+            return { changes: { silentOnLowConfidence: !settings.silentOnLowConfidence }, view: "main" }
+        case "preview":
+            return { changes: { linkPreview: !settings.linkPreview }, view: "main" }
+        case "videos":
+            return { changes: { musicVideos: !settings.musicVideos }, view: "main" }
+        case "style":
+            return { changes: { replyStyle: nextValue(Object.keys(REPLY_STYLE_LABELS), settings.replyStyle) }, view: "main" }
+        case "storefronts":
+            return { changes: null, view: "storefronts" }
+        case "storefront":
+            if (value !== "default" && !STOREFRONT_OPTIONS.includes(value)) return null
+            return { changes: { storefront: value === "default" ? null : value }, view: "main" }
+        case "back":
+            return { changes: null, view: "main" }
+        case "close":
+            return { changes: null, view: "close" }
+        default:
+            return null
+    }
+}
+
+module.exports = {
+    CALLBACK_PREFIX,
+    formatSettingsText,
+    buildSettingsKeyboard,
+    buildStorefrontKeyboard,
+    applySettingsAction,
+}
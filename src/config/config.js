@@ -5,6 +5,35 @@
 
 const EventEmitter = require('events')
 const fs = require('fs')
+const { getProviders } = require('../providers/registry')
+
+/**
+ * Parse a comma separated list of numeric Telegram IDs
+ * @param {string} value - Raw environment variable value
+ * @returns {Array<number>} Parsed IDs, empty if value is not set
+ */
+function parseIdList(value) {
+    if (!value) return []
+
+    return value
+        .split(',')
+        .map(item => Number(item.trim()))
+        .filter(id => Number.isInteger(id) && id !== 0)
+}
+
+/**
+ * Parse a comma separated list of names
+ * @param {string} value - Raw environment variable value
+ * @returns {Array<string>} Trimmed, lowercased names, empty if value is not set
+ */
+function parseNameList(value) {
+    if (!value) return []
+
+    return value
+        .split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean)
+}
 
 /**
  * Configuration class to manage environment variables and settings
@@ -16,7 +45,7 @@ class Config {
         // Telegram configuration
         this.telegram = {
             token: process.env.SMBOT_TELEGRAM_TOKEN,
-            botPassword: process.env.SMBOT_BOT_PASSWORD || 'unsecure'
+            ownerIds: parseIdList(process.env.SMBOT_OWNER_IDS)
         }
 
         // Storage configuration
@@ -24,6 +53,17 @@ class Config {
             folder: process.env.SMBOT_STORAGE_FOLDER || '/storage'
         }
 
+        // Conversion cache configuration
+        this.cache = {
+            ttlHours: Number(process.env.SMBOT_CACHE_TTL_HOURS) || 168,
+            negativeTtlHours: Number(process.env.SMBOT_CACHE_NEGATIVE_TTL_HOURS) || 6
+        }
+
+        // Platforms links are converted between, all registered ones if empty
+        this.providers = {
+            enabled: parseNameList(process.env.SMBOT_PROVIDERS)
+        }
+
         // Spotify API configuration
         this.spotify = {
             clientId: process.env.SMBOT_SPOTIFY_CLIENT_ID,
@@ -45,13 +85,12 @@ class Config {
      * @throws {Error} If required configuration is missing
      */
     validateConfig() {
+        const providers = getProviders().filter(provider => this.isProviderEnabled(provider.platform))
         const required = [
             { key: 'SMBOT_TELEGRAM_TOKEN', value: this.telegram.token },
-            { key: 'SMBOT_SPOTIFY_CLIENT_ID', value: this.spotify.clientId },
-            { key: 'SMBOT_SPOTIFY_CLIENT_SECRET', value: this.spotify.clientSecret },
-            { key: 'SMBOT_APPLE_MUSIC_TEAM_ID', value: this.appleMusic.teamId },
-            { key: 'SMBOT_APPLE_MUSIC_KEY_ID', value: this.appleMusic.keyId },
-            { key: 'SMBOT_APPLE_MUSIC_PRIVATE_KEY_PATH', value: this.appleMusic.privateKeyPath }
+            // Without an owner nobody can create invites or promote admins
+            { key: 'SMBOT_OWNER_IDS', value: this.telegram.ownerIds.length > 0 },
+            ...providers.flatMap(provider => provider.requiredSettings?.(this) || [])
         ]
 
         const missing = required.filter(item => !item.value)
@@ -59,10 +98,17 @@ class Config {
             throw new Error(`Missing required environment variables: ${missing.map(m => m.key).join(', ')}`)
         }
 
-        // Check if Apple Music private key file exists
-        if (!fs.existsSync(this.appleMusic.privateKeyPath)) {
-            throw new Error(`Apple Music private key file not found: ${this.appleMusic.privateKeyPath}`)
-        }
+        // Settings that are there but can't be used, e.g. a key file that does not exist
+        providers.forEach(provider => provider.checkSettings?.(this))
+    }
+
+    /**
+     * Check if links of a platform are converted
+     * @param {string} platform - Platform ID, e.g. 'apple_music'
+     * @returns {boolean} True if the platform is listed in SMBOT_PROVIDERS or the list is empty
+     */
+    isProviderEnabled(platform) {
+        return this.providers.enabled.length === 0 || this.providers.enabled.includes(platform)
     }
 
     /**
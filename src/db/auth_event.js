@@ -0,0 +1,52 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { Model } = require("sequelize")
+
+/**
+ * AuthEvent model for the log of authorization decisions
+ */
+class AuthEvent extends Model {
+    /**
+     * Initialize the AuthEvent model
+     * @param {Sequelize} sequelize - Sequelize instance
+     * @param {Object} DataTypes - Sequelize DataTypes
+     * @returns {AuthEvent} The initialized model
+     */
+    static init(sequelize, DataTypes) {
+        return super.init({
+            id: {
+                type: DataTypes.INTEGER,
+                autoIncrement: true,
+                primaryKey: true
+            },
+            userId: {
+                type: DataTypes.BIGINT
+            },
+            chatId: {
+                type: DataTypes.BIGINT
+            },
+            // Command or feature the user tried to use, e.g. "start", "invite", "inline"
+            action: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            allowed: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false
+            },
+            reason: {
+                type: DataTypes.STRING
+            }
+        }, {
+            sequelize,
+            modelName: "AuthEvent",
+            tableName: "auth_events",
+            updatedAt: false
+        })
+    }
+}
+
+module.exports = { AuthEvent }
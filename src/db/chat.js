@@ -0,0 +1,61 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { Model } = require("sequelize")
+
+/**
+ * Chat model for chats subscribed to link conversion.
+ * Per-chat options are kept in ChatSettings under the same chat ID.
+ */
+class Chat extends Model {
+    static STATUSES = ["active", "paused", "kicked"]
+
+    /**
+     * Initialize the Chat model
+     * @param {Sequelize} sequelize - Sequelize instance
+     * @param {Object} DataTypes - Sequelize DataTypes
+     * @returns {Chat} The initialized model
+     */
+    static init(sequelize, DataTypes) {
+        return super.init({
+            chatId: {
+                type: DataTypes.BIGINT,
+                primaryKey: true
+            },
+            // Group or channel title, username of private chats
+            title: {
+                type: DataTypes.STRING
+            },
+            // Telegram chat type: private, group, supergroup or channel
+            type: {
+                type: DataTypes.STRING
+            },
+            // Telegram user ID of who sent /start, null for imported chats
+            subscribedBy: {
+                type: DataTypes.BIGINT
+            },
+            subscribedAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW
+            },
+            // Links are only converted in active chats; kicked chats wait for a new /start
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "active",
+                validate: {
+                    isIn: [Chat.STATUSES]
+                }
+            }
+        }, {
+            sequelize,
+            modelName: "Chat",
+            tableName: "chats",
+        })
+    }
+}
+
+module.exports = { Chat }
@@ -0,0 +1,69 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { Model } = require("sequelize")
+
+/**
+ * ChatSettings model for storing per-chat bot options
+ */
+class ChatSettings extends Model {
+    static REPLY_STYLES = ["full", "compact"]
+
+    /**
+     * Initialize the ChatSettings model
+     * @param {Sequelize} sequelize - Sequelize instance
+     * @param {Object} DataTypes - Sequelize DataTypes
+     * @returns {ChatSettings} The initialized model
+     */
+    static init(sequelize, DataTypes) {
+        return super.init({
+            chatId: {
+                type: DataTypes.BIGINT,
+                primaryKey: true
+            },
+            // Minimum match score (0-100) for a search result to be posted
+            minScore: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 60
+            },
+            // Do not reply at all when no match reaches minScore
+            silentOnLowConfidence: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            linkPreview: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: true
+            },
+            // Apple Music storefront for searches and output links, null for the default one
+            storefront: {
+                type: DataTypes.STRING
+            },
+            // Add the Apple Music music video to tracks converted from Spotify
+            musicVideos: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            replyStyle: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "full",
+                validate: {
+                    isIn: [ChatSettings.REPLY_STYLES]
+                }
+            }
+        }, {
+            sequelize,
+            modelName: "ChatSettings",
+            tableName: "chat_settings",
+        })
+    }
+}
+
+module.exports = { ChatSettings }
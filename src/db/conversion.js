@@ -0,0 +1,80 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { Model } = require("sequelize")
+
+/**
+ * Conversion model for caching conversion results between platforms
+ */
+class Conversion extends Model {
+    /**
+     * Initialize the Conversion model
+     * @param {Sequelize} sequelize - Sequelize instance
+     * @param {Object} DataTypes - Sequelize DataTypes
+     * @returns {Conversion} The initialized model
+     */
+    static init(sequelize, DataTypes) {
+        return super.init({
+            id: {
+                type: DataTypes.INTEGER,
+                autoIncrement: true,
+                primaryKey: true
+            },
+            sourcePlatform: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            sourceType: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            sourceId: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            // Platform the link was converted to, or music_video for the music video of a track
+            targetPlatform: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            // Target storefront the conversion was made for, empty for the default one
+            storefront: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: ""
+            },
+            original: {
+                type: DataTypes.TEXT
+            },
+            // Null for negative entries: the song was not found on the target platform
+            converted: {
+                type: DataTypes.TEXT
+            },
+            // Runner-up matches offered when users say the conversion is not right
+            alternatives: {
+                type: DataTypes.TEXT
+            },
+            score: {
+                type: DataTypes.INTEGER
+            },
+            expiresAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        }, {
+            sequelize,
+            modelName: "Conversion",
+            tableName: "conversions",
+            indexes: [
+                {
+                    unique: true,
+                    fields: ["sourcePlatform", "sourceType", "sourceId", "targetPlatform", "storefront"]
+                }
+            ]
+        })
+    }
+}
+
+module.exports = { Conversion }
@@ -3,24 +3,53 @@
  *  Copyright (c) 2025 Northern Captain
  */
 
-const { Sequelize } = require("sequelize")
+const { Sequelize, Op } = require("sequelize")
 const { clog } = require("../utils/logs")
 const { Setup } = require("./setup")
+const { Conversion } = require("./conversion")
+const { ChatSettings } = require("./chat_settings")
+const { User } = require("./user")
+const { Invite } = require("./invite")
+const { AuthEvent } = require("./auth_event")
+const { Override } = require("./override")
+const { MessageReply } = require("./message_reply")
+const { Chat } = require("./chat")
+const { HistoryEntry } = require("./history_entry")
+const { Migrator } = require("./migrator")
 const path = require("path")
 
 /**
  * Database management class using SQLite
  */
 class DB {
+    static MESSAGE_REPLY_RETENTION_DAYS = 30
+
     constructor(config) {
         this.config = config
         this.sequelize = null
     }
 
     /**
-     * Initialize database connection and models
+     * Initialize database connection and models, bring the schema up to date
+     * and run housekeeping
      */
     async start() {
+        await this.connect()
+
+        const applied = await new Migrator(this.sequelize).up()
+        clog(`DB: Applied ${applied.length} migrations${applied.length ? `: ${applied.join(', ')}` : ''}`)
+
+        const purged = await this.purgeExpiredConversions()
+        clog(`DB: Purged ${purged} expired cached conversions`)
+
+        const purgedReplies = await this.purgeOldMessageReplies()
+        clog(`DB: Purged ${purgedReplies} old message replies`)
+    }
+
+    /**
+     * Open the database in the storage folder and initialize models, without touching the schema
+     */
+    async connect() {
         const dbPath = path.join(this.config.storage.folder, 'bot.db')
 
         this.sequelize = new Sequelize({
@@ -38,7 +67,15 @@ class DB {
         }
 
         Setup.init(this.sequelize, Sequelize)
-        await this.sequelize.sync()
+        Conversion.init(this.sequelize, Sequelize)
+        ChatSettings.init(this.sequelize, Sequelize)
+        User.init(this.sequelize, Sequelize)
+        Invite.init(this.sequelize, Sequelize)
+        AuthEvent.init(this.sequelize, Sequelize)
+        Override.init(this.sequelize, Sequelize)
+        MessageReply.init(this.sequelize, Sequelize)
+        Chat.init(this.sequelize, Sequelize)
+        HistoryEntry.init(this.sequelize, Sequelize)
     }
 
     /**
@@ -73,8 +110,393 @@ class DB {
             await Setup.create({ name, value: valueToSave })
         }
     }
+
+    /**
+     * Get a chat known to the bot
+     * @param {number} chatId - Telegram chat ID
+     * @returns {Object|null} Plain chat object or null if the chat was never subscribed
+     */
+    async getChat(chatId) {
+        const chat = await Chat.findByPk(chatId)
+        return chat ? chat.get({ plain: true }) : null
+    }
+
+    /**
+     * Subscribe a chat, or reactivate it if it was paused or the bot had been kicked
+     * @param {Object} chat - { chatId, title, type, subscribedBy }
+     * @returns {Object} Stored plain chat object
+     */
+    async subscribeChat(chat) {
+        const [saved] = await Chat.upsert({ ...chat, subscribedAt: new Date(), status: "active" })
+        return saved.get({ plain: true })
+    }
+
+    /**
+     * Change the status of a chat
+     * @param {number} chatId - Telegram chat ID
+     * @param {string} status - One of Chat.STATUSES
+     * @returns {number} Number of updated chats, 0 if the chat is not known
+     */
+    async setChatStatus(chatId, status) {
+        const [updated] = await Chat.update({ status }, { where: { chatId } })
+        return updated
+    }
+
+    /**
+     * Remove a chat subscription, settings are kept
+     * @param {number} chatId - Telegram chat ID
+     * @returns {number} Number of removed chats
+     */
+    async unsubscribeChat(chatId) {
+        return await Chat.destroy({ where: { chatId } })
+    }
+
+    /**
+     * Count chats by status
+     * @returns {Object} Number of chats per status, e.g. { active: 3, paused: 1 }
+     */
+    async countChats() {
+        const rows = await Chat.count({ group: ["status"] })
+        return Object.fromEntries(rows.map((row) => [row.status, row.count]))
+    }
+
+    /**
+     * Get settings of a chat, falling back to defaults for chats without saved settings
+     * @param {number} chatId - Telegram chat ID
+     * @returns {Object} Plain settings object
+     */
+    async getChatSettings(chatId) {
+        const settings = await ChatSettings.findByPk(chatId)
+        return (settings || ChatSettings.build({ chatId })).get({ plain: true })
+    }
+
+    /**
+     * Update some settings of a chat
+     * @param {number} chatId - Telegram chat ID
+     * @param {Object} values - Settings to change
+     * @returns {Object} Updated plain settings object
+     */
+    async updateChatSettings(chatId, values) {
+        const current = await this.getChatSettings(chatId)
+        const [settings] = await ChatSettings.upsert({ ...current, ...values, chatId })
+        return settings.get({ plain: true })
+    }
+
+    /**
+     * Move settings and history of a group to the supergroup it was upgraded to
+     * @param {number} oldChatId - Telegram chat ID of the group
+     * @param {number} newChatId - Telegram chat ID of the supergroup
+     */
+    async migrateChat(oldChatId, newChatId) {
+        await this.sequelize.transaction(async (transaction) => {
+            await Chat.destroy({ where: { chatId: newChatId }, transaction })
+            await Chat.update({ chatId: newChatId }, { where: { chatId: oldChatId }, transaction })
+
+            // Keep settings the supergroup may already have
+            const existing = await ChatSettings.findByPk(newChatId, { transaction })
+            if (existing) {
+                await ChatSettings.destroy({ where: { chatId: oldChatId }, transaction })
+            } else {
+                await ChatSettings.update({ chatId: newChatId }, { where: { chatId: oldChatId }, transaction })
+            }
+
+            await Override.update({ chatId: newChatId }, { where: { chatId: oldChatId }, transaction })
+            await AuthEvent.update({ chatId: newChatId }, { where: { chatId: oldChatId }, transaction })
+            await HistoryEntry.update({ chatId: newChatId }, { where: { chatId: oldChatId }, transaction })
+
+            // Message IDs start over in the supergroup, so old replies cannot be followed anymore
+            await MessageReply.destroy({ where: { chatId: oldChatId }, transaction })
+        })
+    }
+
+    /**
+     * Drop data that is only useful while the bot is in a chat; settings are kept
+     * in case the bot is added back
+     * @param {number} chatId - Telegram chat ID
+     */
+    async forgetChat(chatId) {
+        await MessageReply.destroy({ where: { chatId } })
+    }
+
+    /**
+     * Get a cached conversion that has not expired yet
+     * @param {Object} source - Source link info: { platform, type, id }
+     * @param {string} targetPlatform - Platform the link was converted to
+     * @param {string} storefront - Target storefront, empty for the default one
+     * @returns {Conversion|null} Cached conversion or null if missing or expired
+     */
+    async getCachedConversion(source, targetPlatform, storefront = "") {
+        const conversion = await Conversion.findOne({
+            where: {
+                sourcePlatform: source.platform,
+                sourceType: source.type,
+                sourceId: source.id,
+                targetPlatform,
+                storefront
+            }
+        })
+
+        if (!conversion) {
+            return null
+        }
+
+        if (conversion.expiresAt.getTime() <= Date.now()) {
+            await conversion.destroy()
+            return null
+        }
+
+        return conversion
+    }
+
+    /**
+     * Store a conversion result in the cache, replacing the previous entry
+     * @param {Object} source - Source link info: { platform, type, id }
+     * @param {string} targetPlatform - Platform the link was converted to
+     * @param {string} storefront - Target storefront, empty for the default one
+     * @param {Object} data - { original, converted, alternatives, score } - converted is null for "not found"
+     * @param {number} ttlMs - Time to live in milliseconds
+     */
+    async saveCachedConversion(source, targetPlatform, storefront, data, ttlMs) {
+        await Conversion.upsert({
+            sourcePlatform: source.platform,
+            sourceType: source.type,
+            sourceId: source.id,
+            targetPlatform,
+            storefront: storefront || "",
+            original: data.original ? JSON.stringify(data.original) : null,
+            converted: data.converted ? JSON.stringify(data.converted) : null,
+            alternatives: data.alternatives?.length ? JSON.stringify(data.alternatives) : null,
+            score: data.score ?? null,
+            expiresAt: new Date(Date.now() + ttlMs)
+        })
+    }
+
+    /**
+     * Remove cached conversions of a source link for all target platforms and storefronts
+     * @param {Object} source - Source link info: { platform, type, id }
+     * @returns {number} Number of removed entries
+     */
+    async deleteCachedConversions(source) {
+        return await Conversion.destroy({
+            where: {
+                sourcePlatform: source.platform,
+                sourceType: source.type,
+                sourceId: source.id
+            }
+        })
+    }
+
+    /**
+     * Remove all expired entries from the conversion cache
+     * @returns {number} Number of removed entries
+     */
+    async purgeExpiredConversions() {
+        return await Conversion.destroy({
+            where: { expiresAt: { [Op.lte]: new Date() } }
+        })
+    }
+
+    /**
+     * Get a known user
+     * @param {number} userId - Telegram user ID
+     * @returns {Object|null} Plain user object or null if unknown
+     */
+    async getUser(userId) {
+        const user = await User.findByPk(userId)
+        return user ? user.get({ plain: true }) : null
+    }
+
+    /**
+     * Create or update a known user
+     * @param {Object} user - { userId, username, role, grantedBy }
+     */
+    async saveUser(user) {
+        await User.upsert(user)
+    }
+
+    /**
+     * Forget a user and their role
+     * @param {number} userId - Telegram user ID
+     * @returns {number} Number of removed users
+     */
+    async deleteUser(userId) {
+        return await User.destroy({ where: { userId } })
+    }
+
+    /**
+     * Store a new invite code
+     * @param {Object} invite - { code, createdBy, expiresAt }
+     */
+    async createInvite(invite) {
+        await Invite.create(invite)
+    }
+
+    /**
+     * Mark an invite code as used if it is still valid
+     * @param {string} code - Invite code
+     * @param {number} userId - Telegram user ID redeeming the code
+     * @param {number} chatId - Telegram chat ID the code is redeemed in
+     * @returns {boolean} True if the code was valid and is now used
+     */
+    async redeemInvite(code, userId, chatId) {
+        // A single conditional update keeps the code single-use even with concurrent /start commands
+        const [updated] = await Invite.update(
+            { usedBy: userId, usedAt: new Date(), usedInChat: chatId },
+            {
+                where: {
+                    code,
+                    usedBy: null,
+                    expiresAt: { [Op.gt]: new Date() }
+                }
+            }
+        )
+        return updated === 1
+    }
+
+    /**
+     * Record an authorization decision
+     * @param {Object} event - { userId, chatId, action, allowed, reason }
+     */
+    async recordAuthEvent(event) {
+        await AuthEvent.create(event)
+    }
+
+    /**
+     * Find a manual mapping between a link and a platform, with the link on either side
+     * @param {Object} link - Link info: { platform, type, id }
+     * @param {string} otherPlatform - Platform on the other side of the mapping
+     * @returns {Object|null} Plain override object or null if there is none
+     */
+    async findOverride(link, otherPlatform) {
+        const override = await Override.findOne({ where: this.overrideSideCondition(link, otherPlatform) })
+        return override ? override.get({ plain: true }) : null
+    }
+
+    /**
+     * Store a manual mapping, replacing earlier mappings of both of its links between the same platforms
+     * @param {Object} override - { type, sourcePlatform, sourceId, sourceSong, targetPlatform, targetId, targetSong, createdBy, chatId }
+     * @returns {Object} Stored plain override object
+     */
+    async saveOverride(override) {
+        return await this.sequelize.transaction(async (transaction) => {
+            await Override.destroy({
+                where: {
+                    [Op.or]: [
+                        this.overrideSideCondition({ platform: override.sourcePlatform, type: override.type, id: override.sourceId }, override.targetPlatform),
+                        this.overrideSideCondition({ platform: override.targetPlatform, type: override.type, id: override.targetId }, override.sourcePlatform)
+                    ]
+                },
+                transaction
+            })
+
+            const created = await Override.create(override, { transaction })
+            return created.get({ plain: true })
+        })
+    }
+
+    /**
+     * List the most recent manual mappings
+     * @param {number} limit - Maximum number of mappings
+     * @returns {Object} { overrides, total } - plain override objects, newest first, and the total count
+     */
+    async listOverrides(limit = 20) {
+        const { rows, count } = await Override.findAndCountAll({ order: [["id", "DESC"]], limit })
+        return { overrides: rows.map((row) => row.get({ plain: true })), total: count }
+    }
+
+    /**
+     * Remove a manual mapping
+     * @param {number} id - Override ID
+     * @returns {number} Number of removed mappings
+     */
+    async deleteOverride(id) {
+        return await Override.destroy({ where: { id } })
+    }
+
+    /**
+     * Add conversions to the history log
+     * @param {Array<Object>} entries - { chatId, userId, type, sourcePlatform, sourceId, sourceSong, targetPlatform, targetId, targetSong, score, origin }
+     */
+    async recordHistory(entries) {
+        await HistoryEntry.bulkCreate(entries, { validate: true })
+    }
+
+    /**
+     * List the most recent conversions of a chat
+     * @param {number} chatId - Telegram chat ID
+     * @param {number} limit - Maximum number of entries
+     * @returns {Object} { entries, total } - plain history entries, newest first, and the total count
+     */
+    async listHistory(chatId, limit) {
+        const { rows, count } = await HistoryEntry.findAndCountAll({
+            where: { chatId },
+            order: [["createdAt", "DESC"], ["id", "DESC"]],
+            limit
+        })
+        return { entries: rows.map((row) => row.get({ plain: true })), total: count }
+    }
+
+    /**
+     * Get the bot reply to a chat message
+     * @param {number} chatId - Telegram chat ID
+     * @param {number} messageId - ID of the message with music links
+     * @returns {Object|null} { chatId, messageId, replyMessageId, links } or null if the bot did not reply
+     */
+    async getMessageReply(chatId, messageId) {
+        const reply = await MessageReply.findOne({ where: { chatId, messageId } })
+        if (!reply) {
+            return null
+        }
+
+        return { ...reply.get({ plain: true }), links: JSON.parse(reply.links) }
+    }
+
+    /**
+     * Remember the bot reply to a chat message
+     * @param {Object} reply - { chatId, messageId, replyMessageId, links }
+     */
+    async saveMessageReply(reply) {
+        await MessageReply.upsert({ ...reply, links: JSON.stringify(reply.links) })
+    }
+
+    /**
+     * Forget the bot reply to a chat message
+     * @param {number} chatId - Telegram chat ID
+     * @param {number} messageId - ID of the message with music links
+     */
+    async deleteMessageReply(chatId, messageId) {
+        await MessageReply.destroy({ where: { chatId, messageId } })
+    }
+
+    /**
+     * Remove replies to messages that are too old to be worth following
+     * @returns {number} Number of removed entries
+     */
+    async purgeOldMessageReplies() {
+        const maxAgeMs = DB.MESSAGE_REPLY_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        return await MessageReply.destroy({
+            where: { updatedAt: { [Op.lte]: new Date(Date.now() - maxAgeMs) } }
+        })
+    }
+
+    /**
+     * Build a where condition matching a link on either side of an override
+     * @param {Object} link - Link info: { platform, type, id }
+     * @param {string} otherPlatform - Platform on the other side of the override
+     * @returns {Object} Sequelize where condition
+     * @private
+     */
+    overrideSideCondition(link, otherPlatform) {
+        return {
+            type: link.type,
+            [Op.or]: [
+                { sourcePlatform: link.platform, sourceId: link.id, targetPlatform: otherPlatform },
+                { targetPlatform: link.platform, targetId: link.id, sourcePlatform: otherPlatform }
+            ]
+        }
+    }
 }
 
 const db = new DB(require("../config/config").config)
 
-module.exports = { DB, db }
\ No newline at end of file
+module.exports = { DB, db }
@@ -0,0 +1,88 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { Model } = require("sequelize")
+
+/**
+ * HistoryEntry model for the log of conversions posted in chats.
+ * Songs are stored as JSON snapshots, so the log does not depend on the cache.
+ */
+class HistoryEntry extends Model {
+    static ORIGINS = ["search", "cache", "override"]
+
+    /**
+     * Initialize the HistoryEntry model
+     * @param {Sequelize} sequelize - Sequelize instance
+     * @param {Object} DataTypes - Sequelize DataTypes
+     * @returns {HistoryEntry} The initialized model
+     */
+    static init(sequelize, DataTypes) {
+        return super.init({
+            id: {
+                type: DataTypes.INTEGER,
+                autoIncrement: true,
+                primaryKey: true
+            },
+            chatId: {
+                type: DataTypes.BIGINT,
+                allowNull: false
+            },
+            // Telegram user ID of who shared the link, null for channel posts
+            userId: {
+                type: DataTypes.BIGINT
+            },
+            // 'track', 'album' or 'artist'
+            type: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            sourcePlatform: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            sourceId: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            sourceSong: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            targetPlatform: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            targetId: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            targetSong: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            score: {
+                type: DataTypes.INTEGER
+            },
+            // Where the match came from: fresh search, conversion cache or manual match
+            origin: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [HistoryEntry.ORIGINS]
+                }
+            }
+        }, {
+            sequelize,
+            modelName: "HistoryEntry",
+            tableName: "history_entries",
+            updatedAt: false,
+            indexes: [
+                { fields: ["chatId", "createdAt"] }
+            ]
+        })
+    }
+}
+
+module.exports = { HistoryEntry }
@@ -0,0 +1,49 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { Model } = require("sequelize")
+
+/**
+ * Invite model for expiring, single-use invite codes created by bot admins
+ */
+class Invite extends Model {
+    /**
+     * Initialize the Invite model
+     * @param {Sequelize} sequelize - Sequelize instance
+     * @param {Object} DataTypes - Sequelize DataTypes
+     * @returns {Invite} The initialized model
+     */
+    static init(sequelize, DataTypes) {
+        return super.init({
+            code: {
+                type: DataTypes.STRING,
+                primaryKey: true
+            },
+            createdBy: {
+                type: DataTypes.BIGINT,
+                allowNull: false
+            },
+            expiresAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            usedBy: {
+                type: DataTypes.BIGINT
+            },
+            usedAt: {
+                type: DataTypes.DATE
+            },
+            usedInChat: {
+                type: DataTypes.BIGINT
+            }
+        }, {
+            sequelize,
+            modelName: "Invite",
+            tableName: "invites",
+        })
+    }
+}
+
+module.exports = { Invite }
@@ -0,0 +1,46 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { Model } = require("sequelize")
+
+/**
+ * MessageReply model mapping a chat message with music links to the bot's reply,
+ * so the reply can follow edits of the message
+ */
+class MessageReply extends Model {
+    /**
+     * Initialize the MessageReply model
+     * @param {Sequelize} sequelize - Sequelize instance
+     * @param {Object} DataTypes - Sequelize DataTypes
+     * @returns {MessageReply} The initialized model
+     */
+    static init(sequelize, DataTypes) {
+        return super.init({
+            chatId: {
+                type: DataTypes.BIGINT,
+                primaryKey: true
+            },
+            messageId: {
+                type: DataTypes.INTEGER,
+                primaryKey: true
+            },
+            replyMessageId: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            // JSON array of the links the reply was made for
+            links: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            }
+        }, {
+            sequelize,
+            modelName: "MessageReply",
+            tableName: "message_replies",
+        })
+    }
+}
+
+module.exports = { MessageReply }
@@ -0,0 +1,57 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Command line entry for schema migrations of the bot database in the storage folder:
+ *
+ *   npm run migrate -- status
+ *   npm run migrate -- up
+ *   npm run migrate -- down [steps]
+ */
+
+const { clog } = require("../utils/logs")
+const { db } = require("./db")
+const { Migrator } = require("./migrator")
+
+const USAGE = "Usage: npm run migrate -- <status|up|down [steps]>"
+
+/**
+ * Run the migration command given on the command line
+ * @param {Array<string>} args - Command line arguments after the script name
+ */
+async function main(args) {
+    const [command = "status", stepsArg] = args
+
+    await db.connect()
+    const migrator = new Migrator(db.sequelize)
+
+    if (command === "status") {
+        const { applied, pending, unknown } = await migrator.status()
+        clog(`MIGRATE: Applied: ${applied.join(", ") || "none"}`)
+        clog(`MIGRATE: Pending: ${pending.join(", ") || "none"}`)
+        if (unknown.length > 0) {
+            clog(`MIGRATE: Unknown to this version: ${unknown.join(", ")}`)
+        }
+    } else if (command === "up") {
+        const applied = await migrator.up()
+        clog(`MIGRATE: Applied ${applied.length} migrations`)
+    } else if (command === "down") {
+        const steps = stepsArg === undefined ? 1 : Number(stepsArg)
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error(USAGE)
+        }
+        const reverted = await migrator.down(steps)
+        clog(`MIGRATE: Reverted ${reverted.length} migrations`)
+    } else {
+        throw new Error(USAGE)
+    }
+
+    await db.sequelize.close()
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    clog("MIGRATE: Failed:", error.message)
+    process.exit(1)
+})
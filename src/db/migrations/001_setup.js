@@ -0,0 +1,23 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Key/value setup table, the only table of bots deployed before migrations.
+ * Tables are created only if missing, so existing databases are adopted as they are.
+ */
+module.exports = {
+    async up(queryInterface, Sequelize, transaction) {
+        await queryInterface.createTable("setup", {
+            name: { type: Sequelize.STRING, primaryKey: true, unique: true },
+            value: { type: Sequelize.TEXT },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction })
+    },
+
+    async down() {
+        // The setup table predates migrations and holds data of older bots, it stays
+    }
+}
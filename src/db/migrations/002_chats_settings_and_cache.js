@@ -0,0 +1,67 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Subscribed chats, per-chat settings, the conversion cache and
+ * the message to bot reply mapping
+ */
+module.exports = {
+    async up(queryInterface, Sequelize, transaction) {
+        const timestamps = {
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }
+
+        await queryInterface.createTable("chats", {
+            chatId: { type: Sequelize.BIGINT, primaryKey: true },
+            title: { type: Sequelize.STRING },
+            type: { type: Sequelize.STRING },
+            subscribedBy: { type: Sequelize.BIGINT },
+            subscribedAt: { type: Sequelize.DATE, allowNull: false },
+            status: { type: Sequelize.STRING, allowNull: false, defaultValue: "active" },
+            ...timestamps
+        }, { transaction })
+
+        await queryInterface.createTable("chat_settings", {
+            chatId: { type: Sequelize.BIGINT, primaryKey: true },
+            minScore: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 60 },
+            silentOnLowConfidence: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+            linkPreview: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true },
+            storefront: { type: Sequelize.STRING },
+            replyStyle: { type: Sequelize.STRING, allowNull: false, defaultValue: "full" },
+            ...timestamps
+        }, { transaction })
+
+        await queryInterface.createTable("conversions", {
+            id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+            sourcePlatform: { type: Sequelize.STRING, allowNull: false },
+            sourceType: { type: Sequelize.STRING, allowNull: false },
+            sourceId: { type: Sequelize.STRING, allowNull: false },
+            storefront: { type: Sequelize.STRING, allowNull: false, defaultValue: "" },
+            original: { type: Sequelize.TEXT },
+            converted: { type: Sequelize.TEXT },
+            alternatives: { type: Sequelize.TEXT },
+            score: { type: Sequelize.INTEGER },
+            expiresAt: { type: Sequelize.DATE, allowNull: false },
+            ...timestamps
+        }, { transaction })
+        await queryInterface.addIndex("conversions", ["sourcePlatform", "sourceType", "sourceId", "storefront"], { unique: true, transaction })
+
+        await queryInterface.createTable("message_replies", {
+            chatId: { type: Sequelize.BIGINT, primaryKey: true },
+            messageId: { type: Sequelize.INTEGER, primaryKey: true },
+            replyMessageId: { type: Sequelize.INTEGER, allowNull: false },
+            links: { type: Sequelize.TEXT, allowNull: false },
+            ...timestamps
+        }, { transaction })
+    },
+
+    async down(queryInterface, Sequelize, transaction) {
+        await queryInterface.dropTable("message_replies", { transaction })
+        await queryInterface.dropTable("conversions", { transaction })
+        await queryInterface.dropTable("chat_settings", { transaction })
+        await queryInterface.dropTable("chats", { transaction })
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Bot users and roles, invite codes, the authorization log and manual matches
+ */
+module.exports = {
+    async up(queryInterface, Sequelize, transaction) {
+        const timestamps = {
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }
+
+        await queryInterface.createTable("users", {
+            userId: { type: Sequelize.BIGINT, primaryKey: true },
+            username: { type: Sequelize.STRING },
+            role: { type: Sequelize.STRING, allowNull: false, defaultValue: "member" },
+            grantedBy: { type: Sequelize.BIGINT },
+            ...timestamps
+        }, { transaction })
+
+        await queryInterface.createTable("invites", {
+            code: { type: Sequelize.STRING, primaryKey: true },
+            createdBy: { type: Sequelize.BIGINT, allowNull: false },
+            expiresAt: { type: Sequelize.DATE, allowNull: false },
+            usedBy: { type: Sequelize.BIGINT },
+            usedAt: { type: Sequelize.DATE },
+            usedInChat: { type: Sequelize.BIGINT },
+            ...timestamps
+        }, { transaction })
+
+        await queryInterface.createTable("auth_events", {
+            id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+            userId: { type: Sequelize.BIGINT },
+            chatId: { type: Sequelize.BIGINT },
+            action: { type: Sequelize.STRING, allowNull: false },
+            allowed: { type: Sequelize.BOOLEAN, allowNull: false },
+            reason: { type: Sequelize.STRING },
+            createdAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction })
+
+        await queryInterface.createTable("overrides", {
+            id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+            type: { type: Sequelize.STRING, allowNull: false },
+            sourcePlatform: { type: Sequelize.STRING, allowNull: false },
+            sourceId: { type: Sequelize.STRING, allowNull: false },
+            sourceSong: { type: Sequelize.TEXT, allowNull: false },
+            targetPlatform: { type: Sequelize.STRING, allowNull: false },
+            targetId: { type: Sequelize.STRING, allowNull: false },
+            targetSong: { type: Sequelize.TEXT, allowNull: false },
+            createdBy: { type: Sequelize.BIGINT },
+            chatId: { type: Sequelize.BIGINT },
+            ...timestamps
+        }, { transaction })
+        await queryInterface.addIndex("overrides", ["sourcePlatform", "type", "sourceId"], { transaction })
+        await queryInterface.addIndex("overrides", ["targetPlatform", "type", "targetId"], { transaction })
+    },
+
+    async down(queryInterface, Sequelize, transaction) {
+        await queryInterface.dropTable("overrides", { transaction })
+        await queryInterface.dropTable("auth_events", { transaction })
+        await queryInterface.dropTable("invites", { transaction })
+        await queryInterface.dropTable("users", { transaction })
+    }
+}
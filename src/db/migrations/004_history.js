@@ -0,0 +1,32 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Log of conversions posted in chats, for /history and /export
+ */
+module.exports = {
+    async up(queryInterface, Sequelize, transaction) {
+        await queryInterface.createTable("history_entries", {
+            id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+            chatId: { type: Sequelize.BIGINT, allowNull: false },
+            userId: { type: Sequelize.BIGINT },
+            type: { type: Sequelize.STRING, allowNull: false },
+            sourcePlatform: { type: Sequelize.STRING, allowNull: false },
+            sourceId: { type: Sequelize.STRING, allowNull: false },
+            sourceSong: { type: Sequelize.TEXT, allowNull: false },
+            targetPlatform: { type: Sequelize.STRING, allowNull: false },
+            targetId: { type: Sequelize.STRING, allowNull: false },
+            targetSong: { type: Sequelize.TEXT, allowNull: false },
+            score: { type: Sequelize.INTEGER },
+            origin: { type: Sequelize.STRING, allowNull: false },
+            createdAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction })
+        await queryInterface.addIndex("history_entries", ["chatId", "createdAt"], { transaction })
+    },
+
+    async down(queryInterface, Sequelize, transaction) {
+        await queryInterface.dropTable("history_entries", { transaction })
+    }
+}
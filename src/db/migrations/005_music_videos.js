@@ -0,0 +1,21 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Per-chat option to add Apple Music music videos to converted Spotify tracks
+ */
+module.exports = {
+    async up(queryInterface, Sequelize, transaction) {
+        await queryInterface.addColumn("chat_settings", "musicVideos", {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        }, { transaction })
+    },
+
+    async down(queryInterface, Sequelize, transaction) {
+        await queryInterface.removeColumn("chat_settings", "musicVideos", { transaction })
+    }
+}
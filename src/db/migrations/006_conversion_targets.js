@@ -0,0 +1,39 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Conversion cache entries per target platform, now that a link can be converted
+ * to several platforms. Cached entries do not know their target, so the cache
+ * starts over
+ */
+module.exports = {
+    async up(queryInterface, Sequelize, transaction) {
+        await queryInterface.dropTable("conversions", { transaction })
+        await queryInterface.createTable("conversions", {
+            id: { type: Sequelize.INTEGER, autoIncrement: true, primaryKey: true },
+            sourcePlatform: { type: Sequelize.STRING, allowNull: false },
+            sourceType: { type: Sequelize.STRING, allowNull: false },
+            sourceId: { type: Sequelize.STRING, allowNull: false },
+            targetPlatform: { type: Sequelize.STRING, allowNull: false },
+            storefront: { type: Sequelize.STRING, allowNull: false, defaultValue: "" },
+            original: { type: Sequelize.TEXT },
+            converted: { type: Sequelize.TEXT },
+            alternatives: { type: Sequelize.TEXT },
+            score: { type: Sequelize.INTEGER },
+            expiresAt: { type: Sequelize.DATE, allowNull: false },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        }, { transaction })
+        await queryInterface.addIndex("conversions", ["sourcePlatform", "sourceType", "sourceId", "targetPlatform", "storefront"], { unique: true, transaction })
+    },
+
+    async down(queryInterface, Sequelize, transaction) {
+        // Entries of the same link for several targets would collide in the old index
+        await queryInterface.bulkDelete("conversions", {}, { transaction })
+        await queryInterface.removeIndex("conversions", ["sourcePlatform", "sourceType", "sourceId", "targetPlatform", "storefront"], { transaction })
+        await queryInterface.removeColumn("conversions", "targetPlatform", { transaction })
+        await queryInterface.addIndex("conversions", ["sourcePlatform", "sourceType", "sourceId", "storefront"], { unique: true, transaction })
+    }
+}
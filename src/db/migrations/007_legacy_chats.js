@@ -0,0 +1,40 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Subscribed chats of bots deployed before the chats table, kept as a JSON array
+ * of chat IDs in the setup table, move into the chats table
+ */
+const LEGACY_CHATS_KEY = "telegram_chat_ids"
+
+module.exports = {
+    async up(queryInterface, Sequelize, transaction) {
+        const [setup] = await queryInterface.sequelize.query("SELECT value FROM setup WHERE name = :name", {
+            replacements: { name: LEGACY_CHATS_KEY },
+            type: Sequelize.QueryTypes.SELECT,
+            transaction
+        })
+        if (!setup) {
+            return
+        }
+
+        const chatIds = JSON.parse(setup.value)
+        const now = new Date()
+        if (chatIds.length > 0) {
+            await queryInterface.bulkInsert("chats", chatIds.map((chatId) => ({
+                chatId,
+                subscribedAt: now,
+                status: "active",
+                createdAt: now,
+                updatedAt: now
+            })), { ignoreDuplicates: true, transaction })
+        }
+        await queryInterface.bulkDelete("setup", { name: LEGACY_CHATS_KEY }, { transaction })
+    },
+
+    async down() {
+        // Imported chats stay subscribed, bringing the old list back could restore chats stopped since
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const fs = require("fs")
+const path = require("path")
+const { Sequelize } = require("sequelize")
+const { clog } = require("../utils/logs")
+
+/**
+ * Versioned schema migrations.
+ *
+ * Migrations are files named "<number>_<name>.js" in the migrations folder,
+ * exporting async up(queryInterface, Sequelize, transaction) and
+ * down(queryInterface, Sequelize, transaction). They run in file name order and
+ * applied ones are recorded in the schema_migrations table. Each migration runs
+ * in one transaction together with its record, so a failing migration leaves
+ * neither a half changed schema nor a record behind. Migrations pass the
+ * transaction to every query they make.
+ */
+class Migrator {
+    static TABLE = "schema_migrations"
+    static FILE_PATTERN = /^\d+_[\w-]+\.js$/
+
+    /**
+     * @param {Sequelize} sequelize - Connected Sequelize instance
+     * @param {string} folder - Folder with migration files
+     */
+    constructor(sequelize, folder = path.join(__dirname, "migrations")) {
+        this.sequelize = sequelize
+        this.queryInterface = sequelize.getQueryInterface()
+        this.folder = folder
+    }
+
+    /**
+     * List migrations known to this version of the bot
+     * @returns {Array<string>} Migration names (file names without .js), in order
+     */
+    listMigrations() {
+        return fs.readdirSync(this.folder)
+            .filter((file) => Migrator.FILE_PATTERN.test(file))
+            .sort()
+            .map((file) => path.basename(file, ".js"))
+    }
+
+    /**
+     * List migrations applied to the database
+     * @returns {Array<string>} Migration names, in order
+     */
+    async listApplied() {
+        await this.ensureTable()
+        const rows = await this.sequelize.query(`SELECT name FROM ${Migrator.TABLE} ORDER BY name`, {
+            type: Sequelize.QueryTypes.SELECT
+        })
+        return rows.map((row) => row.name)
+    }
+
+    /**
+     * Compare migrations in the code with the ones applied to the database
+     * @returns {Object} { applied, pending, unknown } - unknown ones come from a newer version of the bot
+     */
+    async status() {
+        const known = this.listMigrations()
+        const applied = await this.listApplied()
+
+        return {
+            applied,
+            pending: known.filter((name) => !applied.includes(name)),
+            unknown: applied.filter((name) => !known.includes(name))
+        }
+    }
+
+    /**
+     * Make sure the database schema is not newer than the code
+     * @throws {Error} If the database has migrations this version does not know
+     */
+    async checkCompatible() {
+        const { unknown } = await this.status()
+        if (unknown.length > 0) {
+            throw new Error(`Database schema is newer than this version of the bot, unknown migrations: ${unknown.join(", ")}`)
+        }
+    }
+
+    /**
+     * Apply all pending migrations
+     * @returns {Array<string>} Names of applied migrations
+     */
+    async up() {
+        await this.checkCompatible()
+        const { pending } = await this.status()
+
+        for (const name of pending) {
+            clog(`MIGRATE: Applying ${name}`)
+            await this.sequelize.transaction(async (transaction) => {
+                await this.load(name).up(this.queryInterface, Sequelize, transaction)
+                await this.queryInterface.bulkInsert(Migrator.TABLE, [{ name, appliedAt: new Date() }], { transaction })
+            })
+        }
+
+        return pending
+    }
+
+    /**
+     * Revert the most recently applied migrations
+     * @param {number} steps - Number of migrations to revert
+     * @returns {Array<string>} Names of reverted migrations
+     */
+    async down(steps = 1) {
+        await this.checkCompatible()
+        const applied = await this.listApplied()
+        const reverting = applied.slice(-steps).reverse()
+
+        for (const name of reverting) {
+            clog(`MIGRATE: Reverting ${name}`)
+            await this.sequelize.transaction(async (transaction) => {
+                await this.load(name).down(this.queryInterface, Sequelize, transaction)
+                await this.queryInterface.bulkDelete(Migrator.TABLE, { name }, { transaction })
+            })
+        }
+
+        return reverting
+    }
+
+    /**
+     * Create the table of applied migrations if it does not exist yet
+     * @private
+     */
+    async ensureTable() {
+        await this.queryInterface.createTable(Migrator.TABLE, {
+            name: { type: Sequelize.STRING, primaryKey: true },
+            appliedAt: { type: Sequelize.DATE, allowNull: false }
+        })
+    }
+
+    /**
+     * Load a migration module
+     * @param {string} name - Migration name
+     * @returns {Object} { up, down }
+     * @private
+     */
+    load(name) {
+        return require(path.join(this.folder, `${name}.js`))
+    }
+}
+
+module.exports = { Migrator }
@@ -0,0 +1,74 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { Model } = require("sequelize")
+
+/**
+ * Override model for manual conversion mappings submitted by users.
+ * A mapping works in both directions: source to target and target to source.
+ */
+class Override extends Model {
+    /**
+     * Initialize the Override model
+     * @param {Sequelize} sequelize - Sequelize instance
+     * @param {Object} DataTypes - Sequelize DataTypes
+     * @returns {Override} The initialized model
+     */
+    static init(sequelize, DataTypes) {
+        return super.init({
+            id: {
+                type: DataTypes.INTEGER,
+                autoIncrement: true,
+                primaryKey: true
+            },
+            // Link type, the same on both sides: 'track', 'album' or 'artist'
+            type: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            sourcePlatform: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            sourceId: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            // Song metadata as JSON, so overrides are answered without API calls
+            sourceSong: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            targetPlatform: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            targetId: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            targetSong: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            createdBy: {
+                type: DataTypes.BIGINT
+            },
+            chatId: {
+                type: DataTypes.BIGINT
+            }
+        }, {
+            sequelize,
+            modelName: "Override",
+            tableName: "overrides",
+            indexes: [
+                { fields: ["sourcePlatform", "type", "sourceId"] },
+                { fields: ["targetPlatform", "type", "targetId"] }
+            ]
+        })
+    }
+}
+
+module.exports = { Override }
@@ -0,0 +1,50 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { Model } = require("sequelize")
+
+/**
+ * User model for Telegram users known to the bot and their roles.
+ * Bot owners come from the configuration and are not stored here.
+ */
+class User extends Model {
+    static ROLES = ["admin", "member"]
+
+    /**
+     * Initialize the User model
+     * @param {Sequelize} sequelize - Sequelize instance
+     * @param {Object} DataTypes - Sequelize DataTypes
+     * @returns {User} The initialized model
+     */
+    static init(sequelize, DataTypes) {
+        return super.init({
+            userId: {
+                type: DataTypes.BIGINT,
+                primaryKey: true
+            },
+            username: {
+                type: DataTypes.STRING
+            },
+            role: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: "member",
+                validate: {
+                    isIn: [User.ROLES]
+                }
+            },
+            // Who granted the role: inviter for members, owner for admins
+            grantedBy: {
+                type: DataTypes.BIGINT
+            }
+        }, {
+            sequelize,
+            modelName: "User",
+            tableName: "users",
+        })
+    }
+}
+
+module.exports = { User }
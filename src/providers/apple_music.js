@@ -0,0 +1,54 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const fs = require("fs")
+const { AppleMusicService } = require("../services/apple_music")
+
+// The storefront is optional, geo.music.apple.com is the same site
+const BASE = "https?://(?:geo\\.)?music\\.apple\\.com/(?:(?<storefront>[a-zA-Z]{2})/)?"
+
+// Optional slug before the ID, e.g. /album/a-night-at-the-opera/1440806768
+const SLUG = "(?:[^/\\s?#]+/)?"
+
+/**
+ * Apple Music: tracks are songs or albums with an "i" parameter, so the album
+ * pattern with it goes first. Music videos are converted as tracks
+ */
+module.exports = {
+    platform: "apple_music",
+    name: "Apple Music",
+    emoji: "🍎",
+    types: ["track", "album", "artist", "playlist", "music_video"],
+    linkPatterns: [
+        { type: "track", regex: new RegExp(`${BASE}album/${SLUG}\\d+\\?(?:[\\w.-]+=[\\w.-]*&)*i=(?<id>\\d+)`) },
+        { type: "track", regex: new RegExp(`${BASE}song/${SLUG}(?<id>\\d+)`) },
+        { type: "album", regex: new RegExp(`${BASE}album/${SLUG}(?<id>\\d+)`) },
+        { type: "artist", regex: new RegExp(`${BASE}artist/${SLUG}(?<id>\\d+)`) },
+        { type: "playlist", regex: new RegExp(`${BASE}playlist/${SLUG}(?<id>pl\\.[\\w-]+)`) },
+        { type: "music_video", regex: new RegExp(`${BASE}music-video/${SLUG}(?<id>\\d+)`) },
+    ],
+    // IDs are storefront specific, so links are looked up where they point to
+    lookups: {
+        track: (service, link) => service.getTrackById(link.id, link.storefront || undefined),
+        album: (service, link) => service.getAlbumById(link.id, link.storefront || undefined),
+        artist: (service, link) => service.getArtistById(link.id, link.storefront || undefined),
+        music_video: (service, link) => service.getMusicVideoById(link.id, link.storefront || undefined),
+    },
+    requiredSettings: (config) => [
+        { key: "SMBOT_APPLE_MUSIC_TEAM_ID", value: config.appleMusic.teamId },
+        { key: "SMBOT_APPLE_MUSIC_KEY_ID", value: config.appleMusic.keyId },
+        { key: "SMBOT_APPLE_MUSIC_PRIVATE_KEY_PATH", value: config.appleMusic.privateKeyPath },
+    ],
+    checkSettings: (config) => {
+        if (!fs.existsSync(config.appleMusic.privateKeyPath)) {
+            throw new Error(`Apple Music private key file not found: ${config.appleMusic.privateKeyPath}`)
+        }
+    },
+    create: (config) => new AppleMusicService(
+        config.appleMusic.teamId,
+        config.appleMusic.keyId,
+        config.getAppleMusicPrivateKey()
+    ),
+}
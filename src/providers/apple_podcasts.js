@@ -0,0 +1,28 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { ApplePodcastsService } = require("../services/apple_podcasts")
+
+const BASE = "https?://podcasts\\.apple\\.com/(?:(?<storefront>[a-zA-Z]{2})/)?podcast/(?:[^/\\s?#]+/)?"
+
+/**
+ * Apple Podcasts: episodes can only be looked up through their show, so their
+ * links also capture the show ID. Needs no credentials
+ */
+module.exports = {
+    platform: "apple_podcasts",
+    name: "Apple Podcasts",
+    emoji: "🟣",
+    types: ["show", "episode"],
+    linkPatterns: [
+        { type: "episode", regex: new RegExp(`${BASE}id(?<showId>\\d+)\\?(?:[\\w.-]+=[\\w.-]*&)*i=(?<id>\\d+)`) },
+        { type: "show", regex: new RegExp(`${BASE}id(?<id>\\d+)`) },
+    ],
+    lookups: {
+        show: (service, link) => service.getShowById(link.id, link.storefront || undefined),
+        episode: (service, link) => service.getEpisodeById(link.id, link.storefront || undefined, link.showId),
+    },
+    create: () => new ApplePodcastsService(),
+}
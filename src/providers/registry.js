@@ -0,0 +1,73 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { registerLinkPatterns } = require("../utils/link_parser")
+const spotify = require("./spotify")
+const appleMusic = require("./apple_music")
+const applePodcasts = require("./apple_podcasts")
+
+/**
+ * Registry of the music platforms the bot can convert between.
+ *
+ * A provider describes one platform:
+ * - platform: ID used in link info and song objects, e.g. 'spotify'
+ * - name, emoji: how the platform is shown in replies and buttons
+ * - types: link types the platform can look up and be converted to
+ * - linkPatterns, shortLinks: URL patterns, see registerLinkPatterns
+ * - lookups: (service, linkInfo) => promise of the item, per link type that can be converted
+ * - requiredSettings(config): optional, { key, value } pairs of the environment
+ *   variables the platform needs, checked on startup while it is enabled
+ * - checkSettings(config): optional, throws if the settings are present but unusable
+ * - create(config): builds the platform service
+ *
+ * The service looks items up by ID, usually with get<Type>ById(id, storefront), and searches
+ * with search<Types>(query, limit, storefront) for the types it supports, plus
+ * getTrackByIsrc, getAlbumByUpc, getPlaylistById and getShowEpisodes where the
+ * platform has them. Services return normalized items and null or [] on errors.
+ */
+
+const PROVIDERS = new Map()
+
+/**
+ * Register a platform provider and its link patterns
+ * @param {Object} provider - Provider description, see above
+ * @throws {Error} If a provider of the same platform is already registered
+ */
+function registerProvider(provider) {
+    if (PROVIDERS.has(provider.platform)) {
+        throw new Error(`Provider already registered: ${provider.platform}`)
+    }
+
+    PROVIDERS.set(provider.platform, provider)
+    registerLinkPatterns(provider.platform, provider.linkPatterns, provider.shortLinks)
+}
+
+/**
+ * Get the provider of a platform
+ * @param {string} platform - Platform ID
+ * @returns {Object|null} Provider or null for unknown platforms
+ */
+function getProvider(platform) {
+    return PROVIDERS.get(platform) || null
+}
+
+/**
+ * Get all registered providers
+ * @returns {Array} Providers in registration order
+ */
+function getProviders() {
+    return [...PROVIDERS.values()]
+}
+
+// Registration order decides which target comes first in replies
+registerProvider(spotify)
+registerProvider(appleMusic)
+registerProvider(applePodcasts)
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getProviders,
+}
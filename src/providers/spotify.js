@@ -0,0 +1,37 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { SpotifyService } = require("../services/spotify")
+
+const TYPES = ["track", "album", "artist", "playlist", "show", "episode"]
+
+/**
+ * Spotify: open.spotify.com and spotify.com links, with an optional /intl-xx/ locale
+ * prefix or /embed/, spotify:<type>:<id> URIs and spotify.link short links
+ */
+module.exports = {
+    platform: "spotify",
+    name: "Spotify",
+    emoji: "🟢",
+    types: TYPES,
+    linkPatterns: TYPES.flatMap((type) => [
+        { type, regex: new RegExp(`https?://(?:open\\.)?spotify\\.com/(?:intl-[\\w-]+/)?(?:embed/)?${type}/(?<id>[a-zA-Z0-9]+)`) },
+        { type, regex: new RegExp(`\\bspotify:${type}:(?<id>[a-zA-Z0-9]+)`) },
+    ]),
+    shortLinks: [/https?:\/\/spotify\.(?:app\.)?link\/[\w-]+/],
+    // How a link of each type is looked up for conversion
+    lookups: {
+        track: (service, link) => service.getTrackById(link.id),
+        album: (service, link) => service.getAlbumById(link.id),
+        artist: (service, link) => service.getArtistById(link.id),
+        show: (service, link) => service.getShowById(link.id),
+        episode: (service, link) => service.getEpisodeById(link.id),
+    },
+    requiredSettings: (config) => [
+        { key: "SMBOT_SPOTIFY_CLIENT_ID", value: config.spotify.clientId },
+        { key: "SMBOT_SPOTIFY_CLIENT_SECRET", value: config.spotify.clientSecret },
+    ],
+    create: (config) => new SpotifyService(config.spotify.clientId, config.spotify.clientSecret),
+}
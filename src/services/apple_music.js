@@ -8,14 +8,16 @@ const jwt = require('jsonwebtoken')
 const { clog } = require('../utils/logs')
 
 /**
- * Apple Music API service for retrieving track/album metadata and searching
+ * Apple Music API service for retrieving track/album/artist/playlist metadata and searching
  */
 class AppleMusicService {
     constructor(teamId, keyId, privateKey) {
         this.teamId = teamId
         this.keyId = keyId
         this.privateKey = privateKey
-        this.baseUrl = 'https://api.music.apple.com/v1'
+        this.apiHost = 'https://api.music.apple.com'
+        this.baseUrl = `${this.apiHost}/v1`
+        this.defaultStorefront = 'us'
         this.token = null
         this.tokenExpiry = null
     }
@@ -59,13 +61,14 @@ class AppleMusicService {
     /**
      * Get track by Apple Music track ID
      * @param {string} trackId - Apple Music track ID
+     * @param {string} storefront - Storefront (country code) to look the track up in
      * @returns {Object|null} Track metadata or null if not found
      */
-    async getTrackById(trackId) {
+    async getTrackById(trackId, storefront = this.defaultStorefront) {
         await this.generateToken()
 
         try {
-            const response = await axios.get(`${this.baseUrl}/catalog/us/songs/${trackId}`, {
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/songs/${trackId}`, {
                 headers: {
                     'Authorization': `Bearer ${this.token}`
                 }
@@ -85,13 +88,14 @@ class AppleMusicService {
     /**
      * Get album by Apple Music album ID
      * @param {string} albumId - Apple Music album ID
+     * @param {string} storefront - Storefront (country code) to look the album up in
      * @returns {Object|null} Album metadata or null if not found
      */
-    async getAlbumById(albumId) {
+    async getAlbumById(albumId, storefront = this.defaultStorefront) {
         await this.generateToken()
 
         try {
-            const response = await axios.get(`${this.baseUrl}/catalog/us/albums/${albumId}`, {
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/albums/${albumId}`, {
                 headers: {
                     'Authorization': `Bearer ${this.token}`
                 }
@@ -108,18 +112,190 @@ class AppleMusicService {
         }
     }
 
+    /**
+     * Get artist by Apple Music artist ID, with the names of a few top songs
+     * @param {string} artistId - Apple Music artist ID
+     * @param {string} storefront - Storefront (country code) to look the artist up in
+     * @returns {Object|null} Artist metadata or null if not found
+     */
+    async getArtistById(artistId, storefront = this.defaultStorefront) {
+        await this.generateToken()
+
+        try {
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/artists/${artistId}?views=top-songs`, {
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                }
+            })
+
+            const artists = response.data.data
+            if (artists && artists.length > 0) {
+                return this.createArtistFromAppleMusicArtist(artists[0])
+            }
+            return null
+        } catch (error) {
+            clog('Error fetching Apple Music artist:', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Get music video by Apple Music music video ID, with the song it belongs to
+     * @param {string} videoId - Apple Music music video ID
+     * @param {string} storefront - Storefront (country code) to look the music video up in
+     * @returns {Object|null} Music video metadata or null if not found
+     */
+    async getMusicVideoById(videoId, storefront = this.defaultStorefront) {
+        await this.generateToken()
+
+        try {
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/music-videos/${videoId}?include=songs`, {
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                }
+            })
+
+            const videos = response.data.data
+            if (videos && videos.length > 0) {
+                return this.createSongFromAppleMusicVideo(videos[0])
+            }
+            return null
+        } catch (error) {
+            clog('Error fetching Apple Music music video:', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Get the music videos of a song
+     * @param {string} trackId - Apple Music track ID
+     * @param {string} storefront - Storefront (country code) to look the song up in
+     * @returns {Array} Array of music video objects, empty if the song has none
+     */
+    async getTrackMusicVideos(trackId, storefront = this.defaultStorefront) {
+        await this.generateToken()
+
+        try {
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/songs/${trackId}/music-videos`, {
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                }
+            })
+
+            const videos = response.data.data || []
+            return videos.map(video => this.createSongFromAppleMusicVideo(video))
+        } catch (error) {
+            clog('Error fetching Apple Music song music videos:', error.message)
+            return []
+        }
+    }
+
+    /**
+     * Get playlist by Apple Music playlist ID, paging through its tracks
+     * @param {string} playlistId - Apple Music playlist ID, e.g. "pl.u-..."
+     * @param {string} storefront - Storefront (country code) to look the playlist up in
+     * @param {number} maxTracks - Stop paging after this many tracks (default: 1000)
+     * @returns {Object|null} Playlist metadata with tracks or null if not found
+     */
+    async getPlaylistById(playlistId, storefront = this.defaultStorefront, maxTracks = 1000) {
+        await this.generateToken()
+
+        try {
+            const headers = { 'Authorization': `Bearer ${this.token}` }
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/playlists/${playlistId}`, { headers })
+
+            const playlists = response.data.data
+            if (!playlists || playlists.length === 0) {
+                return null
+            }
+
+            const playlist = playlists[0]
+            const tracks = [...(playlist.relationships?.tracks?.data || [])]
+            // "next" is a path like /v1/catalog/us/playlists/pl.x/tracks?offset=100
+            let next = playlist.relationships?.tracks?.next
+            while (next && tracks.length < maxTracks) {
+                const page = await axios.get(`${this.apiHost}${next}`, { headers })
+                tracks.push(...page.data.data)
+                next = page.data.next
+            }
+
+            const total = playlist.relationships?.tracks?.meta?.total ?? tracks.length
+            return this.createPlaylistFromAppleMusicPlaylist(playlist, tracks.slice(0, maxTracks), total)
+        } catch (error) {
+            clog('Error fetching Apple Music playlist:', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Find a track by its ISRC code
+     * @param {string} isrc - International Standard Recording Code
+     * @param {string} storefront - Storefront (country code) to look the track up in
+     * @returns {Object|null} Track metadata or null if not found
+     */
+    async getTrackByIsrc(isrc, storefront = this.defaultStorefront) {
+        await this.generateToken()
+
+        try {
+            const encodedIsrc = encodeURIComponent(isrc)
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/songs?filter[isrc]=${encodedIsrc}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                }
+            })
+
+            const songs = response.data.data
+            if (songs && songs.length > 0) {
+                return this.createSongFromAppleMusicTrack(songs[0])
+            }
+            return null
+        } catch (error) {
+            clog('Error fetching Apple Music track by ISRC:', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Find an album by its UPC code
+     * @param {string} upc - Universal Product Code
+     * @param {string} storefront - Storefront (country code) to look the album up in
+     * @returns {Object|null} Album metadata or null if not found
+     */
+    async getAlbumByUpc(upc, storefront = this.defaultStorefront) {
+        await this.generateToken()
+
+        try {
+            const encodedUpc = encodeURIComponent(upc)
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/albums?filter[upc]=${encodedUpc}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                }
+            })
+
+            const albums = response.data.data
+            if (albums && albums.length > 0) {
+                return this.createSongFromAppleMusicAlbum(albums[0])
+            }
+            return null
+        } catch (error) {
+            clog('Error fetching Apple Music album by UPC:', error.message)
+            return null
+        }
+    }
+
     /**
      * Search for tracks on Apple Music
      * @param {string} query - Search query
      * @param {number} limit - Maximum number of results (default: 10)
+     * @param {string} storefront - Storefront (country code) to search in
      * @returns {Array} Array of track objects
      */
-    async searchTracks(query, limit = 10) {
+    async searchTracks(query, limit = 10, storefront = this.defaultStorefront) {
         await this.generateToken()
 
         try {
             const encodedQuery = encodeURIComponent(query)
-            const response = await axios.get(`${this.baseUrl}/catalog/us/search?term=${encodedQuery}&types=songs&limit=${limit}`, {
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/search?term=${encodedQuery}&types=songs&limit=${limit}`, {
                 headers: {
                     'Authorization': `Bearer ${this.token}`
                 }
@@ -136,6 +312,64 @@ class AppleMusicService {
         }
     }
 
+    /**
+     * Search for albums on Apple Music
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results (default: 10)
+     * @param {string} storefront - Storefront (country code) to search in
+     * @returns {Array} Array of album objects
+     */
+    async searchAlbums(query, limit = 10, storefront = this.defaultStorefront) {
+        await this.generateToken()
+
+        try {
+            const encodedQuery = encodeURIComponent(query)
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/search?term=${encodedQuery}&types=albums&limit=${limit}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                }
+            })
+
+            const results = response.data.results
+            if (results && results.albums && results.albums.data) {
+                return results.albums.data.map(album => this.createSongFromAppleMusicAlbum(album))
+            }
+            return []
+        } catch (error) {
+            clog('Error searching Apple Music albums:', error.message)
+            return []
+        }
+    }
+
+    /**
+     * Search for artists on Apple Music
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results (default: 10)
+     * @param {string} storefront - Storefront (country code) to search in
+     * @returns {Array} Array of artist objects, without top songs
+     */
+    async searchArtists(query, limit = 10, storefront = this.defaultStorefront) {
+        await this.generateToken()
+
+        try {
+            const encodedQuery = encodeURIComponent(query)
+            const response = await axios.get(`${this.baseUrl}/catalog/${storefront}/search?term=${encodedQuery}&types=artists&limit=${limit}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                }
+            })
+
+            const results = response.data.results
+            if (results && results.artists && results.artists.data) {
+                return results.artists.data.map(artist => this.createArtistFromAppleMusicArtist(artist))
+            }
+            return []
+        } catch (error) {
+            clog('Error searching Apple Music artists:', error.message)
+            return []
+        }
+    }
+
     /**
      * Create song object from Apple Music track data
      * @param {Object} track - Apple Music track data
@@ -164,7 +398,8 @@ class AppleMusicService {
             imageUrl,
             previewUrl,
             externalUrl: attributes.url || `https://music.apple.com/song/${track.id}`,
-            platform: 'apple_music'
+            platform: 'apple_music',
+            isrc: attributes.isrc || null
         }
     }
 
@@ -185,6 +420,8 @@ class AppleMusicService {
                 .replace('{h}', '640')
         }
 
+        const releaseYear = attributes.releaseDate ? parseInt(attributes.releaseDate.substring(0, 4), 10) : null
+
         return {
             id: album.id,
             name: attributes.name || 'Unknown Album',
@@ -193,51 +430,119 @@ class AppleMusicService {
             imageUrl,
             previewUrl: null,
             externalUrl: attributes.url || `https://music.apple.com/album/${album.id}`,
-            platform: 'apple_music'
+            platform: 'apple_music',
+            trackCount: attributes.trackCount || null,
+            releaseYear: releaseYear || null,
+            upc: attributes.upc || null
         }
     }
 
     /**
-     * Extract track ID from Apple Music URL
-     * @param {string} url - Apple Music URL
-     * @returns {string|null} Track ID or null if not found
+     * Create song object from Apple Music music video data
+     * @param {Object} video - Apple Music music video data, with the songs relationship if included
+     * @returns {Object} Normalized song object. The ISRC is the one of the song, since the video has
+     *   its own recording code that no audio track shares
+     * @private
      */
-    extractTrackIdFromUrl(url) {
-        // Handle direct song URLs: music.apple.com/us/song/song-name/123456
-        const songRegex = /music\.apple\.com\/[^/]+\/song\/[^/]+\/(\d+)/
-        const songMatch = songRegex.exec(url)
-        if (songMatch) {
-            return songMatch[1]
-        }
+    createSongFromAppleMusicVideo(video) {
+        const attributes = video.attributes || {}
+        const artwork = attributes.artwork
+        let imageUrl = null
 
-        // Handle album URLs with track parameter: music.apple.com/us/album/album-name/123?i=456
-        const albumTrackRegex = /music\.apple\.com\/[^/]+\/album\/[^/]+\/\d+\?i=(\d+)/
-        const albumTrackMatch = albumTrackRegex.exec(url)
-        if (albumTrackMatch) {
-            return albumTrackMatch[1]
+        if (artwork && artwork.url) {
+            imageUrl = artwork.url
+                .replace('{w}', '640')
+                .replace('{h}', '640')
         }
 
-        return null
+        const previews = attributes.previews || []
+        const previewUrl = previews.length > 0 ? previews[0].url : null
+
+        const songs = video.relationships?.songs?.data || []
+        const songAttributes = songs.length > 0 ? songs[0].attributes || {} : {}
+
+        return {
+            id: video.id,
+            name: attributes.name || 'Unknown Music Video',
+            artist: attributes.artistName || 'Unknown Artist',
+            album: attributes.albumName || songAttributes.albumName || null,
+            imageUrl,
+            previewUrl,
+            externalUrl: attributes.url || `https://music.apple.com/music-video/${video.id}`,
+            platform: 'apple_music',
+            isrc: songAttributes.isrc || null
+        }
     }
 
     /**
-     * Extract album ID from Apple Music URL
-     * @param {string} url - Apple Music URL
-     * @returns {string|null} Album ID or null if not found
+     * Create artist object from Apple Music artist data
+     * @param {Object} artist - Apple Music artist data, top songs are read from the top-songs view if present
+     * @returns {Object} Normalized artist object, artist and album are null
+     * @private
      */
-    extractAlbumIdFromUrl(url) {
-        const albumRegex = /music\.apple\.com\/[^/]+\/album\/[^/]+\/(\d+)/
-        const match = albumRegex.exec(url)
-        return match ? match[1] : null
+    createArtistFromAppleMusicArtist(artist) {
+        const attributes = artist.attributes || {}
+        const artwork = attributes.artwork
+        let imageUrl = null
+
+        if (artwork && artwork.url) {
+            imageUrl = artwork.url
+                .replace('{w}', '640')
+                .replace('{h}', '640')
+        }
+
+        const topSongs = artist.views?.['top-songs']?.data || []
+
+        return {
+            id: artist.id,
+            name: attributes.name || 'Unknown Artist',
+            artist: null,
+            album: null,
+            imageUrl,
+            previewUrl: null,
+            externalUrl: attributes.url || `https://music.apple.com/artist/${artist.id}`,
+            platform: 'apple_music',
+            genres: attributes.genreNames || [],
+            topTracks: topSongs.map(song => song.attributes?.name).filter(Boolean)
+        }
     }
 
     /**
-     * Check if URL is a valid Apple Music URL
-     * @param {string} url - URL to check
-     * @returns {boolean} True if valid Apple Music URL
+     * Create playlist object from Apple Music playlist data
+     * @param {Object} playlist - Apple Music playlist data
+     * @param {Array} tracks - Apple Music track data of all fetched pages
+     * @param {number} total - Number of tracks in the playlist
+     * @returns {Object} Normalized playlist object, artist is the curator and tracks are normalized songs
+     * @private
      */
-    isValidUrl(url) {
-        return url.includes('music.apple.com/')
+    createPlaylistFromAppleMusicPlaylist(playlist, tracks, total) {
+        const attributes = playlist.attributes || {}
+        const artwork = attributes.artwork
+        let imageUrl = null
+
+        if (artwork && artwork.url) {
+            imageUrl = artwork.url
+                .replace('{w}', '640')
+                .replace('{h}', '640')
+        }
+
+        // Music videos have no counterpart on Spotify
+        const songs = tracks
+            .filter(track => track.type === 'songs')
+            .map(track => this.createSongFromAppleMusicTrack(track))
+
+        return {
+            id: playlist.id,
+            name: attributes.name || 'Unknown Playlist',
+            artist: attributes.curatorName || null,
+            album: null,
+            imageUrl,
+            previewUrl: null,
+            externalUrl: attributes.url || `https://music.apple.com/playlist/${playlist.id}`,
+            platform: 'apple_music',
+            trackCount: total,
+            tracks: songs
+        }
     }
 
     /**
@@ -0,0 +1,153 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const axios = require('axios')
+const { clog } = require('../utils/logs')
+
+/**
+ * Apple Podcasts service for retrieving show/episode metadata and searching.
+ * Uses the public iTunes Search and Lookup API, which needs no developer token
+ */
+class ApplePodcastsService {
+    constructor() {
+        this.baseUrl = 'https://itunes.apple.com'
+        this.defaultStorefront = 'us'
+        // The Lookup API returns at most 200 episodes of a show, newest first
+        this.episodesLimit = 200
+    }
+
+    /**
+     * Get show by Apple Podcasts ID
+     * @param {string} showId - Apple Podcasts show (collection) ID
+     * @param {string} storefront - Storefront (country code) to look the show up in
+     * @returns {Object|null} Show metadata or null if not found
+     */
+    async getShowById(showId, storefront = this.defaultStorefront) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/lookup?id=${showId}&entity=podcast&country=${storefront}`)
+
+            const results = response.data.results || []
+            const show = results.find(result => result.kind === 'podcast')
+            return show ? this.createShowFromItunesPodcast(show) : null
+        } catch (error) {
+            clog('Error fetching Apple Podcasts show:', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Get episode by Apple Podcasts episode ID
+     * @param {string} episodeId - Apple Podcasts episode ID, the "i" parameter of episode links
+     * @param {string} storefront - Storefront (country code) to look the episode up in
+     * @param {string} showId - ID of the show the episode belongs to, episodes cannot be looked up alone
+     * @returns {Object|null} Episode metadata or null if not found among the latest episodes
+     */
+    async getEpisodeById(episodeId, storefront = this.defaultStorefront, showId = null) {
+        if (!showId) {
+            clog(`Cannot look up Apple Podcasts episode ${episodeId} without its show`)
+            return null
+        }
+
+        const episodes = await this.getShowEpisodes(showId, storefront)
+        return episodes.find(episode => episode.id === String(episodeId)) || null
+    }
+
+    /**
+     * Get the latest episodes of a show
+     * @param {string} showId - Apple Podcasts show ID
+     * @param {string} storefront - Storefront (country code) to look the show up in
+     * @returns {Array} Array of episode objects, newest first
+     */
+    async getShowEpisodes(showId, storefront = this.defaultStorefront) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/lookup?id=${showId}&entity=podcastEpisode&limit=${this.episodesLimit}&country=${storefront}`)
+
+            const results = response.data.results || []
+            const show = results.find(result => result.kind === 'podcast')
+            return results
+                .filter(result => result.wrapperType === 'podcastEpisode')
+                .map(episode => this.createEpisodeFromItunesEpisode(episode, show))
+        } catch (error) {
+            clog('Error fetching Apple Podcasts episodes:', error.message)
+            return []
+        }
+    }
+
+    /**
+     * Search for shows on Apple Podcasts
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results (default: 10)
+     * @param {string} storefront - Storefront (country code) to search in
+     * @returns {Array} Array of show objects
+     */
+    async searchShows(query, limit = 10, storefront = this.defaultStorefront) {
+        try {
+            const encodedQuery = encodeURIComponent(query)
+            const response = await axios.get(`${this.baseUrl}/search?term=${encodedQuery}&media=podcast&entity=podcast&limit=${limit}&country=${storefront}`)
+
+            const results = response.data.results || []
+            return results.map(show => this.createShowFromItunesPodcast(show))
+        } catch (error) {
+            clog('Error searching Apple Podcasts shows:', error.message)
+            return []
+        }
+    }
+
+    /**
+     * Create show object from iTunes podcast data
+     * @param {Object} show - iTunes podcast result
+     * @returns {Object} Normalized show object, artist is the publisher
+     * @private
+     */
+    createShowFromItunesPodcast(show) {
+        return {
+            id: String(show.collectionId),
+            name: show.collectionName || 'Unknown Show',
+            artist: show.artistName || null,
+            album: null,
+            imageUrl: show.artworkUrl600 || null,
+            previewUrl: null,
+            externalUrl: show.collectionViewUrl,
+            platform: 'apple_podcasts',
+            publisher: show.artistName || null,
+            episodeCount: show.trackCount || null
+        }
+    }
+
+    /**
+     * Create episode object from iTunes podcast episode data
+     * @param {Object} episode - iTunes podcast episode result
+     * @param {Object} [show] - iTunes podcast result of the show, for the publisher
+     * @returns {Object} Normalized episode object, artist and album are the show name
+     * @private
+     */
+    createEpisodeFromItunesEpisode(episode, show) {
+        const showName = episode.collectionName || show?.collectionName || null
+
+        return {
+            id: String(episode.trackId),
+            name: episode.trackName || 'Unknown Episode',
+            artist: showName,
+            album: showName,
+            imageUrl: episode.artworkUrl600 || show?.artworkUrl600 || null,
+            previewUrl: episode.episodeUrl || null,
+            externalUrl: episode.trackViewUrl,
+            platform: 'apple_podcasts',
+            publisher: show?.artistName || null,
+            releaseDate: episode.releaseDate ? episode.releaseDate.substring(0, 10) : null,
+            durationMs: episode.trackTimeMillis || null
+        }
+    }
+
+    /**
+     * Get platform name
+     * @returns {string} Platform name
+     */
+    get platformName() {
+        return 'apple_podcasts'
+    }
+}
+
+module.exports = { ApplePodcastsService }
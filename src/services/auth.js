@@ -0,0 +1,130 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const crypto = require('crypto')
+const { clog } = require('../utils/logs')
+const { db } = require('../db/db')
+
+/**
+ * Authorization service: bot owners, admins, members and invite codes.
+ *
+ * Owners are configured by Telegram user ID and can promote admins.
+ * Admins create expiring, single-use invite codes; redeeming one makes
+ * the user a member who may subscribe chats they administer.
+ */
+class AuthService {
+    static DEFAULT_INVITE_TTL_HOURS = 24
+    static MAX_INVITE_TTL_HOURS = 24 * 30
+
+    constructor(config) {
+        this.ownerIds = config.telegram.ownerIds
+    }
+
+    /**
+     * Check whether a Telegram user is a bot owner
+     * @param {number} userId - Telegram user ID
+     * @returns {boolean} True if the user is listed in SMBOT_OWNER_IDS
+     */
+    isOwner(userId) {
+        if (!userId) return false
+        return this.ownerIds.includes(userId)
+    }
+
+    /**
+     * Get the role of a Telegram user
+     * @param {number} userId - Telegram user ID
+     * @returns {string|null} 'owner', 'admin', 'member' or null for unknown users
+     */
+    async getRole(userId) {
+        if (!userId) return null
+        if (this.isOwner(userId)) return 'owner'
+
+        const user = await db.getUser(userId)
+        return user ? user.role : null
+    }
+
+    /**
+     * Check whether a Telegram user is a bot admin (owners included)
+     * @param {number} userId - Telegram user ID
+     * @returns {boolean} True if the user is a bot admin
+     */
+    async isBotAdmin(userId) {
+        const role = await this.getRole(userId)
+        return role === 'owner' || role === 'admin'
+    }
+
+    /**
+     * Check whether a Telegram user may use the bot outside subscribed chats
+     * @param {number} userId - Telegram user ID
+     * @returns {boolean} True for owners, admins and members
+     */
+    async isKnownUser(userId) {
+        return (await this.getRole(userId)) !== null
+    }
+
+    /**
+     * Create a new invite code
+     * @param {number} userId - Telegram user ID of the admin creating the code
+     * @param {number} ttlHours - Hours until the code expires
+     * @returns {Object} { code, expiresAt }
+     */
+    async createInvite(userId, ttlHours = AuthService.DEFAULT_INVITE_TTL_HOURS) {
+        const code = crypto.randomBytes(9).toString('base64url')
+        const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+
+        await db.createInvite({ code, createdBy: userId, expiresAt })
+        clog(`AUTH: User ${userId} created invite code expiring at ${expiresAt.toISOString()}`)
+
+        return { code, expiresAt }
+    }
+
+    /**
+     * Redeem an invite code and make the user a member
+     * @param {string} code - Invite code
+     * @param {Object} user - Telegram user object (id, username)
+     * @param {number} chatId - Telegram chat ID the code is redeemed in
+     * @returns {boolean} True if the code was valid
+     */
+    async redeemInvite(code, user, chatId) {
+        if (!code || !user?.id) return false
+
+        const redeemed = await db.redeemInvite(code, user.id, chatId)
+        if (!redeemed) return false
+
+        // Never downgrade an admin who happens to use an invite code
+        if (!(await this.isKnownUser(user.id))) {
+            await db.saveUser({ userId: user.id, username: user.username || null, role: 'member' })
+        }
+
+        clog(`AUTH: User ${user.id} redeemed an invite code in chat ${chatId}`)
+        return true
+    }
+
+    /**
+     * Set the role of a user
+     * @param {number} userId - Telegram user ID
+     * @param {string} role - 'admin' or 'member'
+     * @param {number} grantedBy - Telegram user ID of the owner making the change
+     */
+    async setRole(userId, role, grantedBy) {
+        const user = await db.getUser(userId)
+        await db.saveUser({ userId, username: user?.username || null, role, grantedBy })
+        clog(`AUTH: User ${grantedBy} set role ${role} for user ${userId}`)
+    }
+
+    /**
+     * Record an authorization decision; failures are logged and ignored
+     * @param {Object} event - { userId, chatId, action, allowed, reason }
+     */
+    async record(event) {
+        try {
+            await db.recordAuthEvent(event)
+        } catch (error) {
+            clog('AUTH: Failed to record auth event:', error.message)
+        }
+    }
+}
+
+module.exports = { AuthService }
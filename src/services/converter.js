@@ -3,126 +3,703 @@
  *  Copyright (c) 2025 Northern Captain
  */
 
-const { SpotifyService } = require("./spotify")
-const { AppleMusicService } = require("./apple_music")
-const { findBestMatch, getConfidenceLevel } = require("../utils/scoring")
+const { LinkResolver } = require("./link_resolver")
+const {
+    DEFAULT_MIN_SCORE,
+    calculateSongScore,
+    parseSearchQuery,
+    calculateQueryScore,
+    rankMatches,
+    rankAlbumMatches,
+    rankArtistMatches,
+    rankShowMatches,
+    rankEpisodeMatches,
+    getConfidenceLevel,
+} = require("../utils/scoring")
+const { getPlatformName, getPlatformEmoji, formatTitle } = require("../utils/platforms")
+const { parseMusicLink } = require("../utils/link_parser")
+const { getProvider, getProviders } = require("../providers/registry")
 const { clog } = require("../utils/logs")
+const { db } = require("../db/db")
 
 /**
- * Music link converter service that handles conversion between Spotify and Apple Music
+ * Music link converter service that converts links of one platform to every other
+ * enabled platform that has the same kind of content
  */
 class ConverterService {
+    // How many runner-up search results are kept for "Not right?" suggestions
+    static ALTERNATIVES_LIMIT = 3
+    // Results fetched per platform for /search, and paired results offered
+    static SEARCH_LIMIT = 5
+    static SEARCH_PAIRS_LIMIT = 4
+    // Artists found by name per conversion, and how many of them get their top tracks compared
+    static ARTIST_SEARCH_LIMIT = 5
+    static ARTIST_CHECK_LIMIT = 3
+    // Longest playlist converted, and how many of its tracks are converted at once
+    static PLAYLIST_TRACKS_LIMIT = 1000
+    static PLAYLIST_CONCURRENCY = 5
+    // Low confidence and missing tracks named in a playlist summary
+    static PLAYLIST_SUMMARY_LIMIT = 10
+    // Link types matched by podcast show and episode instead of music search
+    static PODCAST_TYPES = ["show", "episode"]
+    // Link types converted to another type, platforms without music videos get the track
+    static TARGET_TYPES = { music_video: "track" }
+    // Cache target of the music video looked up for a converted track
+    static MUSIC_VIDEO_TARGET = "music_video"
+    // Shows found by name per podcast conversion
+    static SHOW_SEARCH_LIMIT = 10
+
     constructor(config) {
-        this.spotifyService = new SpotifyService(
-            config.spotify.clientId,
-            config.spotify.clientSecret
-        )
+        this.cacheConfig = config.cache
 
-        this.appleMusicService = new AppleMusicService(
-            config.appleMusic.teamId,
-            config.appleMusic.keyId,
-            config.getAppleMusicPrivateKey()
+        // Services of the enabled platforms, in provider registration order
+        this.services = new Map(
+            getProviders()
+                .filter((provider) => config.isProviderEnabled(provider.platform))
+                .map((provider) => [provider.platform, provider.create(config)])
         )
+
+        this.linkResolver = new LinkResolver()
+    }
+
+    /**
+     * Resolve a shared link, following short links, and detect what it points to
+     * @param {string} url - Link as shared: short link, spotify: URI or full URL
+     * @returns {Object|null} Link information object as from detectMusicLink, with the canonical
+     *   URL as originalUrl, or null if the link cannot be resolved or is not a music link
+     */
+    async resolveMusicLink(url) {
+        const canonicalUrl = await this.linkResolver.resolve(url)
+        return canonicalUrl ? this.detectMusicLink(canonicalUrl) : null
     }
 
     /**
      * Detect and extract music link information from a URL
      * @param {string} url - The music URL to analyze
-     * @returns {Object|null} Link information or null if not a valid music URL
+     * @returns {Object|null} Link information { platform, type, id, originalUrl, [storefront], [showId] }
+     *   or null if not a valid music URL
      */
     detectMusicLink(url) {
-        if (!url || typeof url !== "string") return null
+        return parseMusicLink(url)
+    }
 
-        // Check Spotify URLs
-        if (this.spotifyService.isValidUrl(url)) {
-            const trackId = this.spotifyService.extractTrackIdFromUrl(url)
-            const albumId = this.spotifyService.extractAlbumIdFromUrl(url)
+    /**
+     * Convert a music link from one platform to another
+     * @param {string} url - The original music URL
+     * @param {Object} options - Conversion options
+     * @param {string} [options.storefront] - Storefront (country code) for target searches and output links
+     * @param {number} [options.minScore] - Minimum match score for the converted song (default: 60)
+     * @param {boolean} [options.musicVideo] - Add the Apple Music music video of Spotify tracks as musicVideo
+     * @returns {Object|null} Conversion result with original and converted songs, or null if nothing matched
+     * @throws {Error} When the lookup fails on every platform, see convertLinkInfo
+     */
+    async convertMusicLink(url, options = {}) {
+        const linkInfo = this.detectMusicLink(url)
+        if (!linkInfo) {
+            clog("No valid music link detected in URL:", url)
+            return null
+        }
 
-            if (trackId) {
-                return {
-                    platform: "spotify",
-                    type: "track",
-                    id: trackId,
-                    originalUrl: url,
-                }
-            } else if (albumId) {
-                return {
-                    platform: "spotify",
-                    type: "album",
-                    id: albumId,
-                    originalUrl: url,
-                }
-            }
+        const conversionResult = await this.convertLinkInfo(linkInfo, options)
+        if (conversionResult && options.musicVideo) {
+            conversionResult.musicVideo = await this.findMusicVideo(conversionResult, options.storefront || undefined)
         }
 
-        // Check Apple Music URLs
-        if (this.appleMusicService.isValidUrl(url)) {
-            const trackId = this.appleMusicService.extractTrackIdFromUrl(url)
-            const albumId = this.appleMusicService.extractAlbumIdFromUrl(url)
+        return conversionResult
+    }
 
-            if (trackId) {
-                return {
-                    platform: "apple_music",
-                    type: "track",
-                    id: trackId,
-                    originalUrl: url,
-                }
-            } else if (albumId) {
-                return {
-                    platform: "apple_music",
-                    type: "album",
-                    id: albumId,
-                    originalUrl: url,
-                }
-            }
+    /**
+     * Find the music video of a converted track on the first target platform that has music videos
+     * @param {Object} conversionResult - Result from convertLinkInfo
+     * @param {string} [storefront] - Storefront (country code) to look the video up in
+     * @returns {Object|null} Music video metadata, null for other conversions or songs without a video
+     */
+    async findMusicVideo(conversionResult, storefront) {
+        if (conversionResult.sourceType !== "track") {
+            return null
         }
 
-        return null
+        const target = [conversionResult, ...(conversionResult.others || [])]
+            .find((result) => this.getService(result.targetPlatform)?.getTrackMusicVideos)
+        if (!target) {
+            return null
+        }
+
+        // Cached under the matched track, so every link of the same song shares the lookup
+        const trackInfo = { platform: target.targetPlatform, type: "track", id: target.converted.id }
+        const cacheEntry = await this.getCachedConversion(trackInfo, ConverterService.MUSIC_VIDEO_TARGET, storefront)
+        if (cacheEntry) {
+            return cacheEntry.result?.converted ?? null
+        }
+
+        try {
+            const service = this.getService(target.targetPlatform)
+            const [video = null] = await service.getTrackMusicVideos(target.converted.id, storefront)
+            await this.cacheConversion(trackInfo, ConverterService.MUSIC_VIDEO_TARGET, storefront, target.converted, video)
+            return video
+        } catch (error) {
+            clog("Error looking up music video:", error.message)
+            return null
+        }
     }
 
     /**
-     * Convert a music link from one platform to another
-     * @param {string} url - The original music URL
-     * @returns {Object|null} Conversion result with original and converted songs, or null if conversion failed
+     * Convert an already detected music link to every other enabled platform that has its type
+     * @param {Object} linkInfo - Link information object: { platform, type, id, [storefront] }
+     * @param {Object} options - Conversion options, see convertMusicLink
+     * @param {Object} [options.originalSong] - Metadata of the link if already known, saves looking it up again
+     * @returns {Object|null} Conversion result of the first platform a match was found on, with the results
+     *   of further platforms as others, or null if no platform has a match
+     * @throws {Error} Lookup error of the first failed platform when no platform could be converted to
+     */
+    async convertLinkInfo(linkInfo, options = {}) {
+        const targetPlatforms = this.getTargetPlatforms(linkInfo.platform, linkInfo.type)
+        if (targetPlatforms.length === 0) {
+            clog(`No enabled platform to convert ${linkInfo.platform}:${linkInfo.type} links to`)
+            return null
+        }
+
+        // Looked up once for all platforms, and only if overrides and the cache do not answer
+        let originalSong = options.originalSong ? Promise.resolve(options.originalSong) : null
+        const getOriginalSong = () => (originalSong ??= this.getOriginalSong(linkInfo))
+
+        const outcomes = await Promise.allSettled(
+            targetPlatforms.map((targetPlatform) =>
+                this.convertToPlatform(linkInfo, targetPlatform, options, getOriginalSong)
+            )
+        )
+
+        const failures = outcomes.filter((outcome) => outcome.status === "rejected")
+        failures.forEach((outcome) => clog("Error converting music link:", outcome.reason.message))
+
+        const [conversionResult = null, ...others] = outcomes
+            .map((outcome) => outcome.value)
+            .filter(Boolean)
+
+        // A failed lookup is not the same as no match, let the caller report it
+        if (!conversionResult && failures.length > 0) {
+            throw failures[0].reason
+        }
+
+        if (conversionResult && others.length > 0) {
+            conversionResult.others = others
+        }
+
+        return conversionResult
+    }
+
+    /**
+     * Convert an already detected music link to one platform
+     * @param {Object} linkInfo - Link information object: { platform, type, id, [storefront] }
+     * @param {string} targetPlatform - Platform to convert to
+     * @param {Object} options - Conversion options, see convertMusicLink
+     * @param {Function} getOriginalSong - Returns a promise of the metadata of the link
+     * @returns {Object|null} Conversion result with original and converted songs, or null if there is no match
+     * @throws {Error} When looking the link up or searching the target platform fails
+     */
+    async convertToPlatform(linkInfo, targetPlatform, options, getOriginalSong) {
+        const storefront = options.storefront || undefined
+        const minScore = options.minScore ?? DEFAULT_MIN_SCORE
+
+        // Manual mappings always win over the cache and search
+        const overrideResult = await this.getOverride(linkInfo, targetPlatform)
+        if (overrideResult) {
+            return overrideResult
+        }
+
+        const cacheEntry = await this.getCachedConversion(linkInfo, targetPlatform, storefront)
+        if (cacheEntry) {
+            return this.applyMinScore(cacheEntry.result, minScore)
+        }
+
+        // Get original song metadata
+        const originalSong = await getOriginalSong()
+        if (!originalSong) {
+            clog("Could not fetch original song metadata: " + JSON.stringify(linkInfo))
+            return null
+        }
+
+        const { match: convertedSong, alternatives } =
+            await this.findMatches(
+                originalSong,
+                targetPlatform,
+                linkInfo.type,
+                storefront
+            )
+
+        await this.cacheConversion(
+            linkInfo,
+            targetPlatform,
+            storefront,
+            originalSong,
+            convertedSong,
+            alternatives
+        )
+
+        if (!convertedSong) {
+            clog(`Could not find matching song on target platform ${targetPlatform}, search query: ${originalSong.artist} ${originalSong.name}`)
+            return null
+        }
+
+        return this.applyMinScore(
+            this.createConversionResult(
+                linkInfo,
+                originalSong,
+                convertedSong,
+                alternatives
+            ),
+            minScore
+        )
+    }
+
+    /**
+     * Convert every track of a playlist to the first other platform with tracks, ISRC first
+     * and then by search like single links
+     * @param {string} url - Playlist URL
+     * @param {Object} options - Conversion options, see convertMusicLink
+     * @param {Function} [onProgress] - Called with (converted, total) after each batch of tracks
+     * @returns {Object|null} { playlist, sourcePlatform, targetPlatform, entries, matched, lowConfidence, missing }
+     *   where each entry is { track, result, status } with status 'matched', 'low_confidence' or 'missing',
+     *   or null if the link is not a playlist or the playlist could not be read
      */
-    async convertMusicLink(url) {
+    async convertPlaylist(url, options = {}, onProgress = null) {
         const linkInfo = this.detectMusicLink(url)
-        if (!linkInfo) {
-            clog("No valid music link detected in URL:", url)
+        if (!linkInfo || linkInfo.type !== "playlist") {
+            clog("No playlist link detected in URL:", url)
+            return null
+        }
+
+        const [targetPlatform] = this.getTargetPlatforms(linkInfo.platform, "track")
+        if (!targetPlatform) {
+            clog(`No enabled platform to convert ${linkInfo.platform} playlists to`)
+            return null
+        }
+
+        const storefront = options.storefront || undefined
+        const minScore = options.minScore ?? DEFAULT_MIN_SCORE
+        const playlist = await this.getService(linkInfo.platform).getPlaylistById(
+            linkInfo.id,
+            linkInfo.storefront || undefined,
+            ConverterService.PLAYLIST_TRACKS_LIMIT
+        )
+        if (!playlist) {
+            clog("Could not fetch playlist: " + JSON.stringify(linkInfo))
+            return null
+        }
+
+        clog(`Converting playlist "${playlist.name}" with ${playlist.tracks.length} tracks`)
+        const entries = []
+        for (let start = 0; start < playlist.tracks.length; start += ConverterService.PLAYLIST_CONCURRENCY) {
+            const batch = playlist.tracks.slice(start, start + ConverterService.PLAYLIST_CONCURRENCY)
+            // Low scores are kept to be reported, so the chat minimum is applied below
+            const results = await Promise.all(batch.map((track) => this.convertToPlatform(
+                { platform: linkInfo.platform, type: "track", id: track.id },
+                targetPlatform,
+                { storefront, minScore: 0 },
+                async () => track
+            ).catch((error) => {
+                clog(`Error converting playlist track ${track.id}:`, error.message)
+                return null
+            })))
+
+            results.forEach((result, index) => entries.push({
+                track: batch[index],
+                result,
+                status: !result ? "missing" : result.converted.matchScore < minScore ? "low_confidence" : "matched",
+            }))
+
+            if (onProgress) {
+                await onProgress(entries.length, playlist.tracks.length)
+            }
+        }
+
+        const count = (status) => entries.filter((entry) => entry.status === status).length
+        const conversion = {
+            playlist,
+            sourcePlatform: linkInfo.platform,
+            targetPlatform,
+            entries,
+            matched: count("matched"),
+            lowConfidence: count("low_confidence"),
+            missing: count("missing"),
+        }
+        clog(`Playlist "${playlist.name}": ${conversion.matched} matched, ${conversion.lowConfidence} low confidence, ${conversion.missing} missing`)
+        return conversion
+    }
+
+    /**
+     * Drop conversion results that are below the requested confidence
+     * @param {Object|null} conversionResult - Conversion result
+     * @param {number} minScore - Minimum match score
+     * @returns {Object|null} The same result, or null if its score is too low
+     * @private
+     */
+    applyMinScore(conversionResult, minScore) {
+        if (!conversionResult) {
+            return null
+        }
+
+        if (conversionResult.converted.matchScore < minScore) {
+            clog(`Best match scored ${conversionResult.converted.matchScore}, below minimum ${minScore}`)
+            return null
+        }
+
+        return conversionResult
+    }
+
+    /**
+     * Build a conversion result object
+     * @param {Object} linkInfo - Link information object of the source link
+     * @param {Object} originalSong - Original song metadata
+     * @param {Object} convertedSong - Matched song on the target platform
+     * @param {Array} alternatives - Runner-up matches on the target platform, best first
+     * @param {string} origin - Where the match came from: 'search', 'cache' or 'override'
+     * @returns {Object} Conversion result
+     * @private
+     */
+    createConversionResult(linkInfo, originalSong, convertedSong, alternatives = [], origin = "search") {
+        return {
+            original: originalSong,
+            converted: convertedSong,
+            alternatives,
+            origin,
+            confidence: getConfidenceLevel(
+                convertedSong.matchScore,
+                convertedSong.matchType
+            ),
+            sourcePlatform: linkInfo.platform,
+            sourceType: linkInfo.type,
+            targetPlatform: convertedSong.platform,
+        }
+    }
+
+    /**
+     * Switch the match on one target platform of a conversion result to another of its candidates
+     * @param {Object} conversionResult - Result from convertMusicLink
+     * @param {string} targetPlatform - Platform of the match to switch, the primary target or one of the others
+     * @param {string} targetId - ID of the candidate on the target platform
+     * @returns {Object|null} Result with the chosen candidate as converted song on that platform,
+     *   or null if it is not a candidate
+     */
+    selectAlternative(conversionResult, targetPlatform, targetId) {
+        const targets = [conversionResult, ...(conversionResult.others || [])]
+        const index = targets.findIndex((target) => target.targetPlatform === targetPlatform)
+        const target = targets[index]
+        if (!target) {
             return null
         }
 
+        const candidates = [target.converted, ...target.alternatives]
+        const chosen = candidates.find((song) => String(song.id) === String(targetId))
+        if (!chosen) {
+            return null
+        }
+
+        const switched = this.createConversionResult(
+            {
+                platform: target.sourcePlatform,
+                type: target.sourceType,
+            },
+            target.original,
+            chosen,
+            candidates.filter((song) => song !== chosen),
+            target.origin
+        )
+
+        const [selected, ...others] = targets.map((result, i) => (i === index ? switched : result))
+        return others.length > 0 ? { ...selected, others } : selected
+    }
+
+    /**
+     * Look up a manual mapping of a link to a platform, in either direction
+     * @param {Object} linkInfo - Link information object
+     * @param {string} targetPlatform - Platform the link is converted to
+     * @returns {Object|null} Conversion result built from the mapping, or null if there is none
+     * @private
+     */
+    async getOverride(linkInfo, targetPlatform) {
         try {
-            // Get original song metadata
-            const originalSong = await this.getOriginalSong(linkInfo)
-            if (!originalSong) {
-                clog("Could not fetch original song metadata: " + JSON.stringify(linkInfo))
+            const override = await db.findOverride(linkInfo, targetPlatform)
+            if (!override) {
                 return null
             }
 
-            // Convert to opposite platform
-            const convertedSong = await this.convertToOppositePlatform(
-                originalSong,
-                linkInfo.platform
+            const reversed =
+                override.sourcePlatform !== linkInfo.platform ||
+                override.sourceId !== String(linkInfo.id)
+            const sourceSong = JSON.parse(override.sourceSong)
+            const targetSong = JSON.parse(override.targetSong)
+
+            clog(`Override #${override.id} hit for ${linkInfo.platform}:${linkInfo.type}:${linkInfo.id}`)
+            return this.createConversionResult(
+                linkInfo,
+                reversed ? targetSong : sourceSong,
+                {
+                    ...(reversed ? sourceSong : targetSong),
+                    matchScore: 100,
+                    matchType: "override",
+                },
+                [],
+                "override"
             )
-            if (!convertedSong) {
-                clog(`Could not find matching song on target platform ${linkInfo.platform}, search query: ${originalSong.artist} ${originalSong.name}`)
+        } catch (error) {
+            clog("Error reading conversion overrides:", error.message)
+            return null
+        }
+    }
+
+    /**
+     * Remember a conversion as a manual mapping, used for both directions from now on
+     * @param {Object} conversionResult - Conversion result with the correct converted song
+     * @param {number} userId - Telegram user ID of who made the correction
+     * @param {number} chatId - Telegram chat ID the correction was made in
+     */
+    async saveOverride(conversionResult, userId, chatId) {
+        const { original, converted, sourcePlatform, sourceType } =
+            conversionResult
+        // Match details describe this particular search, not the song itself
+        const targetSong = { ...converted }
+        delete targetSong.matchScore
+        delete targetSong.matchType
+
+        const override = await db.saveOverride({
+            type: sourceType,
+            sourcePlatform,
+            sourceId: String(original.id),
+            sourceSong: JSON.stringify(original),
+            targetPlatform: converted.platform,
+            targetId: String(converted.id),
+            targetSong: JSON.stringify(targetSong),
+            createdBy: userId,
+            chatId,
+        })
+        clog(`Saved override #${override.id}: ${sourcePlatform}:${sourceType}:${original.id} <-> ${converted.platform}:${converted.id}`)
+    }
+
+    /**
+     * Correct the conversion of a link with a link to the right song on one of its target platforms
+     * @param {string} sourceUrl - The originally posted music URL
+     * @param {string} correctUrl - Music URL of the correct song on the target platform
+     * @param {number} userId - Telegram user ID of who made the correction
+     * @param {number} chatId - Telegram chat ID the correction was made in
+     * @param {Object} options - Conversion options for the other target platforms
+     * @param {string} [options.storefront] - Apple Music storefront of the chat
+     * @returns {Object|null} Corrected conversion result, including the matches on the other target
+     *   platforms, or null if the links do not form a valid pair
+     */
+    async fixConversion(sourceUrl, correctUrl, userId, chatId, options = {}) {
+        const sourceInfo = this.detectMusicLink(sourceUrl)
+        const correctInfo = this.detectMusicLink(correctUrl)
+        if (
+            !sourceInfo ||
+            !correctInfo ||
+            !this.getTargetPlatforms(sourceInfo.platform, sourceInfo.type).includes(correctInfo.platform) ||
+            sourceInfo.type !== correctInfo.type
+        ) {
+            clog(`Cannot fix ${sourceUrl} with ${correctUrl}: links do not form a pair`)
+            return null
+        }
+
+        const [originalSong, correctSong] = await Promise.all([
+            this.getOriginalSong(sourceInfo),
+            this.getOriginalSong(correctInfo),
+        ])
+        if (!originalSong || !correctSong) {
+            clog(`Cannot fix ${sourceUrl} with ${correctUrl}: metadata not found`)
+            return null
+        }
+
+        const conversionResult = this.createConversionResult(
+            sourceInfo,
+            originalSong,
+            { ...correctSong, matchScore: 100, matchType: "override" },
+            [],
+            "override"
+        )
+        await this.saveOverride(conversionResult, userId, chatId)
+
+        // Convert again so the reply keeps the matches on the other platforms,
+        // the new override answers for the corrected one
+        try {
+            const fullResult = await this.convertLinkInfo(sourceInfo, {
+                storefront: options.storefront,
+                minScore: 0,
+                originalSong,
+            })
+            return fullResult || conversionResult
+        } catch (error) {
+            clog("Error converting corrected link:", error.message)
+            return conversionResult
+        }
+    }
+
+    /**
+     * List manual mappings, newest first
+     * @param {number} limit - Maximum number of mappings
+     * @returns {Object} { overrides, total } where each override has id, type, source and target songs
+     */
+    async listOverrides(limit = 20) {
+        const { overrides, total } = await db.listOverrides(limit)
+        return {
+            overrides: overrides.map((override) => ({
+                id: override.id,
+                type: override.type,
+                source: JSON.parse(override.sourceSong),
+                target: JSON.parse(override.targetSong),
+            })),
+            total,
+        }
+    }
+
+    /**
+     * Remove a manual mapping
+     * @param {number} id - Override ID
+     * @returns {boolean} True if the mapping existed
+     */
+    async removeOverride(id) {
+        const removed = await db.deleteOverride(id)
+        clog(`Removed override #${id}: ${removed > 0}`)
+        return removed > 0
+    }
+
+    /**
+     * Log conversions posted in a chat, one entry per target platform
+     * @param {Array<Object>} conversionResults - Conversion results that were posted
+     * @param {number} chatId - Telegram chat ID
+     * @param {number|null} userId - Telegram user ID of who shared the links, null for channel posts
+     */
+    async recordHistory(conversionResults, chatId, userId) {
+        await db.recordHistory(
+            conversionResults.flatMap((result) => [result, ...(result.others || [])]).map((result) => ({
+                chatId,
+                userId,
+                type: result.sourceType,
+                sourcePlatform: result.sourcePlatform,
+                sourceId: String(result.original.id),
+                sourceSong: JSON.stringify(result.original),
+                targetPlatform: result.targetPlatform,
+                targetId: String(result.converted.id),
+                targetSong: JSON.stringify(result.converted),
+                score: result.converted.matchScore ?? null,
+                origin: result.origin,
+            }))
+        )
+    }
+
+    /**
+     * List conversions posted in a chat, newest first
+     * @param {number} chatId - Telegram chat ID
+     * @param {number} limit - Maximum number of entries
+     * @returns {Object} { entries, total } where each entry has createdAt, userId, type, source and target songs, score and origin
+     */
+    async listHistory(chatId, limit) {
+        const { entries, total } = await db.listHistory(chatId, limit)
+        return {
+            entries: entries.map((entry) => ({
+                createdAt: entry.createdAt,
+                userId: entry.userId,
+                type: entry.type,
+                source: JSON.parse(entry.sourceSong),
+                target: JSON.parse(entry.targetSong),
+                score: entry.score,
+                origin: entry.origin,
+            })),
+            total,
+        }
+    }
+
+    /**
+     * Look up a previous conversion of the same link to the same platform in the cache
+     * @param {Object} linkInfo - Link information object
+     * @param {string} targetPlatform - Platform the link is converted to
+     * @param {string} [storefront] - Target storefront
+     * @returns {Object|null} { result } on a cache hit (result is null for cached "not found"), null on a miss
+     * @private
+     */
+    async getCachedConversion(linkInfo, targetPlatform, storefront) {
+        try {
+            const entry = await db.getCachedConversion(linkInfo, targetPlatform, storefront || "")
+            if (!entry) {
                 return null
             }
 
+            if (!entry.converted) {
+                clog(`Cache hit (not found) for ${linkInfo.platform}:${linkInfo.type}:${linkInfo.id} on ${targetPlatform}`)
+                return { result: null }
+            }
+
+            clog(`Cache hit for ${linkInfo.platform}:${linkInfo.type}:${linkInfo.id} on ${targetPlatform}`)
             return {
-                original: originalSong,
-                converted: convertedSong,
-                confidence: getConfidenceLevel(convertedSong.matchScore),
-                sourcePlatform: linkInfo.platform,
-                targetPlatform: convertedSong.platform,
+                result: this.createConversionResult(
+                    linkInfo,
+                    JSON.parse(entry.original),
+                    JSON.parse(entry.converted),
+                    entry.alternatives ? JSON.parse(entry.alternatives) : [],
+                    "cache"
+                ),
             }
         } catch (error) {
-            clog("Error converting music link:", error.message)
+            clog("Error reading conversion cache:", error.message)
             return null
         }
     }
 
+    /**
+     * Store a conversion in the cache, "not found" results use the shorter negative TTL
+     * @param {Object} linkInfo - Link information object
+     * @param {string} targetPlatform - Platform the link was converted to
+     * @param {string} [storefront] - Target storefront
+     * @param {Object} originalSong - Original song metadata
+     * @param {Object|null} convertedSong - Matched song or null if nothing was found
+     * @param {Array} alternatives - Runner-up matches
+     * @private
+     */
+    async cacheConversion(
+        linkInfo,
+        targetPlatform,
+        storefront,
+        originalSong,
+        convertedSong,
+        alternatives = []
+    ) {
+        const ttlHours = convertedSong
+            ? this.cacheConfig.ttlHours
+            : this.cacheConfig.negativeTtlHours
+
+        try {
+            await db.saveCachedConversion(
+                linkInfo,
+                targetPlatform,
+                storefront,
+                {
+                    original: originalSong,
+                    converted: convertedSong,
+                    alternatives,
+                    score: convertedSong?.matchScore,
+                },
+                ttlHours * 60 * 60 * 1000
+            )
+        } catch (error) {
+            clog("Error writing conversion cache:", error.message)
+        }
+    }
+
+    /**
+     * Remove all cached conversions of a music link
+     * @param {string} url - The music URL
+     * @returns {number|null} Number of removed cache entries, or null if the URL is not a music link
+     */
+    async invalidateCachedConversion(url) {
+        const linkInfo = this.detectMusicLink(url)
+        if (!linkInfo) {
+            return null
+        }
+
+        const removed = await db.deleteCachedConversions(linkInfo)
+        clog(`Invalidated ${removed} cached conversion(s) for ${linkInfo.platform}:${linkInfo.type}:${linkInfo.id}`)
+        return removed
+    }
+
     /**
      * Get original song metadata from the source platform
      * @param {Object} linkInfo - Link information object
@@ -130,53 +707,404 @@ class ConverterService {
      * @private
      */
     async getOriginalSong(linkInfo) {
-        const service =
-            linkInfo.platform === "spotify"
-                ? this.spotifyService
-                : this.appleMusicService
+        const service = this.getService(linkInfo.platform)
+        if (!service) {
+            clog(`Platform ${linkInfo.platform} is not enabled`)
+            return null
+        }
 
-        if (linkInfo.type === "track") {
-            return await service.getTrackById(linkInfo.id)
-        } else if (linkInfo.type === "album") {
-            return await service.getAlbumById(linkInfo.id)
+        const lookup = getProvider(linkInfo.platform).lookups?.[linkInfo.type]
+        if (!lookup) {
+            clog(`Platform ${linkInfo.platform} can not look up ${linkInfo.type} links`)
+            return null
         }
 
-        return null
+        return await lookup(service, linkInfo)
+    }
+
+    /**
+     * Get the service of an enabled platform
+     * @param {string} platform - Platform ID, e.g. 'spotify'
+     * @returns {Object|null} Platform service, null if the platform is not enabled
+     * @private
+     */
+    getService(platform) {
+        return this.services.get(platform) || null
+    }
+
+    /**
+     * Get the platforms a link is converted to
+     * @param {string} sourcePlatform - Platform of the link
+     * @param {string} type - Link type
+     * @returns {Array<string>} Other enabled platforms that support the type, in registration order
+     */
+    getTargetPlatforms(sourcePlatform, type) {
+        const targetType = ConverterService.TARGET_TYPES[type] || type
+        return [...this.services.keys()].filter(
+            (platform) => platform !== sourcePlatform && getProvider(platform).types.includes(targetType)
+        )
     }
 
     /**
-     * Convert song to opposite platform using search and matching
+     * Find a song, album, artist or podcast on another platform using search and matching
      * @param {Object} originalSong - Original song metadata
-     * @param {string} sourcePlatform - Source platform ('spotify' or 'apple_music')
-     * @returns {Object|null} Best matching song on target platform or null if no good match
+     * @param {string} targetPlatform - Platform to search on
+     * @param {string} type - Link type ('track', 'album', 'artist', 'music_video', 'show' or 'episode')
+     * @param {string} [storefront] - Storefront (country code) to search in on the target platform
+     * @returns {Object} { match, alternatives }: best matching song or album on target platform (null if
+     *   nothing was found) and the next best search results
      * @private
      */
-    async convertToOppositePlatform(originalSong, sourcePlatform) {
-        const targetService =
-            sourcePlatform === "spotify"
-                ? this.appleMusicService
-                : this.spotifyService
+    async findMatches(
+        originalSong,
+        targetPlatform,
+        type = "track",
+        storefront
+    ) {
+        const targetService = this.getService(targetPlatform)
+
+        if (type === "artist") {
+            return await this.findArtistMatches(targetService, originalSong, storefront)
+        }
 
-        // Create search query combining artist and track name
+        if (ConverterService.PODCAST_TYPES.includes(type)) {
+            return await this.findPodcastMatches(targetService, originalSong, type, storefront)
+        }
+
+        // Create search query combining artist and track/album name
         const searchQuery = `${originalSong.artist} ${originalSong.name}`
 
+        if (type === "album") {
+            // UPC identifies the exact release, so try it before fuzzy search
+            if (originalSong.upc) {
+                const exactMatch = await this.findAlbumByUpc(
+                    targetService,
+                    originalSong.upc,
+                    storefront
+                )
+                if (exactMatch) {
+                    return {
+                        match: { ...exactMatch, matchScore: 100, matchType: "upc" },
+                        alternatives: [],
+                    }
+                }
+                clog(`No UPC match for ${originalSong.upc}, falling back to search`)
+            }
+
+            const albumResults = await targetService.searchAlbums(
+                searchQuery,
+                10,
+                storefront
+            )
+
+            return this.splitRankedMatches(
+                rankAlbumMatches(originalSong, albumResults)
+            )
+        }
+
+        // ISRC identifies the exact recording, so try it before fuzzy search
+        if (originalSong.isrc) {
+            const exactMatch = await targetService.getTrackByIsrc(
+                originalSong.isrc,
+                storefront
+            )
+            if (exactMatch) {
+                return {
+                    match: { ...exactMatch, matchScore: 100, matchType: "isrc" },
+                    alternatives: [],
+                }
+            }
+            clog(`No ISRC match for ${originalSong.isrc}, falling back to search`)
+        }
+
         // Search for matches on target platform
-        const searchResults = await targetService.searchTracks(searchQuery, 10)
-        if (searchResults.length === 0) {
+        const searchResults = await targetService.searchTracks(
+            searchQuery,
+            10,
+            storefront
+        )
+
+        // Rank matches using scoring algorithm. Keep the best one regardless of score:
+        // the minimum confidence is applied per chat after caching
+        return this.splitRankedMatches(
+            rankMatches(originalSong, searchResults, { musicVideo: type === "music_video" })
+        )
+    }
+
+    /**
+     * Search an artist by name and tell namesakes apart by their top tracks
+     * @param {Object} targetService - Service of the target platform
+     * @param {Object} originalArtist - Original artist metadata with top tracks
+     * @param {string} [storefront] - Storefront (country code) to search in
+     * @returns {Object} { match, alternatives }
+     * @private
+     */
+    async findArtistMatches(targetService, originalArtist, storefront) {
+        const searchResults = await targetService.searchArtists(
+            originalArtist.name,
+            ConverterService.ARTIST_SEARCH_LIMIT,
+            storefront
+        )
+
+        // Search results come without top tracks, so fetch them for the closest names only
+        const closest = rankArtistMatches(originalArtist, searchResults)
+            .slice(0, ConverterService.ARTIST_CHECK_LIMIT)
+        const detailed = await Promise.all(
+            closest.map((artist) => targetService.getArtistById(artist.id, storefront))
+        )
+
+        return this.splitRankedMatches(
+            rankArtistMatches(
+                originalArtist,
+                detailed.map((artist, index) => artist || closest[index])
+            )
+        )
+    }
+
+    /**
+     * Search a podcast show by name, and for episodes pick from the latest episodes of the best show
+     * @param {Object} targetService - Service of the target platform
+     * @param {Object} original - Original show or episode metadata
+     * @param {string} type - 'show' or 'episode'
+     * @param {string} [storefront] - Storefront (country code) to search in
+     * @returns {Object} { match, alternatives }
+     * @private
+     */
+    async findPodcastMatches(targetService, original, type, storefront) {
+        if (type === "show") {
+            const shows = await targetService.searchShows(original.name, ConverterService.SHOW_SEARCH_LIMIT, storefront)
+            return this.splitRankedMatches(rankShowMatches(original, shows))
+        }
+
+        // Episode search results do not tell which show they belong to, so find the show first
+        const originalShow = { name: original.album, publisher: original.publisher }
+        const shows = await targetService.searchShows(originalShow.name, ConverterService.SHOW_SEARCH_LIMIT, storefront)
+        const [show] = rankShowMatches(originalShow, shows)
+        if (!show || show.matchScore < DEFAULT_MIN_SCORE) {
+            clog(`No matching show for "${originalShow.name}" on ${targetService.platformName}`)
+            return { match: null, alternatives: [] }
+        }
+
+        const episodes = await targetService.getShowEpisodes(show.id, storefront)
+        return this.splitRankedMatches(rankEpisodeMatches(original, episodes))
+    }
+
+    /**
+     * Split ranked search results into the best match and a few alternatives
+     * @param {Array} ranked - Candidates with matchScore, best first
+     * @returns {Object} { match, alternatives }
+     * @private
+     */
+    splitRankedMatches(ranked) {
+        const [match = null, ...rest] = ranked
+        return {
+            match,
+            alternatives: rest.slice(0, ConverterService.ALTERNATIVES_LIMIT),
+        }
+    }
+
+    /**
+     * Look up an album by UPC, also trying the 12-digit form of 13-digit codes
+     * @param {Object} targetService - Service of the target platform
+     * @param {string} upc - UPC/EAN code of the original album
+     * @param {string} [storefront] - Storefront (country code) to look the album up in
+     * @returns {Object|null} Album metadata or null if not found
+     * @private
+     */
+    async findAlbumByUpc(targetService, upc, storefront) {
+        const album = await targetService.getAlbumByUpc(upc, storefront)
+        if (album) return album
+
+        // Spotify often reports EAN-13 with a leading zero where Apple Music uses UPC-A
+        if (upc.length === 13 && upc.startsWith("0")) {
+            return await targetService.getAlbumByUpc(upc.substring(1), storefront)
+        }
+
+        return null
+    }
+
+    /**
+     * Search for tracks on all enabled platforms with tracks at once
+     * @param {string} query - Free text search query
+     * @param {number} limit - Maximum number of results per platform (default: 5)
+     * @returns {Array} Results from all platforms, interleaved so each platform is represented at the top
+     */
+    async searchAllPlatforms(query, limit = 5) {
+        const platformResults = await Promise.all(
+            this.getTrackPlatforms().map((platform) => this.getService(platform).searchTracks(query, limit))
+        )
+
+        const results = []
+        const maxLength = Math.max(0, ...platformResults.map((songs) => songs.length))
+        for (let i = 0; i < maxLength; i++) {
+            for (const songs of platformResults) {
+                if (songs[i]) results.push(songs[i])
+            }
+        }
+
+        return results
+    }
+
+    /**
+     * Search every enabled platform with tracks and group results that are the same song.
+     * Songs of the first platform are ordered by how well they answer the query and matched
+     * on the other platforms; with a single platform its results are offered as they are
+     * @param {string} query - Search text, "artist - title" is scored per field
+     * @param {string} [storefront] - Storefront (country code) to search in
+     * @returns {Array} Song sets { songs, score, matchType }, best answer to the query first, where songs
+     *   maps platform IDs to the song found there in provider order and score is the weakest match
+     */
+    async searchSongPairs(query, storefront) {
+        const platforms = this.getTrackPlatforms()
+        if (platforms.length === 0) {
+            clog("Search needs a platform with tracks enabled")
+            return []
+        }
+
+        const parsed = parseSearchQuery(query)
+        const searchText = parsed.artist ? `${parsed.artist} ${parsed.title}` : parsed.title
+
+        const results = await Promise.all(
+            platforms.map((platform) =>
+                this.getService(platform).searchTracks(searchText, ConverterService.SEARCH_LIMIT, storefront || undefined)
+            )
+        )
+        const [leadResults, ...otherResults] = results
+
+        // Array.prototype.sort is stable, so equally relevant songs keep the search order
+        const ordered = leadResults
+            .map((song) => ({ song, relevance: calculateQueryScore(parsed, song) }))
+            .sort((a, b) => b.relevance - a.relevance)
+
+        const paired = new Set()
+        const pairs = []
+        for (const { song: leadSong, relevance } of ordered) {
+            const matches = otherResults
+                .map((candidates) => this.matchSearchResult(leadSong, candidates.filter((song) => !paired.has(song.id))))
+                .filter(Boolean)
+
+            if (platforms.length > 1 && matches.length === 0) {
+                continue
+            }
+
+            matches.forEach((match) => paired.add(match.id))
+            pairs.push({
+                songs: Object.fromEntries([leadSong, ...matches].map((song) => [song.platform, song])),
+                score: matches.length > 0 ? Math.min(...matches.map((match) => match.matchScore)) : relevance,
+                matchType: matches.length > 0 && matches.every((match) => match.matchType === "isrc") ? "isrc" : undefined,
+            })
+            if (pairs.length === ConverterService.SEARCH_PAIRS_LIMIT) {
+                break
+            }
+        }
+
+        const counts = platforms.map((platform, index) => `${results[index].length} ${getPlatformName(platform)}`)
+        clog(`Search "${query}": ${counts.join(", ")} results, ${pairs.length} pairs`)
+        return pairs
+    }
+
+    /**
+     * Find the search result of another platform that is the same song
+     * @param {Object} song - Song to match
+     * @param {Array} candidates - Search results of the other platform
+     * @returns {Object|null} Best result with matchScore and matchType, null if none is close enough
+     * @private
+     */
+    matchSearchResult(song, candidates) {
+        const sameIsrc = song.isrc && candidates.find((candidate) => candidate.isrc === song.isrc)
+        if (sameIsrc) {
+            return { ...sameIsrc, matchScore: 100, matchType: "isrc" }
+        }
+
+        const [best] = rankMatches(song, candidates)
+        return best && best.matchScore >= DEFAULT_MIN_SCORE ? best : null
+    }
+
+    /**
+     * Look up a set of songs offered by /search again
+     * @param {Object} songIds - Platform IDs mapped to track IDs, the first one is the song the others matched
+     * @param {string} [storefront] - Storefront (country code) to look the songs up in
+     * @returns {Object|null} Song set { songs, score, matchType } like searchSongPairs, null if a song
+     *   is gone or its platform is not enabled
+     */
+    async getSongPair(songIds, storefront) {
+        const entries = Object.entries(songIds)
+        if (entries.length === 0 || entries.some(([platform]) => !this.getService(platform) || !getProvider(platform).lookups?.track)) {
             return null
         }
 
-        // Find best match using scoring algorithm
-        const bestMatch = findBestMatch(originalSong, searchResults)
-        return bestMatch
+        const songs = await Promise.all(entries.map(([platform, id]) =>
+            getProvider(platform).lookups.track(this.getService(platform), { platform, type: "track", id, storefront })
+        ))
+        if (songs.some((song) => !song)) {
+            return null
+        }
+
+        const [leadSong, ...others] = songs
+        const sameIsrc = others.length > 0 && others.every((song) => Boolean(leadSong.isrc) && song.isrc === leadSong.isrc)
+        return {
+            songs: Object.fromEntries(entries.map(([platform], index) => [platform, songs[index]])),
+            score: sameIsrc ? 100 : Math.min(100, ...others.map((song) => calculateSongScore(leadSong, song))),
+            matchType: sameIsrc ? "isrc" : undefined,
+        }
+    }
+
+    /**
+     * Format a /search answer with links on every platform the song was found on
+     * @param {Object} pair - Song set from searchSongPairs
+     * @returns {string} Formatted message for Telegram
+     */
+    formatSongPairMessage(pair) {
+        const { songs, score, matchType } = pair
+        const [leadSong] = Object.values(songs)
+        const links = Object.entries(songs).map(([platform, song]) => `${this.getPlatformLabel(platform)}: ${song.externalUrl}`)
+
+        return `🔎 ${leadSong.artist} – ${leadSong.name} (${getConfidenceLevel(score, matchType)})\n${links.join("\n")}`
+    }
+
+    /**
+     * Get the enabled platforms that have tracks
+     * @returns {Array} Platform IDs in provider order
+     * @private
+     */
+    getTrackPlatforms() {
+        return [...this.services.keys()].filter((platform) => getProvider(platform).types.includes("track"))
+    }
+
+    /**
+     * Create a formatted message for a single song found by search
+     * @param {Object} song - Normalized song object
+     * @returns {string} Formatted message for Telegram
+     */
+    formatSongMessage(song) {
+        return `${this.getPlatformLabel(song.platform)}: ${song.artist} – ${song.name}\n${song.externalUrl}`
+    }
+
+    /**
+     * Create a one line title of a song with its platform emoji
+     * @param {Object} song - Normalized song object
+     * @returns {string} Title like "🟢 Artist – Name"
+     */
+    formatSongTitle(song) {
+        return `${getPlatformEmoji(song.platform)} ${formatTitle(song)}`
+    }
+
+    /**
+     * Get a human readable label for a platform
+     * @param {string} platform - Platform ID, e.g. 'spotify'
+     * @returns {string} Emoji and display name
+     */
+    getPlatformLabel(platform) {
+        return `${getPlatformEmoji(platform)} ${getPlatformName(platform)}`
     }
 
     /**
      * Create a formatted response message for the converted link
      * @param {Object} conversionResult - Result from convertMusicLink
+     * @param {string} style - Reply style: 'full' (platforms and confidence) or 'compact' (link only)
      * @returns {string} Formatted message for Telegram
      */
-    formatConversionMessage(conversionResult) {
+    formatConversionMessage(conversionResult, style = "full") {
         if (!conversionResult) {
             clog("No valid conversion result")
             return "Sorry, I couldn't convert this music link. Please make sure it's a valid Spotify or Apple Music URL."
@@ -185,22 +1113,142 @@ class ConverterService {
         const { converted, confidence, sourcePlatform, targetPlatform } =
             conversionResult
 
-        const platformEmojis = {
-            spotify: "🟢",
-            apple_music: "🍎",
-        }
-
-        const sourceName =
-            sourcePlatform === "spotify" ? "Spotify" : "Apple Music"
-        const targetName =
-            targetPlatform === "spotify" ? "Spotify" : "Apple Music"
-        const sourceEmoji = platformEmojis[sourcePlatform]
-        const targetEmoji = platformEmojis[targetPlatform]
+        const sourceLabel = this.getPlatformLabel(sourcePlatform)
+        const targetLabel = this.getPlatformLabel(targetPlatform)
+        const targetEmoji = getPlatformEmoji(targetPlatform)
 
         clog(
-            `Converted: ${sourceEmoji} ${sourceName} → ${targetEmoji} ${targetName} (${confidence}), link: ${converted.externalUrl}`
+            `Converted: ${sourceLabel} → ${targetLabel} (${confidence}), link: ${converted.externalUrl}`
         )
-        return `${sourceEmoji} ${sourceName} → ${targetEmoji} ${targetName} (${confidence})\n${converted.externalUrl}`
+
+        const musicVideo = this.formatMusicVideoLine(conversionResult)
+        const others = (conversionResult.others || []).map((other) =>
+            style === "compact"
+                ? `\n${getPlatformEmoji(other.targetPlatform)} ${other.converted.externalUrl}`
+                : `\n${this.getPlatformLabel(other.targetPlatform)} (${other.confidence})\n${other.converted.externalUrl}`
+        )
+
+        if (style === "compact") {
+            return `${targetEmoji} ${converted.externalUrl}${musicVideo}${others.join("")}`
+        }
+
+        return `${sourceLabel} → ${targetLabel} (${confidence})\n${converted.externalUrl}${musicVideo}${others.join("")}`
+    }
+
+    /**
+     * Create the line with the music video link of a conversion
+     * @param {Object} conversionResult - Result from convertMusicLink
+     * @returns {string} Line starting with a line break, empty without a music video
+     * @private
+     */
+    formatMusicVideoLine(conversionResult) {
+        return conversionResult.musicVideo ? `\n🎬 ${conversionResult.musicVideo.externalUrl}` : ""
+    }
+
+    /**
+     * Create the summary message of a playlist conversion
+     * @param {Object} conversion - Result from convertPlaylist
+     * @returns {string} Formatted message for Telegram
+     */
+    formatPlaylistSummary(conversion) {
+        const { playlist, entries, matched, lowConfidence, missing, targetPlatform } = conversion
+        const limit = ConverterService.PLAYLIST_SUMMARY_LIMIT
+
+        const listTracks = (status) => {
+            const tracks = entries.filter((entry) => entry.status === status).map((entry) => `• ${formatTitle(entry.track)}`)
+            const more = tracks.length > limit ? [`…and ${tracks.length - limit} more`] : []
+            return [...tracks.slice(0, limit), ...more].join("\n")
+        }
+
+        const lines = [
+            `📋 ${formatTitle(playlist)} → ${this.getPlatformLabel(targetPlatform)}`,
+            `✅ ${matched} of ${entries.length} tracks matched`,
+        ]
+        if (lowConfidence > 0) {
+            lines.push(`\n⚠️ ${lowConfidence} low confidence:\n${listTracks("low_confidence")}`)
+        }
+        if (missing > 0) {
+            lines.push(`\n❌ ${missing} not found:\n${listTracks("missing")}`)
+        }
+        if (playlist.trackCount > entries.length) {
+            lines.push(`\nOnly the first ${entries.length} of ${playlist.trackCount} tracks could be converted.`)
+        }
+
+        return lines.join("\n")
+    }
+
+    /**
+     * Create the full track list of a playlist conversion, sent as a file
+     * @param {Object} conversion - Result from convertPlaylist
+     * @returns {string} Plain text with one numbered track per entry and its converted link
+     */
+    formatPlaylistTrackList(conversion) {
+        const { playlist, entries, sourcePlatform, targetPlatform } = conversion
+
+        const tracks = entries.map((entry, index) => {
+            const title = `${index + 1}. ${formatTitle(entry.track)}`
+            if (!entry.result) {
+                return `${title}\n   ❌ Not found`
+            }
+
+            const { converted, confidence } = entry.result
+            const mark = entry.status === "matched" ? "✅" : "⚠️"
+            return `${title}\n   ${mark} ${formatTitle(converted)} (${confidence})\n   ${converted.externalUrl}`
+        })
+
+        return `${formatTitle(playlist)}
+${getPlatformName(sourcePlatform)} → ${getPlatformName(targetPlatform)}
+${playlist.externalUrl}
+
+${tracks.join("\n\n")}
+`
+    }
+
+    /**
+     * Create a combined response message for several converted links
+     * @param {Array} entries - Array of { url, result, error } objects, one per original link
+     * @param {string} style - Reply style: 'full' (titles and confidence) or 'compact' (links only)
+     * @returns {string} Formatted message for Telegram
+     */
+    formatMultipleConversionsMessage(entries, style = "full") {
+        const lines = entries.map((entry, index) => {
+            const position = `${index + 1}.`
+
+            if (!entry.result) {
+                if (style === "compact") {
+                    return `${position} ❌`
+                }
+
+                const reason = entry.error
+                    ? "conversion error"
+                    : "no match found"
+                return `${position} ❌ ${entry.url} (${reason})`
+            }
+
+            const { original, converted, confidence, targetPlatform } =
+                entry.result
+            const targetEmoji = getPlatformEmoji(targetPlatform)
+
+            const musicVideo = this.formatMusicVideoLine(entry.result)
+            const others = (entry.result.others || [])
+                .map((other) => `\n${getPlatformEmoji(other.targetPlatform)} ${other.converted.externalUrl}`)
+                .join("")
+
+            if (style === "compact") {
+                return `${position} ${targetEmoji} ${converted.externalUrl}${musicVideo}${others}`
+            }
+
+            return `${position} ${formatTitle(original)} (${confidence})\n${targetEmoji} ${converted.externalUrl}${musicVideo}${others}`
+        })
+
+        const convertedCount = entries.filter((entry) => entry.result).length
+        clog(`Converted ${convertedCount} of ${entries.length} links`)
+
+        if (style === "compact") {
+            return lines.join("\n")
+        }
+
+        return `🎶 Converted ${convertedCount} of ${entries.length} links:\n\n${lines.join("\n\n")}`
     }
 }
 
@@ -0,0 +1,131 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const axios = require('axios')
+const { clog } = require('../utils/logs')
+const { parseMusicLink, isShortLink } = require('../utils/link_parser')
+// Registers the link patterns of the platforms
+require('../providers/registry')
+
+/**
+ * Turns the many forms a shared link comes in into one canonical URL:
+ * follows Spotify short links, rewrites spotify: URIs, drops locale prefixes
+ * and tracking parameters
+ */
+class LinkResolver {
+    static REDIRECT_LIMIT = 5
+    static TIMEOUT_MS = 5000
+    // Query parameters that identify the content on Apple links, everything else is tracking
+    static APPLE_PARAMS = ['i']
+
+    /**
+     * Resolve a shared link to its canonical URL
+     * @param {string} url - Link as shared: short link, spotify: URI or full URL
+     * @returns {string|null} Canonical URL, null if a short link could not be followed
+     */
+    async resolve(url) {
+        if (!this.isShortLink(url)) {
+            return this.canonicalize(url)
+        }
+
+        const target = await this.followRedirects(url)
+        if (!target) {
+            clog(`Could not resolve short link ${url}`)
+            return null
+        }
+
+        return this.canonicalize(target)
+    }
+
+    /**
+     * Check if a link is a Spotify short link
+     * @param {string} url - Link to check
+     * @returns {boolean} True for spotify.link and spotify.app.link URLs
+     */
+    isShortLink(url) {
+        return isShortLink(url)
+    }
+
+    /**
+     * Rewrite a link into its canonical form without any network requests
+     * @param {string} url - spotify: URI or full URL
+     * @returns {string} https://open.spotify.com/<type>/<id> for Spotify links, Apple links without
+     *   tracking parameters, other links unchanged
+     */
+    canonicalize(url) {
+        const linkInfo = parseMusicLink(url)
+        if (!linkInfo) {
+            return url
+        }
+
+        // Locale prefixes like /intl-de/ and all query parameters (?si=, utm_...) go away
+        if (linkInfo.platform === 'spotify') {
+            return `https://open.spotify.com/${linkInfo.type}/${linkInfo.id}`
+        }
+
+        let parsed
+        try {
+            parsed = new URL(url)
+        } catch (error) {
+            return url
+        }
+
+        // Apple links keep their path, geo.music.apple.com is the same site
+        const host = parsed.hostname.toLowerCase().replace(/^geo\./, '')
+        const params = new URLSearchParams()
+        for (const name of LinkResolver.APPLE_PARAMS) {
+            if (parsed.searchParams.has(name)) {
+                params.set(name, parsed.searchParams.get(name))
+            }
+        }
+
+        const query = params.toString()
+        return `https://${host}${parsed.pathname}${query ? `?${query}` : ''}`
+    }
+
+    /**
+     * Follow the redirects of a short link until it leaves the shortener hosts
+     * @param {string} url - Short link
+     * @returns {string|null} First URL outside the shortener hosts, null on errors, timeouts or too many redirects
+     * @private
+     */
+    async followRedirects(url) {
+        let current = url
+
+        for (let redirects = 0; redirects <= LinkResolver.REDIRECT_LIMIT; redirects++) {
+            if (!this.isShortLink(current)) {
+                return current
+            }
+
+            let response
+            try {
+                response = await axios.get(current, {
+                    maxRedirects: 0,
+                    timeout: LinkResolver.TIMEOUT_MS,
+                    validateStatus: (status) => status < 400
+                })
+            } catch (error) {
+                clog(`Error following short link ${current}:`, error.message)
+                return null
+            }
+
+            const location = response.headers?.location
+            if (response.status >= 300 && location) {
+                current = new URL(location, current).href
+                continue
+            }
+
+            // Some share links answer with a landing page instead of redirecting
+            const body = typeof response.data === 'string' ? response.data : ''
+            const linkMatch = /https:\/\/open\.spotify\.com\/[^"'\s<>]+/.exec(body)
+            return linkMatch ? linkMatch[0] : null
+        }
+
+        clog(`Short link ${url} redirects more than ${LinkResolver.REDIRECT_LIMIT} times`)
+        return null
+    }
+}
+
+module.exports = { LinkResolver }
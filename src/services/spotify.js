@@ -7,7 +7,7 @@ const axios = require('axios')
 const { clog } = require('../utils/logs')
 
 /**
- * Spotify API service for retrieving track/album metadata and searching
+ * Spotify API service for retrieving track/album/artist/playlist/podcast metadata and searching
  */
 class SpotifyService {
     constructor(clientId, clientSecret) {
@@ -91,18 +91,203 @@ class SpotifyService {
         }
     }
 
+    /**
+     * Get artist by Spotify artist ID, with the names of a few top tracks
+     * @param {string} artistId - Spotify artist ID
+     * @param {string} market - Country code the top tracks are taken from (default: US)
+     * @returns {Object|null} Artist metadata or null if not found
+     */
+    async getArtistById(artistId, market = 'US') {
+        await this.authenticate()
+
+        try {
+            const headers = { 'Authorization': `Bearer ${this.accessToken}` }
+            const [artistResponse, topTracksResponse] = await Promise.all([
+                axios.get(`${this.baseUrl}/artists/${artistId}`, { headers }),
+                axios.get(`${this.baseUrl}/artists/${artistId}/top-tracks?market=${market.toUpperCase()}`, { headers })
+            ])
+
+            return this.createArtistFromSpotifyArtist(artistResponse.data, topTracksResponse.data.tracks)
+        } catch (error) {
+            clog('Error fetching Spotify artist:', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Get playlist by Spotify playlist ID, paging through its tracks
+     * @param {string} playlistId - Spotify playlist ID
+     * @param {string} market - Optional country code to relink tracks to versions available there
+     * @param {number} maxTracks - Stop paging after this many tracks (default: 1000)
+     * @returns {Object|null} Playlist metadata with tracks or null if not found
+     */
+    async getPlaylistById(playlistId, market = null, maxTracks = 1000) {
+        await this.authenticate()
+
+        try {
+            const headers = { 'Authorization': `Bearer ${this.accessToken}` }
+            const marketParam = market ? `?market=${market.toUpperCase()}` : ''
+            const response = await axios.get(`${this.baseUrl}/playlists/${playlistId}${marketParam}`, { headers })
+
+            const playlist = response.data
+            const items = [...playlist.tracks.items]
+            let next = playlist.tracks.next
+            while (next && items.length < maxTracks) {
+                const page = await axios.get(next, { headers })
+                items.push(...page.data.items)
+                next = page.data.next
+            }
+
+            return this.createPlaylistFromSpotifyPlaylist(playlist, items.slice(0, maxTracks))
+        } catch (error) {
+            clog('Error fetching Spotify playlist:', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Get podcast show by Spotify show ID
+     * @param {string} showId - Spotify show ID
+     * @param {string} market - Country code, shows are only returned for a market (default: US)
+     * @returns {Object|null} Show metadata or null if not found
+     */
+    async getShowById(showId, market = 'US') {
+        await this.authenticate()
+
+        try {
+            const response = await axios.get(`${this.baseUrl}/shows/${showId}?market=${market.toUpperCase()}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`
+                }
+            })
+
+            return this.createShowFromSpotifyShow(response.data)
+        } catch (error) {
+            clog('Error fetching Spotify show:', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Get podcast episode by Spotify episode ID
+     * @param {string} episodeId - Spotify episode ID
+     * @param {string} market - Country code, episodes are only returned for a market (default: US)
+     * @returns {Object|null} Episode metadata or null if not found
+     */
+    async getEpisodeById(episodeId, market = 'US') {
+        await this.authenticate()
+
+        try {
+            const response = await axios.get(`${this.baseUrl}/episodes/${episodeId}?market=${market.toUpperCase()}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`
+                }
+            })
+
+            return this.createEpisodeFromSpotifyEpisode(response.data, response.data.show)
+        } catch (error) {
+            clog('Error fetching Spotify episode:', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Get the episodes of a podcast show, paging back from the newest one
+     * @param {string} showId - Spotify show ID
+     * @param {string} market - Country code (default: US)
+     * @param {number} maxEpisodes - Stop paging after this many episodes (default: 500)
+     * @returns {Array} Array of episode objects, newest first
+     */
+    async getShowEpisodes(showId, market = 'US', maxEpisodes = 500) {
+        await this.authenticate()
+
+        try {
+            const headers = { 'Authorization': `Bearer ${this.accessToken}` }
+
+            // The show comes with its first page of episodes
+            const response = await axios.get(`${this.baseUrl}/shows/${showId}?market=${market.toUpperCase()}`, { headers })
+
+            const show = response.data
+            const items = [...(show.episodes?.items || [])]
+            let next = show.episodes?.next
+            while (next && items.length < maxEpisodes) {
+                const page = await axios.get(next, { headers })
+                items.push(...page.data.items)
+                next = page.data.next
+            }
+
+            return items
+                .filter(Boolean)
+                .slice(0, maxEpisodes)
+                .map(episode => this.createEpisodeFromSpotifyEpisode(episode, show))
+        } catch (error) {
+            clog('Error fetching Spotify show episodes:', error.message)
+            return []
+        }
+    }
+
+    /**
+     * Find a track by its ISRC code
+     * @param {string} isrc - International Standard Recording Code
+     * @returns {Object|null} Track metadata or null if not found
+     */
+    async getTrackByIsrc(isrc) {
+        await this.authenticate()
+
+        try {
+            const encodedQuery = encodeURIComponent(`isrc:${isrc}`)
+            const response = await axios.get(`${this.baseUrl}/search?q=${encodedQuery}&type=track&limit=1`, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`
+                }
+            })
+
+            const tracks = response.data.tracks.items
+            return tracks.length > 0 ? this.createSongFromSpotifyTrack(tracks[0]) : null
+        } catch (error) {
+            clog('Error fetching Spotify track by ISRC:', error.message)
+            return null
+        }
+    }
+
+    /**
+     * Find an album by its UPC code
+     * @param {string} upc - Universal Product Code
+     * @returns {Object|null} Album metadata or null if not found
+     */
+    async getAlbumByUpc(upc) {
+        await this.authenticate()
+
+        try {
+            const encodedQuery = encodeURIComponent(`upc:${upc}`)
+            const response = await axios.get(`${this.baseUrl}/search?q=${encodedQuery}&type=album&limit=1`, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`
+                }
+            })
+
+            const albums = response.data.albums.items
+            return albums.length > 0 ? this.createSongFromSpotifyAlbum(albums[0]) : null
+        } catch (error) {
+            clog('Error fetching Spotify album by UPC:', error.message)
+            return null
+        }
+    }
+
     /**
      * Search for tracks on Spotify
      * @param {string} query - Search query
      * @param {number} limit - Maximum number of results (default: 10)
+     * @param {string} market - Optional country code to limit results to tracks available there
      * @returns {Array} Array of track objects
      */
-    async searchTracks(query, limit = 10) {
+    async searchTracks(query, limit = 10, market = null) {
         await this.authenticate()
 
         try {
             const encodedQuery = encodeURIComponent(query)
-            const response = await axios.get(`${this.baseUrl}/search?q=${encodedQuery}&type=track&limit=${limit}`, {
+            const marketParam = market ? `&market=${market.toUpperCase()}` : ''
+            const response = await axios.get(`${this.baseUrl}/search?q=${encodedQuery}&type=track&limit=${limit}${marketParam}`, {
                 headers: {
                     'Authorization': `Bearer ${this.accessToken}`
                 }
@@ -116,6 +301,87 @@ class SpotifyService {
         }
     }
 
+    /**
+     * Search for albums on Spotify
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results (default: 10)
+     * @param {string} market - Optional country code to limit results to albums available there
+     * @returns {Array} Array of album objects
+     */
+    async searchAlbums(query, limit = 10, market = null) {
+        await this.authenticate()
+
+        try {
+            const encodedQuery = encodeURIComponent(query)
+            const marketParam = market ? `&market=${market.toUpperCase()}` : ''
+            const response = await axios.get(`${this.baseUrl}/search?q=${encodedQuery}&type=album&limit=${limit}${marketParam}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`
+                }
+            })
+
+            const albums = response.data.albums.items
+            return albums.map(album => this.createSongFromSpotifyAlbum(album))
+        } catch (error) {
+            clog('Error searching Spotify albums:', error.message)
+            return []
+        }
+    }
+
+    /**
+     * Search for artists on Spotify
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results (default: 10)
+     * @param {string} market - Optional country code to limit results to artists available there
+     * @returns {Array} Array of artist objects, without top tracks
+     */
+    async searchArtists(query, limit = 10, market = null) {
+        await this.authenticate()
+
+        try {
+            const encodedQuery = encodeURIComponent(query)
+            const marketParam = market ? `&market=${market.toUpperCase()}` : ''
+            const response = await axios.get(`${this.baseUrl}/search?q=${encodedQuery}&type=artist&limit=${limit}${marketParam}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`
+                }
+            })
+
+            const artists = response.data.artists.items
+            return artists.map(artist => this.createArtistFromSpotifyArtist(artist))
+        } catch (error) {
+            clog('Error searching Spotify artists:', error.message)
+            return []
+        }
+    }
+
+    /**
+     * Search for podcast shows on Spotify
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results (default: 10)
+     * @param {string} market - Country code, shows are only returned for a market (default: US)
+     * @returns {Array} Array of show objects
+     */
+    async searchShows(query, limit = 10, market = 'US') {
+        await this.authenticate()
+
+        try {
+            const encodedQuery = encodeURIComponent(query)
+            const response = await axios.get(`${this.baseUrl}/search?q=${encodedQuery}&type=show&limit=${limit}&market=${market.toUpperCase()}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`
+                }
+            })
+
+            // Shows unavailable in the market come back as null
+            const shows = response.data.shows.items.filter(Boolean)
+            return shows.map(show => this.createShowFromSpotifyShow(show))
+        } catch (error) {
+            clog('Error searching Spotify shows:', error.message)
+            return []
+        }
+    }
+
     /**
      * Create song object from Spotify track data
      * @param {Object} track - Spotify track data
@@ -136,7 +402,8 @@ class SpotifyService {
             imageUrl,
             previewUrl: track.preview_url,
             externalUrl: track.external_urls?.spotify,
-            platform: 'spotify'
+            platform: 'spotify',
+            isrc: track.external_ids?.isrc || null
         }
     }
 
@@ -151,6 +418,7 @@ class SpotifyService {
         const artistName = artists.length > 0 ? artists[0].name : 'Unknown Artist'
         const images = album.images || []
         const imageUrl = images.length > 0 ? images[0].url : null
+        const releaseYear = album.release_date ? parseInt(album.release_date.substring(0, 4), 10) : null
 
         return {
             id: album.id,
@@ -160,39 +428,116 @@ class SpotifyService {
             imageUrl,
             previewUrl: null,
             externalUrl: album.external_urls?.spotify,
-            platform: 'spotify'
+            platform: 'spotify',
+            trackCount: album.total_tracks || null,
+            releaseYear: releaseYear || null,
+            upc: album.external_ids?.upc || null
+        }
+    }
+
+    /**
+     * Create artist object from Spotify artist data
+     * @param {Object} artist - Spotify artist data
+     * @param {Array} topTracks - Spotify track data of the artist's top tracks
+     * @returns {Object} Normalized artist object, artist and album are null
+     * @private
+     */
+    createArtistFromSpotifyArtist(artist, topTracks = []) {
+        const images = artist.images || []
+        const imageUrl = images.length > 0 ? images[0].url : null
+
+        return {
+            id: artist.id,
+            name: artist.name,
+            artist: null,
+            album: null,
+            imageUrl,
+            previewUrl: null,
+            externalUrl: artist.external_urls?.spotify,
+            platform: 'spotify',
+            genres: artist.genres || [],
+            topTracks: topTracks.map(track => track.name)
         }
     }
 
     /**
-     * Extract track ID from Spotify URL
-     * @param {string} url - Spotify URL
-     * @returns {string|null} Track ID or null if not found
+     * Create playlist object from Spotify playlist data
+     * @param {Object} playlist - Spotify playlist data
+     * @param {Array} items - Spotify playlist items of all fetched pages
+     * @returns {Object} Normalized playlist object, artist is the owner and tracks are normalized songs
+     * @private
      */
-    extractTrackIdFromUrl(url) {
-        const trackRegex = /spotify\.com\/track\/([a-zA-Z0-9]+)/
-        const match = trackRegex.exec(url)
-        return match ? match[1] : null
+    createPlaylistFromSpotifyPlaylist(playlist, items) {
+        const images = playlist.images || []
+        const imageUrl = images.length > 0 ? images[0].url : null
+
+        // Local files, removed tracks and podcast episodes cannot be converted
+        const tracks = items
+            .filter(item => item.track && item.track.type === 'track' && !item.is_local)
+            .map(item => this.createSongFromSpotifyTrack(item.track))
+
+        return {
+            id: playlist.id,
+            name: playlist.name,
+            artist: playlist.owner?.display_name || null,
+            album: null,
+            imageUrl,
+            previewUrl: null,
+            externalUrl: playlist.external_urls?.spotify,
+            platform: 'spotify',
+            trackCount: playlist.tracks?.total ?? tracks.length,
+            tracks
+        }
     }
 
     /**
-     * Extract album ID from Spotify URL
-     * @param {string} url - Spotify URL
-     * @returns {string|null} Album ID or null if not found
+     * Create show object from Spotify show data
+     * @param {Object} show - Spotify show data
+     * @returns {Object} Normalized show object, artist is the publisher
+     * @private
      */
-    extractAlbumIdFromUrl(url) {
-        const albumRegex = /spotify\.com\/album\/([a-zA-Z0-9]+)/
-        const match = albumRegex.exec(url)
-        return match ? match[1] : null
+    createShowFromSpotifyShow(show) {
+        const images = show.images || []
+        const imageUrl = images.length > 0 ? images[0].url : null
+
+        return {
+            id: show.id,
+            name: show.name,
+            artist: show.publisher || null,
+            album: null,
+            imageUrl,
+            previewUrl: null,
+            externalUrl: show.external_urls?.spotify,
+            platform: 'spotify',
+            publisher: show.publisher || null,
+            episodeCount: show.total_episodes || null
+        }
     }
 
     /**
-     * Check if URL is a valid Spotify URL
-     * @param {string} url - URL to check
-     * @returns {boolean} True if valid Spotify URL
+     * Create episode object from Spotify episode data
+     * @param {Object} episode - Spotify episode data
+     * @param {Object} [show] - Spotify show data of the episode
+     * @returns {Object} Normalized episode object, artist and album are the show name
+     * @private
      */
-    isValidUrl(url) {
-        return url.includes('spotify.com/') || url.includes('open.spotify.com/')
+    createEpisodeFromSpotifyEpisode(episode, show) {
+        const images = episode.images || show?.images || []
+        const imageUrl = images.length > 0 ? images[0].url : null
+
+        return {
+            id: episode.id,
+            name: episode.name,
+            artist: show?.name || null,
+            album: show?.name || null,
+            imageUrl,
+            previewUrl: episode.audio_preview_url || null,
+            externalUrl: episode.external_urls?.spotify,
+            platform: 'spotify',
+            publisher: show?.publisher || null,
+            releaseDate: episode.release_date || null,
+            durationMs: episode.duration_ms || null
+        }
     }
 
     /**
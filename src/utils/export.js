@@ -0,0 +1,160 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Export of conversion history entries as CSV, JSON, M3U and XSPF files.
+ * Entries are the ones returned by ConverterService.listHistory, oldest first.
+ */
+
+const CSV_COLUMNS = [
+    "date", "user_id", "type", "origin", "score",
+    "source_platform", "artist", "title", "album", "source_url",
+    "target_platform", "target_artist", "target_title", "target_url"
+]
+
+/**
+ * Quote a CSV field if it contains separators, quotes or line breaks
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ * @private
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? "" : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ * @private
+ */
+function xmlEscape(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;")
+}
+
+/**
+ * Build a CSV file with one row per conversion
+ * @param {Array} entries - History entries
+ * @returns {string} CSV content
+ */
+function toCsv(entries) {
+    const rows = entries.map((entry) => [
+        new Date(entry.createdAt).toISOString(),
+        entry.userId,
+        entry.type,
+        entry.origin,
+        entry.score,
+        entry.source.platform,
+        entry.source.artist,
+        entry.source.name,
+        entry.source.album,
+        entry.source.externalUrl,
+        entry.target.platform,
+        entry.target.artist,
+        entry.target.name,
+        entry.target.externalUrl
+    ].map(csvField).join(","))
+
+    return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n"
+}
+
+/**
+ * Build a JSON file with the complete entries
+ * @param {Array} entries - History entries
+ * @returns {string} JSON content
+ */
+function toJson(entries) {
+    return JSON.stringify(entries, null, 2)
+}
+
+/**
+ * Build an extended M3U playlist with the shared links
+ * @param {Array} entries - History entries
+ * @returns {string} M3U content
+ */
+function toM3u(entries) {
+    const lines = ["#EXTM3U"]
+    for (const entry of entries) {
+        lines.push(`#EXTINF:-1,${entry.source.artist ? `${entry.source.artist} - ` : ""}${entry.source.name}`)
+        lines.push(entry.source.externalUrl)
+    }
+    return lines.join("\n") + "\n"
+}
+
+/**
+ * Build an XSPF playlist, each track with its links on both platforms
+ * @param {Array} entries - History entries
+ * @param {string} title - Playlist title
+ * @returns {string} XSPF content
+ */
+function toXspf(entries, title) {
+    const tracks = entries.map((entry) => `    <track>
+      <location>${xmlEscape(entry.source.externalUrl)}</location>
+      <location>${xmlEscape(entry.target.externalUrl)}</location>
+      <creator>${xmlEscape(entry.source.artist)}</creator>
+      <title>${xmlEscape(entry.source.name)}</title>
+      <album>${xmlEscape(entry.source.album)}</album>
+    </track>`)
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>${xmlEscape(title)}</title>
+  <trackList>
+${tracks.join("\n")}
+  </trackList>
+</playlist>
+`
+}
+
+/**
+ * Build a safe file name from a title
+ * @param {string} title - Title, e.g. the chat or playlist name
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name with only word characters and dashes, "history" if none are left
+ */
+function toFilename(title, extension) {
+    const basename = title.replace(/[^\w-]+/g, "_").replace(/^_+|_+$/g, "") || "history"
+    return `${basename}.${extension}`
+}
+
+const EXPORT_FORMATS = {
+    csv: { extension: "csv", build: toCsv },
+    json: { extension: "json", build: toJson },
+    m3u: { extension: "m3u", build: toM3u },
+    xspf: { extension: "xspf", build: toXspf }
+}
+
+/**
+ * Export history entries in one of EXPORT_FORMATS
+ * @param {Array} entries - History entries, oldest first
+ * @param {string} format - 'csv', 'json', 'm3u' or 'xspf'
+ * @param {string} title - Playlist title, also used for the file name
+ * @returns {Object|null} { filename, content }, null for unknown formats
+ */
+function exportHistory(entries, format, title) {
+    const exporter = EXPORT_FORMATS[format]
+    if (!exporter) return null
+
+    return {
+        filename: toFilename(title, exporter.extension),
+        content: exporter.build(entries, title)
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportHistory,
+    toFilename,
+    toCsv,
+    toJson,
+    toM3u,
+    toXspf
+}
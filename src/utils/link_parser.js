@@ -0,0 +1,117 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+/**
+ * Music link parsing shared by the bot and the converter.
+ * The provider registry supplies the URL patterns of every platform when it is
+ * loaded, so modules that parse links load the registry first. A pattern captures
+ * the "id" named group, and Apple patterns also "storefront" and, for podcast
+ * episodes, "showId". Patterns are tried in registration order, so more specific
+ * ones (album links with a track parameter) go first.
+ */
+
+const LINK_PATTERNS = []
+
+const SHORT_LINK_PATTERNS = []
+
+/**
+ * Register the URL patterns of a platform
+ * @param {string} platform - Platform name, e.g. 'spotify'
+ * @param {Array} patterns - { type, regex } entries; regex is not anchored and captures the "id" named group
+ * @param {Array} [shortLinks] - Regexes of share links that only redirect to the platform and are resolved first
+ */
+function registerLinkPatterns(platform, patterns, shortLinks = []) {
+    for (const { type, regex } of patterns) {
+        LINK_PATTERNS.push({
+            platform,
+            type,
+            anchored: new RegExp(`^(?:${regex.source})`),
+            global: new RegExp(regex.source, "g"),
+        })
+    }
+
+    for (const regex of shortLinks) {
+        SHORT_LINK_PATTERNS.push({
+            platform,
+            anchored: new RegExp(`^(?:${regex.source})`),
+            global: new RegExp(regex.source, "g"),
+        })
+    }
+}
+
+/**
+ * Parse a music link
+ * @param {string} url - Link starting with its scheme, or a spotify: URI
+ * @returns {Object|null} { platform, type, id, originalUrl }, with storefront for Apple links and
+ *   showId for Apple Podcasts episodes; null if no registered pattern matches
+ */
+function parseMusicLink(url) {
+    if (!url || typeof url !== "string") return null
+
+    for (const { platform, type, anchored } of LINK_PATTERNS) {
+        const match = anchored.exec(url)
+        if (!match) continue
+
+        const { id, storefront, showId } = match.groups
+        const linkInfo = { platform, type, id }
+        if ("storefront" in match.groups) {
+            linkInfo.storefront = storefront ? storefront.toLowerCase() : null
+        }
+        if ("showId" in match.groups) {
+            linkInfo.showId = showId
+        }
+        linkInfo.originalUrl = url
+        return linkInfo
+    }
+
+    return null
+}
+
+/**
+ * Check if a link is a share link that has to be resolved before parsing
+ * @param {string} url - Link
+ * @returns {boolean} True for registered short links
+ */
+function isShortLink(url) {
+    if (!url || typeof url !== "string") return false
+
+    return SHORT_LINK_PATTERNS.some(({ anchored }) => anchored.test(url))
+}
+
+/**
+ * Find all music and short links in a text
+ * @param {string} text - Message text
+ * @returns {Array} Matched links in the order they appear, without duplicates
+ */
+function findMusicLinks(text) {
+    if (!text) return []
+
+    const matches = []
+    for (const { global } of [...LINK_PATTERNS, ...SHORT_LINK_PATTERNS]) {
+        for (const match of text.matchAll(global)) {
+            matches.push({ index: match.index, end: match.index + match[0].length, link: match[0] })
+        }
+    }
+
+    // The sort is stable, so of two matches at the same place the earlier registered pattern wins
+    matches.sort((a, b) => a.index - b.index)
+
+    const links = []
+    let end = 0
+    for (const match of matches) {
+        if (match.index < end) continue
+        links.push(match.link)
+        end = match.end
+    }
+
+    return [...new Set(links)]
+}
+
+module.exports = {
+    registerLinkPatterns,
+    parseMusicLink,
+    isShortLink,
+    findMusicLinks,
+}
@@ -0,0 +1,53 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { getProvider } = require('../providers/registry')
+
+/**
+ * Display names and emojis of the supported music platforms
+ */
+
+/**
+ * Get the display name of a platform
+ * @param {string} platform - Platform ID
+ * @returns {string} Name like "Apple Music", the ID itself for unknown platforms
+ */
+function getPlatformName(platform) {
+    return getProvider(platform)?.name || platform
+}
+
+/**
+ * Get the emoji of a platform
+ * @param {string} platform - Platform ID
+ * @returns {string} Emoji, empty for unknown platforms
+ */
+function getPlatformEmoji(platform) {
+    return getProvider(platform)?.emoji || ''
+}
+
+/**
+ * Check if a platform is known
+ * @param {string} platform - Platform ID
+ * @returns {boolean} True for platforms of registered providers
+ */
+function isKnownPlatform(platform) {
+    return Boolean(getProvider(platform))
+}
+
+/**
+ * Get a one line title of a song, album or artist
+ * @param {Object} item - Normalized song, album or artist object
+ * @returns {string} "Artist – Name", or just the name for artists
+ */
+function formatTitle(item) {
+    return item.artist ? `${item.artist} – ${item.name}` : item.name
+}
+
+module.exports = {
+    getPlatformName,
+    getPlatformEmoji,
+    isKnownPlatform,
+    formatTitle
+}
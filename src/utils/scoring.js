@@ -5,23 +5,33 @@
 
 const stringSimilarity = require('string-similarity')
 
+/**
+ * Default minimum score for a candidate to be considered a match
+ */
+const DEFAULT_MIN_SCORE = 60
+
+/**
+ * Normalize a string for fuzzy comparison
+ * @param {string} str - Input string
+ * @returns {string} Lowercased string without punctuation
+ */
+const normalize = (str) => str?.toLowerCase().replace(/[^\w\s]/g, '').trim() || ''
+
 /**
  * Calculate similarity score between two songs
  * @param {Object} originalSong - The original song metadata
  * @param {Object} candidateSong - The candidate song to compare
+ * @param {Object} [options] - Scoring options
+ * @param {boolean} [options.musicVideo] - The original is a music video, which has no album to compare
  * @returns {number} Score between 0 and 100
  */
-function calculateSongScore(originalSong, candidateSong) {
+function calculateSongScore(originalSong, candidateSong, { musicVideo = false } = {}) {
     if (!originalSong || !candidateSong) return 0
 
-    const weights = {
-        title: 0.4,
-        artist: 0.4,
-        album: 0.2
-    }
-
-    // Normalize strings for comparison
-    const normalize = (str) => str?.toLowerCase().replace(/[^\w\s]/g, '').trim() || ''
+    // Music videos come without an album, judge them by title and artist alone
+    const weights = musicVideo
+        ? { title: 0.5, artist: 0.5, album: 0 }
+        : { title: 0.4, artist: 0.4, album: 0.2 }
 
     const originalTitle = normalize(originalSong.name)
     const originalArtist = normalize(originalSong.artist)
@@ -46,12 +56,222 @@ function calculateSongScore(originalSong, candidateSong) {
     return Math.round(totalScore)
 }
 
+/**
+ * Split a free text search into artist and title, e.g. "Queen - Bohemian Rhapsody"
+ * @param {string} query - Search text
+ * @returns {Object} { artist, title }; artist is null without an "artist - title" separator
+ */
+function parseSearchQuery(query) {
+    const text = (query || '').trim()
+    const match = text.match(/^(.+?)\s+[-–—]\s+(.+)$/)
+    if (!match) return { artist: null, title: text }
+
+    return { artist: match[1].trim(), title: match[2].trim() }
+}
+
+/**
+ * Calculate how well a song answers a search query
+ * @param {Object} query - Parsed query from parseSearchQuery
+ * @param {Object} song - Found song
+ * @returns {number} Score between 0 and 100
+ */
+function calculateQueryScore(query, song) {
+    if (!query || !song) return 0
+
+    // Without a separator the query may contain both artist and title in any order
+    if (!query.artist) {
+        const score = Math.max(
+            stringSimilarity.compareTwoStrings(normalize(query.title), normalize(`${song.artist} ${song.name}`)),
+            stringSimilarity.compareTwoStrings(normalize(query.title), normalize(`${song.name} ${song.artist}`)),
+            stringSimilarity.compareTwoStrings(normalize(query.title), normalize(song.name))
+        )
+        return Math.round(score * 100)
+    }
+
+    const titleScore = stringSimilarity.compareTwoStrings(normalize(query.title), normalize(song.name))
+    const artistScore = stringSimilarity.compareTwoStrings(normalize(query.artist), normalize(song.artist))
+    return Math.round((titleScore + artistScore) * 50)
+}
+
+/**
+ * Calculate similarity score between two albums
+ * @param {Object} originalAlbum - The original album metadata
+ * @param {Object} candidateAlbum - The candidate album to compare
+ * @returns {number} Score between 0 and 100
+ */
+function calculateAlbumScore(originalAlbum, candidateAlbum) {
+    if (!originalAlbum || !candidateAlbum) return 0
+
+    const weights = {
+        title: 0.45,
+        artist: 0.35,
+        trackCount: 0.1,
+        releaseYear: 0.1
+    }
+
+    const titleScore = stringSimilarity.compareTwoStrings(
+        normalize(originalAlbum.name),
+        normalize(candidateAlbum.name)
+    )
+    const artistScore = stringSimilarity.compareTwoStrings(
+        normalize(originalAlbum.artist),
+        normalize(candidateAlbum.artist)
+    )
+
+    // Deluxe editions and regional releases often differ by a few bonus tracks
+    let trackCountScore = 0.5
+    if (originalAlbum.trackCount && candidateAlbum.trackCount) {
+        const difference = Math.abs(originalAlbum.trackCount - candidateAlbum.trackCount)
+        const largest = Math.max(originalAlbum.trackCount, candidateAlbum.trackCount)
+        trackCountScore = 1 - difference / largest
+    }
+
+    // Remasters and reissues usually keep the title but move the year
+    let releaseYearScore = 0.5
+    if (originalAlbum.releaseYear && candidateAlbum.releaseYear) {
+        const difference = Math.abs(originalAlbum.releaseYear - candidateAlbum.releaseYear)
+        releaseYearScore = difference === 0 ? 1 : difference === 1 ? 0.5 : 0
+    }
+
+    const totalScore = (
+        titleScore * weights.title +
+        artistScore * weights.artist +
+        trackCountScore * weights.trackCount +
+        releaseYearScore * weights.releaseYear
+    ) * 100
+
+    return Math.round(totalScore)
+}
+
+/**
+ * Calculate similarity score between two artists
+ * @param {Object} originalArtist - The original artist metadata, with topTracks names
+ * @param {Object} candidateArtist - The candidate artist to compare
+ * @returns {number} Score between 0 and 100
+ */
+function calculateArtistScore(originalArtist, candidateArtist) {
+    if (!originalArtist || !candidateArtist) return 0
+
+    const weights = {
+        name: 0.5,
+        topTracks: 0.5
+    }
+
+    const nameScore = stringSimilarity.compareTwoStrings(
+        normalize(originalArtist.name),
+        normalize(candidateArtist.name)
+    )
+
+    // Namesakes share the name but not the songs; without top tracks to compare count half.
+    // Versions like "Song - Remastered 2011" or "Song (Live)" count as the song itself
+    let topTracksScore = 0.5
+    const baseTitle = (title) => normalize(title.split(/\s+-\s+|\s+\(/)[0])
+    const originalTracks = (originalArtist.topTracks || []).map(baseTitle)
+    const candidateTracks = (candidateArtist.topTracks || []).map(baseTitle)
+    if (originalTracks.length > 0 && candidateTracks.length > 0) {
+        const shared = originalTracks.filter((track) =>
+            candidateTracks.some((candidate) => stringSimilarity.compareTwoStrings(track, candidate) >= 0.8)
+        )
+        topTracksScore = Math.min(shared.length / Math.min(originalTracks.length, candidateTracks.length), 1)
+    }
+
+    const totalScore = (
+        nameScore * weights.name +
+        topTracksScore * weights.topTracks
+    ) * 100
+
+    return Math.round(totalScore)
+}
+
+/**
+ * Calculate similarity score between two podcast shows
+ * @param {Object} originalShow - The original show metadata
+ * @param {Object} candidateShow - The candidate show to compare
+ * @returns {number} Score between 0 and 100
+ */
+function calculateShowScore(originalShow, candidateShow) {
+    if (!originalShow || !candidateShow) return 0
+
+    const weights = {
+        name: 0.7,
+        publisher: 0.3
+    }
+
+    const nameScore = stringSimilarity.compareTwoStrings(
+        normalize(originalShow.name),
+        normalize(candidateShow.name)
+    )
+    const publisherScore = stringSimilarity.compareTwoStrings(
+        normalize(originalShow.publisher),
+        normalize(candidateShow.publisher)
+    )
+
+    const totalScore = (
+        nameScore * weights.name +
+        publisherScore * weights.publisher
+    ) * 100
+
+    return Math.round(totalScore)
+}
+
+/**
+ * Calculate similarity score between two podcast episodes
+ * @param {Object} originalEpisode - The original episode metadata, album is the show name
+ * @param {Object} candidateEpisode - The candidate episode to compare
+ * @returns {number} Score between 0 and 100
+ */
+function calculateEpisodeScore(originalEpisode, candidateEpisode) {
+    if (!originalEpisode || !candidateEpisode) return 0
+
+    const weights = {
+        title: 0.4,
+        show: 0.2,
+        publisher: 0.1,
+        releaseDate: 0.3
+    }
+
+    const titleScore = stringSimilarity.compareTwoStrings(
+        normalize(originalEpisode.name),
+        normalize(candidateEpisode.name)
+    )
+    const showScore = stringSimilarity.compareTwoStrings(
+        normalize(originalEpisode.album),
+        normalize(candidateEpisode.album)
+    )
+    const publisherScore = stringSimilarity.compareTwoStrings(
+        normalize(originalEpisode.publisher),
+        normalize(candidateEpisode.publisher)
+    )
+
+    // Shows often reuse titles like "Bonus episode"; the publish date tells them apart.
+    // Platforms report the date in different time zones, so a day off still counts mostly
+    let releaseDateScore = 0.5
+    if (originalEpisode.releaseDate && candidateEpisode.releaseDate) {
+        const days = Math.abs(Date.parse(originalEpisode.releaseDate) - Date.parse(candidateEpisode.releaseDate)) / 86400000
+        releaseDateScore = days === 0 ? 1 : days <= 1 ? 0.75 : 0
+    }
+
+    const totalScore = (
+        titleScore * weights.title +
+        showScore * weights.show +
+        publisherScore * weights.publisher +
+        releaseDateScore * weights.releaseDate
+    ) * 100
+
+    return Math.round(totalScore)
+}
+
 /**
  * Get confidence level description based on score
  * @param {number} score - Score between 0 and 100
+ * @param {string} [matchType] - How the match was found ('isrc' or 'upc' for exact code lookups,
+ *   'override' for manual mappings)
  * @returns {string} Confidence description
  */
-function getConfidenceLevel(score) {
+function getConfidenceLevel(score, matchType) {
+    if (matchType === 'override') return 'Manual match'
+    if (matchType === 'isrc') return 'Exact match (ISRC)'
+    if (matchType === 'upc') return 'Exact match (UPC)'
     if (score >= 98) return 'Exact match'
     if (score >= 90) return `${score}% match`
     if (score >= 80) return `${score}% match`
@@ -60,31 +280,87 @@ function getConfidenceLevel(score) {
 }
 
 /**
- * Find the best matching song from a list of candidates
+ * Score all candidates and sort them from best to worst
+ * @param {Object} original - The original item metadata
+ * @param {Array} candidates - Array of candidate items
+ * @param {Function} scoreFn - Scoring function (original, candidate) => number
+ * @returns {Array} Candidates with matchScore, best first; candidates scoring 0 are dropped
+ * @private
+ */
+function rankCandidates(original, candidates, scoreFn) {
+    if (!candidates || candidates.length === 0) return []
+
+    // Array.prototype.sort is stable, so equal scores keep the search order
+    return candidates
+        .map((candidate) => ({ ...candidate, matchScore: scoreFn(original, candidate) }))
+        .filter((candidate) => candidate.matchScore > 0)
+        .sort((a, b) => b.matchScore - a.matchScore)
+}
+
+/**
+ * Rank candidate songs from best to worst match
  * @param {Object} originalSong - The original song metadata
  * @param {Array} candidates - Array of candidate songs
- * @returns {Object|null} Best matching song with score, or null if no good match
+ * @param {Object} [options] - Scoring options, see calculateSongScore
+ * @returns {Array} Candidate songs with matchScore, best first
  */
-function findBestMatch(originalSong, candidates) {
-    if (!candidates || candidates.length === 0) return null
+function rankMatches(originalSong, candidates, options = {}) {
+    return rankCandidates(originalSong, candidates, (original, candidate) => calculateSongScore(original, candidate, options))
+}
 
-    let bestMatch = null
-    let bestScore = 0
+/**
+ * Rank candidate albums from best to worst match
+ * @param {Object} originalAlbum - The original album metadata
+ * @param {Array} candidates - Array of candidate albums
+ * @returns {Array} Candidate albums with matchScore, best first
+ */
+function rankAlbumMatches(originalAlbum, candidates) {
+    return rankCandidates(originalAlbum, candidates, calculateAlbumScore)
+}
 
-    for (const candidate of candidates) {
-        const score = calculateSongScore(originalSong, candidate)
-        if (score > bestScore) {
-            bestScore = score
-            bestMatch = { ...candidate, matchScore: score }
-        }
-    }
+/**
+ * Rank candidate artists from best to worst match
+ * @param {Object} originalArtist - The original artist metadata
+ * @param {Array} candidates - Array of candidate artists
+ * @returns {Array} Candidate artists with matchScore, best first
+ */
+function rankArtistMatches(originalArtist, candidates) {
+    return rankCandidates(originalArtist, candidates, calculateArtistScore)
+}
 
-    // Only return matches with reasonable confidence (>= 60%)
-    return bestScore >= 60 ? bestMatch : null
+/**
+ * Rank candidate podcast shows from best to worst match
+ * @param {Object} originalShow - The original show metadata
+ * @param {Array} candidates - Array of candidate shows
+ * @returns {Array} Candidate shows with matchScore, best first
+ */
+function rankShowMatches(originalShow, candidates) {
+    return rankCandidates(originalShow, candidates, calculateShowScore)
+}
+
+/**
+ * Rank candidate podcast episodes from best to worst match
+ * @param {Object} originalEpisode - The original episode metadata
+ * @param {Array} candidates - Array of candidate episodes
+ * @returns {Array} Candidate episodes with matchScore, best first
+ */
+function rankEpisodeMatches(originalEpisode, candidates) {
+    return rankCandidates(originalEpisode, candidates, calculateEpisodeScore)
 }
 
 module.exports = {
+    DEFAULT_MIN_SCORE,
     calculateSongScore,
+    calculateAlbumScore,
+    calculateArtistScore,
+    calculateShowScore,
+    calculateEpisodeScore,
+    parseSearchQuery,
+    calculateQueryScore,
     getConfidenceLevel,
-    findBestMatch
+    rankMatches,
+    rankAlbumMatches,
+    rankArtistMatches,
+    rankShowMatches,
+    rankEpisodeMatches
 }
\ No newline at end of file
@@ -6,19 +6,61 @@
 const { SMBot } = require('../../src/bot/bot')
 
 // Mock dependencies
+jest.mock('../../src/config/config', () => ({ config: {} }))
 jest.mock('telegraf')
 jest.mock('../../src/db/db')
 jest.mock('../../src/services/converter')
+jest.mock('../../src/services/auth')
 
 const { Telegraf } = require('telegraf')
 const { db } = require('../../src/db/db')
 const { ConverterService } = require('../../src/services/converter')
+const { AuthService } = require('../../src/services/auth')
 
 describe('SMBot', () => {
+    const defaultSettings = {
+        chatId: 123,
+        minScore: 60,
+        silentOnLowConfidence: false,
+        linkPreview: true,
+        musicVideos: false,
+        storefront: null,
+        replyStyle: 'full'
+    }
+
+    const sampleResult = {
+        original: {
+            id: 'test123',
+            name: 'Test Song',
+            artist: 'Test Artist',
+            platform: 'spotify',
+            externalUrl: 'https://open.spotify.com/track/test123'
+        },
+        converted: {
+            id: 'test456',
+            name: 'Test Song',
+            artist: 'Test Artist',
+            platform: 'apple_music',
+            externalUrl: 'https://music.apple.com/song/test456',
+            matchScore: 95
+        },
+        alternatives: [],
+        confidence: '95% match',
+        sourcePlatform: 'spotify',
+        sourceType: 'track',
+        targetPlatform: 'apple_music'
+    }
+
     let smBot
     let mockConfig
     let mockTelegrafInstance
     let mockConverter
+    let mockAuth
+
+    // Make db.getChat report the given chats as subscribed with a status
+    function subscribe(chatIds, status = 'active') {
+        db.getChat.mockImplementation(async (chatId) => chatIds.includes(chatId) ? { chatId, status } : null)
+    }
 
     beforeEach(() => {
         jest.clearAllMocks()
@@ -26,7 +68,7 @@ describe('SMBot', () => {
         mockConfig = {
             telegram: {
                 token: 'test_token',
-                botPassword: 'test_password'
+                ownerIds: [1]
             }
         }
 
@@ -39,14 +81,62 @@ describe('SMBot', () => {
 
         mockConverter = {
             convertMusicLink: jest.fn(),
-            formatConversionMessage: jest.fn()
+            convertLinkInfo: jest.fn(),
+            selectAlternative: jest.fn(),
+            saveOverride: jest.fn(),
+            fixConversion: jest.fn(),
+            listOverrides: jest.fn(),
+            removeOverride: jest.fn(),
+            recordHistory: jest.fn(),
+            searchSongPairs: jest.fn(),
+            getSongPair: jest.fn(),
+            formatSongPairMessage: jest.fn((pair) => `Pair ${Object.values(pair.songs)[0].id}`),
+            listHistory: jest.fn(),
+            formatSongTitle: jest.fn((song) => `${song.artist} – ${song.name}`),
+            formatConversionMessage: jest.fn(),
+            formatMultipleConversionsMessage: jest.fn(),
+            formatSongMessage: jest.fn(),
+            searchAllPlatforms: jest.fn(),
+            getPlatformLabel: jest.fn((platform) => platform === 'spotify' ? '🟢 Spotify' : '🍎 Apple Music'),
+            invalidateCachedConversion: jest.fn(),
+            detectMusicLink: jest.fn((url) => ({ type: url.includes('/playlist/') ? 'playlist' : 'track' })),
+            resolveMusicLink: jest.fn(async (url) => ({ originalUrl: url })),
+            convertPlaylist: jest.fn(),
+            formatPlaylistSummary: jest.fn().mockReturnValue('Playlist summary'),
+            formatPlaylistTrackList: jest.fn().mockReturnValue('Track list')
+        }
+
+        // Owner 1, bot admin 7, member 42, everyone else unknown
+        mockAuth = {
+            isOwner: jest.fn((userId) => userId === 1),
+            isBotAdmin: jest.fn(async (userId) => [1, 7].includes(userId)),
+            isKnownUser: jest.fn(async (userId) => [1, 7, 42].includes(userId)),
+            redeemInvite: jest.fn().mockResolvedValue(false),
+            createInvite: jest.fn(),
+            setRole: jest.fn(),
+            record: jest.fn()
         }
 
         Telegraf.mockImplementation(() => mockTelegrafInstance)
         ConverterService.mockImplementation(() => mockConverter)
+        AuthService.mockImplementation(() => mockAuth)
+        AuthService.DEFAULT_INVITE_TTL_HOURS = 24
+        AuthService.MAX_INVITE_TTL_HOURS = 720
 
         db.getSetupValue = jest.fn()
         db.setSetupValue = jest.fn()
+        db.getChatSettings = jest.fn().mockResolvedValue({ ...defaultSettings })
+        db.updateChatSettings = jest.fn()
+        db.getMessageReply = jest.fn().mockResolvedValue(null)
+        db.saveMessageReply = jest.fn()
+        db.deleteMessageReply = jest.fn()
+        db.migrateChat = jest.fn().mockResolvedValue()
+        db.getChat = jest.fn().mockResolvedValue(null)
+        db.subscribeChat = jest.fn()
+        db.unsubscribeChat = jest.fn().mockResolvedValue(1)
+        db.setChatStatus = jest.fn().mockResolvedValue(0)
+        db.countChats = jest.fn().mockResolvedValue({})
+        db.forgetChat = jest.fn()
 
         smBot = new SMBot(mockConfig)
     })
@@ -104,116 +194,464 @@ describe('SMBot', () => {
             expect(links).toContain('https://open.spotify.com/album/1DFixLWuPkv3KT3TnV35m3')
             expect(links).toContain('https://music.apple.com/us/album/test-album/123456')
         })
+        test('should extract artist links', () => {
+            const text = `
+                Spotify artist: https://open.spotify.com/artist/1dfeR4HaWDbWqFHLkxsg1d
+                Apple Music artist: https://music.apple.com/us/artist/queen/3296287
+            `
+            const links = smBot.extractMusicLinks(text)
+
+            expect(links).toEqual([
+                'https://open.spotify.com/artist/1dfeR4HaWDbWqFHLkxsg1d',
+                'https://music.apple.com/us/artist/queen/3296287'
+            ])
+        })
+
+        test('should extract playlist links', () => {
+            const text = `
+                https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M?si=abc
+                https://music.apple.com/us/playlist/todays-hits/pl.f4d106fed2bd41149aaacabb233eb5eb
+            `
+            const links = smBot.extractMusicLinks(text)
+
+            expect(links).toEqual([
+                'https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M',
+                'https://music.apple.com/us/playlist/todays-hits/pl.f4d106fed2bd41149aaacabb233eb5eb'
+            ])
+        })
+
+        test('should extract links with locale prefixes, URIs and short links', () => {
+            const text = `
+                https://open.spotify.com/intl-de/track/4uLU6hMCjMI75M1A2tKUQC?si=abc
+                spotify:album:1GbtB4zTqAsyfZEsm1RZfx
+                https://spotify.link/AbCdEf12
+            `
+            const links = smBot.extractMusicLinks(text)
+
+            expect(links).toEqual([
+                'https://open.spotify.com/intl-de/track/4uLU6hMCjMI75M1A2tKUQC',
+                'spotify:album:1GbtB4zTqAsyfZEsm1RZfx',
+                'https://spotify.link/AbCdEf12'
+            ])
+        })
+
+        test('should extract music video links', () => {
+            const links = smBot.extractMusicLinks('https://music.apple.com/us/music-video/bohemian-rhapsody/1440624016')
+
+            expect(links).toEqual(['https://music.apple.com/us/music-video/bohemian-rhapsody/1440624016'])
+        })
+
+        test('should extract podcast show and episode links', () => {
+            const text = `
+                https://open.spotify.com/show/2MAi0BvDc6GTFvKFPXnkCL?si=abc
+                https://open.spotify.com/episode/512ojhOuo1ktJprKbVcKyQ
+                https://podcasts.apple.com/us/podcast/the-daily/id1200361736
+                https://podcasts.apple.com/gb/podcast/a-big-day-in-court/id1200361736?i=1000650744467
+            `
+            const links = smBot.extractMusicLinks(text)
+
+            expect(links).toEqual([
+                'https://open.spotify.com/show/2MAi0BvDc6GTFvKFPXnkCL',
+                'https://open.spotify.com/episode/512ojhOuo1ktJprKbVcKyQ',
+                'https://podcasts.apple.com/us/podcast/the-daily/id1200361736',
+                'https://podcasts.apple.com/gb/podcast/a-big-day-in-court/id1200361736?i=1000650744467'
+            ])
+        })
+    })
+
+    describe('extractMessageLinks', () => {
+        test('should find links hidden behind anchor text', () => {
+            const message = {
+                text: 'Listen to this and that',
+                entities: [
+                    { type: 'text_link', offset: 10, length: 4, url: 'https://music.apple.com/us/album/x/123?i=456' },
+                    { type: 'bold', offset: 19, length: 4 },
+                    { type: 'text_link', offset: 19, length: 4, url: 'https://example.com/not-music' }
+                ]
+            }
+
+            expect(smBot.extractMessageLinks(message)).toEqual(['https://music.apple.com/us/album/x/123?i=456'])
+        })
+
+        test('should use url entities of captions in order of appearance', () => {
+            const caption = 'open.spotify.com/album/AAA then https://open.spotify.com/track/BBB?si=xyz'
+            const message = {
+                caption,
+                caption_entities: [
+                    { type: 'url', offset: 0, length: 26 },
+                    { type: 'url', offset: 32, length: 42 }
+                ]
+            }
+
+            expect(smBot.extractMessageLinks(message)).toEqual([
+                'https://open.spotify.com/album/AAA',
+                'https://open.spotify.com/track/BBB'
+            ])
+        })
+
+        test('should count UTF-16 offsets like Telegram does', () => {
+            const text = '🎵🎵 https://open.spotify.com/track/CCC'
+            const message = { text, entities: [{ type: 'url', offset: 5, length: 34 }] }
+
+            expect(smBot.extractMessageLinks(message)).toEqual(['https://open.spotify.com/track/CCC'])
+        })
+
+        test('should fall back to scanning the text without url entities', () => {
+            const message = {
+                text: 'https://open.spotify.com/track/DDD',
+                entities: [{ type: 'italic', offset: 0, length: 5 }]
+            }
+
+            expect(smBot.extractMessageLinks(message)).toEqual(['https://open.spotify.com/track/DDD'])
+            expect(smBot.extractMessageLinks({ text: 'https://open.spotify.com/track/EEE' })).toEqual(['https://open.spotify.com/track/EEE'])
+            expect(smBot.extractMessageLinks({ photo: [] })).toEqual([])
+        })
     })
 
     describe('chat management', () => {
-        test('should add chat ID', async () => {
-            smBot.chats = new Set([123])
-            db.setSetupValue.mockResolvedValue()
+        test('should subscribe a chat with its title, type and subscriber', async () => {
+            await smBot.subscribeChat({ id: -456, title: 'Music Lovers', type: 'supergroup' }, 42)
+
+            expect(db.subscribeChat).toHaveBeenCalledWith({ chatId: -456, title: 'Music Lovers', type: 'supergroup', subscribedBy: 42 })
+        })
+
+        test('should use the username as title of private chats', async () => {
+            await smBot.subscribeChat({ id: 42, username: 'someone', type: 'private' }, 42)
+
+            expect(db.subscribeChat).toHaveBeenCalledWith(expect.objectContaining({ title: 'someone' }))
+        })
+
+        test('should unsubscribe a chat', async () => {
+            await smBot.unsubscribeChat(123)
+
+            expect(db.unsubscribeChat).toHaveBeenCalledWith(123)
+        })
+
+        test('should only handle links in active chats', async () => {
+            subscribe([123])
+            expect(await smBot.isSubscribed(123)).toBe(true)
+            expect(await smBot.isSubscribed(456)).toBe(false)
+
+            subscribe([123], 'paused')
+            expect(await smBot.isSubscribed(123)).toBe(false)
+            expect(await smBot.isSubscribed(123, { includePaused: true })).toBe(true)
+
+            subscribe([123], 'kicked')
+            expect(await smBot.isSubscribed(123, { includePaused: true })).toBe(false)
+        })
+    })
+
+    describe('chat lifecycle', () => {
+        function createMemberCtx(chatId, oldStatus, newStatus) {
+            return {
+                myChatMember: {
+                    chat: { id: chatId },
+                    from: { id: 42 },
+                    old_chat_member: { status: oldStatus },
+                    new_chat_member: { status: newStatus }
+                }
+            }
+        }
+
+        test('should mark a chat the bot was kicked from', async () => {
+            db.setChatStatus.mockResolvedValue(1)
 
-            await smBot.addChatId(456)
+            await smBot.handleMyChatMember(createMemberCtx(123, 'member', 'kicked'))
 
-            expect(smBot.chats.has(456)).toBe(true)
-            expect(db.setSetupValue).toHaveBeenCalledWith('telegram_chat_ids', [123, 456])
+            expect(db.setChatStatus).toHaveBeenCalledWith(123, 'kicked')
+            expect(db.forgetChat).toHaveBeenCalledWith(123)
         })
 
-        test('should not add duplicate chat ID', async () => {
-            smBot.chats = new Set([123])
+        test('should mark a chat the bot left', async () => {
+            await smBot.handleMyChatMember(createMemberCtx(123, 'administrator', 'left'))
 
-            await smBot.addChatId(123)
+            expect(db.setChatStatus).toHaveBeenCalledWith(123, 'kicked')
+        })
+
+        test('should keep the subscription on other status changes', async () => {
+            await smBot.handleMyChatMember(createMemberCtx(123, 'member', 'administrator'))
 
-            expect(db.setSetupValue).not.toHaveBeenCalled()
+            expect(db.setChatStatus).not.toHaveBeenCalled()
+            expect(db.forgetChat).not.toHaveBeenCalled()
         })
 
-        test('should remove chat ID', async () => {
-            smBot.chats = new Set([123, 456])
-            db.setSetupValue.mockResolvedValue()
+        test('should move a subscribed group to its supergroup', async () => {
+            subscribe([-123, 456])
+            const mockCtx = { chat: { id: -123 }, msg: { migrate_to_chat_id: -100123 } }
 
-            await smBot.removeChatId(123)
+            await smBot.handleChatMigration(mockCtx)
 
-            expect(smBot.chats.has(123)).toBe(false)
-            expect(db.setSetupValue).toHaveBeenCalledWith('telegram_chat_ids', [456])
+            expect(db.migrateChat).toHaveBeenCalledWith(-123, -100123)
         })
 
-        test('should not remove non-existent chat ID', async () => {
-            smBot.chats = new Set([123])
+        test('should migrate only once when both service messages arrive', async () => {
+            subscribe([-123])
+            db.migrateChat.mockImplementation(async () => subscribe([-100123]))
 
-            await smBot.removeChatId(456)
+            await smBot.handleChatMigration({ chat: { id: -100123 }, msg: { migrate_from_chat_id: -123 } })
+            await smBot.handleChatMigration({ chat: { id: -123 }, msg: { migrate_to_chat_id: -100123 } })
 
-            expect(db.setSetupValue).not.toHaveBeenCalled()
+            expect(db.migrateChat).toHaveBeenCalledTimes(1)
         })
 
-        test('should load chat IDs from database', async () => {
-            db.getSetupValue.mockResolvedValue([123, 456, 789])
+        test('should ignore migration of unsubscribed groups', async () => {
+            subscribe([456])
 
-            await smBot.loadChatIds()
+            await smBot.handleChatMigration({ chat: { id: -123 }, msg: { migrate_to_chat_id: -100123 } })
 
-            expect(db.getSetupValue).toHaveBeenCalledWith('telegram_chat_ids', [], true)
-            expect(smBot.chats.size).toBe(3)
-            expect(smBot.chats.has(123)).toBe(true)
-            expect(smBot.chats.has(456)).toBe(true)
-            expect(smBot.chats.has(789)).toBe(true)
+            expect(db.migrateChat).not.toHaveBeenCalled()
         })
     })
 
     describe('command handlers', () => {
-        test('handleStartCommand should accept correct password', async () => {
-            const mockCtx = {
-                chat: { id: 123 },
-                payload: 'test_password',
-                reply: jest.fn()
-            }
+        const createCommandCtx = (overrides = {}) => ({
+            chat: { id: 123, type: 'group' },
+            from: { id: 100, username: 'someone' },
+            payload: '',
+            reply: jest.fn(),
+            getChatMember: jest.fn().mockResolvedValue({ status: 'administrator' }),
+            ...overrides
+        })
 
-            smBot.addChatId = jest.fn()
+        test('handleStartCommand should subscribe chat for a known chat admin', async () => {
+            const mockCtx = createCommandCtx({ from: { id: 42 } })
+            smBot.subscribeChat = jest.fn()
 
             await smBot.handleStartCommand(mockCtx)
 
-            expect(smBot.addChatId).toHaveBeenCalledWith(123)
+            expect(mockCtx.getChatMember).toHaveBeenCalledWith(42)
+            expect(smBot.subscribeChat).toHaveBeenCalledWith(mockCtx.chat, 42)
+            expect(mockAuth.record).toHaveBeenCalledWith({
+                userId: 42, chatId: 123, action: 'start', allowed: true, reason: 'known user'
+            })
             expect(mockCtx.reply).toHaveBeenCalledWith(
                 expect.stringContaining('Welcome to Spotify-Apple Music Links Bot!')
             )
         })
 
-        test('handleStartCommand should reject incorrect password', async () => {
-            const mockCtx = {
-                chat: { id: 123 },
-                payload: 'wrong_password',
-                reply: jest.fn()
-            }
+        test('handleStartCommand should let bot admins subscribe any chat', async () => {
+            const mockCtx = createCommandCtx({
+                from: { id: 7 },
+                getChatMember: jest.fn().mockResolvedValue({ status: 'member' })
+            })
+            smBot.subscribeChat = jest.fn()
+
+            await smBot.handleStartCommand(mockCtx)
+
+            expect(smBot.subscribeChat).toHaveBeenCalledWith(mockCtx.chat, 7)
+        })
+
+        test('handleStartCommand should accept a valid invite code from an unknown chat admin', async () => {
+            const mockCtx = createCommandCtx({ payload: 'invite123' })
+            mockAuth.redeemInvite.mockResolvedValue(true)
+            smBot.subscribeChat = jest.fn()
+
+            await smBot.handleStartCommand(mockCtx)
+
+            expect(mockAuth.redeemInvite).toHaveBeenCalledWith('invite123', mockCtx.from, 123)
+            expect(smBot.subscribeChat).toHaveBeenCalledWith(mockCtx.chat, 100)
+            expect(mockAuth.record).toHaveBeenCalledWith(expect.objectContaining({ allowed: true, reason: 'invite code' }))
+        })
+
+        test('handleStartCommand should reject unknown users without a valid invite code', async () => {
+            const mockCtx = createCommandCtx({ payload: 'wrong_code' })
+            smBot.subscribeChat = jest.fn()
+
+            await smBot.handleStartCommand(mockCtx)
+
+            expect(smBot.subscribeChat).not.toHaveBeenCalled()
+            expect(mockAuth.record).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'start', allowed: false, reason: 'invalid invite code'
+            }))
+            expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining("I don't know you"))
+        })
+
+        test('handleStartCommand should reject users who are not chat admins', async () => {
+            const mockCtx = createCommandCtx({
+                from: { id: 42 },
+                payload: 'invite123',
+                getChatMember: jest.fn().mockResolvedValue({ status: 'member' })
+            })
+            smBot.subscribeChat = jest.fn()
 
             await smBot.handleStartCommand(mockCtx)
 
-            expect(mockCtx.reply).toHaveBeenCalledWith('🚫 Incorrect password. I don\'t know you.')
+            expect(smBot.subscribeChat).not.toHaveBeenCalled()
+            expect(mockAuth.redeemInvite).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith('🚫 Only chat admins can subscribe this chat.')
         })
 
         test('handleStartCommand should handle missing chat ID', async () => {
-            const mockCtx = {
-                chat: null,
-                payload: 'test_password',
-                reply: jest.fn()
-            }
+            const mockCtx = createCommandCtx({ chat: null })
 
             await smBot.handleStartCommand(mockCtx)
 
             expect(mockCtx.reply).toHaveBeenCalledWith('Error: Unable to identify chat.')
         })
 
-        test('handleStopCommand should remove chat ID', async () => {
-            const mockCtx = {
-                chat: { id: 123 },
-                reply: jest.fn()
-            }
-
-            smBot.removeChatId = jest.fn()
+        test('handleStopCommand should remove chat ID for chat admins', async () => {
+            const mockCtx = createCommandCtx()
+            smBot.unsubscribeChat = jest.fn()
 
             await smBot.handleStopCommand(mockCtx)
 
-            expect(smBot.removeChatId).toHaveBeenCalledWith(123)
+            expect(smBot.unsubscribeChat).toHaveBeenCalledWith(123)
             expect(mockCtx.reply).toHaveBeenCalledWith(
                 expect.stringContaining('I will stop converting music links')
             )
         })
 
+        test('handleStopCommand should reject regular chat members', async () => {
+            const mockCtx = createCommandCtx({
+                getChatMember: jest.fn().mockResolvedValue({ status: 'member' })
+            })
+            smBot.unsubscribeChat = jest.fn()
+
+            await smBot.handleStopCommand(mockCtx)
+
+            expect(smBot.unsubscribeChat).not.toHaveBeenCalled()
+            expect(mockAuth.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'stop', allowed: false }))
+            expect(mockCtx.reply).toHaveBeenCalledWith('🚫 Only chat admins can unsubscribe this chat.')
+        })
+
+        test('handlePauseCommand should pause an active chat for chat admins', async () => {
+            const mockCtx = createCommandCtx()
+            subscribe([123])
+
+            await smBot.handlePauseCommand(mockCtx)
+
+            expect(db.setChatStatus).toHaveBeenCalledWith(123, 'paused')
+            expect(mockAuth.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'pause', allowed: true }))
+            expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining('Paused'))
+        })
+
+        test('handlePauseCommand should reject regular chat members', async () => {
+            const mockCtx = createCommandCtx({ getChatMember: jest.fn().mockResolvedValue({ status: 'member' }) })
+            subscribe([123])
+
+            await smBot.handlePauseCommand(mockCtx)
+
+            expect(db.setChatStatus).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith('🚫 Only chat admins can pause me in this chat.')
+        })
+
+        test('handleResumeCommand should resume a paused chat', async () => {
+            const mockCtx = createCommandCtx()
+            subscribe([123], 'paused')
+
+            await smBot.handleResumeCommand(mockCtx)
+
+            expect(db.setChatStatus).toHaveBeenCalledWith(123, 'active')
+            expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining('Resumed'))
+        })
+
+        test('handleResumeCommand should tell when the chat is not paused', async () => {
+            const mockCtx = createCommandCtx()
+            subscribe([123])
+
+            await smBot.handleResumeCommand(mockCtx)
+
+            expect(db.setChatStatus).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith('I am not paused here.')
+        })
+
+        test('handlePauseCommand should ignore unsubscribed chats', async () => {
+            const mockCtx = createCommandCtx()
+
+            await smBot.handlePauseCommand(mockCtx)
+
+            expect(db.setChatStatus).not.toHaveBeenCalled()
+            expect(mockCtx.reply).not.toHaveBeenCalled()
+        })
+
+        test('isChatAdmin should treat private chats as administered and lookup failures as not', async () => {
+            expect(await smBot.isChatAdmin(createCommandCtx({ chat: { id: 100, type: 'private' } }))).toBe(true)
+            expect(await smBot.isChatAdmin(createCommandCtx({
+                getChatMember: jest.fn().mockRejectedValue(new Error('Bad Request'))
+            }))).toBe(false)
+        })
+
+        test('handleInviteCommand should create an invite code for bot admins', async () => {
+            const expiresAt = new Date('2025-01-02T00:00:00Z')
+            const mockCtx = createCommandCtx({ from: { id: 7 }, payload: '48', botInfo: { username: 'smbot' } })
+            mockAuth.createInvite.mockResolvedValue({ code: 'abc123', expiresAt })
+
+            await smBot.handleInviteCommand(mockCtx)
+
+            expect(mockAuth.createInvite).toHaveBeenCalledWith(7, 48)
+            expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining('/start abc123'))
+            expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining('https://t.me/smbot?startgroup=abc123'))
+        })
+
+        test('handleInviteCommand should reject non-admins and bad durations', async () => {
+            const memberCtx = createCommandCtx({ from: { id: 42 } })
+            await smBot.handleInviteCommand(memberCtx)
+            expect(memberCtx.reply).toHaveBeenCalledWith('🚫 Only bot admins can do that.')
+
+            const badCtx = createCommandCtx({ from: { id: 7 }, payload: 'forever' })
+            await smBot.handleInviteCommand(badCtx)
+            expect(badCtx.reply).toHaveBeenCalledWith('Usage: /invite [hours], from 1 to 720')
+
+            expect(mockAuth.createInvite).not.toHaveBeenCalled()
+        })
+
+        test('handlePromoteCommand should let owners promote a user', async () => {
+            const mockCtx = createCommandCtx({ from: { id: 1 }, payload: '42' })
+
+            await smBot.handlePromoteCommand(mockCtx)
+
+            expect(mockAuth.setRole).toHaveBeenCalledWith(42, 'admin', 1)
+            expect(mockCtx.reply).toHaveBeenCalledWith('✅ User 42 is now a bot admin.')
+        })
+
+        test('handleDemoteCommand should use the replied-to user', async () => {
+            const mockCtx = createCommandCtx({
+                from: { id: 1 },
+                message: { reply_to_message: { from: { id: 7 } } }
+            })
+
+            await smBot.handleDemoteCommand(mockCtx)
+
+            expect(mockAuth.setRole).toHaveBeenCalledWith(7, 'member', 1)
+        })
+
+        test('handlePromoteCommand should reject non-owners', async () => {
+            const mockCtx = createCommandCtx({ from: { id: 7 }, payload: '42' })
+
+            await smBot.handlePromoteCommand(mockCtx)
+
+            expect(mockAuth.setRole).not.toHaveBeenCalled()
+            expect(mockAuth.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'promote', allowed: false }))
+            expect(mockCtx.reply).toHaveBeenCalledWith('🚫 Only bot owners can do that.')
+        })
+
+        test('handleUncacheCommand should invalidate cache for bot admins', async () => {
+            const mockCtx = {
+                from: { id: 7 },
+                payload: 'https://open.spotify.com/track/test123',
+                reply: jest.fn()
+            }
+            mockConverter.invalidateCachedConversion.mockResolvedValue(1)
+
+            await smBot.handleUncacheCommand(mockCtx)
+
+            expect(mockConverter.invalidateCachedConversion).toHaveBeenCalledWith('https://open.spotify.com/track/test123')
+            expect(mockCtx.reply).toHaveBeenCalledWith('🧹 Removed 1 cached conversion(s) for this link.')
+        })
+
+        test('handleUncacheCommand should reject non-admins', async () => {
+            const mockCtx = {
+                from: { id: 42 },
+                payload: 'https://open.spotify.com/track/test123',
+                reply: jest.fn()
+            }
+
+            await smBot.handleUncacheCommand(mockCtx)
+
+            expect(mockConverter.invalidateCachedConversion).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith('🚫 Only bot admins can do that.')
+        })
+
         test('handleHelpCommand should show help message', async () => {
             const mockCtx = {
                 reply: jest.fn()
@@ -231,7 +669,7 @@ describe('SMBot', () => {
         test('should process music links in subscribed chats', async () => {
             const mockCtx = {
                 chat: { id: 123 },
-                message: {
+                msg: {
                     text: 'Check this out: https://open.spotify.com/track/test123',
                     message_id: 456
                 },
@@ -239,38 +677,78 @@ describe('SMBot', () => {
                 reply: jest.fn()
             }
 
-            smBot.chats = new Set([123])
+            subscribe([123])
             smBot.extractMusicLinks = jest.fn().mockReturnValue(['https://open.spotify.com/track/test123'])
 
-            const mockConversionResult = {
-                converted: { externalUrl: 'https://music.apple.com/song/test456' },
-                confidence: '95% match'
-            }
-
-            mockConverter.convertMusicLink.mockResolvedValue(mockConversionResult)
+            mockConverter.convertMusicLink.mockResolvedValue(sampleResult)
             mockConverter.formatConversionMessage.mockReturnValue('Converted link message')
 
-            await smBot.handleTextMessage(mockCtx)
+            await smBot.handleMessage(mockCtx)
 
             expect(mockCtx.sendChatAction).toHaveBeenCalledWith('typing')
-            expect(mockConverter.convertMusicLink).toHaveBeenCalledWith('https://open.spotify.com/track/test123')
+            expect(mockConverter.convertMusicLink).toHaveBeenCalledWith(
+                'https://open.spotify.com/track/test123',
+                { storefront: null, minScore: 60, musicVideo: false }
+            )
             expect(mockCtx.reply).toHaveBeenCalledWith('Converted link message', {
                 disable_web_page_preview: false,
-                reply_to_message_id: 456
+                reply_to_message_id: 456,
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '🟢 Open in Spotify', url: 'https://open.spotify.com/track/test123' },
+                        { text: '🍎 Open in Apple Music', url: 'https://music.apple.com/song/test456' }
+                    ]]
+                }
             })
         })
 
+        test('should convert links in channel post captions', async () => {
+            const caption = 'New single! https://open.spotify.com/track/test123'
+            const mockCtx = {
+                chat: { id: -100123, type: 'channel' },
+                msg: {
+                    caption,
+                    caption_entities: [{ type: 'url', offset: 12, length: 38 }],
+                    sender_chat: { title: 'My Channel' },
+                    message_id: 77
+                },
+                sendChatAction: jest.fn(),
+                reply: jest.fn()
+            }
+            subscribe([-100123])
+            mockConverter.convertMusicLink.mockResolvedValue(sampleResult)
+            mockConverter.formatConversionMessage.mockReturnValue('Converted link message')
+
+            await smBot.handleMessage(mockCtx)
+
+            expect(mockConverter.convertMusicLink).toHaveBeenCalledWith('https://open.spotify.com/track/test123', expect.any(Object))
+            expect(mockCtx.reply).toHaveBeenCalledWith('Converted link message', expect.objectContaining({ reply_to_message_id: 77 }))
+        })
+
         test('should ignore messages from unsubscribed chats', async () => {
             const mockCtx = {
                 chat: { id: 999 },
-                message: {
+                msg: {
                     text: 'https://open.spotify.com/track/test123'
                 }
             }
 
-            smBot.chats = new Set([123])
+            subscribe([123])
+
+            await smBot.handleMessage(mockCtx)
+
+            expect(mockConverter.convertMusicLink).not.toHaveBeenCalled()
+        })
+
+        test('should ignore messages in paused chats', async () => {
+            const mockCtx = {
+                chat: { id: 123 },
+                msg: { text: 'https://open.spotify.com/track/test123' }
+            }
+
+            subscribe([123], 'paused')
 
-            await smBot.handleTextMessage(mockCtx)
+            await smBot.handleMessage(mockCtx)
 
             expect(mockConverter.convertMusicLink).not.toHaveBeenCalled()
         })
@@ -278,15 +756,15 @@ describe('SMBot', () => {
         test('should ignore messages without music links', async () => {
             const mockCtx = {
                 chat: { id: 123 },
-                message: {
+                msg: {
                     text: 'Just a regular message'
                 }
             }
 
-            smBot.chats = new Set([123])
+            subscribe([123])
             smBot.extractMusicLinks = jest.fn().mockReturnValue([])
 
-            await smBot.handleTextMessage(mockCtx)
+            await smBot.handleMessage(mockCtx)
 
             expect(mockConverter.convertMusicLink).not.toHaveBeenCalled()
         })
@@ -294,7 +772,7 @@ describe('SMBot', () => {
         test('should handle conversion errors gracefully', async () => {
             const mockCtx = {
                 chat: { id: 123 },
-                message: {
+                msg: {
                     text: 'https://open.spotify.com/track/test123',
                     message_id: 456
                 },
@@ -302,17 +780,1101 @@ describe('SMBot', () => {
                 reply: jest.fn()
             }
 
-            smBot.chats = new Set([123])
+            subscribe([123])
             smBot.extractMusicLinks = jest.fn().mockReturnValue(['https://open.spotify.com/track/test123'])
 
             mockConverter.convertMusicLink.mockRejectedValue(new Error('Conversion failed'))
 
-            await smBot.handleTextMessage(mockCtx)
+            await smBot.handleMessage(mockCtx)
 
             expect(mockCtx.reply).toHaveBeenCalledWith(
                 expect.stringContaining('Sorry, I encountered an error'),
                 { reply_to_message_id: 456 }
             )
         })
+
+        test('should convert every link in the message with one combined reply', async () => {
+            const links = [
+                'https://open.spotify.com/track/one',
+                'https://open.spotify.com/track/two',
+                'https://music.apple.com/us/song/three/3'
+            ]
+            const mockCtx = {
+                chat: { id: 123 },
+                msg: {
+                    text: links.join(' '),
+                    message_id: 456
+                },
+                sendChatAction: jest.fn(),
+                reply: jest.fn()
+            }
+
+            subscribe([123])
+            smBot.extractMusicLinks = jest.fn().mockReturnValue(links)
+
+            const firstResult = { converted: { externalUrl: 'https://music.apple.com/song/1' } }
+            mockConverter.convertMusicLink
+                .mockResolvedValueOnce(firstResult)
+                .mockResolvedValueOnce(null)
+                .mockRejectedValueOnce(new Error('Conversion failed'))
+            mockConverter.formatMultipleConversionsMessage.mockReturnValue('Combined message')
+
+            await smBot.handleMessage(mockCtx)
+
+            expect(mockConverter.convertMusicLink).toHaveBeenCalledTimes(3)
+            expect(mockConverter.formatMultipleConversionsMessage).toHaveBeenCalledWith([
+                { url: links[0], result: firstResult, error: null },
+                { url: links[1], result: null, error: null },
+                { url: links[2], result: null, error: expect.any(Error) }
+            ], 'full')
+            expect(mockCtx.reply).toHaveBeenCalledTimes(1)
+            expect(mockCtx.reply).toHaveBeenCalledWith('Combined message', {
+                disable_web_page_preview: false,
+                reply_to_message_id: 456
+            })
+        })
+
+        test('should remember the reply to the message', async () => {
+            const mockCtx = {
+                chat: { id: 123 },
+                msg: { text: 'https://open.spotify.com/track/test123', message_id: 456 },
+                sendChatAction: jest.fn(),
+                reply: jest.fn().mockResolvedValue({ message_id: 789 })
+            }
+            subscribe([123])
+            mockConverter.convertMusicLink.mockResolvedValue(sampleResult)
+            mockConverter.formatConversionMessage.mockReturnValue('Converted link message')
+
+            await smBot.handleMessage(mockCtx)
+
+            expect(db.saveMessageReply).toHaveBeenCalledWith({
+                chatId: 123,
+                messageId: 456,
+                replyMessageId: 789,
+                links: ['https://open.spotify.com/track/test123']
+            })
+        })
+    })
+
+    describe('search', () => {
+        const pairs = [
+            {
+                songs: {
+                    spotify: { id: 'sp1', name: 'Bohemian Rhapsody', artist: 'Queen', externalUrl: 'https://open.spotify.com/track/sp1' },
+                    apple_music: { id: 'am1', externalUrl: 'https://music.apple.com/us/song/am1' }
+                },
+                score: 100
+            },
+            {
+                songs: {
+                    spotify: { id: 'sp2', name: 'Bohemian Rhapsody - Live', artist: 'Queen', externalUrl: 'https://open.spotify.com/track/sp2' },
+                    apple_music: { id: 'am2', externalUrl: 'https://music.apple.com/us/song/am2' }
+                },
+                score: 85
+            }
+        ]
+
+        function createSearchCtx(payload) {
+            return {
+                chat: { id: 123 },
+                from: { id: 42 },
+                message: { message_id: 456 },
+                payload,
+                sendChatAction: jest.fn(),
+                reply: jest.fn()
+            }
+        }
+
+        test('should reply with the best pair and buttons for all pairs', async () => {
+            const mockCtx = createSearchCtx('Queen - Bohemian Rhapsody')
+            subscribe([123])
+            db.getChatSettings.mockResolvedValue({ ...defaultSettings, storefront: 'de' })
+            mockConverter.searchSongPairs.mockResolvedValue(pairs)
+
+            await smBot.handleSearchCommand(mockCtx)
+
+            expect(mockConverter.searchSongPairs).toHaveBeenCalledWith('Queen - Bohemian Rhapsody', 'de')
+            const [text, extra] = mockCtx.reply.mock.calls[0]
+            expect(text).toBe('Pair sp1')
+            expect(extra.reply_to_message_id).toBe(456)
+            expect(extra.reply_markup.inline_keyboard[0][0].url).toBe('https://open.spotify.com/track/sp1')
+            expect(extra.reply_markup.inline_keyboard[2][0].callback_data).toBe('search:spotify:sp2,apple_music:am2')
+        })
+
+        test('should tell when nothing was found', async () => {
+            const mockCtx = createSearchCtx('zzzz')
+            subscribe([123])
+            mockConverter.searchSongPairs.mockResolvedValue([])
+
+            await smBot.handleSearchCommand(mockCtx)
+
+            expect(mockCtx.reply).toHaveBeenCalledWith('🔎 No songs found for "zzzz".')
+        })
+
+        test('should explain usage without a query', async () => {
+            const mockCtx = createSearchCtx('  ')
+            subscribe([123])
+
+            await smBot.handleSearchCommand(mockCtx)
+
+            expect(mockConverter.searchSongPairs).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage: /search'))
+        })
+
+        test('should ignore searches in unsubscribed chats', async () => {
+            await smBot.handleSearchCommand(createSearchCtx('Queen'))
+
+            expect(mockConverter.searchSongPairs).not.toHaveBeenCalled()
+        })
+
+        test('should switch the reply to a picked pair', async () => {
+            subscribe([123])
+            mockConverter.getSongPair.mockResolvedValue(pairs[1])
+            const keyboard = [
+                [{ text: '🟢 Open in Spotify', url: 'https://open.spotify.com/track/sp1' }],
+                [{ text: '▶ Queen – Bohemian Rhapsody (100%)', callback_data: 'search:spotify:sp1,apple_music:am1' }],
+                [{ text: 'Queen – Bohemian Rhapsody - Live (85%)', callback_data: 'search:spotify:sp2,apple_music:am2' }]
+            ]
+            const mockCtx = {
+                chat: { id: 123 },
+                callbackQuery: { data: 'search:spotify:sp2,apple_music:am2', message: { reply_markup: { inline_keyboard: keyboard } } },
+                editMessageText: jest.fn(),
+                answerCbQuery: jest.fn()
+            }
+
+            await smBot.handleSearchCallback(mockCtx)
+
+            expect(mockConverter.getSongPair).toHaveBeenCalledWith({ spotify: 'sp2', apple_music: 'am2' }, null)
+            const [text, extra] = mockCtx.editMessageText.mock.calls[0]
+            expect(text).toBe('Pair sp2')
+            expect(extra.reply_markup.inline_keyboard[0][1].url).toBe('https://music.apple.com/us/song/am2')
+            expect(extra.reply_markup.inline_keyboard[2][0].text).toBe('▶ Queen – Bohemian Rhapsody - Live (85%)')
+            expect(mockCtx.answerCbQuery).toHaveBeenCalledWith()
+        })
+
+        test('should tell when a picked song is gone', async () => {
+            subscribe([123])
+            mockConverter.getSongPair.mockResolvedValue(null)
+            const mockCtx = {
+                chat: { id: 123 },
+                callbackQuery: { data: 'search:spotify:sp2,apple_music:am2', message: {} },
+                editMessageText: jest.fn(),
+                answerCbQuery: jest.fn()
+            }
+
+            await smBot.handleSearchCallback(mockCtx)
+
+            expect(mockCtx.editMessageText).not.toHaveBeenCalled()
+            expect(mockCtx.answerCbQuery).toHaveBeenCalledWith('That song is no longer available.')
+        })
+    })
+
+    describe('history', () => {
+        const historyEntry = {
+            createdAt: new Date('2025-05-01T10:00:00Z'),
+            userId: 42,
+            type: 'track',
+            source: sampleResult.original,
+            target: sampleResult.converted,
+            score: 95,
+            origin: 'search'
+        }
+
+        function createHistoryCtx(payload = '') {
+            return {
+                chat: { id: 123, title: 'Music Lovers' },
+                from: { id: 42 },
+                payload,
+                reply: jest.fn(),
+                replyWithDocument: jest.fn()
+            }
+        }
+
+        test('should record posted conversions with the sharing user', async () => {
+            const mockCtx = {
+                chat: { id: 123 },
+                from: { id: 42 },
+                msg: { text: 'https://open.spotify.com/track/test123', message_id: 456 },
+                sendChatAction: jest.fn(),
+                reply: jest.fn()
+            }
+            subscribe([123])
+            mockConverter.convertMusicLink.mockResolvedValue(sampleResult)
+            mockConverter.formatConversionMessage.mockReturnValue('Converted link message')
+
+            await smBot.handleMessage(mockCtx)
+
+            expect(mockConverter.recordHistory).toHaveBeenCalledWith([sampleResult], 123, 42)
+        })
+
+        test('should not record failed conversions or links already recorded before an edit', async () => {
+            const kept = 'https://open.spotify.com/track/test123'
+            const added = 'https://open.spotify.com/track/new456'
+            const mockCtx = {
+                chat: { id: 123 },
+                msg: { text: `${kept} ${added} https://open.spotify.com/track/gone789`, message_id: 456 },
+                sendChatAction: jest.fn(),
+                reply: jest.fn(),
+                telegram: { editMessageText: jest.fn() }
+            }
+            subscribe([123])
+            db.getMessageReply.mockResolvedValue({ chatId: 123, messageId: 456, replyMessageId: 789, links: [kept] })
+            mockConverter.convertMusicLink
+                .mockResolvedValueOnce(sampleResult)
+                .mockResolvedValueOnce({ ...sampleResult, original: { ...sampleResult.original, id: 'new456' } })
+                .mockResolvedValueOnce(null)
+            mockConverter.formatMultipleConversionsMessage.mockReturnValue('Combined message')
+
+            await smBot.handleEditedMessage(mockCtx)
+
+            expect(mockConverter.recordHistory).toHaveBeenCalledWith(
+                [expect.objectContaining({ original: expect.objectContaining({ id: 'new456' }) })], 123, null
+            )
+        })
+
+        test('should list recent shares of the chat', async () => {
+            const mockCtx = createHistoryCtx('5')
+            subscribe([123])
+            mockConverter.listHistory.mockResolvedValue({ entries: [historyEntry], total: 12 })
+
+            await smBot.handleHistoryCommand(mockCtx)
+
+            expect(mockConverter.listHistory).toHaveBeenCalledWith(123, 5)
+            const text = mockCtx.reply.mock.calls[0][0]
+            expect(text).toContain('Last 1 of 12 shared songs')
+            expect(text).toContain('1. Test Artist – Test Song (2025-05-01)')
+            expect(text).toContain('🍎 Apple Music: https://music.apple.com/song/test456')
+        })
+
+        test('should reject an invalid number of songs', async () => {
+            const mockCtx = createHistoryCtx('500')
+            subscribe([123])
+
+            await smBot.handleHistoryCommand(mockCtx)
+
+            expect(mockConverter.listHistory).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith('Usage: /history [number of songs, 1-50]')
+        })
+
+        test('should export the history as a file, oldest first', async () => {
+            const mockCtx = createHistoryCtx('m3u')
+            subscribe([123])
+            const older = { ...historyEntry, source: { ...historyEntry.source, name: 'Older Song' } }
+            mockConverter.listHistory.mockResolvedValue({ entries: [historyEntry, older], total: 2 })
+
+            await smBot.handleExportCommand(mockCtx)
+
+            expect(mockConverter.listHistory).toHaveBeenCalledWith(123, 5000)
+            const [file, extra] = mockCtx.replyWithDocument.mock.calls[0]
+            expect(file.filename).toBe('Music_Lovers_music.m3u')
+            expect(file.source.toString()).toMatch(/Older Song[\s\S]*Test Song/)
+            expect(extra).toEqual({ caption: '🎶 2 shared songs' })
+        })
+
+        test('should reject unknown export formats', async () => {
+            const mockCtx = createHistoryCtx('mp3')
+            subscribe([123])
+
+            await smBot.handleExportCommand(mockCtx)
+
+            expect(mockCtx.replyWithDocument).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith('Usage: /export [csv|json|m3u|xspf]')
+        })
+
+        test('should ignore history commands in unsubscribed chats', async () => {
+            const mockCtx = createHistoryCtx()
+
+            await smBot.handleHistoryCommand(mockCtx)
+            await smBot.handleExportCommand(mockCtx)
+
+            expect(mockConverter.listHistory).not.toHaveBeenCalled()
+        })
+    })
+
+    describe('edited messages', () => {
+        const link = 'https://open.spotify.com/track/test123'
+        const existingReply = { chatId: 123, messageId: 456, replyMessageId: 789, links: [link] }
+
+        function createEditCtx(text) {
+            return {
+                chat: { id: 123 },
+                msg: { text, message_id: 456 },
+                sendChatAction: jest.fn(),
+                reply: jest.fn().mockResolvedValue({ message_id: 900 }),
+                telegram: {
+                    editMessageText: jest.fn(),
+                    deleteMessage: jest.fn()
+                }
+            }
+        }
+
+        beforeEach(() => {
+            subscribe([123])
+            mockConverter.convertMusicLink.mockResolvedValue(sampleResult)
+            mockConverter.formatConversionMessage.mockReturnValue('Converted link message')
+        })
+
+        test('should edit the earlier reply when the link changes', async () => {
+            const newLink = 'https://open.spotify.com/track/other789'
+            const mockCtx = createEditCtx(`Oops, meant ${newLink}`)
+            db.getMessageReply.mockResolvedValue(existingReply)
+
+            await smBot.handleEditedMessage(mockCtx)
+
+            expect(db.getMessageReply).toHaveBeenCalledWith(123, 456)
+            expect(mockConverter.convertMusicLink).toHaveBeenCalledWith(newLink, expect.any(Object))
+            expect(mockCtx.telegram.editMessageText).toHaveBeenCalledWith(
+                123, 789, undefined, 'Converted link message', expect.objectContaining({ disable_web_page_preview: false })
+            )
+            expect(mockCtx.reply).not.toHaveBeenCalled()
+            expect(db.saveMessageReply).toHaveBeenCalledWith({ chatId: 123, messageId: 456, replyMessageId: 789, links: [newLink] })
+        })
+
+        test('should reply to a message that got its first link by editing', async () => {
+            const mockCtx = createEditCtx(`Listen: ${link}`)
+
+            await smBot.handleEditedMessage(mockCtx)
+
+            expect(mockCtx.reply).toHaveBeenCalledWith('Converted link message', expect.objectContaining({ reply_to_message_id: 456 }))
+            expect(db.saveMessageReply).toHaveBeenCalledWith({ chatId: 123, messageId: 456, replyMessageId: 900, links: [link] })
+        })
+
+        test('should post a new reply if the earlier one cannot be edited', async () => {
+            const mockCtx = createEditCtx('https://open.spotify.com/track/other789')
+            mockCtx.telegram.editMessageText.mockRejectedValue(new Error('Bad Request: message to edit not found'))
+            db.getMessageReply.mockResolvedValue(existingReply)
+
+            await smBot.handleEditedMessage(mockCtx)
+
+            expect(mockCtx.reply).toHaveBeenCalledWith('Converted link message', expect.objectContaining({ reply_to_message_id: 456 }))
+            expect(db.saveMessageReply).toHaveBeenCalledWith(expect.objectContaining({ replyMessageId: 900 }))
+        })
+
+        test('should delete the reply when the links are removed', async () => {
+            const mockCtx = createEditCtx('Never mind')
+            db.getMessageReply.mockResolvedValue(existingReply)
+
+            await smBot.handleEditedMessage(mockCtx)
+
+            expect(mockCtx.telegram.deleteMessage).toHaveBeenCalledWith(123, 789)
+            expect(db.deleteMessageReply).toHaveBeenCalledWith(123, 456)
+            expect(mockConverter.convertMusicLink).not.toHaveBeenCalled()
+        })
+
+        test('should leave the reply alone when only the text around the link changes', async () => {
+            const mockCtx = createEditCtx(`Fixed a typo ${link}`)
+            db.getMessageReply.mockResolvedValue(existingReply)
+
+            await smBot.handleEditedMessage(mockCtx)
+
+            expect(mockConverter.convertMusicLink).not.toHaveBeenCalled()
+            expect(mockCtx.telegram.editMessageText).not.toHaveBeenCalled()
+            expect(mockCtx.reply).not.toHaveBeenCalled()
+        })
+
+        test('should ignore edits in unsubscribed chats', async () => {
+            const mockCtx = createEditCtx(link)
+            subscribe([])
+
+            await smBot.handleEditedMessage(mockCtx)
+
+            expect(db.getMessageReply).not.toHaveBeenCalled()
+            expect(mockConverter.convertMusicLink).not.toHaveBeenCalled()
+        })
+    })
+
+    describe('playlists', () => {
+        const playlistLink = 'https://open.spotify.com/playlist/list123'
+        const conversion = {
+            playlist: { id: 'list123', name: 'Road Trip: 2025', trackCount: 2 },
+            entries: [{ status: 'matched' }, { status: 'missing' }]
+        }
+
+        function createPlaylistCtx(text = `Our playlist ${playlistLink}`) {
+            return {
+                chat: { id: 123 },
+                msg: { text, message_id: 456 },
+                sendChatAction: jest.fn(),
+                reply: jest.fn().mockResolvedValue({ message_id: 900 }),
+                replyWithDocument: jest.fn(),
+                telegram: {
+                    editMessageText: jest.fn(),
+                    deleteMessage: jest.fn()
+                }
+            }
+        }
+
+        beforeEach(() => {
+            subscribe([123])
+        })
+
+        test('should convert playlists apart from other links', async () => {
+            const trackLink = 'https://open.spotify.com/track/test123'
+            const mockCtx = createPlaylistCtx(`${playlistLink} and ${trackLink}`)
+            mockConverter.convertMusicLink.mockResolvedValue(sampleResult)
+            smBot.processPlaylist = jest.fn()
+
+            await smBot.handleMessage(mockCtx)
+
+            expect(mockConverter.convertMusicLink).toHaveBeenCalledTimes(1)
+            expect(mockConverter.convertMusicLink).toHaveBeenCalledWith(trackLink, expect.any(Object))
+            expect(smBot.processPlaylist).toHaveBeenCalledWith(mockCtx, playlistLink)
+        })
+
+        test('should show progress in one status message and replace it with the summary', async () => {
+            const mockCtx = createPlaylistCtx()
+            const now = jest.spyOn(Date, 'now')
+            now.mockReturnValue(0)
+            mockConverter.convertPlaylist.mockImplementation(async (url, options, onProgress) => {
+                now.mockReturnValue(1000)
+                await onProgress(5, 20)
+                now.mockReturnValue(5000)
+                await onProgress(10, 20)
+                await onProgress(20, 20)
+                return conversion
+            })
+
+            await smBot.processPlaylist(mockCtx, playlistLink)
+            now.mockRestore()
+
+            expect(mockCtx.reply).toHaveBeenCalledWith('📋 Reading the playlist...', { reply_to_message_id: 456 })
+            expect(mockConverter.convertPlaylist).toHaveBeenCalledWith(playlistLink, { storefront: null, minScore: 60 }, expect.any(Function))
+            expect(mockCtx.telegram.editMessageText.mock.calls.map((call) => [call[1], call[3]])).toEqual([
+                [900, '📋 Converting the playlist: 10 of 20 tracks...'],
+                [900, 'Playlist summary']
+            ])
+            expect(mockCtx.replyWithDocument).toHaveBeenCalledWith(
+                { source: Buffer.from('Track list', 'utf8'), filename: 'Road_Trip_2025.txt' },
+                { reply_to_message_id: 900 }
+            )
+        })
+
+        test('should tell when a playlist cannot be read', async () => {
+            const mockCtx = createPlaylistCtx()
+            mockConverter.convertPlaylist.mockResolvedValue(null)
+
+            await smBot.processPlaylist(mockCtx, playlistLink)
+
+            expect(mockCtx.telegram.editMessageText).toHaveBeenCalledWith(
+                123, 900, undefined, expect.stringContaining('could not read this playlist'), expect.any(Object)
+            )
+            expect(mockCtx.replyWithDocument).not.toHaveBeenCalled()
+        })
+
+        test('should report errors in the status message', async () => {
+            const mockCtx = createPlaylistCtx()
+            mockConverter.convertPlaylist.mockRejectedValue(new Error('API down'))
+
+            await smBot.processPlaylist(mockCtx, playlistLink)
+
+            expect(mockCtx.telegram.editMessageText).toHaveBeenCalledWith(
+                123, 900, undefined, expect.stringContaining('error while converting this playlist'), expect.any(Object)
+            )
+        })
+
+        test('should not convert playlists again when a message is edited', async () => {
+            const mockCtx = createPlaylistCtx(`Fixed typo ${playlistLink}`)
+            smBot.processPlaylist = jest.fn()
+
+            await smBot.handleEditedMessage(mockCtx)
+
+            expect(smBot.processPlaylist).not.toHaveBeenCalled()
+            expect(mockConverter.convertMusicLink).not.toHaveBeenCalled()
+        })
+    })
+
+    describe('link resolution', () => {
+        const createMessageCtx = (text) => ({
+            chat: { id: 123 },
+            msg: { text, message_id: 456 },
+            sendChatAction: jest.fn(),
+            reply: jest.fn()
+        })
+
+        beforeEach(() => {
+            subscribe([123])
+            db.getChatSettings.mockResolvedValue(defaultSettings)
+        })
+
+        test('should convert the canonical links of short links and URIs once', async () => {
+            const canonical = 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC'
+            mockConverter.resolveMusicLink.mockResolvedValue({ originalUrl: canonical })
+
+            await smBot.handleMessage(createMessageCtx('https://spotify.link/AbCdEf12 spotify:track:4uLU6hMCjMI75M1A2tKUQC'))
+
+            expect(mockConverter.resolveMusicLink).toHaveBeenCalledWith('https://spotify.link/AbCdEf12')
+            expect(mockConverter.resolveMusicLink).toHaveBeenCalledWith('spotify:track:4uLU6hMCjMI75M1A2tKUQC')
+            expect(mockConverter.convertMusicLink).toHaveBeenCalledTimes(1)
+            expect(mockConverter.convertMusicLink).toHaveBeenCalledWith(canonical, expect.any(Object))
+        })
+
+        test('should ignore short links that cannot be resolved', async () => {
+            mockConverter.resolveMusicLink.mockResolvedValue(null)
+            const mockCtx = createMessageCtx('https://spotify.link/gone')
+
+            await smBot.handleMessage(mockCtx)
+
+            expect(mockConverter.convertMusicLink).not.toHaveBeenCalled()
+            expect(mockCtx.reply).not.toHaveBeenCalled()
+        })
+    })
+
+    describe('chat settings', () => {
+        const createMessageCtx = (text) => ({
+            chat: { id: 123 },
+            msg: { text, message_id: 456 },
+            sendChatAction: jest.fn(),
+            reply: jest.fn()
+        })
+
+        const adminCtx = (values) => ({
+            chat: { id: 123 },
+            from: { id: 42 },
+            getChatMember: jest.fn().mockResolvedValue({ status: 'administrator' }),
+            ...values
+        })
+
+        beforeEach(() => {
+            subscribe([123])
+        })
+
+        test('should convert links with the chat storefront and minimum confidence', async () => {
+            db.getChatSettings.mockResolvedValue({ ...defaultSettings, storefront: 'de', minScore: 80, musicVideos: true })
+
+            await smBot.handleMessage(createMessageCtx('https://music.apple.com/jp/song/test/1'))
+
+            expect(db.getChatSettings).toHaveBeenCalledWith(123)
+            expect(mockConverter.convertMusicLink).toHaveBeenCalledWith(
+                'https://music.apple.com/jp/song/test/1',
+                { storefront: 'de', minScore: 80, musicVideo: true }
+            )
+        })
+
+        test('should use reply style and preview settings', async () => {
+            db.getChatSettings.mockResolvedValue({ ...defaultSettings, linkPreview: false, replyStyle: 'compact' })
+            const conversionResult = sampleResult
+            mockConverter.convertMusicLink.mockResolvedValue(conversionResult)
+            mockConverter.formatConversionMessage.mockReturnValue('Compact message')
+            const mockCtx = createMessageCtx('https://open.spotify.com/track/test123')
+
+            await smBot.handleMessage(mockCtx)
+
+            expect(mockConverter.formatConversionMessage).toHaveBeenCalledWith(conversionResult, 'compact')
+            expect(mockCtx.reply).toHaveBeenCalledWith('Compact message', {
+                disable_web_page_preview: true,
+                reply_to_message_id: 456,
+                reply_markup: expect.any(Object)
+            })
+        })
+
+        test('should stay silent when nothing converted and silent mode is on', async () => {
+            db.getChatSettings.mockResolvedValue({ ...defaultSettings, silentOnLowConfidence: true })
+            mockConverter.convertMusicLink.mockResolvedValue(null)
+            const mockCtx = createMessageCtx('https://open.spotify.com/track/test123')
+
+            await smBot.handleMessage(mockCtx)
+
+            expect(mockCtx.reply).not.toHaveBeenCalled()
+        })
+
+        test('should drop unconverted links from combined reply in silent mode', async () => {
+            db.getChatSettings.mockResolvedValue({ ...defaultSettings, silentOnLowConfidence: true })
+            const conversionResult = sampleResult
+            mockConverter.convertMusicLink
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce(conversionResult)
+            mockConverter.formatConversionMessage.mockReturnValue('Only one')
+            const mockCtx = createMessageCtx('https://open.spotify.com/track/one https://open.spotify.com/track/two')
+
+            await smBot.handleMessage(mockCtx)
+
+            expect(mockConverter.formatConversionMessage).toHaveBeenCalledWith(conversionResult, 'full')
+            expect(mockCtx.reply).toHaveBeenCalledWith('Only one', expect.any(Object))
+        })
+
+        test('handleStorefrontCommand should save a valid storefront', async () => {
+            const mockCtx = adminCtx({ payload: 'DE', reply: jest.fn() })
+
+            await smBot.handleStorefrontCommand(mockCtx)
+
+            expect(db.updateChatSettings).toHaveBeenCalledWith(123, { storefront: 'de' })
+            expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining('now: de'))
+        })
+
+        test('handleStorefrontCommand should refuse regular chat members', async () => {
+            const mockCtx = adminCtx({
+                payload: 'de',
+                getChatMember: jest.fn().mockResolvedValue({ status: 'member' }),
+                reply: jest.fn()
+            })
+
+            await smBot.handleStorefrontCommand(mockCtx)
+
+            expect(db.updateChatSettings).not.toHaveBeenCalled()
+            expect(mockAuth.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'storefront', allowed: false }))
+            expect(mockCtx.reply).toHaveBeenCalledWith('🚫 Only chat admins can change the storefront of this chat.')
+        })
+
+        test('handleStorefrontCommand should reject invalid codes', async () => {
+            const mockCtx = { chat: { id: 123 }, payload: 'germany', reply: jest.fn() }
+
+            await smBot.handleStorefrontCommand(mockCtx)
+
+            expect(db.updateChatSettings).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining('two-letter country code'))
+        })
+
+        test('handleStorefrontCommand should show the current storefront', async () => {
+            const mockCtx = { chat: { id: 123 }, payload: '', reply: jest.fn() }
+
+            await smBot.handleStorefrontCommand(mockCtx)
+
+            expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining('us (default)'))
+        })
+
+        test('handleSettingsCommand should show the settings menu', async () => {
+            const mockCtx = adminCtx({ reply: jest.fn() })
+
+            await smBot.handleSettingsCommand(mockCtx)
+
+            expect(mockAuth.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'settings', allowed: true }))
+            expect(mockCtx.reply).toHaveBeenCalledWith(
+                expect.stringContaining('Minimum confidence: 60%'),
+                { reply_markup: { inline_keyboard: expect.any(Array) } }
+            )
+        })
+
+        test('handleSettingsCommand should refuse regular chat members', async () => {
+            const mockCtx = adminCtx({ getChatMember: jest.fn().mockResolvedValue({ status: 'member' }), reply: jest.fn() })
+
+            await smBot.handleSettingsCommand(mockCtx)
+
+            expect(mockAuth.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'settings', allowed: false }))
+            expect(mockCtx.reply).toHaveBeenCalledTimes(1)
+            expect(mockCtx.reply).toHaveBeenCalledWith('🚫 Only chat admins can change the settings of this chat.')
+        })
+
+        test('handleSettingsCommand should ignore unsubscribed chats', async () => {
+            const mockCtx = { chat: { id: 999 }, reply: jest.fn() }
+
+            await smBot.handleSettingsCommand(mockCtx)
+
+            expect(mockCtx.reply).not.toHaveBeenCalled()
+        })
+
+        test('handleSettingsCallback should save changes and refresh the menu', async () => {
+            db.updateChatSettings.mockResolvedValue({ ...defaultSettings, minScore: 70 })
+            const mockCtx = adminCtx({
+                callbackQuery: { data: 'settings:minScore' },
+                editMessageText: jest.fn(),
+                answerCbQuery: jest.fn()
+            })
+
+            await smBot.handleSettingsCallback(mockCtx)
+
+            expect(db.updateChatSettings).toHaveBeenCalledWith(123, { minScore: 70 })
+            expect(mockCtx.editMessageText).toHaveBeenCalledWith(
+                expect.stringContaining('Minimum confidence: 70%'),
+                { reply_markup: { inline_keyboard: expect.any(Array) } }
+            )
+            expect(mockCtx.answerCbQuery).toHaveBeenCalled()
+        })
+
+        test('handleSettingsCallback should refuse regular chat members', async () => {
+            const mockCtx = adminCtx({
+                getChatMember: jest.fn().mockResolvedValue({ status: 'member' }),
+                callbackQuery: { data: 'settings:minScore' },
+                editMessageText: jest.fn(),
+                answerCbQuery: jest.fn()
+            })
+
+            await smBot.handleSettingsCallback(mockCtx)
+
+            expect(db.updateChatSettings).not.toHaveBeenCalled()
+            expect(mockCtx.editMessageText).not.toHaveBeenCalled()
+            expect(mockAuth.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'settings', allowed: false }))
+            expect(mockCtx.answerCbQuery).toHaveBeenCalledWith('🚫 Only chat admins can change the settings of this chat.')
+        })
+
+        test('handleSettingsCallback should close the menu', async () => {
+            const mockCtx = adminCtx({
+                callbackQuery: { data: 'settings:close' },
+                editMessageText: jest.fn(),
+                answerCbQuery: jest.fn()
+            })
+
+            await smBot.handleSettingsCallback(mockCtx)
+
+            expect(db.updateChatSettings).not.toHaveBeenCalled()
+            expect(mockCtx.editMessageText).toHaveBeenCalledWith(expect.not.stringContaining('Tap a button'))
+        })
+    })
+
+    describe('conversion buttons', () => {
+        const alternative = { ...sampleResult.converted, id: 'alt789', name: 'Test Song - Live', matchScore: 80 }
+        const resultWithAlternatives = { ...sampleResult, alternatives: [alternative] }
+
+        const createCallbackCtx = (data) => ({
+            chat: { id: 123 },
+            from: { id: 42 },
+            callbackQuery: { data },
+            getChatMember: jest.fn().mockResolvedValue({ status: 'administrator' }),
+            editMessageText: jest.fn(),
+            editMessageReplyMarkup: jest.fn(),
+            answerCbQuery: jest.fn()
+        })
+
+        beforeEach(() => {
+            subscribe([123])
+            mockConverter.convertLinkInfo.mockResolvedValue(resultWithAlternatives)
+        })
+
+        test('should offer alternatives under single conversion replies', async () => {
+            mockConverter.convertMusicLink.mockResolvedValue(resultWithAlternatives)
+            mockConverter.formatConversionMessage.mockReturnValue('Converted link message')
+            const mockCtx = {
+                chat: { id: 123 },
+                msg: { text: 'https://open.spotify.com/track/test123', message_id: 456 },
+                sendChatAction: jest.fn(),
+                reply: jest.fn()
+            }
+
+            await smBot.handleMessage(mockCtx)
+
+            const keyboard = mockCtx.reply.mock.calls[0][1].reply_markup.inline_keyboard
+            expect(keyboard[1]).toEqual([
+                { text: 'Not right? ▾', callback_data: 'conv:alts:0:0:test123:1:test456' }
+            ])
+        })
+
+        test('should show alternatives of the shown match', async () => {
+            mockConverter.selectAlternative.mockReturnValue(resultWithAlternatives)
+            const mockCtx = createCallbackCtx('conv:alts:0:0:test123:1:test456')
+
+            await smBot.handleConversionCallback(mockCtx)
+
+            expect(mockConverter.convertLinkInfo).toHaveBeenCalledWith(
+                { platform: 'spotify', type: 'track', id: 'test123' },
+                { storefront: null, minScore: 0 }
+            )
+            expect(mockConverter.selectAlternative).toHaveBeenCalledWith(resultWithAlternatives, 'apple_music', 'test456')
+            expect(mockCtx.editMessageReplyMarkup).toHaveBeenCalledWith({
+                inline_keyboard: [
+                    [{ text: 'Test Artist – Test Song - Live (80%)', callback_data: 'conv:pick:0:0:test123:1:alt789' }],
+                    [{ text: '⬅️ Back', callback_data: 'conv:back:0:0:test123:1:test456' }]
+                ]
+            })
+            expect(mockCtx.answerCbQuery).toHaveBeenCalled()
+        })
+
+        test('should edit the reply in place when an alternative is picked', async () => {
+            const picked = {
+                ...sampleResult,
+                converted: alternative,
+                alternatives: [sampleResult.converted],
+                confidence: '80% match'
+            }
+            mockConverter.selectAlternative.mockReturnValue(picked)
+            mockConverter.formatConversionMessage.mockReturnValue('Picked message')
+            const mockCtx = createCallbackCtx('conv:pick:0:0:test123:1:alt789')
+
+            await smBot.handleConversionCallback(mockCtx)
+
+            expect(mockConverter.formatConversionMessage).toHaveBeenCalledWith(picked, 'full')
+            expect(mockCtx.editMessageText).toHaveBeenCalledWith('Picked message', {
+                disable_web_page_preview: false,
+                reply_markup: { inline_keyboard: expect.any(Array) }
+            })
+            const keyboard = mockCtx.editMessageText.mock.calls[0][1].reply_markup.inline_keyboard
+            expect(keyboard[1][0].callback_data).toBe('conv:alts:0:0:test123:1:alt789')
+            expect(mockConverter.saveOverride).toHaveBeenCalledWith(picked, 42, 123)
+        })
+
+        test('should restore the link buttons on back', async () => {
+            mockConverter.selectAlternative.mockReturnValue(resultWithAlternatives)
+            const mockCtx = createCallbackCtx('conv:back:0:0:test123:1:test456')
+
+            await smBot.handleConversionCallback(mockCtx)
+
+            expect(mockCtx.editMessageReplyMarkup).toHaveBeenCalledWith({
+                inline_keyboard: [
+                    [
+                        { text: '🟢 Open in Spotify', url: 'https://open.spotify.com/track/test123' },
+                        { text: '🍎 Open in Apple Music', url: 'https://music.apple.com/song/test456' }
+                    ],
+                    [{ text: 'Not right? ▾', callback_data: 'conv:alts:0:0:test123:1:test456' }]
+                ]
+            })
+        })
+
+        test('should let matches on further platforms be corrected', async () => {
+            const podcastMatch = { ...sampleResult.converted, id: 'pod1', platform: 'apple_podcasts', externalUrl: 'https://podcasts.apple.com/podcast/id1' }
+            const podcastAlternative = { ...podcastMatch, id: 'pod2', name: 'Test Song - Rerun', matchScore: 70 }
+            const other = { ...sampleResult, converted: podcastMatch, alternatives: [podcastAlternative], targetPlatform: 'apple_podcasts' }
+            const picked = { ...other, converted: podcastAlternative, alternatives: [podcastMatch] }
+            mockConverter.convertLinkInfo.mockResolvedValue({ ...resultWithAlternatives, others: [other] })
+            mockConverter.selectAlternative.mockReturnValue({ ...resultWithAlternatives, others: [picked] })
+            const mockCtx = createCallbackCtx('conv:pick:0:0:test123:2:pod2')
+
+            await smBot.handleConversionCallback(mockCtx)
+
+            expect(mockConverter.selectAlternative).toHaveBeenCalledWith(expect.any(Object), 'apple_podcasts', 'pod2')
+            const keyboard = mockCtx.editMessageText.mock.calls[0][1].reply_markup.inline_keyboard
+            expect(keyboard[1]).toEqual([
+                { text: '🍎 Not right? ▾', callback_data: 'conv:alts:0:0:test123:1:test456' },
+                { text: '🟣 Not right? ▾', callback_data: 'conv:alts:0:0:test123:2:pod2' }
+            ])
+            expect(mockConverter.saveOverride).toHaveBeenCalledWith(picked, 42, 123)
+        })
+
+        test('should tell the user when the match is gone', async () => {
+            mockConverter.selectAlternative.mockReturnValue(null)
+            const mockCtx = createCallbackCtx('conv:pick:0:0:test123:1:gone')
+
+            await smBot.handleConversionCallback(mockCtx)
+
+            expect(mockCtx.editMessageText).not.toHaveBeenCalled()
+            expect(mockCtx.answerCbQuery).toHaveBeenCalledWith('That match is no longer available.')
+        })
+
+        test('should only let chat admins pick another match', async () => {
+            const mockCtx = createCallbackCtx('conv:pick:0:0:test123:1:alt789')
+            mockCtx.getChatMember.mockResolvedValue({ status: 'member' })
+
+            await smBot.handleConversionCallback(mockCtx)
+
+            expect(mockConverter.convertLinkInfo).not.toHaveBeenCalled()
+            expect(mockConverter.saveOverride).not.toHaveBeenCalled()
+            expect(mockCtx.editMessageText).not.toHaveBeenCalled()
+            expect(mockCtx.answerCbQuery).toHaveBeenCalledWith('🚫 Only chat admins can correct my matches.')
+            expect(mockAuth.record).toHaveBeenCalledWith(expect.objectContaining({ userId: 42, action: 'correct', allowed: false }))
+        })
+
+        test('should let anyone go back to the link buttons', async () => {
+            mockConverter.selectAlternative.mockReturnValue(resultWithAlternatives)
+            const mockCtx = createCallbackCtx('conv:back:0:0:test123:1:test456')
+            mockCtx.getChatMember.mockResolvedValue({ status: 'member' })
+
+            await smBot.handleConversionCallback(mockCtx)
+
+            expect(mockCtx.editMessageReplyMarkup).toHaveBeenCalled()
+        })
+
+        test('should ignore buttons in unsubscribed chats', async () => {
+            subscribe([])
+            const mockCtx = createCallbackCtx('conv:alts:0:0:test123:1:test456')
+
+            await smBot.handleConversionCallback(mockCtx)
+
+            expect(mockConverter.convertLinkInfo).not.toHaveBeenCalled()
+            expect(mockCtx.answerCbQuery).toHaveBeenCalledWith('This chat is not subscribed.')
+        })
+    })
+
+    describe('overrides', () => {
+        const createFixCtx = (payload, replied) => ({
+            chat: { id: 123 },
+            from: { id: 42 },
+            botInfo: { id: 999 },
+            payload,
+            message: { message_id: 789, reply_to_message: replied },
+            getChatMember: jest.fn().mockResolvedValue({ status: 'administrator' }),
+            telegram: { editMessageText: jest.fn() },
+            reply: jest.fn()
+        })
+
+        const botReply = {
+            message_id: 456,
+            from: { id: 999 },
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '🟢 Open in Spotify', url: 'https://open.spotify.com/track/test123' },
+                    { text: '🍎 Open in Apple Music', url: 'https://music.apple.com/song/test456' }
+                ]]
+            }
+        }
+
+        beforeEach(() => {
+            subscribe([123])
+        })
+
+        test('handleFixCommand should store the correction and edit the bot reply', async () => {
+            const fixed = { ...sampleResult, confidence: 'Manual match' }
+            mockConverter.fixConversion.mockResolvedValue(fixed)
+            mockConverter.formatConversionMessage.mockReturnValue('Fixed message')
+            const mockCtx = createFixCtx('https://music.apple.com/us/song/right/111', botReply)
+
+            await smBot.handleFixCommand(mockCtx)
+
+            expect(mockConverter.fixConversion).toHaveBeenCalledWith(
+                'https://open.spotify.com/track/test123',
+                'https://music.apple.com/us/song/right/111',
+                42,
+                123,
+                { storefront: null }
+            )
+            expect(mockCtx.telegram.editMessageText).toHaveBeenCalledWith(
+                123,
+                456,
+                undefined,
+                'Fixed message',
+                expect.objectContaining({ reply_markup: { inline_keyboard: expect.any(Array) } })
+            )
+            expect(mockCtx.reply).toHaveBeenCalledWith('✅ Thanks! I will use this match from now on.', { reply_to_message_id: 789 })
+        })
+
+        test('handleFixCommand should require a reply to a bot conversion and a link', async () => {
+            const noReplyCtx = createFixCtx('https://music.apple.com/us/song/right/111', undefined)
+            await smBot.handleFixCommand(noReplyCtx)
+
+            const otherUserCtx = createFixCtx('https://music.apple.com/us/song/right/111', { ...botReply, from: { id: 5 } })
+            await smBot.handleFixCommand(otherUserCtx)
+
+            const noLinkCtx = createFixCtx('', botReply)
+            await smBot.handleFixCommand(noLinkCtx)
+
+            expect(mockConverter.fixConversion).not.toHaveBeenCalled()
+            for (const mockCtx of [noReplyCtx, otherUserCtx, noLinkCtx]) {
+                expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining('Usage: reply to my conversion'))
+            }
+        })
+
+        test('handleFixCommand should only let chat admins correct a match', async () => {
+            const mockCtx = createFixCtx('https://music.apple.com/us/song/right/111', botReply)
+            mockCtx.getChatMember.mockResolvedValue({ status: 'member' })
+
+            await smBot.handleFixCommand(mockCtx)
+
+            expect(mockConverter.fixConversion).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith('🚫 Only chat admins can correct my matches.')
+        })
+
+        test('handleFixCommand should explain links that do not form a pair', async () => {
+            mockConverter.fixConversion.mockResolvedValue(null)
+            const mockCtx = createFixCtx('https://open.spotify.com/track/other', botReply)
+
+            await smBot.handleFixCommand(mockCtx)
+
+            expect(mockCtx.telegram.editMessageText).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith(expect.stringContaining('same kind of item'))
+        })
+
+        test('handleOverridesCommand should list manual matches for bot admins', async () => {
+            mockConverter.listOverrides.mockResolvedValue({
+                overrides: [{ id: 3, type: 'track', source: sampleResult.original, target: sampleResult.converted }],
+                total: 1
+            })
+            const mockCtx = { from: { id: 7 }, chat: { id: 123 }, payload: '', reply: jest.fn() }
+
+            await smBot.handleOverridesCommand(mockCtx)
+
+            expect(mockCtx.reply).toHaveBeenCalledWith(
+                expect.stringContaining('#3 Test Artist – Test Song ↔ Test Artist – Test Song'),
+                { disable_web_page_preview: true }
+            )
+        })
+
+        test('handleOverridesCommand should remove a manual match', async () => {
+            mockConverter.removeOverride.mockResolvedValue(true)
+            const mockCtx = { from: { id: 7 }, chat: { id: 123 }, payload: 'remove 3', reply: jest.fn() }
+
+            await smBot.handleOverridesCommand(mockCtx)
+
+            expect(mockConverter.removeOverride).toHaveBeenCalledWith(3)
+            expect(mockCtx.reply).toHaveBeenCalledWith('🗑 Removed manual match #3.')
+        })
+
+        test('handleOverridesCommand should reject non-admins', async () => {
+            const mockCtx = { from: { id: 42 }, chat: { id: 123 }, payload: 'remove 3', reply: jest.fn() }
+
+            await smBot.handleOverridesCommand(mockCtx)
+
+            expect(mockConverter.removeOverride).not.toHaveBeenCalled()
+            expect(mockCtx.reply).toHaveBeenCalledWith('🚫 Only bot admins can do that.')
+        })
+    })
+
+    describe('inline queries', () => {
+        const createInlineCtx = (query, userId = 42) => ({
+            inlineQuery: { query, from: { id: userId } },
+            answerInlineQuery: jest.fn()
+        })
+
+        test('should ignore queries from unauthorized users', async () => {
+            const mockCtx = createInlineCtx('https://open.spotify.com/track/test123', 999)
+
+            await smBot.handleInlineQuery(mockCtx)
+
+            expect(mockConverter.convertMusicLink).not.toHaveBeenCalled()
+            expect(mockCtx.answerInlineQuery).toHaveBeenCalledWith([], { cache_time: 0, is_personal: true })
+        })
+
+        test('should answer with converted link for a music link query', async () => {
+            const mockCtx = createInlineCtx('https://open.spotify.com/track/test123')
+
+            const conversionResult = {
+                original: { name: 'Song', artist: 'Artist', imageUrl: 'https://example.com/original.jpg' },
+                converted: {
+                    id: 'apple456',
+                    platform: 'apple_music',
+                    imageUrl: 'https://example.com/cover.jpg',
+                    externalUrl: 'https://music.apple.com/song/apple456'
+                },
+                confidence: 'Exact match',
+                sourcePlatform: 'spotify',
+                targetPlatform: 'apple_music'
+            }
+            mockConverter.convertMusicLink.mockResolvedValue(conversionResult)
+            mockConverter.formatConversionMessage.mockReturnValue('Converted link message')
+            mockConverter.getPlatformLabel.mockReturnValue('🍎 Apple Music')
+
+            await smBot.handleInlineQuery(mockCtx)
+
+            expect(mockConverter.convertMusicLink).toHaveBeenCalledWith('https://open.spotify.com/track/test123')
+            expect(mockCtx.answerInlineQuery).toHaveBeenCalledWith([
+                {
+                    type: 'article',
+                    id: 'apple_music:apple456',
+                    title: 'Artist – Song',
+                    description: '🍎 Apple Music (Exact match)',
+                    thumbnail_url: 'https://example.com/cover.jpg',
+                    input_message_content: {
+                        message_text: 'Converted link message',
+                        disable_web_page_preview: false
+                    }
+                }
+            ], { cache_time: 300, is_personal: true })
+        })
+
+        test('should search both platforms for a text query', async () => {
+            const mockCtx = createInlineCtx('Artist - Song')
+
+            mockConverter.searchAllPlatforms.mockResolvedValue([
+                { id: 'sp1', name: 'Song', artist: 'Artist', album: 'Album', platform: 'spotify', imageUrl: null },
+                { id: 'am1', name: 'Song', artist: 'Artist', album: 'Album', platform: 'apple_music', imageUrl: 'https://example.com/am.jpg' }
+            ])
+            mockConverter.formatSongMessage.mockReturnValue('Song message')
+            mockConverter.getPlatformLabel.mockReturnValue('label')
+
+            await smBot.handleInlineQuery(mockCtx)
+
+            expect(mockConverter.searchAllPlatforms).toHaveBeenCalledWith('Artist - Song', 5)
+            const results = mockCtx.answerInlineQuery.mock.calls[0][0]
+            expect(results).toHaveLength(2)
+            expect(results[0].id).toBe('spotify:sp1')
+            expect(results[0].thumbnail_url).toBeUndefined()
+            expect(results[1].id).toBe('apple_music:am1')
+            expect(results[1].thumbnail_url).toBe('https://example.com/am.jpg')
+            expect(results[1].input_message_content.message_text).toBe('Song message')
+        })
+
+        test('should answer with empty results for an empty query', async () => {
+            const mockCtx = createInlineCtx('   ')
+
+            await smBot.handleInlineQuery(mockCtx)
+
+            expect(mockConverter.searchAllPlatforms).not.toHaveBeenCalled()
+            expect(mockCtx.answerInlineQuery).toHaveBeenCalledWith([], { cache_time: 0, is_personal: true })
+        })
     })
-})
\ No newline at end of file
+})
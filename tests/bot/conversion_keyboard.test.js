@@ -0,0 +1,161 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const {
+    buildConversionKeyboard,
+    buildAlternativesKeyboard,
+    getTargetResult,
+    parseConversionCallback,
+    getSourceUrl
+} = require('../../src/bot/conversion_keyboard')
+
+describe('Conversion keyboard', () => {
+    const result = {
+        original: {
+            id: '1440833098',
+            name: 'Imagine',
+            artist: 'John Lennon',
+            platform: 'apple_music',
+            externalUrl: 'https://music.apple.com/us/song/imagine/1440833098'
+        },
+        converted: {
+            id: '7pKfPomDEeI4TPT6EOYjn9',
+            name: 'Imagine - Remastered 2010',
+            artist: 'John Lennon',
+            platform: 'spotify',
+            externalUrl: 'https://open.spotify.com/track/7pKfPomDEeI4TPT6EOYjn9',
+            matchScore: 92
+        },
+        alternatives: [
+            { id: '3JOVTQ5h8HGFnDdp4VT3MP', name: 'Imagine', artist: 'John Lennon', matchScore: 90 },
+            { id: '1bd9oKxYIZcOkZ2UJRpbtQ', name: 'Imagine - Live in Concert With An Extremely Long Title', artist: 'John Lennon', matchScore: 75 }
+        ],
+        sourcePlatform: 'apple_music',
+        sourceType: 'track',
+        targetPlatform: 'spotify'
+    }
+
+    test('should link both platforms and offer alternatives', () => {
+        const keyboard = buildConversionKeyboard(result)
+
+        expect(keyboard[0]).toEqual([
+            { text: '🍎 Open in Apple Music', url: 'https://music.apple.com/us/song/imagine/1440833098' },
+            { text: '🟢 Open in Spotify', url: 'https://open.spotify.com/track/7pKfPomDEeI4TPT6EOYjn9' }
+        ])
+        expect(keyboard[1][0].text).toBe('Not right? ▾')
+    })
+
+    test('should link every other target platform', () => {
+        const keyboard = buildConversionKeyboard({
+            ...result,
+            sourcePlatform: 'spotify',
+            original: { ...result.converted },
+            targetPlatform: 'apple_music',
+            converted: { ...result.original },
+            others: [{
+                targetPlatform: 'apple_podcasts',
+                converted: { externalUrl: 'https://podcasts.apple.com/us/podcast/id1200361736' }
+            }]
+        })
+
+        expect(keyboard[0].map((button) => button.text)).toEqual(['🟢 Open in Spotify', '🍎 Open in Apple Music', '🟣 Open in Apple Podcasts'])
+        expect(getSourceUrl({ inline_keyboard: keyboard })).toBe('https://open.spotify.com/track/7pKfPomDEeI4TPT6EOYjn9')
+    })
+
+    test('should offer alternatives for every target platform that has them', () => {
+        const other = {
+            ...result,
+            targetPlatform: 'apple_podcasts',
+            converted: { id: '1000650744', externalUrl: 'https://podcasts.apple.com/us/podcast/id1200361736' },
+            alternatives: [{ id: '1000650745', name: 'Imagine', artist: 'John Lennon', matchScore: 70 }]
+        }
+        const keyboard = buildConversionKeyboard({ ...result, others: [other] })
+
+        expect(keyboard[1]).toEqual([
+            { text: '🟢 Not right? ▾', callback_data: 'conv:alts:1:0:1440833098:0:7pKfPomDEeI4TPT6EOYjn9' },
+            { text: '🟣 Not right? ▾', callback_data: 'conv:alts:1:0:1440833098:2:1000650744' }
+        ])
+        expect(buildAlternativesKeyboard(getTargetResult({ ...result, others: [other] }, 'apple_podcasts'))[0][0].callback_data)
+            .toBe('conv:pick:1:0:1440833098:2:1000650745')
+        expect(getTargetResult(result, 'apple_podcasts')).toBeNull()
+    })
+
+    test('should not offer alternatives when there are none', () => {
+        expect(buildConversionKeyboard({ ...result, alternatives: [] })).toHaveLength(1)
+    })
+
+    test('should list alternatives with scores and a back button', () => {
+        const keyboard = buildAlternativesKeyboard(result)
+
+        expect(keyboard).toHaveLength(3)
+        expect(keyboard[0][0].text).toBe('John Lennon – Imagine (90%)')
+        expect(keyboard[1][0].text).toHaveLength(48)
+        expect(keyboard[1][0].text.endsWith('…')).toBe(true)
+        expect(keyboard[2][0].text).toBe('⬅️ Back')
+    })
+
+    test('should keep callback data within the Telegram limit of 64 bytes', () => {
+        const buttons = [...buildConversionKeyboard(result), ...buildAlternativesKeyboard(result)]
+            .flat()
+            .filter((button) => button.callback_data)
+
+        buttons.forEach((button) => expect(Buffer.byteLength(button.callback_data)).toBeLessThanOrEqual(64))
+    })
+
+    test('should offer alternatives for music video conversions', () => {
+        const musicVideo = {
+            ...result,
+            original: { ...result.original, id: '1440624016', externalUrl: 'https://music.apple.com/us/music-video/bohemian-rhapsody/1440624016' },
+            sourceType: 'music_video'
+        }
+        const keyboard = buildConversionKeyboard(musicVideo)
+
+        expect(keyboard[1]).toEqual([
+            { text: 'Not right? ▾', callback_data: 'conv:alts:1:4:1440624016:0:7pKfPomDEeI4TPT6EOYjn9' }
+        ])
+        expect(parseConversionCallback(keyboard[1][0].callback_data).source)
+            .toEqual({ platform: 'apple_music', type: 'music_video', id: '1440624016' })
+    })
+
+    test('should not offer alternatives whose callback data would be too long', () => {
+        const longIds = {
+            ...result,
+            converted: { ...result.converted, id: 'x'.repeat(40) },
+            original: { ...result.original, id: '1000650744467' }
+        }
+
+        expect(buildConversionKeyboard(longIds)).toHaveLength(1)
+    })
+
+    test('should parse callback data back', () => {
+        const [[button]] = buildAlternativesKeyboard(result)
+
+        expect(parseConversionCallback(button.callback_data)).toEqual({
+            action: 'pick',
+            source: { platform: 'apple_music', type: 'track', id: '1440833098' },
+            targetPlatform: 'spotify',
+            targetId: '3JOVTQ5h8HGFnDdp4VT3MP'
+        })
+    })
+
+    test('should reject unknown callback data', () => {
+        expect(parseConversionCallback('settings:close')).toBeNull()
+        expect(parseConversionCallback('conv:drop:0:0:1:1:2')).toBeNull()
+        expect(parseConversionCallback('conv:pick:9:0:1:1:2')).toBeNull()
+        expect(parseConversionCallback('conv:pick:0:99:1:1:2')).toBeNull()
+        expect(parseConversionCallback('conv:pick:0:0:1:9:2')).toBeNull()
+        expect(parseConversionCallback('conv:pick:spotify:track:1:1:2')).toBeNull()
+        expect(parseConversionCallback('conv:pick:0:0:1:2')).toBeNull()
+        expect(parseConversionCallback(undefined)).toBeNull()
+    })
+
+    test('should find the posted link in a conversion reply keyboard', () => {
+        const replyMarkup = { inline_keyboard: buildConversionKeyboard(result) }
+
+        expect(getSourceUrl(replyMarkup)).toBe('https://music.apple.com/us/song/imagine/1440833098')
+        expect(getSourceUrl({ inline_keyboard: [[{ text: 'Menu', callback_data: 'settings:close' }]] })).toBeNull()
+        expect(getSourceUrl(undefined)).toBeNull()
+    })
+})
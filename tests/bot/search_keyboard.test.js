@@ -0,0 +1,84 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const {
+    buildSearchKeyboard,
+    selectSearchPair,
+    parseSearchCallback
+} = require('../../src/bot/search_keyboard')
+
+describe('Search keyboard', () => {
+    const pairs = [
+        {
+            songs: {
+                spotify: { id: '7tFiyTwD0nx5a1eklYtX2J', name: 'Bohemian Rhapsody', artist: 'Queen', externalUrl: 'https://open.spotify.com/track/7tFiyTwD0nx5a1eklYtX2J' },
+                apple_music: { id: '1440650711', externalUrl: 'https://music.apple.com/us/song/1440650711' }
+            },
+            score: 100
+        },
+        {
+            songs: {
+                spotify: { id: '4u7EnebtmKWzUH433cf5Qv', name: 'Bohemian Rhapsody - Live Aid', artist: 'Queen', externalUrl: 'https://open.spotify.com/track/4u7EnebtmKWzUH433cf5Qv' },
+                apple_music: { id: '1440650864', externalUrl: 'https://music.apple.com/us/song/1440650864' }
+            },
+            score: 88
+        }
+    ]
+
+    test('should link the shown songs and list all found songs', () => {
+        const keyboard = buildSearchKeyboard(pairs[0], pairs)
+
+        expect(keyboard[0]).toEqual([
+            { text: '🟢 Open in Spotify', url: 'https://open.spotify.com/track/7tFiyTwD0nx5a1eklYtX2J' },
+            { text: '🍎 Open in Apple Music', url: 'https://music.apple.com/us/song/1440650711' }
+        ])
+        expect(keyboard.slice(1)).toEqual([
+            [{ text: '▶ Queen – Bohemian Rhapsody (100%)', callback_data: 'search:spotify:7tFiyTwD0nx5a1eklYtX2J,apple_music:1440650711' }],
+            [{ text: 'Queen – Bohemian Rhapsody - Live Aid (88%)', callback_data: 'search:spotify:4u7EnebtmKWzUH433cf5Qv,apple_music:1440650864' }]
+        ])
+        keyboard.slice(1).forEach(([button]) => expect(Buffer.byteLength(button.callback_data)).toBeLessThanOrEqual(64))
+    })
+
+    test('should only offer open buttons for a single result', () => {
+        expect(buildSearchKeyboard(pairs[0], [pairs[0]])).toHaveLength(1)
+    })
+
+    test('should work with any set of platforms', () => {
+        const single = { songs: { apple_music: { id: '1440650711', name: 'Bohemian Rhapsody', artist: 'Queen', externalUrl: 'https://music.apple.com/us/song/1440650711' } }, score: 100 }
+        const keyboard = buildSearchKeyboard(single, [single, { ...single, score: 90 }])
+
+        expect(keyboard[0]).toEqual([{ text: '🍎 Open in Apple Music', url: 'https://music.apple.com/us/song/1440650711' }])
+        expect(keyboard[1][0].callback_data).toBe('search:apple_music:1440650711')
+    })
+
+    test('should leave songs out of the callback data beyond 64 bytes', () => {
+        const crowded = {
+            songs: { ...pairs[0].songs, tidal: { id: '77646168', externalUrl: 'https://tidal.com/track/77646168' } },
+            score: 100
+        }
+        const [, [button]] = buildSearchKeyboard(crowded, [crowded, pairs[1]])
+
+        expect(button.callback_data).toBe('search:spotify:7tFiyTwD0nx5a1eklYtX2J,apple_music:1440650711')
+    })
+
+    test('should move the selection mark and open buttons to the picked songs', () => {
+        const keyboard = selectSearchPair(buildSearchKeyboard(pairs[0], pairs), pairs[1])
+
+        expect(keyboard[0][0].url).toBe('https://open.spotify.com/track/4u7EnebtmKWzUH433cf5Qv')
+        expect(keyboard[1][0].text).toBe('Queen – Bohemian Rhapsody (100%)')
+        expect(keyboard[2][0].text).toBe('▶ Queen – Bohemian Rhapsody - Live Aid (88%)')
+    })
+
+    test('should parse callback data', () => {
+        expect(parseSearchCallback('search:spotify:7tFiyTwD0nx5a1eklYtX2J,apple_music:1440650711')).toEqual({
+            songIds: { spotify: '7tFiyTwD0nx5a1eklYtX2J', apple_music: '1440650711' }
+        })
+        expect(parseSearchCallback('search:apple_music:1440650711')).toEqual({ songIds: { apple_music: '1440650711' } })
+        expect(parseSearchCallback('search:7tFiyTwD0nx5a1eklYtX2J')).toBeNull()
+        expect(parseSearchCallback('search:spotify:,apple_music:1')).toBeNull()
+        expect(parseSearchCallback('conv:alts:spotify:track:a:b')).toBeNull()
+        expect(parseSearchCallback(undefined)).toBeNull()
+    })
+})
@@ -0,0 +1,97 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const {
+    formatSettingsText,
+    buildSettingsKeyboard,
+    buildStorefrontKeyboard,
+    applySettingsAction
+} = require('../../src/bot/settings_menu')
+
+describe('Settings menu', () => {
+    const settings = {
+        chatId: 123,
+        minScore: 60,
+        silentOnLowConfidence: false,
+        linkPreview: true,
+        musicVideos: false,
+        storefront: null,
+        replyStyle: 'full'
+    }
+
+    describe('formatSettingsText', () => {
+        test('should describe all options', () => {
+            const text = formatSettingsText(settings)
+
+            expect(text).toContain('Minimum confidence: 60%')
+            expect(text).toContain('Silent on low confidence: Off')
+            expect(text).toContain('Link preview: On')
+            expect(text).toContain('Music videos: Off')
+            expect(text).toContain('Apple Music storefront: us (default)')
+            expect(text).toContain('Reply style: Full')
+            expect(text).toContain('Tap a button')
+        })
+
+        test('should omit the hint when the menu is closed', () => {
+            expect(formatSettingsText(settings, false)).not.toContain('Tap a button')
+        })
+    })
+
+    describe('keyboards', () => {
+        test('should build one row per option plus done', () => {
+            const keyboard = buildSettingsKeyboard(settings)
+
+            expect(keyboard).toHaveLength(7)
+            expect(keyboard.flat().map((button) => button.callback_data)).toEqual([
+                'settings:minScore',
+                'settings:silent',
+                'settings:preview',
+                'settings:videos',
+                'settings:storefronts',
+                'settings:style',
+                'settings:close'
+            ])
+        })
+
+        test('should mark the current storefront', () => {
+            const buttons = buildStorefrontKeyboard({ ...settings, storefront: 'de' }).flat()
+
+            expect(buttons.find((button) => button.callback_data === 'settings:storefront:de').text).toBe('• de •')
+            expect(buttons.find((button) => button.callback_data === 'settings:storefront:jp').text).toBe('jp')
+            expect(buttons[buttons.length - 1].callback_data).toBe('settings:back')
+        })
+    })
+
+    describe('applySettingsAction', () => {
+        test('should cycle minimum confidence and wrap around', () => {
+            expect(applySettingsAction(settings, 'settings:minScore')).toEqual({ changes: { minScore: 70 }, view: 'main' })
+            expect(applySettingsAction({ ...settings, minScore: 90 }, 'settings:minScore').changes).toEqual({ minScore: 50 })
+        })
+
+        test('should toggle flags', () => {
+            expect(applySettingsAction(settings, 'settings:silent').changes).toEqual({ silentOnLowConfidence: true })
+            expect(applySettingsAction(settings, 'settings:preview').changes).toEqual({ linkPreview: false })
+            expect(applySettingsAction(settings, 'settings:videos').changes).toEqual({ musicVideos: true })
+        })
+
+        test('should cycle reply style', () => {
+            expect(applySettingsAction(settings, 'settings:style').changes).toEqual({ replyStyle: 'compact' })
+            expect(applySettingsAction({ ...settings, replyStyle: 'compact' }, 'settings:style').changes).toEqual({ replyStyle: 'full' })
+        })
+
+        test('should set and reset storefront', () => {
+            expect(applySettingsAction(settings, 'settings:storefronts')).toEqual({ changes: null, view: 'storefronts' })
+            expect(applySettingsAction(settings, 'settings:storefront:jp')).toEqual({ changes: { storefront: 'jp' }, view: 'main' })
+            expect(applySettingsAction(settings, 'settings:storefront:default').changes).toEqual({ storefront: null })
+        })
+
+        test('should reject unknown actions and storefronts', () => {
+            expect(applySettingsAction(settings, 'settings:storefront:xx')).toBeNull()
+            expect(applySettingsAction(settings, 'settings:unknown')).toBeNull()
+            expect(applySettingsAction(settings, 'other:minScore')).toBeNull()
+            expect(applySettingsAction(settings, undefined)).toBeNull()
+        })
+    })
+})
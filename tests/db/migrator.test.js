@@ -0,0 +1,182 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Sequelize } = require('sequelize')
+const { Migrator } = require('../../src/db/migrator')
+
+jest.mock('../../src/utils/logs')
+
+describe('Migrator', () => {
+    let folder
+    let sequelize
+    let migrator
+
+    function writeMigration(name, table, failure = '') {
+        fs.writeFileSync(path.join(folder, `${name}.js`), `
+            module.exports = {
+                async up(queryInterface, Sequelize, transaction) {
+                    await queryInterface.createTable('${table}', { id: { type: Sequelize.INTEGER, primaryKey: true } }, { transaction })
+                    ${failure}
+                },
+                async down(queryInterface, Sequelize, transaction) {
+                    await queryInterface.dropTable('${table}', { transaction })
+                }
+            }
+        `)
+    }
+
+    async function listTables() {
+        return (await sequelize.getQueryInterface().showAllTables()).sort()
+    }
+
+    beforeEach(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'smbot-migrations-'))
+        writeMigration('001_first', 'first')
+        writeMigration('002_second', 'second')
+        fs.writeFileSync(path.join(folder, 'README.md'), 'not a migration')
+
+        sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false })
+        migrator = new Migrator(sequelize, folder)
+    })
+
+    afterEach(async () => {
+        await sequelize.close()
+        fs.rmSync(folder, { recursive: true, force: true })
+    })
+
+    test('should list migration files in order', () => {
+        writeMigration('010_tenth', 'tenth')
+
+        expect(migrator.listMigrations()).toEqual(['001_first', '002_second', '010_tenth'])
+    })
+
+    test('should apply pending migrations once and record them', async () => {
+        expect(await migrator.up()).toEqual(['001_first', '002_second'])
+        expect(await listTables()).toEqual(['first', 'schema_migrations', 'second'])
+
+        writeMigration('003_third', 'third')
+
+        expect(await migrator.up()).toEqual(['003_third'])
+        expect(await migrator.status()).toEqual({
+            applied: ['001_first', '002_second', '003_third'],
+            pending: [],
+            unknown: []
+        })
+    })
+
+    test('should roll back a migration that fails partway', async () => {
+        writeMigration('002_second', 'second', "throw new Error('broken')")
+
+        await expect(migrator.up()).rejects.toThrow('broken')
+        expect(await listTables()).toEqual(['first', 'schema_migrations'])
+        expect(await migrator.status()).toEqual({
+            applied: ['001_first'],
+            pending: ['002_second'],
+            unknown: []
+        })
+    })
+
+    test('should revert the latest migrations', async () => {
+        await migrator.up()
+
+        expect(await migrator.down()).toEqual(['002_second'])
+        expect(await listTables()).toEqual(['first', 'schema_migrations'])
+        expect((await migrator.status()).pending).toEqual(['002_second'])
+    })
+
+    test('should revert several migrations newest first', async () => {
+        await migrator.up()
+
+        expect(await migrator.down(5)).toEqual(['002_second', '001_first'])
+        expect(await listTables()).toEqual(['schema_migrations'])
+    })
+
+    test('should refuse a schema newer than the code', async () => {
+        await migrator.up()
+        writeMigration('003_third', 'third')
+        await new Migrator(sequelize, folder).up()
+        fs.unlinkSync(path.join(folder, '003_third.js'))
+
+        await expect(migrator.checkCompatible()).rejects.toThrow('unknown migrations: 003_third')
+        await expect(migrator.up()).rejects.toThrow('newer than this version')
+        await expect(migrator.down()).rejects.toThrow('newer than this version')
+    })
+
+    test('should adopt tables that already exist', async () => {
+        await sequelize.getQueryInterface().createTable('first', { id: { type: Sequelize.INTEGER, primaryKey: true } })
+
+        expect(await migrator.up()).toEqual(['001_first', '002_second'])
+    })
+})
+
+describe('Bundled migrations', () => {
+    let sequelize
+    let queryInterface
+
+    // A database of a bot deployed before migrations, with its subscribed chats in setup
+    async function createLegacyDatabase(chatIds) {
+        await queryInterface.createTable('setup', {
+            name: { type: Sequelize.STRING, primaryKey: true },
+            value: { type: Sequelize.TEXT },
+            createdAt: { type: Sequelize.DATE, allowNull: false },
+            updatedAt: { type: Sequelize.DATE, allowNull: false }
+        })
+        const now = new Date()
+        await queryInterface.bulkInsert('setup', [
+            { name: 'telegram_chat_ids', value: JSON.stringify(chatIds), createdAt: now, updatedAt: now },
+            { name: 'other', value: 'kept', createdAt: now, updatedAt: now }
+        ])
+    }
+
+    async function select(sql) {
+        return await sequelize.query(sql, { type: Sequelize.QueryTypes.SELECT })
+    }
+
+    beforeEach(() => {
+        sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false })
+        queryInterface = sequelize.getQueryInterface()
+    })
+
+    afterEach(async () => {
+        await sequelize.close()
+    })
+
+    test('should move legacy subscribed chats into the chats table once', async () => {
+        await createLegacyDatabase([-100, 200])
+
+        const applied = await new Migrator(sequelize).up()
+
+        expect(applied).toContain('007_legacy_chats')
+        expect((await select('SELECT chatId, status FROM chats ORDER BY chatId'))).toEqual([
+            { chatId: -100, status: 'active' },
+            { chatId: 200, status: 'active' }
+        ])
+        expect(await select('SELECT name FROM setup')).toEqual([{ name: 'other' }])
+
+        // A chat stopped later does not come back on the next start
+        await sequelize.query('DELETE FROM chats WHERE chatId = 200')
+        expect(await new Migrator(sequelize).up()).toEqual([])
+        expect(await select('SELECT chatId FROM chats')).toEqual([{ chatId: -100 }])
+    })
+
+    test('should keep the legacy setup table when every migration is reverted', async () => {
+        await createLegacyDatabase([-100])
+        const migrator = new Migrator(sequelize)
+        const applied = await migrator.up()
+
+        expect(await migrator.down(applied.length)).toHaveLength(applied.length)
+        expect(await queryInterface.showAllTables()).toEqual(expect.arrayContaining(['setup']))
+        expect(await select('SELECT name FROM setup')).toEqual([{ name: 'other' }])
+    })
+
+    test('should migrate a new database without legacy chats', async () => {
+        await new Migrator(sequelize).up()
+
+        expect(await select('SELECT chatId FROM chats')).toEqual([])
+    })
+})
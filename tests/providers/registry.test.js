@@ -0,0 +1,71 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { registerProvider, getProvider, getProviders } = require('../../src/providers/registry')
+const { parseMusicLink, findMusicLinks } = require('../../src/utils/link_parser')
+const { getPlatformName, getPlatformEmoji, isKnownPlatform } = require('../../src/utils/platforms')
+
+describe('Provider registry', () => {
+    const deezer = {
+        platform: 'deezer',
+        name: 'Deezer',
+        emoji: '🟪',
+        types: ['track', 'album'],
+        linkPatterns: [
+            { type: 'track', regex: /https?:\/\/(?:www\.)?deezer\.com\/(?:[a-z]{2}\/)?track\/(?<id>\d+)/ },
+            { type: 'album', regex: /https?:\/\/(?:www\.)?deezer\.com\/(?:[a-z]{2}\/)?album\/(?<id>\d+)/ }
+        ],
+        shortLinks: [/https?:\/\/deezer\.page\.link\/\w+/],
+        create: () => ({})
+    }
+
+    test('should register the built-in platforms in order', () => {
+        expect(getProviders().map((provider) => provider.platform)).toEqual(['spotify', 'apple_music', 'apple_podcasts'])
+        expect(getProvider('apple_music').types).toContain('music_video')
+        expect(getProvider('tidal')).toBeNull()
+    })
+
+    test('should name platforms by their provider', () => {
+        expect(getPlatformName('apple_podcasts')).toBe('Apple Podcasts')
+        expect(getPlatformEmoji('spotify')).toBe('🟢')
+        expect(isKnownPlatform('spotify')).toBe(true)
+        expect(isKnownPlatform('tidal')).toBe(false)
+        expect(getPlatformName('tidal')).toBe('tidal')
+    })
+
+    test('should make links of new platforms parseable', () => {
+        registerProvider(deezer)
+
+        expect(getProvider('deezer')).toBe(deezer)
+        expect(parseMusicLink('https://www.deezer.com/de/track/3135556')).toEqual({
+            platform: 'deezer',
+            type: 'track',
+            id: '3135556',
+            originalUrl: 'https://www.deezer.com/de/track/3135556'
+        })
+        expect(findMusicLinks('https://deezer.page.link/abc and https://open.spotify.com/album/1GbtB4zTqAsyfZEsm1RZfx')).toEqual([
+            'https://deezer.page.link/abc',
+            'https://open.spotify.com/album/1GbtB4zTqAsyfZEsm1RZfx'
+        ])
+        expect(getPlatformName('deezer')).toBe('Deezer')
+    })
+
+    test('should declare the settings each platform needs', () => {
+        const config = { spotify: { clientId: 'id' }, appleMusic: { privateKeyPath: '/nonexistent/key.p8' } }
+        const missing = (platform) => getProvider(platform).requiredSettings(config)
+            .filter((setting) => !setting.value)
+            .map((setting) => setting.key)
+
+        expect(missing('spotify')).toEqual(['SMBOT_SPOTIFY_CLIENT_SECRET'])
+        expect(missing('apple_music')).toEqual(['SMBOT_APPLE_MUSIC_TEAM_ID', 'SMBOT_APPLE_MUSIC_KEY_ID'])
+        expect(getProvider('apple_podcasts').requiredSettings).toBeUndefined()
+        expect(() => getProvider('apple_music').checkSettings(config))
+            .toThrow('Apple Music private key file not found: /nonexistent/key.p8')
+    })
+
+    test('should not register a platform twice', () => {
+        expect(() => registerProvider({ ...getProvider('spotify') })).toThrow('Provider already registered: spotify')
+    })
+})
@@ -20,34 +20,29 @@ describe('AppleMusicService', () => {
         appleMusicService = new AppleMusicService('test_team_id', 'test_key_id', 'test_private_key')
     })
 
-    describe('URL validation and extraction', () => {
-        test('should validate Apple Music URLs correctly', () => {
-            expect(appleMusicService.isValidUrl('https://music.apple.com/us/song/test-song/123456')).toBe(true)
-            expect(appleMusicService.isValidUrl('https://music.apple.com/gb/album/test-album/123456')).toBe(true)
-            expect(appleMusicService.isValidUrl('https://open.spotify.com/track/123456')).toBe(false)
-            expect(appleMusicService.isValidUrl('https://youtube.com/watch?v=123')).toBe(false)
-        })
-
-        test('should extract track ID from Apple Music URLs', () => {
-            // Direct song URL
-            const trackId1 = appleMusicService.extractTrackIdFromUrl('https://music.apple.com/us/song/test-song/123456')
-            expect(trackId1).toBe('123456')
+    describe('storefronts', () => {
+        test('should look up tracks in the given storefront', async () => {
+            jwt.sign.mockReturnValue('test_jwt_token')
+            axios.get.mockResolvedValueOnce({ data: { data: [{ id: 'track123', attributes: {} }] } })
 
-            // Album URL with track parameter
-            const trackId2 = appleMusicService.extractTrackIdFromUrl('https://music.apple.com/us/album/test-album/123456?i=789012')
-            expect(trackId2).toBe('789012')
+            await appleMusicService.getTrackById('track123', 'de')
 
-            // Invalid URL
-            const invalidUrl = appleMusicService.extractTrackIdFromUrl('https://music.apple.com/us/album/test-album/123456')
-            expect(invalidUrl).toBeNull()
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.music.apple.com/v1/catalog/de/songs/track123',
+                expect.any(Object)
+            )
         })
 
-        test('should extract album ID from Apple Music URLs', () => {
-            const albumId = appleMusicService.extractAlbumIdFromUrl('https://music.apple.com/us/album/test-album/123456')
-            expect(albumId).toBe('123456')
+        test('should search in the given storefront', async () => {
+            jwt.sign.mockReturnValue('test_jwt_token')
+            axios.get.mockResolvedValueOnce({ data: { results: {} } })
 
-            const invalidUrl = appleMusicService.extractAlbumIdFromUrl('https://music.apple.com/us/song/test-song/123456')
-            expect(invalidUrl).toBe('123456') // This would still extract the ID part
+            await appleMusicService.searchAlbums('test query', 5, 'jp')
+
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.music.apple.com/v1/catalog/jp/search?term=test%20query&types=albums&limit=5',
+                expect.any(Object)
+            )
         })
     })
 
@@ -104,7 +99,8 @@ describe('AppleMusicService', () => {
                         url: 'https://example.com/{w}x{h}.jpg'
                     },
                     previews: [{ url: 'https://example.com/preview.mp3' }],
-                    url: 'https://music.apple.com/us/song/test-track/track123'
+                    url: 'https://music.apple.com/us/song/test-track/track123',
+                    isrc: 'GBARL9300135'
                 }
             }
 
@@ -118,7 +114,8 @@ describe('AppleMusicService', () => {
                 imageUrl: 'https://example.com/640x640.jpg',
                 previewUrl: 'https://example.com/preview.mp3',
                 externalUrl: 'https://music.apple.com/us/song/test-track/track123',
-                platform: 'apple_music'
+                platform: 'apple_music',
+                isrc: 'GBARL9300135'
             })
         })
 
@@ -138,6 +135,36 @@ describe('AppleMusicService', () => {
             expect(song.externalUrl).toBe('https://music.apple.com/song/track123')
         })
 
+        test('should create album object with track count and release year', () => {
+            const mockAlbumData = {
+                id: 'album123',
+                attributes: {
+                    name: 'Test Album',
+                    artistName: 'Test Artist',
+                    trackCount: 12,
+                    releaseDate: '1999-03-01',
+                    url: 'https://music.apple.com/us/album/test-album/album123',
+                    upc: '602547288233'
+                }
+            }
+
+            const album = appleMusicService.createSongFromAppleMusicAlbum(mockAlbumData)
+
+            expect(album).toEqual({
+                id: 'album123',
+                name: 'Test Album',
+                artist: 'Test Artist',
+                album: 'Test Album',
+                imageUrl: null,
+                previewUrl: null,
+                externalUrl: 'https://music.apple.com/us/album/test-album/album123',
+                platform: 'apple_music',
+                trackCount: 12,
+                releaseYear: 1999,
+                upc: '602547288233'
+            })
+        })
+
         test('should replace artwork URL placeholders', () => {
             const mockTrackData = {
                 id: 'track123',
@@ -271,5 +298,302 @@ describe('AppleMusicService', () => {
 
             expect(tracks).toEqual([])
         })
+
+        test('should find track by ISRC', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: {
+                    data: [{
+                        id: 'track123',
+                        attributes: {
+                            name: 'Test Track',
+                            artistName: 'Test Artist',
+                            albumName: 'Test Album',
+                            isrc: 'USRC17607839'
+                        }
+                    }]
+                }
+            })
+
+            const track = await appleMusicService.getTrackByIsrc('USRC17607839')
+
+            expect(track.id).toBe('track123')
+            expect(track.isrc).toBe('USRC17607839')
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.music.apple.com/v1/catalog/us/songs?filter[isrc]=USRC17607839',
+                expect.objectContaining({
+                    headers: { 'Authorization': 'Bearer test_jwt_token' }
+                })
+            )
+        })
+
+        test('should return null when ISRC is unknown', async () => {
+            axios.get.mockResolvedValueOnce({ data: { data: [] } })
+
+            const track = await appleMusicService.getTrackByIsrc('XXXXXXXXXXXX')
+
+            expect(track).toBeNull()
+        })
+
+        test('should find album by UPC', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: {
+                    data: [{
+                        id: 'album123',
+                        attributes: {
+                            name: 'Test Album',
+                            artistName: 'Test Artist',
+                            upc: '602547288233'
+                        }
+                    }]
+                }
+            })
+
+            const album = await appleMusicService.getAlbumByUpc('602547288233')
+
+            expect(album.id).toBe('album123')
+            expect(album.upc).toBe('602547288233')
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.music.apple.com/v1/catalog/us/albums?filter[upc]=602547288233',
+                expect.objectContaining({
+                    headers: { 'Authorization': 'Bearer test_jwt_token' }
+                })
+            )
+        })
+
+        test('should return null when UPC lookup fails', async () => {
+            axios.get.mockRejectedValueOnce(new Error('Not found'))
+
+            const album = await appleMusicService.getAlbumByUpc('000000000000')
+
+            expect(album).toBeNull()
+        })
+
+        test('should search albums successfully', async () => {
+            const mockSearchResponse = {
+                data: {
+                    results: {
+                        albums: {
+                            data: [
+                                {
+                                    id: 'album1',
+                                    attributes: {
+                                        name: 'Album 1',
+                                        artistName: 'Artist 1',
+                                        trackCount: 9,
+                                        releaseDate: '2010-05-05'
+                                    }
+                                }
+                            ]
+                        }
+                    }
+                }
+            }
+
+            axios.get.mockResolvedValueOnce(mockSearchResponse)
+
+            const albums = await appleMusicService.searchAlbums('test query')
+
+            expect(albums).toHaveLength(1)
+            expect(albums[0].id).toBe('album1')
+            expect(albums[0].trackCount).toBe(9)
+            expect(albums[0].releaseYear).toBe(2010)
+
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.music.apple.com/v1/catalog/us/search?term=test%20query&types=albums&limit=10',
+                expect.objectContaining({
+                    headers: { 'Authorization': 'Bearer test_jwt_token' }
+                })
+            )
+        })
+
+        test('should return empty array for failed album search', async () => {
+            axios.get.mockRejectedValueOnce(new Error('Search failed'))
+
+            const albums = await appleMusicService.searchAlbums('test query')
+
+            expect(albums).toEqual([])
+        })
+
+        test('should get artist with top songs', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: {
+                    data: [{
+                        id: '3296287',
+                        attributes: {
+                            name: 'Queen',
+                            genreNames: ['Rock'],
+                            url: 'https://music.apple.com/us/artist/queen/3296287'
+                        },
+                        views: {
+                            'top-songs': {
+                                data: [
+                                    { id: '1', attributes: { name: 'Bohemian Rhapsody' } },
+                                    { id: '2', attributes: { name: "Don't Stop Me Now" } }
+                                ]
+                            }
+                        }
+                    }]
+                }
+            })
+
+            const artist = await appleMusicService.getArtistById('3296287', 'de')
+
+            expect(artist).toEqual(expect.objectContaining({
+                id: '3296287',
+                name: 'Queen',
+                artist: null,
+                platform: 'apple_music',
+                genres: ['Rock'],
+                topTracks: ['Bohemian Rhapsody', "Don't Stop Me Now"]
+            }))
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.music.apple.com/v1/catalog/de/artists/3296287?views=top-songs',
+                expect.any(Object)
+            )
+        })
+
+        test('should return null for failed artist request', async () => {
+            axios.get.mockRejectedValueOnce(new Error('Not found'))
+
+            expect(await appleMusicService.getArtistById('0')).toBeNull()
+        })
+
+        test('should get music video with the ISRC of its song', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: {
+                    data: [{
+                        id: '1440624016',
+                        type: 'music-videos',
+                        attributes: {
+                            name: 'Bohemian Rhapsody',
+                            artistName: 'Queen',
+                            isrc: 'GBCEE0800019',
+                            url: 'https://music.apple.com/us/music-video/bohemian-rhapsody/1440624016'
+                        },
+                        relationships: {
+                            songs: {
+                                data: [{
+                                    id: '1440806041',
+                                    type: 'songs',
+                                    attributes: { name: 'Bohemian Rhapsody', albumName: 'A Night at the Opera', isrc: 'GBUM71029604' }
+                                }]
+                            }
+                        }
+                    }]
+                }
+            })
+
+            const video = await appleMusicService.getMusicVideoById('1440624016', 'gb')
+
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.music.apple.com/v1/catalog/gb/music-videos/1440624016?include=songs',
+                expect.any(Object)
+            )
+            expect(video).toEqual({
+                id: '1440624016',
+                name: 'Bohemian Rhapsody',
+                artist: 'Queen',
+                album: 'A Night at the Opera',
+                imageUrl: null,
+                previewUrl: null,
+                externalUrl: 'https://music.apple.com/us/music-video/bohemian-rhapsody/1440624016',
+                platform: 'apple_music',
+                isrc: 'GBUM71029604'
+            })
+        })
+
+        test('should leave out ISRC and album of music videos without a song', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: { data: [{ id: '1', type: 'music-videos', attributes: { name: 'Live at Wembley', artistName: 'Queen', isrc: 'GBCEE0800019' } }] }
+            })
+
+            const video = await appleMusicService.getMusicVideoById('1')
+
+            expect(video.isrc).toBeNull()
+            expect(video.album).toBeNull()
+        })
+
+        test('should get the music videos of a song', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: { data: [{ id: '1440624016', type: 'music-videos', attributes: { name: 'Bohemian Rhapsody', artistName: 'Queen' } }] }
+            })
+
+            const videos = await appleMusicService.getTrackMusicVideos('1440806041', 'de')
+
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.music.apple.com/v1/catalog/de/songs/1440806041/music-videos',
+                expect.any(Object)
+            )
+            expect(videos.map((video) => video.id)).toEqual(['1440624016'])
+        })
+
+        test('should return no music videos for failed request', async () => {
+            axios.get.mockRejectedValueOnce(new Error('Not found'))
+
+            expect(await appleMusicService.getTrackMusicVideos('0')).toEqual([])
+            expect(await appleMusicService.getMusicVideoById('0')).toBeNull()
+        })
+
+        test('should page through playlist tracks without music videos', async () => {
+            axios.get
+                .mockResolvedValueOnce({
+                    data: {
+                        data: [{
+                            id: 'pl.123',
+                            attributes: { name: 'Road Trip', curatorName: 'Apple Music' },
+                            relationships: {
+                                tracks: {
+                                    data: [{ id: '1', type: 'songs', attributes: { name: 'Song 1' } }, { id: '2', type: 'music-videos', attributes: {} }],
+                                    next: '/v1/catalog/us/playlists/pl.123/tracks?offset=2',
+                                    meta: { total: 3 }
+                                }
+                            }
+                        }]
+                    }
+                })
+                .mockResolvedValueOnce({
+                    data: { data: [{ id: '3', type: 'songs', attributes: { name: 'Song 3' } }] }
+                })
+
+            const playlist = await appleMusicService.getPlaylistById('pl.123')
+
+            expect(axios.get).toHaveBeenLastCalledWith('https://api.music.apple.com/v1/catalog/us/playlists/pl.123/tracks?offset=2', expect.any(Object))
+            expect(playlist).toEqual(expect.objectContaining({
+                id: 'pl.123',
+                name: 'Road Trip',
+                artist: 'Apple Music',
+                externalUrl: 'https://music.apple.com/playlist/pl.123',
+                trackCount: 3
+            }))
+            expect(playlist.tracks.map((song) => song.id)).toEqual(['1', '3'])
+        })
+
+        test('should return null for failed playlist request', async () => {
+            axios.get.mockRejectedValueOnce(new Error('Not found'))
+
+            expect(await appleMusicService.getPlaylistById('pl.private')).toBeNull()
+        })
+
+        test('should search artists without top songs', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: {
+                    results: {
+                        artists: {
+                            data: [{ id: '3296287', attributes: { name: 'Queen' } }]
+                        }
+                    }
+                }
+            })
+
+            const artists = await appleMusicService.searchArtists('queen', 5)
+
+            expect(artists).toHaveLength(1)
+            expect(artists[0].name).toBe('Queen')
+            expect(artists[0].topTracks).toEqual([])
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.music.apple.com/v1/catalog/us/search?term=queen&types=artists&limit=5',
+                expect.any(Object)
+            )
+        })
     })
-})
\ No newline at end of file
+})
@@ -0,0 +1,115 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { ApplePodcastsService } = require('../../src/services/apple_podcasts')
+
+// Mock axios
+jest.mock('axios')
+const axios = require('axios')
+
+describe('ApplePodcastsService', () => {
+    let applePodcastsService
+
+    const podcastResult = {
+        wrapperType: 'track',
+        kind: 'podcast',
+        collectionId: 1200361736,
+        collectionName: 'The Daily',
+        artistName: 'The New York Times',
+        collectionViewUrl: 'https://podcasts.apple.com/us/podcast/the-daily/id1200361736',
+        artworkUrl600: 'https://is1-ssl.mzstatic.com/daily600.jpg',
+        trackCount: 2500
+    }
+
+    const episodeResult = {
+        wrapperType: 'podcastEpisode',
+        kind: 'podcast-episode',
+        trackId: 1000650744467,
+        trackName: 'A Big Day in Court',
+        collectionId: 1200361736,
+        collectionName: 'The Daily',
+        releaseDate: '2024-05-01T09:45:00Z',
+        trackViewUrl: 'https://podcasts.apple.com/us/podcast/a-big-day-in-court/id1200361736?i=1000650744467',
+        episodeUrl: 'https://dts.podtrac.com/episode.mp3',
+        trackTimeMillis: 1800000
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks()
+        applePodcastsService = new ApplePodcastsService()
+    })
+
+    describe('API calls', () => {
+        test('should get show by ID without a token', async () => {
+            axios.get.mockResolvedValueOnce({ data: { results: [podcastResult] } })
+
+            const show = await applePodcastsService.getShowById('1200361736', 'de')
+
+            expect(axios.get).toHaveBeenCalledWith('https://itunes.apple.com/lookup?id=1200361736&entity=podcast&country=de')
+            expect(show).toEqual({
+                id: '1200361736',
+                name: 'The Daily',
+                artist: 'The New York Times',
+                album: null,
+                imageUrl: 'https://is1-ssl.mzstatic.com/daily600.jpg',
+                previewUrl: null,
+                externalUrl: 'https://podcasts.apple.com/us/podcast/the-daily/id1200361736',
+                platform: 'apple_podcasts',
+                publisher: 'The New York Times',
+                episodeCount: 2500
+            })
+        })
+
+        test('should return null for unknown shows', async () => {
+            axios.get.mockResolvedValueOnce({ data: { results: [] } })
+
+            expect(await applePodcastsService.getShowById('0')).toBeNull()
+        })
+
+        test('should find an episode among the latest episodes of its show', async () => {
+            axios.get.mockResolvedValue({ data: { results: [podcastResult, episodeResult] } })
+
+            const episode = await applePodcastsService.getEpisodeById('1000650744467', 'us', '1200361736')
+
+            expect(axios.get).toHaveBeenCalledWith('https://itunes.apple.com/lookup?id=1200361736&entity=podcastEpisode&limit=200&country=us')
+            expect(episode).toEqual({
+                id: '1000650744467',
+                name: 'A Big Day in Court',
+                artist: 'The Daily',
+                album: 'The Daily',
+                imageUrl: 'https://is1-ssl.mzstatic.com/daily600.jpg',
+                previewUrl: 'https://dts.podtrac.com/episode.mp3',
+                externalUrl: 'https://podcasts.apple.com/us/podcast/a-big-day-in-court/id1200361736?i=1000650744467',
+                platform: 'apple_podcasts',
+                publisher: 'The New York Times',
+                releaseDate: '2024-05-01',
+                durationMs: 1800000
+            })
+            expect(await applePodcastsService.getEpisodeById('999', 'us', '1200361736')).toBeNull()
+        })
+
+        test('should not look up episodes without their show', async () => {
+            expect(await applePodcastsService.getEpisodeById('1000650744467')).toBeNull()
+            expect(axios.get).not.toHaveBeenCalled()
+        })
+
+        test('should search shows', async () => {
+            axios.get.mockResolvedValueOnce({ data: { results: [podcastResult] } })
+
+            const shows = await applePodcastsService.searchShows('the daily', 5)
+
+            expect(axios.get).toHaveBeenCalledWith('https://itunes.apple.com/search?term=the%20daily&media=podcast&entity=podcast&limit=5&country=us')
+            expect(shows.map((show) => show.id)).toEqual(['1200361736'])
+        })
+
+        test('should return empty arrays for failed requests', async () => {
+            axios.get.mockRejectedValue(new Error('Service unavailable'))
+
+            expect(await applePodcastsService.searchShows('the daily')).toEqual([])
+            expect(await applePodcastsService.getShowEpisodes('1200361736')).toEqual([])
+            expect(await applePodcastsService.getShowById('1200361736')).toBeNull()
+        })
+    })
+})
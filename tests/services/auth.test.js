@@ -0,0 +1,113 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { AuthService } = require('../../src/services/auth')
+
+jest.mock('../../src/config/config', () => ({ config: {} }))
+jest.mock('../../src/db/db')
+
+const { db } = require('../../src/db/db')
+
+describe('AuthService', () => {
+    let auth
+    let users
+
+    beforeEach(() => {
+        jest.clearAllMocks()
+
+        users = {
+            7: { userId: 7, username: 'admin', role: 'admin' },
+            42: { userId: 42, username: 'member', role: 'member' }
+        }
+
+        db.getUser = jest.fn(async (userId) => users[userId] || null)
+        db.saveUser = jest.fn()
+        db.createInvite = jest.fn()
+        db.redeemInvite = jest.fn().mockResolvedValue(true)
+        db.recordAuthEvent = jest.fn()
+
+        auth = new AuthService({ telegram: { ownerIds: [1] } })
+    })
+
+    describe('roles', () => {
+        test('should resolve owners from config and others from the database', async () => {
+            expect(await auth.getRole(1)).toBe('owner')
+            expect(await auth.getRole(7)).toBe('admin')
+            expect(await auth.getRole(42)).toBe('member')
+            expect(await auth.getRole(999)).toBeNull()
+            expect(await auth.getRole(undefined)).toBeNull()
+            expect(db.getUser).not.toHaveBeenCalledWith(1)
+        })
+
+        test('should treat owners and admins as bot admins', async () => {
+            expect(await auth.isBotAdmin(1)).toBe(true)
+            expect(await auth.isBotAdmin(7)).toBe(true)
+            expect(await auth.isBotAdmin(42)).toBe(false)
+        })
+
+        test('should know owners, admins and members', async () => {
+            expect(await auth.isKnownUser(42)).toBe(true)
+            expect(await auth.isKnownUser(999)).toBe(false)
+        })
+
+        test('should keep the username when changing a role', async () => {
+            await auth.setRole(42, 'admin', 1)
+
+            expect(db.saveUser).toHaveBeenCalledWith({ userId: 42, username: 'member', role: 'admin', grantedBy: 1 })
+        })
+    })
+
+    describe('invites', () => {
+        test('should create an expiring invite code', async () => {
+            const before = Date.now()
+            const { code, expiresAt } = await auth.createInvite(7, 2)
+
+            expect(code).toMatch(/^[A-Za-z0-9_-]{12}$/)
+            expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 2 * 60 * 60 * 1000)
+            expect(db.createInvite).toHaveBeenCalledWith({ code, createdBy: 7, expiresAt })
+        })
+
+        test('should generate a different code every time', async () => {
+            const first = await auth.createInvite(7)
+            const second = await auth.createInvite(7)
+
+            expect(first.code).not.toBe(second.code)
+        })
+
+        test('should make the user a member after redeeming a code', async () => {
+            const result = await auth.redeemInvite('code123', { id: 100, username: 'newbie' }, -500)
+
+            expect(result).toBe(true)
+            expect(db.redeemInvite).toHaveBeenCalledWith('code123', 100, -500)
+            expect(db.saveUser).toHaveBeenCalledWith({ userId: 100, username: 'newbie', role: 'member' })
+        })
+
+        test('should not downgrade an admin redeeming a code', async () => {
+            const result = await auth.redeemInvite('code123', { id: 7 }, -500)
+
+            expect(result).toBe(true)
+            expect(db.saveUser).not.toHaveBeenCalled()
+        })
+
+        test('should reject used, expired or missing codes', async () => {
+            db.redeemInvite.mockResolvedValue(false)
+
+            expect(await auth.redeemInvite('used', { id: 100 }, -500)).toBe(false)
+            expect(await auth.redeemInvite('', { id: 100 }, -500)).toBe(false)
+            expect(db.saveUser).not.toHaveBeenCalled()
+        })
+    })
+
+    describe('record', () => {
+        test('should store auth events and ignore database errors', async () => {
+            const event = { userId: 42, chatId: -500, action: 'stop', allowed: false, reason: 'not a chat admin' }
+            await auth.record(event)
+            expect(db.recordAuthEvent).toHaveBeenCalledWith(event)
+
+            db.recordAuthEvent.mockRejectedValue(new Error('SQLITE_BUSY'))
+            await expect(auth.record(event)).resolves.toBeUndefined()
+        })
+    })
+})
@@ -6,13 +6,29 @@
 const { ConverterService } = require('../../src/services/converter')
 
 // Mock the services
+jest.mock('../../src/config/config', () => ({ config: {} }))
+jest.mock('../../src/db/db')
 jest.mock('../../src/services/spotify')
 jest.mock('../../src/services/apple_music')
+jest.mock('../../src/services/apple_podcasts')
 jest.mock('../../src/utils/scoring')
 
 const { SpotifyService } = require('../../src/services/spotify')
 const { AppleMusicService } = require('../../src/services/apple_music')
-const { findBestMatch, getConfidenceLevel } = require('../../src/utils/scoring')
+const { ApplePodcastsService } = require('../../src/services/apple_podcasts')
+const {
+    rankMatches,
+    rankAlbumMatches,
+    rankArtistMatches,
+    rankShowMatches,
+    rankEpisodeMatches,
+    getConfidenceLevel,
+    calculateSongScore,
+    calculateQueryScore,
+    parseSearchQuery
+} = require('../../src/utils/scoring')
+const { db } = require('../../src/db/db')
+const { registerProvider } = require('../../src/providers/registry')
 
 describe('ConverterService', () => {
     let converterService
@@ -30,33 +46,55 @@ describe('ConverterService', () => {
                 teamId: 'test_team_id',
                 keyId: 'test_key_id'
             },
-            getAppleMusicPrivateKey: jest.fn().mockReturnValue('test_private_key')
+            cache: {
+                ttlHours: 168,
+                negativeTtlHours: 6
+            },
+            getAppleMusicPrivateKey: jest.fn().mockReturnValue('test_private_key'),
+            isProviderEnabled: jest.fn().mockReturnValue(true)
         }
 
-        converterService = new ConverterService(mockConfig)
+        db.findOverride.mockResolvedValue(null)
+        db.getCachedConversion.mockResolvedValue(null)
+        db.saveCachedConversion.mockResolvedValue()
+        rankMatches.mockReturnValue([])
+        rankAlbumMatches.mockReturnValue([])
 
-        // Setup service mocks
-        SpotifyService.prototype.isValidUrl = jest.fn()
-        SpotifyService.prototype.extractTrackIdFromUrl = jest.fn()
-        SpotifyService.prototype.extractAlbumIdFromUrl = jest.fn()
+        // Setup service mocks before construction: automocked instances copy prototype methods
         SpotifyService.prototype.getTrackById = jest.fn()
         SpotifyService.prototype.getAlbumById = jest.fn()
         SpotifyService.prototype.searchTracks = jest.fn()
-
-        AppleMusicService.prototype.isValidUrl = jest.fn()
-        AppleMusicService.prototype.extractTrackIdFromUrl = jest.fn()
-        AppleMusicService.prototype.extractAlbumIdFromUrl = jest.fn()
+        SpotifyService.prototype.getTrackByIsrc = jest.fn()
+        SpotifyService.prototype.getAlbumByUpc = jest.fn()
+        SpotifyService.prototype.searchAlbums = jest.fn()
+        SpotifyService.prototype.getArtistById = jest.fn()
+        SpotifyService.prototype.searchArtists = jest.fn()
+        SpotifyService.prototype.getPlaylistById = jest.fn()
+        SpotifyService.prototype.getShowById = jest.fn()
+        SpotifyService.prototype.getEpisodeById = jest.fn()
+        SpotifyService.prototype.getShowEpisodes = jest.fn()
+        SpotifyService.prototype.searchShows = jest.fn()
         AppleMusicService.prototype.getTrackById = jest.fn()
         AppleMusicService.prototype.getAlbumById = jest.fn()
         AppleMusicService.prototype.searchTracks = jest.fn()
+        AppleMusicService.prototype.getTrackByIsrc = jest.fn()
+        AppleMusicService.prototype.getAlbumByUpc = jest.fn()
+        AppleMusicService.prototype.searchAlbums = jest.fn()
+        AppleMusicService.prototype.getArtistById = jest.fn()
+        AppleMusicService.prototype.searchArtists = jest.fn()
+        AppleMusicService.prototype.getPlaylistById = jest.fn()
+        AppleMusicService.prototype.getMusicVideoById = jest.fn()
+        AppleMusicService.prototype.getTrackMusicVideos = jest.fn()
+        ApplePodcastsService.prototype.getShowById = jest.fn()
+        ApplePodcastsService.prototype.getEpisodeById = jest.fn()
+        ApplePodcastsService.prototype.getShowEpisodes = jest.fn()
+        ApplePodcastsService.prototype.searchShows = jest.fn()
+
+        converterService = new ConverterService(mockConfig)
     })
 
     describe('detectMusicLink', () => {
         test('should detect Spotify track URL', () => {
-            SpotifyService.prototype.isValidUrl.mockReturnValue(true)
-            SpotifyService.prototype.extractTrackIdFromUrl.mockReturnValue('track123')
-            SpotifyService.prototype.extractAlbumIdFromUrl.mockReturnValue(null)
-
             const result = converterService.detectMusicLink('https://open.spotify.com/track/track123')
 
             expect(result).toEqual({
@@ -68,26 +106,18 @@ describe('ConverterService', () => {
         })
 
         test('should detect Apple Music track URL', () => {
-            SpotifyService.prototype.isValidUrl.mockReturnValue(false)
-            AppleMusicService.prototype.isValidUrl.mockReturnValue(true)
-            AppleMusicService.prototype.extractTrackIdFromUrl.mockReturnValue('track456')
-            AppleMusicService.prototype.extractAlbumIdFromUrl.mockReturnValue(null)
-
-            const result = converterService.detectMusicLink('https://music.apple.com/us/song/test/track456')
+            const result = converterService.detectMusicLink('https://music.apple.com/us/song/test/1440806041')
 
             expect(result).toEqual({
                 platform: 'apple_music',
                 type: 'track',
-                id: 'track456',
-                originalUrl: 'https://music.apple.com/us/song/test/track456'
+                id: '1440806041',
+                storefront: 'us',
+                originalUrl: 'https://music.apple.com/us/song/test/1440806041'
             })
         })
 
         test('should detect Spotify album URL', () => {
-            SpotifyService.prototype.isValidUrl.mockReturnValue(true)
-            SpotifyService.prototype.extractTrackIdFromUrl.mockReturnValue(null)
-            SpotifyService.prototype.extractAlbumIdFromUrl.mockReturnValue('album123')
-
             const result = converterService.detectMusicLink('https://open.spotify.com/album/album123')
 
             expect(result).toEqual({
@@ -98,10 +128,30 @@ describe('ConverterService', () => {
             })
         })
 
-        test('should return null for invalid URLs', () => {
-            SpotifyService.prototype.isValidUrl.mockReturnValue(false)
-            AppleMusicService.prototype.isValidUrl.mockReturnValue(false)
+        test('should detect Apple Music artist URL', () => {
+            const result = converterService.detectMusicLink('https://music.apple.com/gb/artist/queen/3296287')
+
+            expect(result).toEqual({
+                platform: 'apple_music',
+                type: 'artist',
+                id: '3296287',
+                storefront: 'gb',
+                originalUrl: 'https://music.apple.com/gb/artist/queen/3296287'
+            })
+        })
+
+        test('should resolve URIs to their canonical link first', async () => {
+            const result = await converterService.resolveMusicLink('spotify:track:4uLU6hMCjMI75M1A2tKUQC')
 
+            expect(result).toEqual({
+                platform: 'spotify',
+                type: 'track',
+                id: '4uLU6hMCjMI75M1A2tKUQC',
+                originalUrl: 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC'
+            })
+        })
+
+        test('should return null for invalid URLs', () => {
             const result = converterService.detectMusicLink('https://youtube.com/watch?v=123')
 
             expect(result).toBeNull()
@@ -116,11 +166,6 @@ describe('ConverterService', () => {
 
     describe('convertMusicLink', () => {
         test('should convert Spotify track to Apple Music successfully', async () => {
-            // Mock detection
-            SpotifyService.prototype.isValidUrl.mockReturnValue(true)
-            SpotifyService.prototype.extractTrackIdFromUrl.mockReturnValue('spotify123')
-            SpotifyService.prototype.extractAlbumIdFromUrl.mockReturnValue(null)
-
             // Mock original song fetch
             const originalSong = {
                 id: 'spotify123',
@@ -134,18 +179,18 @@ describe('ConverterService', () => {
             // Mock search and matching
             const searchResults = [
                 {
-                    id: 'apple456',
+                    id: '1440806041',
                     name: 'Test Song',
                     artist: 'Test Artist',
                     album: 'Test Album',
                     platform: 'apple_music',
-                    externalUrl: 'https://music.apple.com/song/apple456'
+                    externalUrl: 'https://music.apple.com/song/1440806041'
                 }
             ]
             AppleMusicService.prototype.searchTracks.mockResolvedValue(searchResults)
 
             const bestMatch = { ...searchResults[0], matchScore: 95 }
-            findBestMatch.mockReturnValue(bestMatch)
+            rankMatches.mockReturnValue([bestMatch])
             getConfidenceLevel.mockReturnValue('95% match')
 
             const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
@@ -153,22 +198,19 @@ describe('ConverterService', () => {
             expect(result).toEqual({
                 original: originalSong,
                 converted: bestMatch,
+                alternatives: [],
+                origin: 'search',
                 confidence: '95% match',
                 sourcePlatform: 'spotify',
+                sourceType: 'track',
                 targetPlatform: 'apple_music'
             })
         })
 
         test('should convert Apple Music track to Spotify successfully', async () => {
-            // Mock detection
-            SpotifyService.prototype.isValidUrl.mockReturnValue(false)
-            AppleMusicService.prototype.isValidUrl.mockReturnValue(true)
-            AppleMusicService.prototype.extractTrackIdFromUrl.mockReturnValue('apple456')
-            AppleMusicService.prototype.extractAlbumIdFromUrl.mockReturnValue(null)
-
             // Mock original song fetch
             const originalSong = {
-                id: 'apple456',
+                id: '1440806041',
                 name: 'Test Song',
                 artist: 'Test Artist',
                 album: 'Test Album',
@@ -190,33 +232,238 @@ describe('ConverterService', () => {
             SpotifyService.prototype.searchTracks.mockResolvedValue(searchResults)
 
             const bestMatch = { ...searchResults[0], matchScore: 100 }
-            findBestMatch.mockReturnValue(bestMatch)
+            rankMatches.mockReturnValue([bestMatch])
             getConfidenceLevel.mockReturnValue('Exact match')
 
-            const result = await converterService.convertMusicLink('https://music.apple.com/us/song/test/apple456')
+            const result = await converterService.convertMusicLink('https://music.apple.com/us/song/test/1440806041')
 
             expect(result).toEqual({
                 original: originalSong,
                 converted: bestMatch,
+                alternatives: [],
+                origin: 'search',
                 confidence: 'Exact match',
                 sourcePlatform: 'apple_music',
+                sourceType: 'track',
                 targetPlatform: 'spotify'
             })
         })
 
-        test('should return null for invalid URL', async () => {
-            SpotifyService.prototype.isValidUrl.mockReturnValue(false)
-            AppleMusicService.prototype.isValidUrl.mockReturnValue(false)
+        test('should prefer ISRC lookup over fuzzy search', async () => {
+            const originalSong = {
+                id: 'spotify123',
+                name: 'Test Song',
+                artist: 'Test Artist',
+                album: 'Test Album',
+                platform: 'spotify',
+                isrc: 'USRC17607839'
+            }
+            SpotifyService.prototype.getTrackById.mockResolvedValue(originalSong)
+
+            const isrcMatch = {
+                id: '1440806041',
+                name: 'Test Song (Remastered)',
+                artist: 'Test Artist',
+                platform: 'apple_music',
+                isrc: 'USRC17607839'
+            }
+            AppleMusicService.prototype.getTrackByIsrc.mockResolvedValue(isrcMatch)
+            getConfidenceLevel.mockReturnValue('Exact match (ISRC)')
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(AppleMusicService.prototype.getTrackByIsrc).toHaveBeenCalledWith('USRC17607839', undefined)
+            expect(AppleMusicService.prototype.searchTracks).not.toHaveBeenCalled()
+            expect(getConfidenceLevel).toHaveBeenCalledWith(100, 'isrc')
+            expect(result.converted).toEqual({ ...isrcMatch, matchScore: 100, matchType: 'isrc' })
+            expect(result.confidence).toBe('Exact match (ISRC)')
+        })
+
+        test('should fall back to search when ISRC lookup fails', async () => {
+            const originalSong = {
+                id: 'spotify123',
+                name: 'Test Song',
+                artist: 'Test Artist',
+                album: 'Test Album',
+                platform: 'spotify',
+                isrc: 'USRC17607839'
+            }
+            SpotifyService.prototype.getTrackById.mockResolvedValue(originalSong)
+            AppleMusicService.prototype.getTrackByIsrc.mockResolvedValue(null)
+
+            const searchResults = [{ id: '1440806041', platform: 'apple_music' }]
+            AppleMusicService.prototype.searchTracks.mockResolvedValue(searchResults)
+            rankMatches.mockReturnValue([{ ...searchResults[0], matchScore: 90 }])
+            getConfidenceLevel.mockReturnValue('90% match')
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(AppleMusicService.prototype.searchTracks).toHaveBeenCalledWith('Test Artist Test Song', 10, undefined)
+            expect(result.confidence).toBe('90% match')
+        })
+
+        test('should convert Spotify album to Apple Music album', async () => {
+            const originalAlbum = {
+                id: 'album123',
+                name: 'Test Album',
+                artist: 'Test Artist',
+                album: 'Test Album',
+                platform: 'spotify',
+                trackCount: 10,
+                releaseYear: 2001
+            }
+            SpotifyService.prototype.getAlbumById.mockResolvedValue(originalAlbum)
+
+            const albumResults = [
+                {
+                    id: '1440806768',
+                    name: 'Test Album',
+                    artist: 'Test Artist',
+                    album: 'Test Album',
+                    platform: 'apple_music',
+                    trackCount: 10,
+                    releaseYear: 2001,
+                    externalUrl: 'https://music.apple.com/us/album/test-album/1440806768'
+                }
+            ]
+            AppleMusicService.prototype.searchAlbums.mockResolvedValue(albumResults)
+
+            const bestMatch = { ...albumResults[0], matchScore: 100 }
+            rankAlbumMatches.mockReturnValue([bestMatch])
+            getConfidenceLevel.mockReturnValue('Exact match')
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/album/album123')
+
+            expect(AppleMusicService.prototype.searchAlbums).toHaveBeenCalledWith('Test Artist Test Album', 10, undefined)
+            expect(AppleMusicService.prototype.searchTracks).not.toHaveBeenCalled()
+            expect(rankAlbumMatches).toHaveBeenCalledWith(originalAlbum, albumResults)
+            expect(result.converted).toEqual(bestMatch)
+            expect(result.targetPlatform).toBe('apple_music')
+        })
+
+        test('should convert Spotify artist after comparing top tracks of the closest namesakes', async () => {
+            const originalArtist = { id: 'queen', name: 'Queen', artist: null, platform: 'spotify', topTracks: ['Bohemian Rhapsody'] }
+            SpotifyService.prototype.getArtistById.mockResolvedValue(originalArtist)
+
+            const searchResults = ['am-namesake', 'am-queen', 'am-queens', 'am-other'].map((id) => ({ id, name: 'Queen', platform: 'apple_music', topTracks: [] }))
+            AppleMusicService.prototype.searchArtists.mockResolvedValue(searchResults)
+            AppleMusicService.prototype.getArtistById.mockImplementation(async (id) =>
+                id === 'am-queens' ? null : { id, name: 'Queen', platform: 'apple_music', topTracks: [id] }
+            )
+
+            const namesake = { id: 'am-namesake', matchScore: 50 }
+            const queen = { id: 'am-queen', externalUrl: 'https://music.apple.com/us/artist/queen/3296287', platform: 'apple_music', matchScore: 100 }
+            rankArtistMatches
+                .mockReturnValueOnce(searchResults.map((artist) => ({ ...artist, matchScore: 75 })))
+                .mockReturnValueOnce([queen, namesake])
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/artist/queen', { storefront: 'de' })
+
+            expect(SpotifyService.prototype.getArtistById).toHaveBeenCalledWith('queen')
+            expect(AppleMusicService.prototype.searchArtists).toHaveBeenCalledWith('Queen', 5, 'de')
+            expect(AppleMusicService.prototype.getArtistById.mock.calls).toEqual([
+                ['am-namesake', 'de'],
+                ['am-queen', 'de'],
+                ['am-queens', 'de']
+            ])
+            // Artists whose details could not be fetched are ranked by name only
+            expect(rankArtistMatches).toHaveBeenLastCalledWith(originalArtist, [
+                { id: 'am-namesake', name: 'Queen', platform: 'apple_music', topTracks: ['am-namesake'] },
+                { id: 'am-queen', name: 'Queen', platform: 'apple_music', topTracks: ['am-queen'] },
+                { ...searchResults[2], matchScore: 75 }
+            ])
+            expect(result.converted).toEqual(queen)
+            expect(result.alternatives).toEqual([namesake])
+            expect(result.sourceType).toBe('artist')
+        })
+
+        test('should prefer UPC lookup for albums', async () => {
+            const originalAlbum = {
+                id: 'album123',
+                name: 'Test Album',
+                artist: 'Test Artist',
+                platform: 'spotify',
+                upc: '0602547288233'
+            }
+            SpotifyService.prototype.getAlbumById.mockResolvedValue(originalAlbum)
+
+            const upcMatch = { id: '1440806768', platform: 'apple_music', upc: '602547288233' }
+            AppleMusicService.prototype.getAlbumByUpc
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce(upcMatch)
+            getConfidenceLevel.mockReturnValue('Exact match (UPC)')
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/album/album123')
+
+            expect(AppleMusicService.prototype.getAlbumByUpc).toHaveBeenNthCalledWith(1, '0602547288233', undefined)
+            expect(AppleMusicService.prototype.getAlbumByUpc).toHaveBeenNthCalledWith(2, '602547288233', undefined)
+            expect(AppleMusicService.prototype.searchAlbums).not.toHaveBeenCalled()
+            expect(getConfidenceLevel).toHaveBeenCalledWith(100, 'upc')
+            expect(result.converted).toEqual({ ...upcMatch, matchScore: 100, matchType: 'upc' })
+        })
+
+        test('should fall back to album search when UPC lookup fails', async () => {
+            const originalAlbum = {
+                id: '1440806768',
+                name: 'Test Album',
+                artist: 'Test Artist',
+                platform: 'apple_music',
+                upc: '602547288233'
+            }
+            AppleMusicService.prototype.getAlbumById.mockResolvedValue(originalAlbum)
+            SpotifyService.prototype.getAlbumByUpc.mockResolvedValue(null)
+
+            const albumResults = [{ id: 'album123', platform: 'spotify' }]
+            SpotifyService.prototype.searchAlbums.mockResolvedValue(albumResults)
+            rankAlbumMatches.mockReturnValue([{ ...albumResults[0], matchScore: 88 }])
+
+            const result = await converterService.convertMusicLink('https://music.apple.com/us/album/test-album/1440806768')
+
+            expect(SpotifyService.prototype.getAlbumByUpc).toHaveBeenCalledTimes(1)
+            expect(SpotifyService.prototype.searchAlbums).toHaveBeenCalledWith('Test Artist Test Album', 10, undefined)
+            expect(result.converted.id).toBe('album123')
+        })
+
+        test('should look up Apple Music links in their storefront and search in the chat storefront', async () => {
+            const originalSong = { id: '1440806041', name: 'Test Song', artist: 'Test Artist', platform: 'apple_music' }
+            AppleMusicService.prototype.getTrackById.mockResolvedValue(originalSong)
+            SpotifyService.prototype.searchTracks.mockResolvedValue([{ id: 'spotify123' }])
+            rankMatches.mockReturnValue([{ id: 'spotify123', platform: 'spotify', matchScore: 95 }])
+
+            await converterService.convertMusicLink('https://music.apple.com/jp/song/test/1440806041', { storefront: 'de' })
+
+            expect(AppleMusicService.prototype.getTrackById).toHaveBeenCalledWith('1440806041', 'jp')
+            expect(SpotifyService.prototype.searchTracks).toHaveBeenCalledWith('Test Artist Test Song', 10, 'de')
+        })
+
+        test('should drop matches below the requested minimum score', async () => {
+            const originalSong = { id: 'spotify123', name: 'Test Song', artist: 'Test Artist', platform: 'spotify' }
+            SpotifyService.prototype.getTrackById.mockResolvedValue(originalSong)
+            AppleMusicService.prototype.searchTracks.mockResolvedValue([{ id: '1440806041' }])
+            const bestMatch = { id: '1440806041', platform: 'apple_music', matchScore: 75 }
+            rankMatches.mockReturnValue([bestMatch])
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123', { minScore: 80 })
 
+            expect(result).toBeNull()
+            expect(rankMatches).toHaveBeenCalledWith(originalSong, [{ id: '1440806041' }], { musicVideo: false })
+            // The best candidate is cached anyway, so chats with a lower threshold can still use it
+            expect(db.saveCachedConversion).toHaveBeenCalledWith(
+                expect.any(Object),
+                'apple_music',
+                undefined,
+                expect.objectContaining({ converted: bestMatch }),
+                expect.any(Number)
+            )
+        })
+
+        test('should return null for invalid URL', async () => {
             const result = await converterService.convertMusicLink('https://invalid.com/song/123')
 
             expect(result).toBeNull()
         })
 
         test('should return null when original song not found', async () => {
-            SpotifyService.prototype.isValidUrl.mockReturnValue(true)
-            SpotifyService.prototype.extractTrackIdFromUrl.mockReturnValue('spotify123')
-            SpotifyService.prototype.extractAlbumIdFromUrl.mockReturnValue(null)
             SpotifyService.prototype.getTrackById.mockResolvedValue(null)
 
             const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
@@ -225,10 +472,6 @@ describe('ConverterService', () => {
         })
 
         test('should return null when no good match found', async () => {
-            SpotifyService.prototype.isValidUrl.mockReturnValue(true)
-            SpotifyService.prototype.extractTrackIdFromUrl.mockReturnValue('spotify123')
-            SpotifyService.prototype.extractAlbumIdFromUrl.mockReturnValue(null)
-
             const originalSong = {
                 id: 'spotify123',
                 name: 'Test Song',
@@ -239,12 +482,778 @@ describe('ConverterService', () => {
             SpotifyService.prototype.getTrackById.mockResolvedValue(originalSong)
 
             AppleMusicService.prototype.searchTracks.mockResolvedValue([])
-            findBestMatch.mockReturnValue(null)
+            rankMatches.mockReturnValue([])
 
             const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
 
             expect(result).toBeNull()
         })
+
+        test('should report a failed lookup as a conversion error, not as no match', async () => {
+            const url = 'https://open.spotify.com/track/spotify123'
+            SpotifyService.prototype.getTrackById.mockRejectedValue(new Error('Failed to authenticate with Spotify API'))
+
+            const error = await converterService.convertMusicLink(url).catch((reason) => reason)
+
+            expect(error).toEqual(new Error('Failed to authenticate with Spotify API'))
+            expect(db.saveCachedConversion).not.toHaveBeenCalled()
+            const message = converterService.formatMultipleConversionsMessage([
+                { url, result: null, error },
+                { url: 'https://open.spotify.com/track/other', result: null, error: null }
+            ])
+            expect(message).toContain('1. ❌ https://open.spotify.com/track/spotify123 (conversion error)')
+            expect(message).toContain('2. ❌ https://open.spotify.com/track/other (no match found)')
+        })
+
+        test('should keep the platforms that converted when another one fails', async () => {
+            const originalSong = { id: 'spotify123', name: 'Test Song', artist: 'Test Artist', platform: 'spotify' }
+            SpotifyService.prototype.getTrackById.mockResolvedValue(originalSong)
+            converterService.getTargetPlatforms = jest.fn().mockReturnValue(['apple_music', 'apple_podcasts'])
+            converterService.findMatches = jest.fn(async (song, targetPlatform) => {
+                if (targetPlatform === 'apple_music') {
+                    throw new Error('Apple Music is down')
+                }
+                return { match: { id: 'ep1', platform: targetPlatform, matchScore: 90 }, alternatives: [] }
+            })
+            getConfidenceLevel.mockReturnValue('90% match')
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(result.targetPlatform).toBe('apple_podcasts')
+            expect(result.others).toBeUndefined()
+        })
+    })
+
+    describe('alternatives', () => {
+        const originalSong = { id: 'spotify123', name: 'Imagine', artist: 'John Lennon', platform: 'spotify' }
+        const ranked = [
+            { id: 'apple1', name: 'Imagine', platform: 'apple_music', matchScore: 96 },
+            { id: 'apple2', name: 'Imagine - Live', platform: 'apple_music', matchScore: 80 },
+            { id: 'apple3', name: 'Imagine (Karaoke)', platform: 'apple_music', matchScore: 70 },
+            { id: 'apple4', name: 'Imagine - Demo', platform: 'apple_music', matchScore: 65 },
+            { id: 'apple5', name: 'Imagine (Cover)', platform: 'apple_music', matchScore: 50 }
+        ]
+
+        beforeEach(() => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(originalSong)
+            AppleMusicService.prototype.searchTracks.mockResolvedValue(ranked)
+            rankMatches.mockReturnValue(ranked)
+        })
+
+        test('should keep the next best search results as alternatives and cache them', async () => {
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(result.converted.id).toBe('apple1')
+            expect(result.alternatives.map((song) => song.id)).toEqual(['apple2', 'apple3', 'apple4'])
+            expect(db.saveCachedConversion).toHaveBeenCalledWith(
+                expect.any(Object),
+                'apple_music',
+                undefined,
+                expect.objectContaining({ alternatives: ranked.slice(1, 4) }),
+                expect.any(Number)
+            )
+        })
+
+        test('should restore alternatives from the cache', async () => {
+            db.getCachedConversion.mockResolvedValue({
+                original: JSON.stringify(originalSong),
+                converted: JSON.stringify(ranked[0]),
+                alternatives: JSON.stringify(ranked.slice(1, 3))
+            })
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(result.alternatives).toEqual(ranked.slice(1, 3))
+            expect(AppleMusicService.prototype.searchTracks).not.toHaveBeenCalled()
+        })
+
+        test('should convert a detected link without a URL', async () => {
+            const result = await converterService.convertLinkInfo(
+                { platform: 'spotify', type: 'track', id: 'spotify123' },
+                { storefront: 'de', minScore: 0 }
+            )
+
+            expect(SpotifyService.prototype.getTrackById).toHaveBeenCalledWith('spotify123')
+            expect(AppleMusicService.prototype.searchTracks).toHaveBeenCalledWith('John Lennon Imagine', 10, 'de')
+            expect(result.sourceType).toBe('track')
+        })
+
+        test('selectAlternative should swap the converted song with a chosen alternative', async () => {
+            getConfidenceLevel.mockImplementation((score) => `${score}% match`)
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            const switched = converterService.selectAlternative(result, 'apple_music', 'apple3')
+
+            expect(switched.converted.id).toBe('apple3')
+            expect(switched.confidence).toBe('70% match')
+            expect(switched.alternatives.map((song) => song.id)).toEqual(['apple1', 'apple2', 'apple4'])
+            expect(switched.sourcePlatform).toBe('spotify')
+            expect(switched.sourceType).toBe('track')
+            expect(converterService.selectAlternative(result, 'apple_music', 'unknown')).toBeNull()
+            expect(converterService.selectAlternative(result, 'apple_podcasts', 'apple3')).toBeNull()
+        })
+
+        test('selectAlternative should swap the match on a further target platform', () => {
+            const target = (platform, ids) => ({
+                original: { id: 'spotify123', platform: 'spotify' },
+                converted: { id: ids[0], platform, matchScore: 90 },
+                alternatives: ids.slice(1).map((id) => ({ id, platform, matchScore: 60 })),
+                origin: 'search',
+                sourcePlatform: 'spotify',
+                sourceType: 'track',
+                targetPlatform: platform
+            })
+            const primary = target('apple_music', ['apple1', 'apple2'])
+            const result = { ...primary, others: [target('tidal', ['tidal1', 'tidal2'])] }
+
+            const switched = converterService.selectAlternative(result, 'tidal', 'tidal2')
+
+            expect(switched.converted).toBe(primary.converted)
+            expect(switched.others).toHaveLength(1)
+            expect(switched.others[0].converted.id).toBe('tidal2')
+            expect(switched.others[0].alternatives.map((song) => song.id)).toEqual(['tidal1'])
+            expect(switched.others[0].targetPlatform).toBe('tidal')
+        })
+    })
+
+    describe('overrides', () => {
+        const spotifySong = {
+            id: 'spotify123',
+            name: 'Imagine',
+            artist: 'John Lennon',
+            platform: 'spotify',
+            externalUrl: 'https://open.spotify.com/track/spotify123'
+        }
+        const appleSong = {
+            id: '1440806041',
+            name: 'Imagine',
+            artist: 'John Lennon',
+            platform: 'apple_music',
+            externalUrl: 'https://music.apple.com/us/song/imagine/1440806041'
+        }
+        const override = {
+            id: 5,
+            type: 'track',
+            sourcePlatform: 'spotify',
+            sourceId: 'spotify123',
+            sourceSong: JSON.stringify(spotifySong),
+            targetPlatform: 'apple_music',
+            targetId: '1440806041',
+            targetSong: JSON.stringify(appleSong)
+        }
+
+        test('should use a manual mapping before the cache and search', async () => {
+            db.findOverride.mockResolvedValue(override)
+            getConfidenceLevel.mockReturnValue('Manual match')
+
+            const result = await converterService.convertMusicLink(spotifySong.externalUrl, { minScore: 90 })
+
+            expect(db.getCachedConversion).not.toHaveBeenCalled()
+            expect(SpotifyService.prototype.getTrackById).not.toHaveBeenCalled()
+            expect(getConfidenceLevel).toHaveBeenCalledWith(100, 'override')
+            expect(result.original).toEqual(spotifySong)
+            expect(result.converted).toEqual({ ...appleSong, matchScore: 100, matchType: 'override' })
+            expect(result.confidence).toBe('Manual match')
+            expect(result.origin).toBe('override')
+        })
+
+        test('should use a manual mapping in the reverse direction', async () => {
+            db.findOverride.mockResolvedValue(override)
+
+            const result = await converterService.convertMusicLink(appleSong.externalUrl)
+
+            expect(db.findOverride).toHaveBeenCalledWith(expect.objectContaining({ platform: 'apple_music', type: 'track', id: '1440806041' }), 'spotify')
+            expect(result.original).toEqual(appleSong)
+            expect(result.converted.id).toBe('spotify123')
+            expect(result.sourcePlatform).toBe('apple_music')
+            expect(result.targetPlatform).toBe('spotify')
+        })
+
+        test('should store a chosen conversion without match details', async () => {
+            db.saveOverride.mockResolvedValue({ id: 6 })
+            const conversionResult = {
+                original: spotifySong,
+                converted: { ...appleSong, matchScore: 80 },
+                alternatives: [],
+                sourcePlatform: 'spotify',
+                sourceType: 'track',
+                targetPlatform: 'apple_music'
+            }
+
+            await converterService.saveOverride(conversionResult, 42, -100)
+
+            expect(db.saveOverride).toHaveBeenCalledWith({
+                type: 'track',
+                sourcePlatform: 'spotify',
+                sourceId: 'spotify123',
+                sourceSong: JSON.stringify(spotifySong),
+                targetPlatform: 'apple_music',
+                targetId: '1440806041',
+                targetSong: JSON.stringify(appleSong),
+                createdBy: 42,
+                chatId: -100
+            })
+        })
+
+        test('fixConversion should fetch both links and store the pair', async () => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(spotifySong)
+            AppleMusicService.prototype.getTrackById.mockResolvedValue(appleSong)
+            db.saveOverride.mockResolvedValue({ id: 7 })
+            db.findOverride.mockResolvedValue(override)
+
+            const result = await converterService.fixConversion(spotifySong.externalUrl, appleSong.externalUrl, 42, -100, { storefront: 'de' })
+
+            expect(result.converted).toEqual({ ...appleSong, matchScore: 100, matchType: 'override' })
+            expect(db.saveOverride).toHaveBeenCalledWith(expect.objectContaining({ sourceId: 'spotify123', targetId: '1440806041' }))
+            // Converted again, so the matches on other platforms stay in the reply
+            expect(db.findOverride).toHaveBeenCalledWith(expect.objectContaining({ platform: 'spotify', id: 'spotify123' }), 'apple_music')
+        })
+
+        test('fixConversion should reject links on the same platform or of another type', async () => {
+            expect(await converterService.fixConversion(spotifySong.externalUrl, spotifySong.externalUrl, 42, -100)).toBeNull()
+            expect(await converterService.fixConversion(spotifySong.externalUrl, 'https://music.apple.com/us/album/x/1440806768', 42, -100)).toBeNull()
+
+            expect(db.saveOverride).not.toHaveBeenCalled()
+        })
+
+        test('should list and remove overrides', async () => {
+            db.listOverrides.mockResolvedValue({ overrides: [override], total: 1 })
+            db.deleteOverride.mockResolvedValue(0)
+
+            expect(await converterService.listOverrides()).toEqual({
+                overrides: [{ id: 5, type: 'track', source: spotifySong, target: appleSong }],
+                total: 1
+            })
+            expect(await converterService.removeOverride(99)).toBe(false)
+        })
+    })
+
+    describe('history', () => {
+        const spotifySong = { id: 'spotify123', name: 'Imagine', artist: 'John Lennon', platform: 'spotify' }
+        const appleSong = { id: '1440806041', name: 'Imagine', artist: 'John Lennon', platform: 'apple_music', matchScore: 97 }
+
+        test('should record posted conversions as history entries', async () => {
+            await converterService.recordHistory([{
+                original: spotifySong,
+                converted: appleSong,
+                alternatives: [],
+                origin: 'cache',
+                sourcePlatform: 'spotify',
+                sourceType: 'track',
+                targetPlatform: 'apple_music'
+            }], -500, 42)
+
+            expect(db.recordHistory).toHaveBeenCalledWith([{
+                chatId: -500,
+                userId: 42,
+                type: 'track',
+                sourcePlatform: 'spotify',
+                sourceId: 'spotify123',
+                sourceSong: JSON.stringify(spotifySong),
+                targetPlatform: 'apple_music',
+                targetId: '1440806041',
+                targetSong: JSON.stringify(appleSong),
+                score: 97,
+                origin: 'cache'
+            }])
+        })
+
+        test('should list history entries with parsed songs', async () => {
+            const createdAt = new Date('2025-05-01T10:00:00Z')
+            db.listHistory.mockResolvedValue({
+                entries: [{
+                    id: 1,
+                    chatId: -500,
+                    userId: 42,
+                    type: 'track',
+                    sourceSong: JSON.stringify(spotifySong),
+                    targetSong: JSON.stringify(appleSong),
+                    score: 97,
+                    origin: 'search',
+                    createdAt
+                }],
+                total: 3
+            })
+
+            expect(await converterService.listHistory(-500, 1)).toEqual({
+                entries: [{ createdAt, userId: 42, type: 'track', source: spotifySong, target: appleSong, score: 97, origin: 'search' }],
+                total: 3
+            })
+            expect(db.listHistory).toHaveBeenCalledWith(-500, 1)
+        })
+    })
+
+    describe('conversion cache', () => {
+        const originalSong = {
+            id: 'spotify123',
+            name: 'Test Song',
+            artist: 'Test Artist',
+            album: 'Test Album',
+            platform: 'spotify'
+        }
+
+        beforeEach(() => {
+        })
+
+        test('should return cached conversion without calling any API', async () => {
+            const converted = { id: '1440806041', platform: 'apple_music', matchScore: 95 }
+            db.getCachedConversion.mockResolvedValue({
+                original: JSON.stringify(originalSong),
+                converted: JSON.stringify(converted),
+                score: 95
+            })
+            getConfidenceLevel.mockReturnValue('95% match')
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123', { storefront: 'de' })
+
+            expect(db.getCachedConversion).toHaveBeenCalledWith(
+                { platform: 'spotify', type: 'track', id: 'spotify123', originalUrl: 'https://open.spotify.com/track/spotify123' },
+                'apple_music',
+                'de'
+            )
+            expect(SpotifyService.prototype.getTrackById).not.toHaveBeenCalled()
+            expect(AppleMusicService.prototype.searchTracks).not.toHaveBeenCalled()
+            expect(result).toEqual({
+                original: originalSong,
+                converted,
+                alternatives: [],
+                origin: 'cache',
+                confidence: '95% match',
+                sourcePlatform: 'spotify',
+                sourceType: 'track',
+                targetPlatform: 'apple_music'
+            })
+        })
+
+        test('should return null for cached "not found" entries', async () => {
+            db.getCachedConversion.mockResolvedValue({
+                original: JSON.stringify(originalSong),
+                converted: null,
+                score: null
+            })
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(result).toBeNull()
+            expect(SpotifyService.prototype.getTrackById).not.toHaveBeenCalled()
+        })
+
+        test('should cache successful conversions with the regular TTL', async () => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(originalSong)
+            AppleMusicService.prototype.searchTracks.mockResolvedValue([{ id: '1440806041' }])
+            const bestMatch = { id: '1440806041', platform: 'apple_music', matchScore: 91 }
+            rankMatches.mockReturnValue([bestMatch])
+
+            await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(db.saveCachedConversion).toHaveBeenCalledWith(
+                expect.objectContaining({ platform: 'spotify', type: 'track', id: 'spotify123' }),
+                'apple_music',
+                undefined,
+                { original: originalSong, converted: bestMatch, alternatives: [], score: 91 },
+                168 * 60 * 60 * 1000
+            )
+        })
+
+        test('should cache "not found" results with the negative TTL', async () => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(originalSong)
+            AppleMusicService.prototype.searchTracks.mockResolvedValue([])
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(result).toBeNull()
+            expect(db.saveCachedConversion).toHaveBeenCalledWith(
+                expect.objectContaining({ id: 'spotify123' }),
+                'apple_music',
+                undefined,
+                { original: originalSong, converted: null, alternatives: [], score: undefined },
+                6 * 60 * 60 * 1000
+            )
+        })
+
+        test('should not cache when the original song could not be fetched', async () => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(null)
+
+            await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(db.saveCachedConversion).not.toHaveBeenCalled()
+        })
+
+        test('should keep converting when the cache fails', async () => {
+            db.getCachedConversion.mockRejectedValue(new Error('SQLITE_BUSY'))
+            SpotifyService.prototype.getTrackById.mockResolvedValue(originalSong)
+            AppleMusicService.prototype.searchTracks.mockResolvedValue([{ id: '1440806041' }])
+            rankMatches.mockReturnValue([{ id: '1440806041', platform: 'apple_music', matchScore: 91 }])
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(result.converted.id).toBe('1440806041')
+        })
+
+        test('should invalidate cached conversions of a link', async () => {
+            db.deleteCachedConversions.mockResolvedValue(2)
+
+            const removed = await converterService.invalidateCachedConversion('https://open.spotify.com/track/spotify123')
+
+            expect(removed).toBe(2)
+            expect(db.deleteCachedConversions).toHaveBeenCalledWith(
+                expect.objectContaining({ platform: 'spotify', type: 'track', id: 'spotify123' })
+            )
+        })
+
+        test('should not invalidate anything for non-music links', async () => {
+            const removed = await converterService.invalidateCachedConversion('https://example.com')
+
+            expect(removed).toBeNull()
+            expect(db.deleteCachedConversions).not.toHaveBeenCalled()
+        })
+    })
+
+    describe('music videos', () => {
+        const spotifyTrack = {
+            id: 'sp1',
+            name: 'Bohemian Rhapsody',
+            artist: 'Queen',
+            album: 'A Night at the Opera',
+            platform: 'spotify',
+            isrc: 'GBUM71029604'
+        }
+        const appleTrack = {
+            id: '1440806041',
+            name: 'Bohemian Rhapsody',
+            artist: 'Queen',
+            platform: 'apple_music',
+            externalUrl: 'https://music.apple.com/us/album/x/1440806768?i=1440806041'
+        }
+        const appleVideo = {
+            id: '1440624016',
+            name: 'Bohemian Rhapsody',
+            artist: 'Queen',
+            album: null,
+            platform: 'apple_music',
+            externalUrl: 'https://music.apple.com/us/music-video/bohemian-rhapsody/1440624016',
+            isrc: 'GBUM71029604'
+        }
+
+        beforeEach(() => {
+            getConfidenceLevel.mockReturnValue('Exact match')
+        })
+
+        test('should detect Apple Music music video URL', () => {
+            expect(converterService.detectMusicLink(appleVideo.externalUrl)).toEqual({
+                platform: 'apple_music',
+                type: 'music_video',
+                id: '1440624016',
+                storefront: 'us',
+                originalUrl: appleVideo.externalUrl
+            })
+        })
+
+        test('should convert music video to the Spotify track of its song', async () => {
+            AppleMusicService.prototype.getMusicVideoById.mockResolvedValue(appleVideo)
+            SpotifyService.prototype.getTrackByIsrc.mockResolvedValue(spotifyTrack)
+
+            const result = await converterService.convertMusicLink(appleVideo.externalUrl)
+
+            expect(AppleMusicService.prototype.getMusicVideoById).toHaveBeenCalledWith('1440624016', 'us')
+            expect(SpotifyService.prototype.getTrackByIsrc).toHaveBeenCalledWith('GBUM71029604', undefined)
+            expect(result.converted).toEqual({ ...spotifyTrack, matchScore: 100, matchType: 'isrc' })
+            expect(result.sourceType).toBe('music_video')
+            expect(result.targetPlatform).toBe('spotify')
+        })
+
+        test('should add the music video of a Spotify track when asked to', async () => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(spotifyTrack)
+            AppleMusicService.prototype.getTrackByIsrc.mockResolvedValue(appleTrack)
+            AppleMusicService.prototype.getTrackMusicVideos.mockResolvedValue([appleVideo])
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/sp1', {
+                storefront: 'gb',
+                musicVideo: true
+            })
+
+            expect(AppleMusicService.prototype.getTrackMusicVideos).toHaveBeenCalledWith('1440806041', 'gb')
+            expect(result.musicVideo).toEqual(appleVideo)
+            expect(db.saveCachedConversion).toHaveBeenCalledWith(
+                { platform: 'apple_music', type: 'track', id: '1440806041' },
+                'music_video',
+                'gb',
+                expect.objectContaining({ original: expect.objectContaining(appleTrack), converted: appleVideo }),
+                168 * 60 * 60 * 1000
+            )
+        })
+
+        test('should answer music video lookups from the cache', async () => {
+            const result = { converted: { ...appleTrack, matchScore: 100 }, sourceType: 'track', targetPlatform: 'apple_music' }
+            db.getCachedConversion.mockResolvedValueOnce({
+                original: JSON.stringify(appleTrack),
+                converted: JSON.stringify(appleVideo),
+                alternatives: null
+            })
+
+            expect(await converterService.findMusicVideo(result, 'gb')).toEqual(appleVideo)
+            expect(db.getCachedConversion).toHaveBeenCalledWith(
+                { platform: 'apple_music', type: 'track', id: '1440806041' },
+                'music_video',
+                'gb'
+            )
+
+            db.getCachedConversion.mockResolvedValueOnce({ original: JSON.stringify(appleTrack), converted: null })
+
+            expect(await converterService.findMusicVideo(result, 'gb')).toBeNull()
+            expect(AppleMusicService.prototype.getTrackMusicVideos).not.toHaveBeenCalled()
+        })
+
+        test('should score music videos without their album', async () => {
+            AppleMusicService.prototype.getMusicVideoById.mockResolvedValue({ ...appleVideo, isrc: null })
+            SpotifyService.prototype.searchTracks.mockResolvedValue([spotifyTrack])
+
+            await converterService.convertMusicLink(appleVideo.externalUrl)
+
+            expect(rankMatches).toHaveBeenCalledWith({ ...appleVideo, isrc: null }, [spotifyTrack], { musicVideo: true })
+        })
+
+        test('should not look for music videos unless asked to', async () => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(spotifyTrack)
+            AppleMusicService.prototype.getTrackByIsrc.mockResolvedValue(appleTrack)
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/sp1')
+
+            expect(AppleMusicService.prototype.getTrackMusicVideos).not.toHaveBeenCalled()
+            expect(result.musicVideo).toBeUndefined()
+        })
+
+        test('should only look for music videos of tracks converted to Apple Music', async () => {
+            const result = {
+                converted: { ...spotifyTrack, matchScore: 100 },
+                sourceType: 'track',
+                targetPlatform: 'spotify'
+            }
+
+            expect(await converterService.findMusicVideo(result)).toBeNull()
+            expect(await converterService.findMusicVideo({ ...result, sourceType: 'album', targetPlatform: 'apple_music' })).toBeNull()
+            expect(AppleMusicService.prototype.getTrackMusicVideos).not.toHaveBeenCalled()
+        })
+
+        test('should add the music video link to replies', () => {
+            const conversionResult = {
+                original: spotifyTrack,
+                converted: appleTrack,
+                confidence: 'Exact match',
+                sourcePlatform: 'spotify',
+                targetPlatform: 'apple_music',
+                musicVideo: appleVideo
+            }
+
+            expect(converterService.formatConversionMessage(conversionResult)).toBe(
+                `🟢 Spotify → 🍎 Apple Music (Exact match)\n${appleTrack.externalUrl}\n🎬 ${appleVideo.externalUrl}`
+            )
+            expect(converterService.formatConversionMessage(conversionResult, 'compact')).toBe(
+                `🍎 ${appleTrack.externalUrl}\n🎬 ${appleVideo.externalUrl}`
+            )
+            expect(converterService.formatMultipleConversionsMessage([{ url: 'x', result: conversionResult }])).toContain(
+                `🍎 ${appleTrack.externalUrl}\n🎬 ${appleVideo.externalUrl}`
+            )
+        })
+    })
+
+    describe('podcasts', () => {
+        const spotifyEpisode = {
+            id: 'ep1',
+            name: 'A Big Day in Court',
+            artist: 'The Daily',
+            album: 'The Daily',
+            platform: 'spotify',
+            publisher: 'The New York Times',
+            releaseDate: '2024-05-01'
+        }
+        const appleShow = { id: '1200361736', name: 'The Daily', publisher: 'The New York Times', platform: 'apple_podcasts' }
+        const appleEpisodes = [
+            { id: '1000650744467', name: 'A Big Day in Court', platform: 'apple_podcasts', externalUrl: 'https://podcasts.apple.com/us/podcast/x/id1200361736?i=1000650744467' },
+            { id: '1000650744000', name: 'Another Day', platform: 'apple_podcasts' }
+        ]
+
+        test('should detect Apple Podcasts episode URL with its show', () => {
+            const url = 'https://podcasts.apple.com/us/podcast/a-big-day-in-court/id1200361736?i=1000650744467'
+
+            expect(converterService.detectMusicLink(url)).toEqual({
+                platform: 'apple_podcasts',
+                type: 'episode',
+                id: '1000650744467',
+                showId: '1200361736',
+                storefront: 'us',
+                originalUrl: url
+            })
+        })
+
+        test('should convert Spotify episode through the matching Apple Podcasts show', async () => {
+            SpotifyService.prototype.getEpisodeById.mockResolvedValue(spotifyEpisode)
+            ApplePodcastsService.prototype.searchShows.mockResolvedValue([appleShow])
+            ApplePodcastsService.prototype.getShowEpisodes.mockResolvedValue(appleEpisodes)
+            rankShowMatches.mockReturnValue([{ ...appleShow, matchScore: 100 }])
+            rankEpisodeMatches.mockReturnValue([{ ...appleEpisodes[0], matchScore: 100 }, { ...appleEpisodes[1], matchScore: 45 }])
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/episode/ep1', { storefront: 'gb' })
+
+            expect(ApplePodcastsService.prototype.searchShows).toHaveBeenCalledWith('The Daily', 10, 'gb')
+            expect(rankShowMatches).toHaveBeenCalledWith({ name: 'The Daily', publisher: 'The New York Times' }, [appleShow])
+            expect(ApplePodcastsService.prototype.getShowEpisodes).toHaveBeenCalledWith('1200361736', 'gb')
+            expect(rankEpisodeMatches).toHaveBeenCalledWith(spotifyEpisode, appleEpisodes)
+            expect(AppleMusicService.prototype.searchTracks).not.toHaveBeenCalled()
+            expect(result.converted.id).toBe('1000650744467')
+            expect(result.alternatives.map((episode) => episode.id)).toEqual(['1000650744000'])
+            expect(result.targetPlatform).toBe('apple_podcasts')
+        })
+
+        test('should not pick episodes of another show', async () => {
+            SpotifyService.prototype.getEpisodeById.mockResolvedValue(spotifyEpisode)
+            ApplePodcastsService.prototype.searchShows.mockResolvedValue([appleShow])
+            rankShowMatches.mockReturnValue([{ ...appleShow, name: 'Daily Dose', matchScore: 40 }])
+
+            expect(await converterService.convertMusicLink('https://open.spotify.com/episode/ep1')).toBeNull()
+            expect(ApplePodcastsService.prototype.getShowEpisodes).not.toHaveBeenCalled()
+        })
+
+        test('should convert Apple Podcasts show to Spotify', async () => {
+            ApplePodcastsService.prototype.getShowById.mockResolvedValue(appleShow)
+            const spotifyShow = { id: 'daily', name: 'The Daily', publisher: 'The New York Times', platform: 'spotify' }
+            SpotifyService.prototype.searchShows.mockResolvedValue([spotifyShow])
+            rankShowMatches.mockReturnValue([{ ...spotifyShow, matchScore: 100 }])
+
+            const result = await converterService.convertMusicLink('https://podcasts.apple.com/podcast/id1200361736')
+
+            expect(ApplePodcastsService.prototype.getShowById).toHaveBeenCalledWith('1200361736', undefined)
+            expect(SpotifyService.prototype.searchShows).toHaveBeenCalledWith('The Daily', 10, undefined)
+            expect(result.converted.id).toBe('daily')
+            expect(result.sourceType).toBe('show')
+        })
+    })
+
+    describe('playlists', () => {
+        const tracks = ['good', 'weak', 'gone'].map((id) => ({
+            id,
+            name: `Song ${id}`,
+            artist: 'Artist',
+            platform: 'spotify',
+            isrc: `ISRC-${id}`
+        }))
+        const playlist = {
+            id: 'list123',
+            name: 'Road Trip',
+            artist: 'Alice',
+            platform: 'spotify',
+            externalUrl: 'https://open.spotify.com/playlist/list123',
+            trackCount: 3,
+            tracks
+        }
+
+        beforeEach(() => {
+            SpotifyService.prototype.getPlaylistById.mockResolvedValue(playlist)
+            getConfidenceLevel.mockImplementation((score) => `${score}% match`)
+
+            AppleMusicService.prototype.getTrackByIsrc.mockImplementation(async (isrc) =>
+                isrc === 'ISRC-good' ? { id: 'am-good', name: 'Song good', artist: 'Artist', platform: 'apple_music', externalUrl: 'https://music.apple.com/us/song/am-good' } : null
+            )
+            AppleMusicService.prototype.searchTracks.mockImplementation(async (query) =>
+                query === 'Artist Song weak' ? [{ id: 'am-weak', name: 'Song weak (Live)', artist: 'Artist', platform: 'apple_music', externalUrl: 'https://music.apple.com/us/song/am-weak' }] : []
+            )
+            rankMatches.mockImplementation((original, candidates) => candidates.map((song) => ({ ...song, matchScore: 45 })))
+        })
+
+        test('should detect Spotify playlist URL', () => {
+            expect(converterService.detectMusicLink('https://open.spotify.com/playlist/list123')).toEqual({
+                platform: 'spotify',
+                type: 'playlist',
+                id: 'list123',
+                originalUrl: 'https://open.spotify.com/playlist/list123'
+            })
+        })
+
+        test('should convert every track, ISRC first, and classify them by confidence', async () => {
+            const onProgress = jest.fn()
+
+            const conversion = await converterService.convertPlaylist(
+                'https://open.spotify.com/playlist/list123',
+                { storefront: 'de', minScore: 60 },
+                onProgress
+            )
+
+            expect(SpotifyService.prototype.getPlaylistById).toHaveBeenCalledWith('list123', undefined, 1000)
+            expect(SpotifyService.prototype.getTrackById).not.toHaveBeenCalled()
+            expect(AppleMusicService.prototype.getTrackByIsrc).toHaveBeenCalledWith('ISRC-good', 'de')
+            expect(conversion.entries.map((entry) => [entry.track.id, entry.result?.converted.id ?? null, entry.status])).toEqual([
+                ['good', 'am-good', 'matched'],
+                ['weak', 'am-weak', 'low_confidence'],
+                ['gone', null, 'missing']
+            ])
+            expect(conversion).toEqual(expect.objectContaining({
+                sourcePlatform: 'spotify',
+                targetPlatform: 'apple_music',
+                matched: 1,
+                lowConfidence: 1,
+                missing: 1
+            }))
+            expect(onProgress).toHaveBeenLastCalledWith(3, 3)
+            // Every track is cached like a single link
+            expect(db.saveCachedConversion).toHaveBeenCalledTimes(3)
+        })
+
+        test('should use manual matches for playlist tracks', async () => {
+            db.findOverride.mockImplementation(async (linkInfo) => linkInfo.id === 'gone' ? {
+                id: 1,
+                sourcePlatform: 'spotify',
+                sourceId: 'gone',
+                sourceSong: JSON.stringify(tracks[2]),
+                targetSong: JSON.stringify({ id: 'am-fixed', name: 'Song gone', artist: 'Artist', platform: 'apple_music' })
+            } : null)
+
+            const conversion = await converterService.convertPlaylist('https://open.spotify.com/playlist/list123')
+
+            expect(conversion.entries[2].result.converted.id).toBe('am-fixed')
+            expect(conversion.missing).toBe(0)
+        })
+
+        test('should return null for unreadable playlists and other links', async () => {
+            SpotifyService.prototype.getPlaylistById.mockResolvedValue(null)
+            expect(await converterService.convertPlaylist('https://open.spotify.com/playlist/list123')).toBeNull()
+            expect(await converterService.convertPlaylist('https://open.spotify.com/track/track123')).toBeNull()
+        })
+
+        test('should summarize matched, low confidence and missing tracks', async () => {
+            const conversion = await converterService.convertPlaylist('https://open.spotify.com/playlist/list123')
+            conversion.playlist = { ...playlist, trackCount: 250 }
+
+            expect(converterService.formatPlaylistSummary(conversion)).toBe(`📋 Alice – Road Trip → 🍎 Apple Music
+✅ 1 of 3 tracks matched
+
+⚠️ 1 low confidence:
+• Artist – Song weak
+
+❌ 1 not found:
+• Artist – Song gone
+
+Only the first 3 of 250 tracks could be converted.`)
+        })
+
+        test('should list every track with its link', async () => {
+            const conversion = await converterService.convertPlaylist('https://open.spotify.com/playlist/list123')
+
+            expect(converterService.formatPlaylistTrackList(conversion)).toBe(`Alice – Road Trip
+Spotify → Apple Music
+https://open.spotify.com/playlist/list123
+
+1. Artist – Song good
+   ✅ Artist – Song good (100% match)
+   https://music.apple.com/us/song/am-good
+
+2. Artist – Song weak
+   ⚠️ Artist – Song weak (Live) (45% match)
+   https://music.apple.com/us/song/am-weak
+
+3. Artist – Song gone
+   ❌ Not found
+`)
+        })
     })
 
     describe('formatConversionMessage', () => {
@@ -260,7 +1269,22 @@ describe('ConverterService', () => {
 
             const message = converterService.formatConversionMessage(conversionResult)
 
-            expect(message).toBe('🎵 Spotify → 🍎 Apple Music (95% match)\nhttps://music.apple.com/song/test123')
+            expect(message).toBe('🟢 Spotify → 🍎 Apple Music (95% match)\nhttps://music.apple.com/song/test123')
+        })
+
+        test('should format compact reply style', () => {
+            const conversionResult = {
+                converted: {
+                    externalUrl: 'https://music.apple.com/song/test123'
+                },
+                confidence: '95% match',
+                sourcePlatform: 'spotify',
+                targetPlatform: 'apple_music'
+            }
+
+            const message = converterService.formatConversionMessage(conversionResult, 'compact')
+
+            expect(message).toBe('🍎 https://music.apple.com/song/test123')
         })
 
         test('should format error message for null result', () => {
@@ -281,7 +1305,382 @@ describe('ConverterService', () => {
 
             const message = converterService.formatConversionMessage(conversionResult)
 
-            expect(message).toBe('🍎 Apple Music → 🎵 Spotify (Exact match)\nhttps://open.spotify.com/track/test123')
+            expect(message).toBe('🍎 Apple Music → 🟢 Spotify (Exact match)\nhttps://open.spotify.com/track/test123')
+        })
+    })
+
+    describe('formatMultipleConversionsMessage', () => {
+        test('should list every converted link with its original title', () => {
+            const entries = [
+                {
+                    url: 'https://open.spotify.com/track/one',
+                    result: {
+                        original: { name: 'Song One', artist: 'Artist One' },
+                        converted: { externalUrl: 'https://music.apple.com/song/1' },
+                        confidence: 'Exact match',
+                        sourcePlatform: 'spotify',
+                        targetPlatform: 'apple_music'
+                    },
+                    error: null
+                },
+                {
+                    url: 'https://music.apple.com/us/song/two/2',
+                    result: {
+                        original: { name: 'Song Two', artist: 'Artist Two' },
+                        converted: { externalUrl: 'https://open.spotify.com/track/two' },
+                        confidence: '92% match',
+                        sourcePlatform: 'apple_music',
+                        targetPlatform: 'spotify'
+                    },
+                    error: null
+                }
+            ]
+
+            const message = converterService.formatMultipleConversionsMessage(entries)
+
+            expect(message).toBe(
+                '🎶 Converted 2 of 2 links:\n\n' +
+                '1. Artist One – Song One (Exact match)\n🍎 https://music.apple.com/song/1\n\n' +
+                '2. Artist Two – Song Two (92% match)\n🟢 https://open.spotify.com/track/two'
+            )
+        })
+
+        test('should list only links in compact reply style', () => {
+            const entries = [
+                {
+                    url: 'https://open.spotify.com/track/one',
+                    result: {
+                        original: { name: 'Song One', artist: 'Artist One' },
+                        converted: { externalUrl: 'https://music.apple.com/song/1' },
+                        confidence: 'Exact match',
+                        sourcePlatform: 'spotify',
+                        targetPlatform: 'apple_music'
+                    },
+                    error: null
+                },
+                { url: 'https://open.spotify.com/track/two', result: null, error: null }
+            ]
+
+            const message = converterService.formatMultipleConversionsMessage(entries, 'compact')
+
+            expect(message).toBe('1. 🍎 https://music.apple.com/song/1\n2. ❌')
+        })
+
+        test('should report failures per link', () => {
+            const entries = [
+                {
+                    url: 'https://open.spotify.com/track/one',
+                    result: {
+                        original: { name: 'Song One', artist: 'Artist One' },
+                        converted: { externalUrl: 'https://music.apple.com/song/1' },
+                        confidence: 'Exact match',
+                        sourcePlatform: 'spotify',
+                        targetPlatform: 'apple_music'
+                    },
+                    error: null
+                },
+                { url: 'https://open.spotify.com/track/two', result: null, error: null },
+                { url: 'https://open.spotify.com/track/three', result: null, error: new Error('boom') }
+            ]
+
+            const message = converterService.formatMultipleConversionsMessage(entries)
+
+            expect(message).toContain('Converted 1 of 3 links')
+            expect(message).toContain('2. ❌ https://open.spotify.com/track/two (no match found)')
+            expect(message).toContain('3. ❌ https://open.spotify.com/track/three (conversion error)')
+        })
+    })
+
+    describe('searchAllPlatforms', () => {
+        test('should interleave results from both platforms', async () => {
+            SpotifyService.prototype.searchTracks.mockResolvedValue([
+                { id: 'sp1', platform: 'spotify' },
+                { id: 'sp2', platform: 'spotify' }
+            ])
+            AppleMusicService.prototype.searchTracks.mockResolvedValue([
+                { id: 'am1', platform: 'apple_music' }
+            ])
+
+            const results = await converterService.searchAllPlatforms('Artist - Song', 2)
+
+            expect(SpotifyService.prototype.searchTracks).toHaveBeenCalledWith('Artist - Song', 2)
+            expect(AppleMusicService.prototype.searchTracks).toHaveBeenCalledWith('Artist - Song', 2)
+            expect(results.map((song) => song.id)).toEqual(['sp1', 'am1', 'sp2'])
+        })
+    })
+
+    describe('search pairs', () => {
+        const spotifyResults = [
+            { id: 'sp-live', name: 'Song (Live)', artist: 'Artist', platform: 'spotify' },
+            { id: 'sp1', name: 'Song', artist: 'Artist', platform: 'spotify', isrc: 'ISRC1' },
+            { id: 'sp-other', name: 'Other', artist: 'Someone', platform: 'spotify' }
+        ]
+        const appleResults = [
+            { id: 'am-live', name: 'Song (Live)', artist: 'Artist', platform: 'apple_music' },
+            { id: 'am1', name: 'Song', artist: 'Artist', platform: 'apple_music', isrc: 'ISRC1' }
+        ]
+
+        beforeEach(() => {
+            parseSearchQuery.mockImplementation(jest.requireActual('../../src/utils/scoring').parseSearchQuery)
+            calculateQueryScore.mockImplementation((query, song) => ({ 'sp1': 100, 'sp-live': 80 })[song.id] || 10)
+            // Live versions only match each other
+            rankMatches.mockImplementation((original, candidates) => candidates
+                .map((song) => ({ ...song, matchScore: original.name === song.name ? 95 : 30 }))
+                .sort((a, b) => b.matchScore - a.matchScore))
+            SpotifyService.prototype.searchTracks.mockResolvedValue(spotifyResults)
+            AppleMusicService.prototype.searchTracks.mockResolvedValue(appleResults)
+        })
+
+        test('should search every platform with tracks with the parsed query', async () => {
+            await converterService.searchSongPairs('Artist – Song', 'de')
+
+            expect(SpotifyService.prototype.searchTracks).toHaveBeenCalledWith('Artist Song', 5, 'de')
+            expect(AppleMusicService.prototype.searchTracks).toHaveBeenCalledWith('Artist Song', 5, 'de')
+            expect(calculateQueryScore).toHaveBeenCalledWith({ artist: 'Artist', title: 'Song' }, spotifyResults[0])
+        })
+
+        test('should pair matching songs, most relevant first, dropping unmatched ones', async () => {
+            const pairs = await converterService.searchSongPairs('Artist - Song')
+
+            expect(pairs.map((pair) => [Object.keys(pair.songs), pair.score, pair.matchType])).toEqual([
+                [['spotify', 'apple_music'], 100, 'isrc'],
+                [['spotify', 'apple_music'], 95, undefined]
+            ])
+            expect(pairs.map((pair) => [pair.songs.spotify.id, pair.songs.apple_music.id])).toEqual([
+                ['sp1', 'am1'],
+                ['sp-live', 'am-live']
+            ])
+        })
+
+        test('should offer the results of a single platform by relevance', async () => {
+            mockConfig.isProviderEnabled.mockImplementation((platform) => platform === 'spotify')
+            converterService = new ConverterService(mockConfig)
+
+            const pairs = await converterService.searchSongPairs('Artist - Song')
+
+            expect(AppleMusicService.prototype.searchTracks).not.toHaveBeenCalled()
+            expect(pairs.map((pair) => [Object.keys(pair.songs), pair.songs.spotify.id, pair.score])).toEqual([
+                [['spotify'], 'sp1', 100],
+                [['spotify'], 'sp-live', 80],
+                [['spotify'], 'sp-other', 10]
+            ])
+        })
+
+        test('should look up a picked pair again and score it', async () => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(spotifyResults[0])
+            AppleMusicService.prototype.getTrackById.mockResolvedValue(appleResults[0])
+            calculateSongScore.mockReturnValue(93)
+
+            const pair = await converterService.getSongPair({ spotify: 'sp-live', apple_music: 'am-live' }, 'jp')
+
+            expect(SpotifyService.prototype.getTrackById).toHaveBeenCalledWith('sp-live')
+            expect(AppleMusicService.prototype.getTrackById).toHaveBeenCalledWith('am-live', 'jp')
+            expect(calculateSongScore).toHaveBeenCalledWith(spotifyResults[0], appleResults[0])
+            expect(pair).toEqual({
+                songs: { spotify: spotifyResults[0], apple_music: appleResults[0] },
+                score: 93,
+                matchType: undefined
+            })
+        })
+
+        test('should not pair songs that are gone or on disabled platforms', async () => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(null)
+            AppleMusicService.prototype.getTrackById.mockResolvedValue(appleResults[0])
+
+            expect(await converterService.getSongPair({ spotify: 'gone', apple_music: 'am-live' })).toBeNull()
+            expect(await converterService.getSongPair({ deezer: '3135556', apple_music: 'am-live' })).toBeNull()
+        })
+
+        test('should format the links of every platform', () => {
+            getConfidenceLevel.mockReturnValue('Exact match (ISRC)')
+            const message = converterService.formatSongPairMessage({
+                songs: {
+                    spotify: { ...spotifyResults[1], externalUrl: 'https://open.spotify.com/track/sp1' },
+                    apple_music: { ...appleResults[1], externalUrl: 'https://music.apple.com/us/song/am1' }
+                },
+                score: 100,
+                matchType: 'isrc'
+            })
+
+            expect(getConfidenceLevel).toHaveBeenCalledWith(100, 'isrc')
+            expect(message).toBe('🔎 Artist – Song (Exact match (ISRC))\n🟢 Spotify: https://open.spotify.com/track/sp1\n🍎 Apple Music: https://music.apple.com/us/song/am1')
+        })
+    })
+
+    describe('formatSongMessage', () => {
+        test('should format a single search result', () => {
+            const message = converterService.formatSongMessage({
+                name: 'Song',
+                artist: 'Artist',
+                platform: 'apple_music',
+                externalUrl: 'https://music.apple.com/song/1'
+            })
+
+            expect(message).toBe('🍎 Apple Music: Artist – Song\nhttps://music.apple.com/song/1')
+        })
+    })
+
+    // Runs last: the platform registered here stays registered for the rest of the file
+    describe('providers', () => {
+        const tidalService = {
+            getTrackById: jest.fn(),
+            getTrackByIsrc: jest.fn(),
+            searchTracks: jest.fn()
+        }
+
+        const spotifySong = { id: 'spotify123', name: 'Imagine', artist: 'John Lennon', platform: 'spotify', isrc: 'GBAYE0601498' }
+        const appleSong = { id: '1440806041', name: 'Imagine', artist: 'John Lennon', platform: 'apple_music', externalUrl: 'https://music.apple.com/us/song/1440806041' }
+        const tidalSong = { id: '77646168', name: 'Imagine', artist: 'John Lennon', platform: 'tidal', externalUrl: 'https://tidal.com/track/77646168' }
+
+        beforeAll(() => {
+            registerProvider({
+                platform: 'tidal',
+                name: 'Tidal',
+                emoji: '🌊',
+                types: ['track'],
+                linkPatterns: [{ type: 'track', regex: /https?:\/\/tidal\.com\/track\/(?<id>\d+)/ }],
+                lookups: { track: (service, link) => service.getTrackById(link.id) },
+                create: () => tidalService
+            })
+        })
+
+        beforeEach(() => {
+            converterService = new ConverterService(mockConfig)
+        })
+
+        test('should convert to other enabled platforms that have the link type', () => {
+            expect(converterService.getTargetPlatforms('spotify', 'track')).toEqual(['apple_music', 'tidal'])
+            expect(converterService.getTargetPlatforms('spotify', 'episode')).toEqual(['apple_podcasts'])
+            expect(converterService.getTargetPlatforms('apple_music', 'music_video')).toEqual(['spotify', 'tidal'])
+            expect(converterService.getTargetPlatforms('tidal', 'track')).toEqual(['spotify', 'apple_music'])
+        })
+
+        test('should convert a link to every target and look it up once', async () => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(spotifySong)
+            AppleMusicService.prototype.getTrackByIsrc.mockResolvedValue(appleSong)
+            tidalService.getTrackByIsrc.mockResolvedValue(tidalSong)
+            getConfidenceLevel.mockReturnValue('Exact match (ISRC)')
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(SpotifyService.prototype.getTrackById).toHaveBeenCalledTimes(1)
+            expect(tidalService.getTrackByIsrc).toHaveBeenCalledWith('GBAYE0601498', undefined)
+            expect(result.targetPlatform).toBe('apple_music')
+            expect(result.converted.id).toBe('1440806041')
+            expect(result.others).toHaveLength(1)
+            expect(result.others[0]).toEqual(expect.objectContaining({
+                sourcePlatform: 'spotify',
+                targetPlatform: 'tidal',
+                converted: { ...tidalSong, matchScore: 100, matchType: 'isrc' }
+            }))
+            expect(db.saveCachedConversion).toHaveBeenCalledWith(expect.any(Object), 'apple_music', undefined, expect.any(Object), expect.any(Number))
+            expect(db.saveCachedConversion).toHaveBeenCalledWith(expect.any(Object), 'tidal', undefined, expect.any(Object), expect.any(Number))
+        })
+
+        test('should keep the first platform that found a match as the main result', async () => {
+            SpotifyService.prototype.getTrackById.mockResolvedValue(spotifySong)
+            AppleMusicService.prototype.getTrackByIsrc.mockResolvedValue(null)
+            AppleMusicService.prototype.searchTracks.mockResolvedValue([])
+            tidalService.getTrackByIsrc.mockResolvedValue(tidalSong)
+
+            const result = await converterService.convertMusicLink('https://open.spotify.com/track/spotify123')
+
+            expect(result.targetPlatform).toBe('tidal')
+            expect(result).not.toHaveProperty('others')
+        })
+
+        test('should search and look up songs on every platform with tracks', async () => {
+            parseSearchQuery.mockReturnValue({ artist: 'John Lennon', title: 'Imagine' })
+            calculateQueryScore.mockReturnValue(100)
+            SpotifyService.prototype.searchTracks.mockResolvedValue([spotifySong])
+            AppleMusicService.prototype.searchTracks.mockResolvedValue([{ ...appleSong, isrc: 'GBAYE0601498' }])
+            tidalService.searchTracks.mockResolvedValue([{ ...tidalSong, isrc: 'GBAYE0601498' }])
+
+            const [pair] = await converterService.searchSongPairs('John Lennon - Imagine')
+
+            expect(Object.keys(pair.songs)).toEqual(['spotify', 'apple_music', 'tidal'])
+            expect(pair.matchType).toBe('isrc')
+
+            tidalService.getTrackById.mockResolvedValue(tidalSong)
+            SpotifyService.prototype.getTrackById.mockResolvedValue(spotifySong)
+            calculateSongScore.mockReturnValue(97)
+
+            expect(await converterService.getSongPair({ spotify: 'spotify123', tidal: '77646168' })).toEqual({
+                songs: { spotify: spotifySong, tidal: tidalSong },
+                score: 97,
+                matchType: undefined
+            })
+        })
+
+        test('should not convert link types the platform has no lookup for', async () => {
+            const result = await converterService.convertLinkInfo({ platform: 'tidal', type: 'album', id: '77646167' })
+
+            expect(result).toBeNull()
+            expect(tidalService.getTrackById).not.toHaveBeenCalled()
+            expect(db.saveCachedConversion).not.toHaveBeenCalled()
+        })
+
+        test('should parse links of registered platforms', async () => {
+            tidalService.getTrackById.mockResolvedValue({ ...tidalSong, isrc: 'GBAYE0601498' })
+            SpotifyService.prototype.getTrackByIsrc.mockResolvedValue(spotifySong)
+            AppleMusicService.prototype.getTrackByIsrc.mockResolvedValue(appleSong)
+
+            const result = await converterService.convertMusicLink('https://tidal.com/track/77646168')
+
+            expect(tidalService.getTrackById).toHaveBeenCalledWith('77646168')
+            expect(result.sourcePlatform).toBe('tidal')
+            expect(result.targetPlatform).toBe('spotify')
+            expect(result.others.map((other) => other.targetPlatform)).toEqual(['apple_music'])
+        })
+
+        test('should leave out platforms that are not enabled', async () => {
+            mockConfig.isProviderEnabled.mockImplementation((platform) => platform !== 'apple_music')
+            AppleMusicService.mockClear()
+            converterService = new ConverterService(mockConfig)
+
+            expect(AppleMusicService).not.toHaveBeenCalled()
+            expect(converterService.getTargetPlatforms('spotify', 'track')).toEqual(['tidal'])
+            expect(await converterService.convertMusicLink('https://music.apple.com/us/song/1440806041')).toBeNull()
+        })
+
+        test('should show and record every target', async () => {
+            const result = {
+                original: { ...spotifySong, externalUrl: 'https://open.spotify.com/track/spotify123' },
+                converted: { ...appleSong, matchScore: 100 },
+                alternatives: [],
+                origin: 'search',
+                confidence: 'Exact match (ISRC)',
+                sourcePlatform: 'spotify',
+                sourceType: 'track',
+                targetPlatform: 'apple_music',
+                others: [{
+                    original: spotifySong,
+                    converted: { ...tidalSong, matchScore: 90 },
+                    alternatives: [],
+                    origin: 'search',
+                    confidence: '90% match',
+                    sourcePlatform: 'spotify',
+                    sourceType: 'track',
+                    targetPlatform: 'tidal'
+                }]
+            }
+
+            expect(converterService.formatConversionMessage(result)).toBe(
+                '🟢 Spotify → 🍎 Apple Music (Exact match (ISRC))\nhttps://music.apple.com/us/song/1440806041\n🌊 Tidal (90% match)\nhttps://tidal.com/track/77646168'
+            )
+            expect(converterService.formatConversionMessage(result, 'compact')).toBe(
+                '🍎 https://music.apple.com/us/song/1440806041\n🌊 https://tidal.com/track/77646168'
+            )
+            expect(converterService.formatMultipleConversionsMessage([{ url: 'x', result }], 'compact')).toBe(
+                '1. 🍎 https://music.apple.com/us/song/1440806041\n🌊 https://tidal.com/track/77646168'
+            )
+
+            await converterService.recordHistory([result], -500, 42)
+
+            expect(db.recordHistory).toHaveBeenCalledWith([
+                expect.objectContaining({ targetPlatform: 'apple_music', targetId: '1440806041', score: 100 }),
+                expect.objectContaining({ targetPlatform: 'tidal', targetId: '77646168', score: 90 })
+            ])
         })
     })
-})
\ No newline at end of file
+})
@@ -0,0 +1,95 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { LinkResolver } = require('../../src/services/link_resolver')
+
+// Mock axios
+jest.mock('axios')
+const axios = require('axios')
+
+describe('LinkResolver', () => {
+    let linkResolver
+
+    const redirect = (location) => ({ status: 307, headers: { location }, data: '' })
+
+    beforeEach(() => {
+        jest.clearAllMocks()
+        linkResolver = new LinkResolver()
+    })
+
+    describe('canonicalize', () => {
+        test('should rewrite spotify: URIs', () => {
+            expect(linkResolver.canonicalize('spotify:track:4uLU6hMCjMI75M1A2tKUQC')).toBe('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC')
+            expect(linkResolver.canonicalize('spotify:episode:512ojhOuo1ktJprKbVcKyQ')).toBe('https://open.spotify.com/episode/512ojhOuo1ktJprKbVcKyQ')
+        })
+
+        test('should drop locale prefixes and tracking parameters of Spotify links', () => {
+            expect(linkResolver.canonicalize('https://open.spotify.com/intl-de/track/4uLU6hMCjMI75M1A2tKUQC?si=abc123')).toBe('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC')
+            expect(linkResolver.canonicalize('https://open.spotify.com/intl-pt-BR/album/1GbtB4zTqAsyfZEsm1RZfx')).toBe('https://open.spotify.com/album/1GbtB4zTqAsyfZEsm1RZfx')
+            expect(linkResolver.canonicalize('http://spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M?si=x&utm_source=copy-link#top')).toBe('https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M')
+        })
+
+        test('should keep only the episode parameter of Apple links', () => {
+            expect(linkResolver.canonicalize('https://music.apple.com/us/album/a-night-at-the-opera/1440806768?i=1440806041&uo=4&ls=1')).toBe('https://music.apple.com/us/album/a-night-at-the-opera/1440806768?i=1440806041')
+            expect(linkResolver.canonicalize('https://podcasts.apple.com/us/podcast/the-daily/id1200361736?at=1000l&ct=share')).toBe('https://podcasts.apple.com/us/podcast/the-daily/id1200361736')
+        })
+
+        test('should leave other links alone', () => {
+            expect(linkResolver.canonicalize('https://youtube.com/watch?v=123')).toBe('https://youtube.com/watch?v=123')
+            expect(linkResolver.canonicalize('https://open.spotify.com/user/someone')).toBe('https://open.spotify.com/user/someone')
+            expect(linkResolver.canonicalize('not a link')).toBe('not a link')
+        })
+    })
+
+    describe('resolve', () => {
+        test('should recognize short links', () => {
+            expect(linkResolver.isShortLink('https://spotify.link/AbCdEf')).toBe(true)
+            expect(linkResolver.isShortLink('https://spotify.app.link/AbCdEf?_p=x')).toBe(true)
+            expect(linkResolver.isShortLink('https://open.spotify.com/track/abc')).toBe(false)
+            expect(linkResolver.isShortLink('spotify:track:abc')).toBe(false)
+        })
+
+        test('should canonicalize full links without requests', async () => {
+            expect(await linkResolver.resolve('https://open.spotify.com/intl-fr/track/abc?si=1')).toBe('https://open.spotify.com/track/abc')
+            expect(axios.get).not.toHaveBeenCalled()
+        })
+
+        test('should follow short link redirects and stop at the target', async () => {
+            axios.get
+                .mockResolvedValueOnce(redirect('https://spotify.app.link/AbCdEf?_p=c91'))
+                .mockResolvedValueOnce(redirect('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC?si=abc&_branch_match_id=1'))
+
+            expect(await linkResolver.resolve('https://spotify.link/AbCdEf')).toBe('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC')
+            expect(axios.get).toHaveBeenCalledTimes(2)
+            expect(axios.get).toHaveBeenCalledWith('https://spotify.link/AbCdEf', expect.objectContaining({
+                maxRedirects: 0,
+                timeout: LinkResolver.TIMEOUT_MS
+            }))
+        })
+
+        test('should read the target from a landing page', async () => {
+            axios.get.mockResolvedValueOnce({
+                status: 200,
+                headers: {},
+                data: '<html><a href="https://open.spotify.com/album/1GbtB4zTqAsyfZEsm1RZfx?si=x">Open</a></html>'
+            })
+
+            expect(await linkResolver.resolve('https://spotify.app.link/AbCdEf')).toBe('https://open.spotify.com/album/1GbtB4zTqAsyfZEsm1RZfx')
+        })
+
+        test('should give up after too many redirects', async () => {
+            axios.get.mockResolvedValue(redirect('https://spotify.app.link/loop'))
+
+            expect(await linkResolver.resolve('https://spotify.link/loop')).toBeNull()
+            expect(axios.get).toHaveBeenCalledTimes(LinkResolver.REDIRECT_LIMIT + 1)
+        })
+
+        test('should return null when the short link cannot be fetched', async () => {
+            axios.get.mockRejectedValueOnce(new Error('timeout of 5000ms exceeded'))
+
+            expect(await linkResolver.resolve('https://spotify.link/AbCdEf')).toBeNull()
+        })
+    })
+})
@@ -17,31 +17,6 @@ describe('SpotifyService', () => {
         spotifyService = new SpotifyService('test_client_id', 'test_client_secret')
     })
 
-    describe('URL validation and extraction', () => {
-        test('should validate Spotify URLs correctly', () => {
-            expect(spotifyService.isValidUrl('https://open.spotify.com/track/1234567890')).toBe(true)
-            expect(spotifyService.isValidUrl('https://spotify.com/album/1234567890')).toBe(true)
-            expect(spotifyService.isValidUrl('https://music.apple.com/us/song/test/123')).toBe(false)
-            expect(spotifyService.isValidUrl('https://youtube.com/watch?v=123')).toBe(false)
-        })
-
-        test('should extract track ID from Spotify URLs', () => {
-            const trackId = spotifyService.extractTrackIdFromUrl('https://open.spotify.com/track/4iV5W9uYEdYUVa79Axb7Rh')
-            expect(trackId).toBe('4iV5W9uYEdYUVa79Axb7Rh')
-
-            const invalidUrl = spotifyService.extractTrackIdFromUrl('https://open.spotify.com/album/123')
-            expect(invalidUrl).toBeNull()
-        })
-
-        test('should extract album ID from Spotify URLs', () => {
-            const albumId = spotifyService.extractAlbumIdFromUrl('https://open.spotify.com/album/1DFixLWuPkv3KT3TnV35m3')
-            expect(albumId).toBe('1DFixLWuPkv3KT3TnV35m3')
-
-            const invalidUrl = spotifyService.extractAlbumIdFromUrl('https://open.spotify.com/track/123')
-            expect(invalidUrl).toBeNull()
-        })
-    })
-
     describe('authentication', () => {
         test('should authenticate successfully', async () => {
             const mockAuthResponse = {
@@ -97,7 +72,8 @@ describe('SpotifyService', () => {
                     images: [{ url: 'https://example.com/image.jpg' }]
                 },
                 preview_url: 'https://example.com/preview.mp3',
-                external_urls: { spotify: 'https://open.spotify.com/track/track123' }
+                external_urls: { spotify: 'https://open.spotify.com/track/track123' },
+                external_ids: { isrc: 'GBARL9300135' }
             }
 
             const song = spotifyService.createSongFromSpotifyTrack(mockTrackData)
@@ -110,7 +86,37 @@ describe('SpotifyService', () => {
                 imageUrl: 'https://example.com/image.jpg',
                 previewUrl: 'https://example.com/preview.mp3',
                 externalUrl: 'https://open.spotify.com/track/track123',
-                platform: 'spotify'
+                platform: 'spotify',
+                isrc: 'GBARL9300135'
+            })
+        })
+
+        test('should create album object with track count and release year', () => {
+            const mockAlbumData = {
+                id: 'album123',
+                name: 'Test Album',
+                artists: [{ name: 'Test Artist' }],
+                images: [{ url: 'https://example.com/image.jpg' }],
+                total_tracks: 12,
+                release_date: '1999-03-01',
+                external_urls: { spotify: 'https://open.spotify.com/album/album123' },
+                external_ids: { upc: '00602547288233' }
+            }
+
+            const album = spotifyService.createSongFromSpotifyAlbum(mockAlbumData)
+
+            expect(album).toEqual({
+                id: 'album123',
+                name: 'Test Album',
+                artist: 'Test Artist',
+                album: 'Test Album',
+                imageUrl: 'https://example.com/image.jpg',
+                previewUrl: null,
+                externalUrl: 'https://open.spotify.com/album/album123',
+                platform: 'spotify',
+                trackCount: 12,
+                releaseYear: 1999,
+                upc: '00602547288233'
             })
         })
 
@@ -127,6 +133,7 @@ describe('SpotifyService', () => {
             expect(song.artist).toBe('Unknown Artist')
             expect(song.album).toBe('Unknown Album')
             expect(song.imageUrl).toBeNull()
+            expect(song.isrc).toBeNull()
         })
     })
 
@@ -204,6 +211,126 @@ describe('SpotifyService', () => {
             expect(tracks[1].id).toBe('track2')
         })
 
+        test('should find track by ISRC', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: {
+                    tracks: {
+                        items: [
+                            {
+                                id: 'track1',
+                                name: 'Track 1',
+                                artists: [{ name: 'Artist 1' }],
+                                album: { name: 'Album 1', images: [] },
+                                external_ids: { isrc: 'USRC17607839' }
+                            }
+                        ]
+                    }
+                }
+            })
+
+            const track = await spotifyService.getTrackByIsrc('USRC17607839')
+
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.spotify.com/v1/search?q=isrc%3AUSRC17607839&type=track&limit=1',
+                expect.any(Object)
+            )
+            expect(track.id).toBe('track1')
+            expect(track.isrc).toBe('USRC17607839')
+        })
+
+        test('should return null when ISRC is unknown', async () => {
+            axios.get.mockResolvedValueOnce({ data: { tracks: { items: [] } } })
+
+            const track = await spotifyService.getTrackByIsrc('XXXXXXXXXXXX')
+
+            expect(track).toBeNull()
+        })
+
+        test('should find album by UPC', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: {
+                    albums: {
+                        items: [
+                            {
+                                id: 'album1',
+                                name: 'Album 1',
+                                artists: [{ name: 'Artist 1' }],
+                                images: []
+                            }
+                        ]
+                    }
+                }
+            })
+
+            const album = await spotifyService.getAlbumByUpc('602547288233')
+
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.spotify.com/v1/search?q=upc%3A602547288233&type=album&limit=1',
+                expect.any(Object)
+            )
+            expect(album.id).toBe('album1')
+        })
+
+        test('should return null when UPC is unknown', async () => {
+            axios.get.mockResolvedValueOnce({ data: { albums: { items: [] } } })
+
+            const album = await spotifyService.getAlbumByUpc('000000000000')
+
+            expect(album).toBeNull()
+        })
+
+        test('should search albums successfully', async () => {
+            const mockSearchResponse = {
+                data: {
+                    albums: {
+                        items: [
+                            {
+                                id: 'album1',
+                                name: 'Album 1',
+                                artists: [{ name: 'Artist 1' }],
+                                images: [],
+                                total_tracks: 10,
+                                release_date: '2001',
+                                external_urls: { spotify: 'https://open.spotify.com/album/album1' }
+                            }
+                        ]
+                    }
+                }
+            }
+
+            axios.get.mockResolvedValueOnce(mockSearchResponse)
+
+            const albums = await spotifyService.searchAlbums('test query', 5)
+
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.spotify.com/v1/search?q=test%20query&type=album&limit=5',
+                expect.any(Object)
+            )
+            expect(albums).toHaveLength(1)
+            expect(albums[0].id).toBe('album1')
+            expect(albums[0].trackCount).toBe(10)
+            expect(albums[0].releaseYear).toBe(2001)
+        })
+
+        test('should limit search to a market when given', async () => {
+            axios.get.mockResolvedValueOnce({ data: { tracks: { items: [] } } })
+
+            await spotifyService.searchTracks('test query', 10, 'de')
+
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.spotify.com/v1/search?q=test%20query&type=track&limit=10&market=DE',
+                expect.any(Object)
+            )
+        })
+
+        test('should return empty array for failed album search', async () => {
+            axios.get.mockRejectedValueOnce(new Error('Search failed'))
+
+            const albums = await spotifyService.searchAlbums('test query')
+
+            expect(albums).toEqual([])
+        })
+
         test('should return empty array for failed search', async () => {
             axios.get.mockRejectedValueOnce(new Error('Search failed'))
 
@@ -211,5 +338,214 @@ describe('SpotifyService', () => {
 
             expect(tracks).toEqual([])
         })
+
+        test('should get artist with top tracks', async () => {
+            axios.get
+                .mockResolvedValueOnce({
+                    data: {
+                        id: 'queen',
+                        name: 'Queen',
+                        genres: ['rock'],
+                        images: [{ url: 'https://i.scdn.co/image/queen' }],
+                        external_urls: { spotify: 'https://open.spotify.com/artist/queen' }
+                    }
+                })
+                .mockResolvedValueOnce({
+                    data: { tracks: [{ name: 'Bohemian Rhapsody' }, { name: 'Under Pressure' }] }
+                })
+
+            const artist = await spotifyService.getArtistById('queen', 'de')
+
+            expect(artist).toEqual({
+                id: 'queen',
+                name: 'Queen',
+                artist: null,
+                album: null,
+                imageUrl: 'https://i.scdn.co/image/queen',
+                previewUrl: null,
+                externalUrl: 'https://open.spotify.com/artist/queen',
+                platform: 'spotify',
+                genres: ['rock'],
+                topTracks: ['Bohemian Rhapsody', 'Under Pressure']
+            })
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.spotify.com/v1/artists/queen/top-tracks?market=DE',
+                expect.any(Object)
+            )
+        })
+
+        test('should return null for failed artist request', async () => {
+            axios.get.mockRejectedValue(new Error('Artist not found'))
+
+            expect(await spotifyService.getArtistById('invalid_id')).toBeNull()
+        })
+
+        test('should page through playlist tracks and skip what cannot be converted', async () => {
+            const track = (id) => ({ track: { id, type: 'track', name: `Song ${id}`, artists: [{ name: 'Artist' }], album: { name: 'Album' } } })
+            axios.get
+                .mockResolvedValueOnce({
+                    data: {
+                        id: 'list123',
+                        name: 'Road Trip',
+                        owner: { display_name: 'Alice' },
+                        external_urls: { spotify: 'https://open.spotify.com/playlist/list123' },
+                        tracks: {
+                            total: 5,
+                            items: [track('t1'), { track: null }, { is_local: true, track: { id: null, type: 'track' } }],
+                            next: 'https://api.spotify.com/v1/playlists/list123/tracks?offset=3&limit=3'
+                        }
+                    }
+                })
+                .mockResolvedValueOnce({
+                    data: {
+                        items: [track('t2'), { track: { id: 'e1', type: 'episode' } }],
+                        next: null
+                    }
+                })
+
+            const playlist = await spotifyService.getPlaylistById('list123')
+
+            expect(axios.get).toHaveBeenLastCalledWith('https://api.spotify.com/v1/playlists/list123/tracks?offset=3&limit=3', expect.any(Object))
+            expect(playlist).toEqual(expect.objectContaining({
+                id: 'list123',
+                name: 'Road Trip',
+                artist: 'Alice',
+                externalUrl: 'https://open.spotify.com/playlist/list123',
+                trackCount: 5
+            }))
+            expect(playlist.tracks.map((song) => song.id)).toEqual(['t1', 't2'])
+        })
+
+        test('should stop paging playlists at the track limit', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: {
+                    id: 'list123',
+                    name: 'Huge',
+                    tracks: { total: 5000, items: [{ track: { id: 't1', type: 'track' } }], next: 'https://api.spotify.com/v1/next' }
+                }
+            })
+
+            const playlist = await spotifyService.getPlaylistById('list123', 'de', 1)
+
+            expect(axios.get).toHaveBeenCalledTimes(1)
+            expect(axios.get).toHaveBeenCalledWith('https://api.spotify.com/v1/playlists/list123?market=DE', expect.any(Object))
+            expect(playlist.tracks).toHaveLength(1)
+        })
+
+        test('should return null for failed playlist request', async () => {
+            axios.get.mockRejectedValueOnce(new Error('Not found'))
+
+            expect(await spotifyService.getPlaylistById('private')).toBeNull()
+        })
+
+        test('should get episode with its show in a market', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: {
+                    id: 'ep1',
+                    name: 'A Big Day in Court',
+                    release_date: '2024-05-01',
+                    duration_ms: 1800000,
+                    images: [],
+                    external_urls: { spotify: 'https://open.spotify.com/episode/ep1' },
+                    show: { id: 'daily', name: 'The Daily', publisher: 'The New York Times', images: [{ url: 'https://i.scdn.co/image/daily' }] }
+                }
+            })
+
+            const episode = await spotifyService.getEpisodeById('ep1')
+
+            expect(axios.get).toHaveBeenCalledWith('https://api.spotify.com/v1/episodes/ep1?market=US', expect.any(Object))
+            expect(episode).toEqual({
+                id: 'ep1',
+                name: 'A Big Day in Court',
+                artist: 'The Daily',
+                album: 'The Daily',
+                imageUrl: null,
+                previewUrl: null,
+                externalUrl: 'https://open.spotify.com/episode/ep1',
+                platform: 'spotify',
+                publisher: 'The New York Times',
+                releaseDate: '2024-05-01',
+                durationMs: 1800000
+            })
+        })
+
+        test('should get show and its latest episodes', async () => {
+            const show = {
+                id: 'daily',
+                name: 'The Daily',
+                publisher: 'The New York Times',
+                total_episodes: 2500,
+                external_urls: { spotify: 'https://open.spotify.com/show/daily' },
+                episodes: { items: [{ id: 'ep1', name: 'Episode 1', release_date: '2024-05-01' }, null] }
+            }
+            axios.get.mockResolvedValue({ data: show })
+
+            expect(await spotifyService.getShowById('daily', 'de')).toEqual(expect.objectContaining({
+                id: 'daily',
+                name: 'The Daily',
+                artist: 'The New York Times',
+                publisher: 'The New York Times',
+                episodeCount: 2500
+            }))
+            expect(axios.get).toHaveBeenCalledWith('https://api.spotify.com/v1/shows/daily?market=DE', expect.any(Object))
+
+            const episodes = await spotifyService.getShowEpisodes('daily')
+            expect(episodes).toHaveLength(1)
+            expect(episodes[0]).toEqual(expect.objectContaining({ id: 'ep1', album: 'The Daily', publisher: 'The New York Times' }))
+        })
+
+        test('should page through show episodes up to the limit', async () => {
+            const page = (from, next) => ({
+                items: [from, from + 1].map((n) => ({ id: `ep${n}`, name: `Episode ${n}` })),
+                next
+            })
+            axios.get
+                .mockResolvedValueOnce({ data: { id: 'daily', name: 'The Daily', episodes: page(1, 'https://api.spotify.com/v1/shows/daily/episodes?offset=2') } })
+                .mockResolvedValueOnce({ data: page(3, 'https://api.spotify.com/v1/shows/daily/episodes?offset=4') })
+                .mockResolvedValueOnce({ data: page(5, null) })
+
+            const episodes = await spotifyService.getShowEpisodes('daily', 'de', 5)
+
+            expect(episodes.map((episode) => episode.id)).toEqual(['ep1', 'ep2', 'ep3', 'ep4', 'ep5'])
+            expect(axios.get).toHaveBeenCalledTimes(3)
+            expect(axios.get).toHaveBeenNthCalledWith(2, 'https://api.spotify.com/v1/shows/daily/episodes?offset=2', expect.any(Object))
+
+            axios.get.mockClear()
+            axios.get
+                .mockResolvedValueOnce({ data: { id: 'daily', name: 'The Daily', episodes: page(1, 'https://api.spotify.com/v1/shows/daily/episodes?offset=2') } })
+                .mockResolvedValueOnce({ data: page(3, 'https://api.spotify.com/v1/shows/daily/episodes?offset=4') })
+
+            expect(await spotifyService.getShowEpisodes('daily', 'de', 3)).toHaveLength(3)
+            expect(axios.get).toHaveBeenCalledTimes(2)
+        })
+
+        test('should search shows available in the market', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: { shows: { items: [{ id: 'daily', name: 'The Daily', publisher: 'The New York Times' }, null] } }
+            })
+
+            const shows = await spotifyService.searchShows('the daily', 5)
+
+            expect(shows.map((show) => show.id)).toEqual(['daily'])
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.spotify.com/v1/search?q=the%20daily&type=show&limit=5&market=US',
+                expect.any(Object)
+            )
+        })
+
+        test('should search artists successfully', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: { artists: { items: [{ id: 'queen', name: 'Queen' }, { id: 'queen2', name: 'Queen' }] } }
+            })
+
+            const artists = await spotifyService.searchArtists('queen', 5)
+
+            expect(artists.map((artist) => artist.id)).toEqual(['queen', 'queen2'])
+            expect(artists[0].topTracks).toEqual([])
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.spotify.com/v1/search?q=queen&type=artist&limit=5',
+                expect.any(Object)
+            )
+        })
     })
 })
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { exportHistory, toFilename, toCsv, toJson, toM3u, toXspf } = require('../../src/utils/export')
+
+describe('History export', () => {
+    const entries = [
+        {
+            createdAt: new Date('2025-05-01T10:00:00Z'),
+            userId: 42,
+            type: 'track',
+            source: {
+                id: 's1',
+                name: 'Hello, "World"',
+                artist: 'Tom & Jerry',
+                album: 'Cats <Live>',
+                platform: 'spotify',
+                externalUrl: 'https://open.spotify.com/track/s1'
+            },
+            target: {
+                id: 'a1',
+                name: 'Hello, "World"',
+                artist: 'Tom & Jerry',
+                album: 'Cats <Live>',
+                platform: 'apple_music',
+                externalUrl: 'https://music.apple.com/us/song/a1'
+            },
+            score: 95,
+            origin: 'search'
+        }
+    ]
+
+    test('should build CSV with a header and quoted fields', () => {
+        const lines = toCsv(entries).split('\r\n')
+
+        expect(lines[0]).toBe('date,user_id,type,origin,score,source_platform,artist,title,album,source_url,target_platform,target_artist,target_title,target_url')
+        expect(lines[1]).toBe('2025-05-01T10:00:00.000Z,42,track,search,95,spotify,Tom & Jerry,"Hello, ""World""",Cats <Live>,https://open.spotify.com/track/s1,apple_music,Tom & Jerry,"Hello, ""World""",https://music.apple.com/us/song/a1')
+        expect(lines[2]).toBe('')
+    })
+
+    test('should build JSON with complete entries', () => {
+        expect(JSON.parse(toJson(entries))[0]).toEqual({ ...entries[0], createdAt: '2025-05-01T10:00:00.000Z' })
+    })
+
+    test('should build an M3U playlist of shared links', () => {
+        expect(toM3u(entries)).toBe('#EXTM3U\n#EXTINF:-1,Tom & Jerry - Hello, "World"\nhttps://open.spotify.com/track/s1\n')
+    })
+
+    test('should name artists alone in an M3U playlist', () => {
+        const artist = { name: 'Queen', artist: null, album: null, platform: 'spotify', externalUrl: 'https://open.spotify.com/artist/queen' }
+
+        expect(toM3u([{ ...entries[0], type: 'artist', source: artist }])).toBe('#EXTM3U\n#EXTINF:-1,Queen\nhttps://open.spotify.com/artist/queen\n')
+    })
+
+    test('should build an escaped XSPF playlist with links on both platforms', () => {
+        const xspf = toXspf(entries, 'Chat <music>')
+
+        expect(xspf).toContain('<title>Chat &lt;music&gt;</title>')
+        expect(xspf).toContain('<location>https://open.spotify.com/track/s1</location>')
+        expect(xspf).toContain('<location>https://music.apple.com/us/song/a1</location>')
+        expect(xspf).toContain('<creator>Tom &amp; Jerry</creator>')
+        expect(xspf).toContain('<title>Hello, &quot;World&quot;</title>')
+    })
+
+    test('should name the file after the title', () => {
+        expect(exportHistory(entries, 'csv', 'Music Lovers music').filename).toBe('Music_Lovers_music.csv')
+        expect(exportHistory(entries, 'xspf', '🎵🎵').filename).toBe('history.xspf')
+    })
+
+    test('should build safe file names', () => {
+        expect(toFilename('Road Trip: 2025 🚗', 'txt')).toBe('Road_Trip_2025.txt')
+        expect(toFilename('🎶', 'csv')).toBe('history.csv')
+    })
+
+    test('should reject unknown formats', () => {
+        expect(exportHistory(entries, 'mp3', 'chat')).toBeNull()
+    })
+})
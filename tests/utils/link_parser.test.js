@@ -0,0 +1,115 @@
+/**
+ *  The MIT License (MIT)
+ *  Copyright (c) 2025 Northern Captain
+ */
+
+const { parseMusicLink, isShortLink, findMusicLinks } = require('../../src/utils/link_parser')
+
+// Registers the link patterns of the platforms
+require('../../src/providers/registry')
+
+describe('Link parser', () => {
+    const parse = (url) => {
+        const linkInfo = parseMusicLink(url)
+        return linkInfo && { platform: linkInfo.platform, type: linkInfo.type, id: linkInfo.id }
+    }
+
+    describe('parseMusicLink', () => {
+        test('should parse Spotify links in all their shapes', () => {
+            const track = { platform: 'spotify', type: 'track', id: '4uLU6hMCjMI75M1A2tKUQC' }
+
+            expect(parse('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC')).toEqual(track)
+            expect(parse('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC?si=abc123')).toEqual(track)
+            expect(parse('https://open.spotify.com/intl-de/track/4uLU6hMCjMI75M1A2tKUQC')).toEqual(track)
+            expect(parse('https://open.spotify.com/intl-pt-BR/track/4uLU6hMCjMI75M1A2tKUQC')).toEqual(track)
+            expect(parse('https://open.spotify.com/embed/track/4uLU6hMCjMI75M1A2tKUQC')).toEqual(track)
+            expect(parse('http://spotify.com/track/4uLU6hMCjMI75M1A2tKUQC')).toEqual(track)
+            expect(parse('spotify:track:4uLU6hMCjMI75M1A2tKUQC')).toEqual(track)
+        })
+
+        test('should parse every Spotify link type', () => {
+            expect(parse('https://open.spotify.com/album/1GbtB4zTqAsyfZEsm1RZfx').type).toBe('album')
+            expect(parse('https://open.spotify.com/artist/1dfeR4HaWDbWqFHLkxsg1d').type).toBe('artist')
+            expect(parse('https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M').type).toBe('playlist')
+            expect(parse('https://open.spotify.com/show/3IM0lmZxpFAY7CwMuv9H4g').type).toBe('show')
+            expect(parse('spotify:episode:512ojhOuo1ktJprKbVcKyQ').type).toBe('episode')
+        })
+
+        test('should parse Apple Music tracks from song and album links', () => {
+            const track = { platform: 'apple_music', type: 'track', id: '1440806041' }
+
+            expect(parse('https://music.apple.com/us/song/bohemian-rhapsody/1440806041')).toEqual(track)
+            expect(parse('https://music.apple.com/us/song/1440806041')).toEqual(track)
+            expect(parse('https://music.apple.com/us/album/a-night-at-the-opera/1440806768?i=1440806041')).toEqual(track)
+            expect(parse('https://music.apple.com/us/album/a-night-at-the-opera/1440806768?uo=4&i=1440806041')).toEqual(track)
+            expect(parse('https://geo.music.apple.com/us/album/1440806768?i=1440806041')).toEqual(track)
+        })
+
+        test('should parse other Apple Music link types', () => {
+            expect(parse('https://music.apple.com/us/album/a-night-at-the-opera/1440806768')).toEqual({ platform: 'apple_music', type: 'album', id: '1440806768' })
+            expect(parse('https://music.apple.com/us/artist/queen/3296287')).toEqual({ platform: 'apple_music', type: 'artist', id: '3296287' })
+            expect(parse('https://music.apple.com/us/playlist/my-mix/pl.u-8aAVZAvCm1PAoL')).toEqual({ platform: 'apple_music', type: 'playlist', id: 'pl.u-8aAVZAvCm1PAoL' })
+            expect(parse('https://music.apple.com/us/music-video/bohemian-rhapsody/1445747048')).toEqual({ platform: 'apple_music', type: 'music_video', id: '1445747048' })
+        })
+
+        test('should parse the Apple storefront when present', () => {
+            expect(parseMusicLink('https://music.apple.com/GB/song/1440806041').storefront).toBe('gb')
+            expect(parseMusicLink('https://music.apple.com/song/1440806041').storefront).toBeNull()
+            expect(parseMusicLink('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC')).not.toHaveProperty('storefront')
+        })
+
+        test('should parse Apple Podcasts shows and episodes', () => {
+            expect(parseMusicLink('https://podcasts.apple.com/us/podcast/the-daily/id1200361736')).toEqual({
+                platform: 'apple_podcasts',
+                type: 'show',
+                id: '1200361736',
+                storefront: 'us',
+                originalUrl: 'https://podcasts.apple.com/us/podcast/the-daily/id1200361736'
+            })
+            expect(parseMusicLink('https://podcasts.apple.com/gb/podcast/a-big-day-in-court/id1200361736?i=1000650744467')).toEqual({
+                platform: 'apple_podcasts',
+                type: 'episode',
+                id: '1000650744467',
+                storefront: 'gb',
+                showId: '1200361736',
+                originalUrl: 'https://podcasts.apple.com/gb/podcast/a-big-day-in-court/id1200361736?i=1000650744467'
+            })
+        })
+
+        test('should return null for other links', () => {
+            expect(parseMusicLink('https://youtube.com/watch?v=123')).toBeNull()
+            expect(parseMusicLink('https://open.spotify.com/user/someone')).toBeNull()
+            expect(parseMusicLink('https://music.apple.com/us/browse')).toBeNull()
+            expect(parseMusicLink('see https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC')).toBeNull()
+            expect(parseMusicLink(null)).toBeNull()
+        })
+    })
+
+    test('should recognize short links', () => {
+        expect(isShortLink('https://spotify.link/AbCdEf')).toBe(true)
+        expect(isShortLink('https://spotify.app.link/AbCdEf?_p=x')).toBe(true)
+        expect(isShortLink('https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC')).toBe(false)
+        expect(isShortLink(undefined)).toBe(false)
+    })
+
+    describe('findMusicLinks', () => {
+        test('should find links in the order they appear', () => {
+            const text = 'Try https://music.apple.com/us/album/a-night-at-the-opera/1440806768?i=1440806041 and ' +
+                'spotify:album:1GbtB4zTqAsyfZEsm1RZfx, or https://spotify.link/AbCdEf'
+
+            expect(findMusicLinks(text)).toEqual([
+                'https://music.apple.com/us/album/a-night-at-the-opera/1440806768?i=1440806041',
+                'spotify:album:1GbtB4zTqAsyfZEsm1RZfx',
+                'https://spotify.link/AbCdEf'
+            ])
+        })
+
+        test('should drop duplicates and texts without links', () => {
+            const link = 'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC'
+
+            expect(findMusicLinks(`${link} ${link}`)).toEqual([link])
+            expect(findMusicLinks('no music here')).toEqual([])
+            expect(findMusicLinks('')).toEqual([])
+        })
+    })
+})
@@ -3,10 +3,38 @@
  *  Copyright (c) 2025 Northern Captain
  */
 
-const { calculateSongScore, getConfidenceLevel, findBestMatch } = require('../../src/utils/scoring')
+const {
+    calculateSongScore,
+    calculateAlbumScore,
+    getConfidenceLevel,
+    rankMatches,
+    rankAlbumMatches,
+    calculateArtistScore,
+    rankArtistMatches,
+    calculateShowScore,
+    calculateEpisodeScore,
+    rankEpisodeMatches,
+    parseSearchQuery,
+    calculateQueryScore
+} = require('../../src/utils/scoring')
 
 describe('Scoring Utilities', () => {
     describe('calculateSongScore', () => {
+        test('should judge music videos by title and artist', () => {
+            const musicVideo = { name: 'Bohemian Rhapsody', artist: 'Queen', album: null }
+            const track = { name: 'Bohemian Rhapsody', artist: 'Queen', album: 'A Night at the Opera' }
+
+            expect(calculateSongScore(musicVideo, track, { musicVideo: true })).toBe(100)
+            expect(rankMatches(musicVideo, [track], { musicVideo: true })[0].matchScore).toBe(100)
+        })
+
+        test('should still weigh the album of songs without one', () => {
+            const single = { name: 'Bohemian Rhapsody', artist: 'Queen', album: null }
+            const track = { name: 'Bohemian Rhapsody', artist: 'Queen', album: 'A Night at the Opera' }
+
+            expect(calculateSongScore(single, track)).toBe(80)
+        })
+
         test('should return 100 for identical songs', () => {
             const originalSong = {
                 name: 'Never Gonna Give You Up',
@@ -94,76 +122,184 @@ describe('Scoring Utilities', () => {
             expect(getConfidenceLevel(90)).toBe('90% match')
         })
 
+        test('should report ISRC matches as exact', () => {
+            expect(getConfidenceLevel(100, 'isrc')).toBe('Exact match (ISRC)')
+        })
+
+        test('should report UPC matches as exact', () => {
+            expect(getConfidenceLevel(100, 'upc')).toBe('Exact match (UPC)')
+            expect(getConfidenceLevel(100, 'override')).toBe('Manual match')
+        })
+
         test('should return low confidence warning for scores < 60', () => {
             expect(getConfidenceLevel(50)).toBe('50% match (low confidence)')
             expect(getConfidenceLevel(30)).toBe('30% match (low confidence)')
         })
     })
 
-    describe('findBestMatch', () => {
+    describe('calculateAlbumScore', () => {
+        const originalAlbum = {
+            name: 'A Night at the Opera',
+            artist: 'Queen',
+            trackCount: 12,
+            releaseYear: 1975
+        }
+
+        test('should return 100 for identical albums', () => {
+            expect(calculateAlbumScore(originalAlbum, { ...originalAlbum })).toBe(100)
+        })
+
+        test('should return 0 for null inputs', () => {
+            expect(calculateAlbumScore(null, {})).toBe(0)
+            expect(calculateAlbumScore({}, null)).toBe(0)
+        })
+
+        test('should prefer the original release over a deluxe reissue', () => {
+            const original = calculateAlbumScore(originalAlbum, { ...originalAlbum })
+            const reissue = calculateAlbumScore(originalAlbum, {
+                ...originalAlbum,
+                trackCount: 24,
+                releaseYear: 2011
+            })
+
+            expect(reissue).toBeLessThan(original)
+            expect(reissue).toBeGreaterThanOrEqual(80)
+        })
+
+        test('should stay neutral when track count and year are unknown', () => {
+            const score = calculateAlbumScore(
+                { name: 'Jazz', artist: 'Queen' },
+                { name: 'Jazz', artist: 'Queen' }
+            )
+
+            expect(score).toBe(90)
+        })
+    })
+
+    describe('rankMatches', () => {
         const originalSong = {
             name: 'Imagine',
             artist: 'John Lennon',
             album: 'Imagine'
         }
 
-        test('should return null for empty candidates', () => {
-            expect(findBestMatch(originalSong, [])).toBeNull()
-            expect(findBestMatch(originalSong, null)).toBeNull()
+        test('should return an empty list for no candidates', () => {
+            expect(rankMatches(originalSong, [])).toEqual([])
+            expect(rankMatches(originalSong, null)).toEqual([])
         })
 
-        test('should return best matching candidate', () => {
+        test('should sort candidates from best to worst and drop zero scores', () => {
             const candidates = [
-                {
-                    name: 'Imagine',
-                    artist: 'John Lennon',
-                    album: 'The John Lennon Collection'
-                },
-                {
-                    name: 'Imagine',
-                    artist: 'John Lennon',
-                    album: 'Imagine'
-                },
-                {
-                    name: 'Yesterday',
-                    artist: 'The Beatles',
-                    album: 'Help!'
-                }
+                { id: 'cover', name: 'Imagine', artist: 'Karaoke Stars', album: 'Karaoke Hits' },
+                { id: 'original', name: 'Imagine', artist: 'John Lennon', album: 'Imagine' },
+                { id: 'live', name: 'Imagine - Live', artist: 'John Lennon', album: 'Live in New York City' },
+                { id: 'nothing', name: '', artist: '', album: '' }
             ]
 
-            const bestMatch = findBestMatch(originalSong, candidates)
-            expect(bestMatch).toBeDefined()
-            expect(bestMatch.name).toBe('Imagine')
-            expect(bestMatch.album).toBe('Imagine')
-            expect(bestMatch.matchScore).toBeGreaterThan(90)
+            const ranked = rankMatches(originalSong, candidates)
+
+            expect(ranked.map((song) => song.id)).toEqual(['original', 'live', 'cover'])
+            expect(ranked[0].matchScore).toBe(100)
+            expect(ranked[1].matchScore).toBeGreaterThan(ranked[2].matchScore)
         })
+    })
 
-        test('should return null if no good match found', () => {
+    describe('rankAlbumMatches', () => {
+        test('should rank albums by score', () => {
+            const originalAlbum = { name: 'Abbey Road', artist: 'The Beatles', trackCount: 17, releaseYear: 1969 }
             const candidates = [
-                {
-                    name: 'Completely Different Song',
-                    artist: 'Different Artist',
-                    album: 'Different Album'
-                }
+                { id: 'deluxe', name: 'Abbey Road', artist: 'The Beatles', trackCount: 40, releaseYear: 2019 },
+                { id: 'original', name: 'Abbey Road', artist: 'The Beatles', trackCount: 17, releaseYear: 1969 }
             ]
 
-            const bestMatch = findBestMatch(originalSong, candidates)
-            expect(bestMatch).toBeNull()
+            expect(rankAlbumMatches(originalAlbum, candidates).map((album) => album.id)).toEqual(['original', 'deluxe'])
+        })
+    })
+    describe('calculateArtistScore', () => {
+        const queen = { name: 'Queen', topTracks: ['Bohemian Rhapsody', 'Under Pressure', "Don't Stop Me Now"] }
+
+        test('should score the same artist with shared top tracks highest', () => {
+            const candidate = { name: 'Queen', topTracks: ['Bohemian Rhapsody - Remastered 2011', 'Under Pressure', 'Radio Ga Ga'] }
+
+            expect(calculateArtistScore(queen, candidate)).toBeGreaterThanOrEqual(80)
         })
 
-        test('should include match score in result', () => {
+        test('should tell namesakes apart by their top tracks', () => {
+            const namesake = { name: 'Queen', topTracks: ['Lagos Nights', 'Sunday Morning'] }
+
+            expect(calculateArtistScore(queen, namesake)).toBe(50)
+        })
+
+        test('should count missing top tracks as half a match', () => {
+            expect(calculateArtistScore(queen, { name: 'Queen' })).toBe(75)
+        })
+
+        test('should rank artists by score', () => {
             const candidates = [
-                {
-                    name: 'Imagine',
-                    artist: 'John Lennon',
-                    album: 'Imagine'
-                }
+                { id: 'namesake', name: 'Queen', topTracks: ['Lagos Nights'] },
+                { id: 'queen', name: 'Queen', topTracks: ['Bohemian Rhapsody'] },
+                { id: 'other', name: 'Queens of the Stone Age', topTracks: ['No One Knows'] }
             ]
 
-            const bestMatch = findBestMatch(originalSong, candidates)
-            expect(bestMatch).toBeDefined()
-            expect(bestMatch.matchScore).toBeDefined()
-            expect(typeof bestMatch.matchScore).toBe('number')
+            expect(rankArtistMatches(queen, candidates).map((artist) => artist.id)).toEqual(['queen', 'namesake', 'other'])
+        })
+    })
+
+    describe('podcasts', () => {
+        const episode = {
+            name: 'A Big Day in Court',
+            album: 'The Daily',
+            publisher: 'The New York Times',
+            releaseDate: '2024-05-01'
+        }
+
+        test('should score shows by name and publisher', () => {
+            const show = { name: 'The Daily', publisher: 'The New York Times' }
+
+            expect(calculateShowScore(show, { name: 'The Daily', publisher: 'The New York Times' })).toBe(100)
+            expect(calculateShowScore(show, { name: 'The Daily', publisher: 'Daily Wire' })).toBeLessThan(90)
+        })
+
+        test('should score episodes by title, show, publisher and publish date', () => {
+            expect(calculateEpisodeScore(episode, { ...episode })).toBe(100)
+            // Time zones move the date by a day
+            expect(calculateEpisodeScore(episode, { ...episode, releaseDate: '2024-04-30' })).toBe(93)
+            expect(calculateEpisodeScore(episode, { ...episode, releaseDate: null })).toBe(85)
+            expect(calculateEpisodeScore(episode, { ...episode, releaseDate: '2023-05-01' })).toBe(70)
+        })
+
+        test('should tell reruns apart by their publish date', () => {
+            const candidates = [
+                { id: 'rerun', ...episode, name: 'A Big Day in Court (Rerun)', releaseDate: '2024-12-24' },
+                { id: 'original', ...episode, releaseDate: '2024-05-01' }
+            ]
+
+            expect(rankEpisodeMatches(episode, candidates).map((candidate) => candidate.id)).toEqual(['original', 'rerun'])
+        })
+    })
+
+    describe('parseSearchQuery', () => {
+        test('should split artist and title at a dash surrounded by spaces', () => {
+            expect(parseSearchQuery('Queen - Bohemian Rhapsody')).toEqual({ artist: 'Queen', title: 'Bohemian Rhapsody' })
+            expect(parseSearchQuery(' Daft Punk — Get Lucky ')).toEqual({ artist: 'Daft Punk', title: 'Get Lucky' })
+        })
+
+        test('should keep dashes inside names', () => {
+            expect(parseSearchQuery('AC-DC Back in Black')).toEqual({ artist: null, title: 'AC-DC Back in Black' })
+        })
+    })
+
+    describe('calculateQueryScore', () => {
+        const song = { name: 'Bohemian Rhapsody', artist: 'Queen' }
+
+        test('should score songs matching artist and title', () => {
+            expect(calculateQueryScore(parseSearchQuery('Queen - Bohemian Rhapsody'), song)).toBe(100)
+            expect(calculateQueryScore(parseSearchQuery('Muse - Bohemian Rhapsody'), song)).toBeLessThan(70)
+        })
+
+        test('should score free text queries in either order', () => {
+            expect(calculateQueryScore(parseSearchQuery('bohemian rhapsody queen'), song)).toBe(100)
+            expect(calculateQueryScore(parseSearchQuery('Bohemian Rhapsody'), song)).toBe(100)
         })
     })
-})
\ No newline at end of file
+})